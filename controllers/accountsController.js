@@ -1,4 +1,5 @@
 import { supabase } from "../supabase/supabaseClient.js";
+import { summarizeVatReturn } from "../services/taxCategoryService.js";
 
 /* -----------------------------------------
    1. DAYBOOK
@@ -293,20 +294,48 @@ export const getBalanceSheet = async (req, res) => {
 
 /* -----------------------------------------
    5. VAT REPORT (already matching your table)
+   + per tax code / treatment breakdown and VAT return boxes
+   (vat_report_lines, migrations/019_tax_categories.sql)
+   ?period=YYYY-MM for a single period
 ------------------------------------------ */
 export const getVATReport = async (req, res) => {
   try {
     const tenant_id = req.user.tenant_id;
 
-    const { data, error } = await supabase
+    let reportQuery = supabase
       .from("vat_reports")
       .select("*")
       .eq("tenant_id", tenant_id)
       .order("period", { ascending: false });
 
+    let linesQuery = supabase
+      .from("vat_report_lines")
+      .select("period, direction, tax_code, tax_treatment, net_amount, vat_amount")
+      .eq("tenant_id", tenant_id)
+      .order("direction")
+      .order("tax_code");
+
+    if (req.query.period) {
+      reportQuery = reportQuery.eq("period", req.query.period);
+      linesQuery = linesQuery.eq("period", req.query.period);
+    }
+
+    const [{ data, error }, { data: lines, error: linesErr }] =
+      await Promise.all([reportQuery, linesQuery]);
+
     if (error) throw error;
+    if (linesErr) throw linesErr;
+
+    const report = (data || []).map((row) => {
+      const breakdown = (lines || []).filter((l) => l.period === row.period);
+      return {
+        ...row,
+        breakdown,
+        vat_return: summarizeVatReturn(breakdown),
+      };
+    });
 
-    return res.json({ success: true, data });
+    return res.json({ success: true, data: report });
   } catch (err) {
     console.error("getVATReport error:", err);
     return res.status(500).json({ error: err.message });
@@ -1,12 +1,25 @@
 // controllers/invoiceController.js
-// FULL OPTIMIZED VERSION WITH setImmediate BACKGROUND TASKS
+// FULL OPTIMIZED VERSION WITH DURABLE BACKGROUND JOBS (services/jobQueueService.js)
 // USING REAL COA ACCOUNTS: COGS → "Cost of Goods Sold" & VAT → "VAT Output"
 
 import { supabase } from "../supabase/supabaseClient.js";
 import { addJournalEntry } from "../services/addJournalEntryService.js";
 import { calculateEmployeeDiscount } from "../services/calculateEmployeeDiscountServices.js";
 import { applyDiscounts } from "../services/applyDiscountsService.js";
-import { generatePDF } from "../scripts/pdfGenerator.js";
+import {
+  INVOICE_TEMPLATES,
+  getInvoiceSettings,
+  renderInvoicePDF,
+} from "../services/invoiceDocumentService.js";
+import { registerJobHandler } from "../services/jobQueueService.js";
+import { normalizeGiftCardCode } from "./giftCardController.js";
+import { explodeBundleItems } from "../utils/productBundles.js";
+import { resolvePrices } from "../services/priceListService.js";
+import { applyTaxCategories, postVatReportLines } from "../services/taxCategoryService.js";
+import { checkCustomerCredit, dueDateFor } from "../services/customerCreditService.js";
+import { quantityError } from "../services/scaleBarcodeService.js";
+import { cashRoundingFor, cashRoundingRule } from "../utils/cashRounding.js";
+import { markIdempotentCommitted } from "../middleware/idempotency.js";
 
 /**
  * ============================================================
@@ -24,6 +37,8 @@ export async function recordCustomerPaymentAccounting({
   amount,
   payment_method,
   coaAccounts,
+  reference_id = invoice_id,
+  reference_type = "customer_payment",
 }) {
   const arAcc = coaAccounts.find(a => a.name === "Accounts Receivable")?.id;
   if (!arAcc) throw new Error("AR account missing");
@@ -41,16 +56,30 @@ export async function recordCustomerPaymentAccounting({
     credit_account: arAcc,
     amount,
     description: `Customer payment for invoice #${invoice_id}`,
-    reference_id: invoice_id,
-    reference_type: "customer_payment",
+    reference_id,
+    reference_type,
   });
 }
 
 /**
  * ============================================================
- * DEFERRED OPERATIONS (runs after response via setImmediate)
+ * DEFERRED OPERATIONS (runs after response as an "invoice_deferred" job)
+ * Every step checks what is already posted, so a retried job
+ * continues where the failed attempt stopped instead of double-posting.
  * ============================================================
  */
+async function countPosted(tenant_id, reference_id, reference_type) {
+  const { count, error } = await supabase
+    .from("journal_entries")
+    .select("id", { count: "exact", head: true })
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", reference_id)
+    .eq("reference_type", reference_type);
+
+  if (error) throw error;
+  return count || 0;
+}
+
 function getPaymentAccountId(payment_method, coaAccounts) {
   if (!payment_method) {
     return getAccountId("Cash", coaAccounts);
@@ -65,60 +94,141 @@ function getPaymentAccountId(payment_method, coaAccounts) {
   return getAccountId("Cash", coaAccounts);
 }
 
+/**
+ * Debit side for one tender leg. Credit legs sit in Accounts Receivable,
+ * store credit and gift card legs draw down their liability accounts.
+ */
+function getLegAccountId(method, coaAccounts) {
+  const m = String(method || "").toLowerCase();
+  if (m === "credit") {
+    return getAccountId("Accounts Receivable", coaAccounts);
+  }
+  if (m === "store_credit") {
+    return getAccountId("Customer Credit", coaAccounts);
+  }
+  if (m === "gift_card") {
+    return getAccountId("Gift Card Liability", coaAccounts);
+  }
+  return getPaymentAccountId(method, coaAccounts);
+}
+
+const PAYMENT_METHODS = ["cash", "card", "upi", "bank", "credit", "store_credit", "gift_card"];
+
+// legs that bring no money into the till today
+const NON_CASH_METHODS = ["credit", "store_credit", "gift_card"];
+
+/**
+ * ============================================================
+ * HELPER: NORMALIZE TENDER LEGS
+ * payments[] = [{ method, amount, reference? }]
+ * Falls back to a single leg of payment_method for the full amount.
+ * Throws a 400-style Error when legs do not add up to final_amount.
+ * ============================================================
+ */
+export function normalizePayments(payments, payment_method, final_amount) {
+  const total = Number(Number(final_amount || 0).toFixed(2));
+
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return [{ method: String(payment_method || "cash").toLowerCase(), amount: total }];
+  }
+
+  const legs = payments.map((p) => ({
+    method: String(p.method || "").toLowerCase(),
+    amount: Number(Number(p.amount || 0).toFixed(2)),
+    reference: p.reference || null,
+  }));
+
+  for (const leg of legs) {
+    if (!PAYMENT_METHODS.includes(leg.method)) {
+      throw new Error(`Unsupported payment method: ${leg.method || "(empty)"}`);
+    }
+    if (!(leg.amount > 0)) {
+      throw new Error("Each payment leg must have amount > 0");
+    }
+    if (leg.method === "gift_card") {
+      if (!leg.reference) throw new Error("Gift card leg needs the card code as reference");
+      leg.reference = normalizeGiftCardCode(leg.reference);
+    }
+  }
+
+  const sum = Number(legs.reduce((s, l) => s + l.amount, 0).toFixed(2));
+  if (Math.abs(sum - total) >= 0.01) {
+    throw new Error(
+      `Payments total ${sum.toFixed(2)} does not match invoice total ${total.toFixed(2)}`
+    );
+  }
+
+  return legs;
+}
+
+/**
+ * Spread invoice net + VAT over the legs in proportion to each amount.
+ * The last leg takes the rounding remainder so journals balance exactly.
+ */
+function splitLegsForPosting(payments, netSales, totalTax) {
+  const gross = payments.reduce((s, p) => s + Number(p.amount || 0), 0);
+  let netLeft = netSales;
+  let vatLeft = totalTax;
+
+  return payments.map((p, idx) => {
+    const amount = Number(p.amount || 0);
+    const isLast = idx === payments.length - 1;
+    const share = gross > 0 ? amount / gross : 0;
+
+    const vat = isLast ? vatLeft : Number((totalTax * share).toFixed(2));
+    const net = isLast ? netLeft : Number((amount - vat).toFixed(2));
+
+    netLeft = Number((netLeft - net).toFixed(2));
+    vatLeft = Number((vatLeft - vat).toFixed(2));
+
+    return {
+      method: String(p.method || "cash").toLowerCase(),
+      amount,
+      net: Number(net.toFixed(2)),
+      vat: Number(vat.toFixed(2)),
+    };
+  });
+}
+
 async function processDeferredOperations(params) {
   const {
     tenant_id,
     invoice,
     itemsWithDiscounts,
-    customer,
     customer_id,
     isLoyaltyCustomer,
     gross_amount,
     payment_method,
+    payments,
     item_discount_total,
     bill_discount_total,
     employee_discount_total,
     redeem_points,
     earn_points,
-    currentPoints,
-    lifetimePoints,
     coaAccounts,
     baseUrl,
     businessName,
     invoiceItemsToInsert,
   } = params;
 
-  try {
-    console.log(`🔄 Running deferred operations for invoice ${invoice.id}`);
+  console.log(`🔄 Running deferred operations for invoice ${invoice.id}`);
 
     /**
      * ======================================================
      * 1) LOYALTY — UPDATE CUSTOMER AFTER REDEEM + EARN
      * ======================================================
      */
+    // deltas, claimed once per invoice (migrations/028_invoice_loyalty_posting.sql)
     if (isLoyaltyCustomer) {
-      await supabase
-        .from("customers")
-        .update({
-          loyalty_points: currentPoints,
-          lifetime_points: lifetimePoints,
-          last_purchase_at: new Date(),
-          total_purchases: (customer.total_purchases || 0) + 1,
-          total_spent: Number(customer.total_spent || 0) + gross_amount,
-        })
-        .eq("id", customer_id)
-        .eq("tenant_id", tenant_id);
-
-      if (earn_points > 0) {
-        await supabase.from("loyalty_transactions").insert([{
-          customer_id,
-          invoice_id: invoice.id,
-          transaction_type: "earn",
-          points: earn_points,
-          balance_after: currentPoints,
-          description: `Earned ${earn_points} points`,
-        }]);
-      }
+      const { error: loyaltyErr } = await supabase.rpc("apply_invoice_loyalty", {
+        p_tenant_id: tenant_id,
+        p_invoice_id: invoice.id,
+        p_customer_id: customer_id,
+        p_earn: earn_points || 0,
+        p_redeem: redeem_points || 0,
+        p_spent: Number(gross_amount || 0),
+      });
+      if (loyaltyErr) throw loyaltyErr;
     }
 
     /**
@@ -150,9 +260,6 @@ const netSales = Math.max(
     const saleDescription = `Invoice #${invoice.invoice_number || invoice.id}`;
 
     // COA IDs mapped using your actual COA:
-   const paymentAcc = getPaymentAccountId(payment_method, coaAccounts);
-const arAcc = getAccountId("Accounts Receivable", coaAccounts);
-
     const salesAcc = getAccountId("Sales", coaAccounts);
     const vatOutputAcc = getAccountId("VAT Output", coaAccounts);
     const discountAcc = getAccountId("Discount Expense", coaAccounts);
@@ -160,74 +267,110 @@ const arAcc = getAccountId("Accounts Receivable", coaAccounts);
     const cogsAcc = getAccountId("Cost of Goods Sold", coaAccounts);
     const inventoryAcc = getAccountId("Inventory", coaAccounts);
 
+    // one leg per tender (older jobs only carry payment_method)
+    const legs = splitLegsForPosting(
+      payments && payments.length
+        ? payments
+        : [{ method: payment_method, amount: grossSales }],
+      netSales,
+      totalTax
+    );
+
     /**
-     * 2.1) DAYBOOK ENTRY
+     * 2.1) DAYBOOK ENTRY — ONLY THE MONEY RECEIVED NOW (credit / store credit excluded)
      */
-/**
- * 2.1) DAYBOOK ENTRY — ONLY FOR NON-CREDIT SALES
- */
-if (payment_method !== "credit") {
-  await supabase.from("daybook").insert([{
-    tenant_id,
-    entry_type: "sale",
-    description: saleDescription,
-    debit: 0,
-    credit: grossSales,
-    reference_id: invoice.id,
-  }]);
-}
+    const cashRounding = Number(invoice.cash_rounding || 0);
+    const receivedNow = Number(
+      (legs
+        .filter((l) => !NON_CASH_METHODS.includes(l.method))
+        .reduce((s, l) => s + l.amount, 0) + cashRounding)
+        .toFixed(2)
+    );
+
+    const { data: daybookRow } = await supabase
+      .from("daybook")
+      .select("id")
+      .eq("tenant_id", tenant_id)
+      .eq("entry_type", "sale")
+      .eq("reference_id", invoice.id)
+      .limit(1);
+
+    if (receivedNow > 0 && !daybookRow?.length) {
+      const { error: daybookErr } = await supabase.from("daybook").insert([{
+        tenant_id,
+        entry_type: "sale",
+        description: saleDescription,
+        debit: 0,
+        credit: receivedNow,
+        reference_id: invoice.id,
+      }]);
+
+      if (daybookErr) throw daybookErr;
+    }
 
     /**
-     * 2.2) JOURNAL ENTRIES
+     * 2.2) JOURNAL ENTRIES — PER PAYMENT LEG
+     * Cash → Cash, card/upi/bank → Bank, credit → Accounts Receivable.
+     * Legs are posted in order; a retry skips the ones already written.
      */
-    if (payment_method !== "credit") {
-await addJournalEntry({
-  tenant_id,
-  debit_account: paymentAcc,
-  credit_account: salesAcc,
-  amount: netSales,
-  description: saleDescription,
-  reference_id: invoice.id,
-  reference_type: "invoice_sale", // ✅ ADD THIS
-});;
-
-  if (totalTax > 0) {
-await addJournalEntry({
-  tenant_id,
-  debit_account: paymentAcc,
-  credit_account: vatOutputAcc,
-  amount: totalTax,
-  description: `VAT Output for ${saleDescription}`,
-  reference_id: invoice.id,
-  reference_type: "invoice_vat", // ✅ ADD THIS
-});
+    let saleToSkip = await countPosted(tenant_id, invoice.id, "invoice_sale");
+    let vatToSkip = await countPosted(tenant_id, invoice.id, "invoice_vat");
+
+    for (const leg of legs) {
+      const debitAcc = getLegAccountId(leg.method, coaAccounts);
+      const legLabel =
+        legs.length > 1 ? `${saleDescription} (${leg.method})` : saleDescription;
+
+      if (leg.net > 0) {
+        if (saleToSkip > 0) {
+          saleToSkip--;
+        } else {
+          await addJournalEntry({
+            tenant_id,
+            debit_account: debitAcc,
+            credit_account: salesAcc,
+            amount: leg.net,
+            description: legLabel,
+            reference_id: invoice.id,
+            reference_type: "invoice_sale",
+          });
+        }
+      }
 
-  }
-}
- else {
-      // CREDIT SALE
-await addJournalEntry({
-  tenant_id,
-  debit_account: arAcc,
-  credit_account: salesAcc,
-  amount: netSales,
-  description: saleDescription,
-  reference_id: invoice.id,
-  reference_type: "invoice_sale", // ✅ ADD THIS
-});
+      if (leg.vat > 0) {
+        if (vatToSkip > 0) {
+          vatToSkip--;
+        } else {
+          await addJournalEntry({
+            tenant_id,
+            debit_account: debitAcc,
+            credit_account: vatOutputAcc,
+            amount: leg.vat,
+            description: `VAT Output for ${legLabel}`,
+            reference_id: invoice.id,
+            reference_type: "invoice_vat",
+          });
+        }
+      }
+    }
 
+    /**
+     * 2.2b) CASH ROUNDING — Cash vs "Rounding" for what the drawer took
+     * above (or below) the cash legs
+     */
+    if (cashRounding !== 0 && (await countPosted(tenant_id, invoice.id, "invoice_rounding")) === 0) {
+      const cashAcc = getAccountId("Cash", coaAccounts);
+      const roundingAcc = getAccountId("Rounding", coaAccounts);
 
- if (totalTax > 0) {
-  await addJournalEntry({
-    tenant_id,
-    debit_account: arAcc,
-    credit_account: vatOutputAcc,
-    amount: totalTax,
-    description: `VAT Output for ${saleDescription}`,
-    reference_id: invoice.id,
-    reference_type: "invoice_vat", // ✅ REQUIRED
-  });
-}
+      await addJournalEntry({
+        tenant_id,
+        debit_account: cashRounding > 0 ? cashAcc : roundingAcc,
+        credit_account: cashRounding > 0 ? roundingAcc : cashAcc,
+        amount: Math.abs(cashRounding),
+        description: `Cash rounding for ${saleDescription}`,
+        reference_id: invoice.id,
+        reference_type: "invoice_rounding",
+      });
     }
 
     /**
@@ -271,7 +414,13 @@ await addJournalEntry({
      * 3) COGS + INVENTORY ACCOUNTING
      * ======================================================
      */
-for (const it of invoiceItemsToInsert) {
+// lines are posted in order, so skip the ones a previous attempt already wrote
+let cogsToSkip = await countPosted(tenant_id, invoice.id, "invoice_cogs");
+
+// bundles are costed per component, the same stock the sale took out
+const cogsLines = await explodeBundleItems(tenant_id, invoiceItemsToInsert);
+
+for (const it of cogsLines) {
   const { data: prod } = await supabase
     .from("products")
     .select("cost_price")
@@ -280,6 +429,11 @@ for (const it of invoiceItemsToInsert) {
 
   if (!prod || !prod.cost_price) continue;
 
+  if (cogsToSkip > 0) {
+    cogsToSkip--;
+    continue;
+  }
+
   const lineCost = Number(prod.cost_price) * Number(it.quantity);
 
   await addJournalEntry({
@@ -297,77 +451,50 @@ for (const it of invoiceItemsToInsert) {
     /**
      * ======================================================
      * 4) VAT REPORT UPDATE (MONTHLY)
+     * vat_reports totals + VAT return boxes (net + VAT per tax code /
+     * treatment), posted together once per invoice
      * ======================================================
      */
-   // ======================================================
-// 4) VAT REPORT UPDATE (MONTHLY) — SAFE UPSERT
-// ======================================================
-
-
-
-const now = new Date(invoice.created_at || new Date());
-const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+await postVatReportLines({
+  tenant_id,
+  date: invoice.created_at,
+  reference_type: "invoice",
+  reference_id: invoice.id,
+  lines: invoiceItemsToInsert.map((it) => ({
+    direction: "sales",
+    tax_code: it.tax_code,
+    tax_treatment: it.tax_treatment || "standard",
+    net_amount: Number(it.total) - Number(it.tax_amount || 0),
+    vat_amount: Number(it.tax_amount || 0),
+  })),
+  totals: { total_sales: netSales, sales_vat: totalTax },
+});
 
-// 1️⃣ Ensure row exists (atomic)
-await supabase
-  .from("vat_reports")
-  .upsert(
-    [{
-      tenant_id,
-      period,
-      total_sales: 0,
-      sales_vat: 0,
-      total_purchases: 0,
-      purchase_vat: 0,
-      vat_payable: 0,
-    }],
-    { onConflict: "tenant_id,period" }
-  );
-
-// 2️⃣ Increment totals safely
-const { data: vatRow, error: vatFetchErr } = await supabase
-  .from("vat_reports")
-  .select("id, total_sales, sales_vat, purchase_vat")
-  .eq("tenant_id", tenant_id)
-  .eq("period", period)
-  .single();
-
-if (vatFetchErr) throw vatFetchErr;
-
-const updatedSales = Number(vatRow.total_sales || 0) + netSales;
-const updatedVat = Number(vatRow.sales_vat || 0) + totalTax;
-const vatPayable = updatedVat - Number(vatRow.purchase_vat || 0);
-
-await supabase
-  .from("vat_reports")
-  .update({
-    total_sales: updatedSales,
-    sales_vat: updatedVat,
-    vat_payable: vatPayable,
-  })
-  .eq("id", vatRow.id);
+    console.log(`✅ Deferred operations completed for invoice ${invoice.id}`);
+}
 
-    
+// Worker entry point — COA is re-read so a retry picks up fixed accounts
+registerJobHandler("invoice_deferred", async (payload) => {
+  const { data: coaAccounts, error } = await supabase
+    .from("coa")
+    .select("id, name")
+    .eq("tenant_id", payload.tenant_id);
 
-    console.log(`✅ Deferred operations completed for invoice ${invoice.id}`);
+  if (error) throw error;
 
-  } catch (err) {
-    console.error(`❌ Deferred operations failed:`, err);
-  }
-}
+  await processDeferredOperations({ ...payload, coaAccounts: coaAccounts || [] });
+});
 
 /**
  * ============================================================
- * MAIN INVOICE CREATION — FAST RESPONSE HANDLER
+ * CHECKOUT — everything except the receipt
+ * Validates, prices and commits the sale, and resolves to it for the caller
+ * to render (createInvoice) or report (offline sync). A rejected sale is
+ * answered right here with a 4xx, so callers check res.headersSent first.
+ * Unexpected errors are thrown.
  * ============================================================
  */
-// (Continue from PART 1 - ensure PART 1 content is present above this block)
-
-export const createInvoice = async (req, res) => {
-  const baseUrl = `${req.protocol}://${req.get("host")}`;
-  const businessName = req.user.full_name || "SUPERMART";
-
-  try {
+export const checkoutInvoice = async (req, res) => {
     const tenant_id = req.user.tenant_id;
     const {
       items = [],
@@ -375,14 +502,29 @@ export const createInvoice = async (req, res) => {
       customer_id = null,
       redeem_points = 0,
       coupon_code = null,
+      payments = null, // split tender: [{ method, amount }]
+      template = null, // "thermal" | "a4" — falls back to the tenant default
+      branch_code = null, // picks the branch's number series, if it has one
+      credit_approval_id = null, // manager-approved over-limit credit sale
     } = req.body;
 
     console.log("📥 Invoice request:", req.body);
 
+    // set only by the offline sync replay (controllers/offlineSyncController.js):
+    // { client_uuid, captured_at, accept_server_prices, handled_by }
+    const offline = req.offline || null;
+    const soldAt = offline ? new Date(offline.captured_at) : new Date();
+
     if (!items || items.length === 0) {
       return res.status(400).json({ error: "No items provided" });
     }
 
+    if (template && !INVOICE_TEMPLATES.includes(template)) {
+      return res.status(400).json({
+        error: `template must be one of: ${INVOICE_TEMPLATES.join(", ")}`,
+      });
+    }
+
     // -----------------------------
     // STEP 1: FETCH PRODUCTS + COA + CUSTOMER (parallel)
     // -----------------------------
@@ -391,31 +533,54 @@ export const createInvoice = async (req, res) => {
     const [
       productDataResult,
       customerResult,
-      coaResult
+      coaResult,
+      invoiceSettings,
     ] = await Promise.all([
-      supabase.from("products").select("id, selling_price, tax, cost_price").in("id", productIds),
+      supabase.from("products").select("id, name, unit, allow_decimal_qty, selling_price, tax, cost_price, category_id, tax_category_id").in("id", productIds),
       customer_id
         ? supabase
             .from("customers")
-            .select("id, loyalty_points, lifetime_points, total_purchases, total_spent, membership_tier")
+            .select("id, name, phone, trn, address, loyalty_points, lifetime_points, total_purchases, total_spent, membership_tier, credit_balance, credit_limit, payment_terms_days, credit_limit_action")
             .eq("id", customer_id)
             .eq("tenant_id", tenant_id)
             .single()
         : { data: null, error: null },
       supabase.from("coa").select("id, name").eq("tenant_id", tenant_id),
+      getInvoiceSettings(tenant_id),
     ]);
 
-    const { data: productData, error: prodErr } = productDataResult;
+    const invoiceTemplate = template || invoiceSettings.default_template;
+
+    const { data: productRows, error: prodErr } = productDataResult;
     if (prodErr) {
       console.error("Product fetch error:", prodErr);
       return res.status(500).json({ error: "Failed to fetch product info" });
     }
 
+    // tax category rate / treatment in force today replaces products.tax
+    const productData = await applyTaxCategories(
+      tenant_id,
+      productRows || [],
+      soldAt.toISOString().split("T")[0]
+    );
+
+    // whole units unless the product is sold by weight / measure
+    const qtyErr = quantityError(items, productData);
+    if (qtyErr) return res.status(400).json({ error: qtyErr });
+
     const coaAccounts = (coaResult && coaResult.data) || [];
     if (!coaAccounts || coaAccounts.length === 0) {
       return res.status(500).json({ error: "COA accounts missing for tenant" });
     }
 
+    // customer / default price list, else selling_price
+    const { prices } = await resolvePrices({
+      tenant_id,
+      customer_id,
+      items,
+      products: productData,
+    });
+
     // Merge items with backend prices and taxes (server authoritative)
     const mergedItems = items.map((i) => {
       const p = productData.find((x) => x.id === i.product_id);
@@ -423,12 +588,32 @@ export const createInvoice = async (req, res) => {
       return {
         product_id: i.product_id,
         qty: Number(i.qty || 0),
-        price: Number(p.selling_price),
+        price: prices[p.id],
         tax: Number(p.tax || 0),
         cost_price: p.cost_price != null ? Number(p.cost_price) : null,
       };
     });
 
+    // an offline till charged the prices it had cached; stop if they moved
+    if (offline && !offline.accept_server_prices) {
+      const priceConflicts = items
+        .filter((i) => i.price != null)
+        .map((i) => ({
+          product_id: i.product_id,
+          offline_price: Number(i.price),
+          current_price: Number(prices[i.product_id]),
+        }))
+        .filter((c) => Math.abs(c.offline_price - c.current_price) >= 0.01);
+
+      if (priceConflicts.length) {
+        return res.status(409).json({
+          error: "Prices changed since the sale was captured offline",
+          code: "PRICE_CHANGED",
+          conflicts: priceConflicts,
+        });
+      }
+    }
+
     // -----------------------------
     // STEP 2: CUSTOMER & DISCOUNTS
     // -----------------------------
@@ -449,6 +634,7 @@ export const createInvoice = async (req, res) => {
         tenant_id,
         customer,
         couponCode: coupon_code,
+        pricingMode: invoiceSettings.pricing_mode,
       });
     } catch (err) {
       console.error("applyDiscounts error:", err);
@@ -473,6 +659,7 @@ const { discount: employee_discount_total } =
     tenant_id,
     buyer_employee_id: req.body.employee_id || null,
     subtotal: total_before_redeem, // ✅ SAME AS PREVIEW
+    record: false, // usage row is written inside the invoice transaction
   });
 
 
@@ -493,324 +680,296 @@ let net_amount = 0; // ✅ will be finalized after invoice items
 
 
     // -----------------------------
-    // STEP 3: COUPON VALIDATION (per-customer)
-    // -----------------------------
-    if (appliedCouponRule && isLoyaltyCustomer && appliedCouponRule.per_customer_limit) {
-      const { data: usesByCustomer } = await supabase
-        .from("coupon_usage")
-        .select("id")
-        .eq("coupon_id", appliedCouponRule.id)
-        .eq("customer_id", customer_id);
-
-      if (usesByCustomer && usesByCustomer.length >= appliedCouponRule.per_customer_limit) {
-        return res.status(400).json({ error: "Coupon usage limit reached for this customer" });
-      }
-    }
-
-    // -----------------------------
-    // STEP 4: REDEEM POINTS (record a temp transaction; attach invoice after)
+    // STEP 3: REDEEM POINTS (validated here; persisted with the invoice)
     // -----------------------------
     let currentPoints = customer ? Number(customer.loyalty_points || 0) : 0;
-    let lifetimePoints = customer ? Number(customer.lifetime_points || 0) : 0;
 
     if (isLoyaltyCustomer && redeem_points > 0) {
       if (redeem_points > currentPoints) {
         return res.status(400).json({ error: "Not enough loyalty points" });
       }
 
-
-// reduce gross
-gross_amount = Number(
-  (gross_amount_before_redeem - redeem_points).toFixed(2)
-);
-
-// 🔁 recompute tax AFTER redeem (do NOT scale net)
-
-
+      // reduce gross
+      gross_amount = Number(
+        (gross_amount_before_redeem - redeem_points).toFixed(2)
+      );
 
       currentPoints -= redeem_points;
-
-      await supabase.from("loyalty_transactions").insert([{
-        customer_id,
-        invoice_id: null,
-        transaction_type: "redeem",
-        points: -redeem_points,
-        balance_after: currentPoints,
-        description: `Redeemed ${redeem_points} points`,
-      }]);
     }
 
+    const redeemBalanceAfter = currentPoints;
+
     if (gross_amount < 0) gross_amount = 0;
 
     // -----------------------------
-    // STEP 5: GENERATE INVOICE NUMBER (atomic-ish)
+    // STEP 3b: PAYMENT LEGS (must add up to the final amount)
     // -----------------------------
-    const { data: counter } = await supabase
-      .from("tenant_counters")
-      .select("sales_seq")
-      .eq("tenant_id", tenant_id)
-      .maybeSingle();
-
-    let seq = 1;
-    if (!counter) {
-      await supabase.from("tenant_counters").insert([{ tenant_id, sales_seq: 1 }]);
-    } else {
-      seq = counter.sales_seq + 1;
-      await supabase
-        .from("tenant_counters")
-        .update({ sales_seq: seq })
-        .eq("tenant_id", tenant_id);
+    let paymentLegs;
+    try {
+      paymentLegs = normalizePayments(payments, payment_method, gross_amount);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
 
-    const year = new Date().getFullYear();
-    const invoice_number = `INV-${year}-${String(seq).padStart(4, "0")}`;
-
-    // -----------------------------
-    // STEP 6: INSERT INVOICE
-    // -----------------------------
- const insertPayload = {
-  tenant_id,
-  invoice_number,
-  handled_by: req.user.id,
-  customer_id: isLoyaltyCustomer ? customer_id : null,
-
-total_amount: 0, // temp, will update after invoice_items,   // ✅ NET
-final_amount: gross_amount,// ✅ GROSS
-  payment_method,
-  item_discount_total,
-  bill_discount_total,
-  coupon_discount_total,
-  membership_discount_total,
-  employee_discount_total,
-};
-
+    // legs stay exact; cash is collected rounded (0 when rounding is off)
+    const cash_rounding = cashRoundingFor(paymentLegs, cashRoundingRule(invoiceSettings));
 
-    const { data: invoice, error: invoiceErr } = await supabase
-      .from("invoices")
-      .insert([insertPayload])
-      .select("*")
-      .single();
+    const storeCreditUsed = paymentLegs
+      .filter((l) => l.method === "store_credit")
+      .reduce((s, l) => s + l.amount, 0);
 
-    if (invoiceErr) {
-      console.error("Invoice insert error:", invoiceErr);
-      return res.status(500).json({ error: invoiceErr.message });
+    if (storeCreditUsed > 0) {
+      if (!isLoyaltyCustomer) {
+        return res.status(400).json({ error: "Store credit needs a customer" });
+      }
+      const available = Number(customer?.credit_balance || 0);
+      if (storeCreditUsed - available >= 0.01) {
+        return res.status(400).json({
+          error: `Not enough store credit. Available: ${available.toFixed(2)}`,
+        });
+      }
     }
 
-    if (!invoice) {
-      console.error("Invoice insert returned null");
-      return res.status(500).json({ error: "Invoice creation failed" });
+    const giftCardLegs = {};
+    paymentLegs
+      .filter((l) => l.method === "gift_card")
+      .forEach((l) => {
+        giftCardLegs[l.reference] = (giftCardLegs[l.reference] || 0) + l.amount;
+      });
+
+    if (Object.keys(giftCardLegs).length) {
+      const { data: cards, error: gcErr } = await supabase
+        .from("gift_cards")
+        .select("code, balance, status, expires_at")
+        .eq("tenant_id", tenant_id)
+        .in("code", Object.keys(giftCardLegs));
+
+      if (gcErr) throw gcErr;
+
+      for (const [code, needed] of Object.entries(giftCardLegs)) {
+        const card = cards?.find((c) => c.code === code);
+        if (!card) {
+          return res.status(400).json({ error: `Gift card ${code} not found` });
+        }
+        const expired = card.expires_at && new Date(card.expires_at) < new Date();
+        if (card.status !== "active" || expired) {
+          return res.status(400).json({
+            error: `Gift card ${code} is ${expired ? "expired" : card.status}`,
+          });
+        }
+        if (needed - Number(card.balance) >= 0.01) {
+          return res.status(400).json({
+            error: `Gift card ${code} balance is ${Number(card.balance).toFixed(2)}`,
+          });
+        }
+      }
     }
 
     // -----------------------------
-    // STEP 7: ATTACH RELATED TEMP RECORDS
+    // STEP 3c: CREDIT LIMIT / OVERDUE CHECK (legs on account)
     // -----------------------------
-    const relatedUpdates = [];
+    const onAccount = Number(
+      paymentLegs
+        .filter((l) => l.method === "credit")
+        .reduce((s, l) => s + l.amount, 0)
+        .toFixed(2)
+    );
+
+    let dueDate = null;
+    let creditApproval = null;
+
+    if (onAccount > 0) {
+      if (!isLoyaltyCustomer) {
+        return res.status(400).json({ error: "Credit sales need a customer" });
+      }
 
-    if (isLoyaltyCustomer && redeem_points > 0) {
-      relatedUpdates.push(
-        supabase
-          .from("loyalty_transactions")
-          .update({ invoice_id: invoice.id })
+      const credit = await checkCustomerCredit(tenant_id, customer, onAccount);
+
+      if (!credit.within_terms) {
+        const reasonText = credit.reasons.includes("over_limit")
+          ? `Credit limit ${credit.credit_limit.toFixed(2)} exceeded (outstanding ${credit.outstanding.toFixed(2)})`
+          : `Customer has overdue invoices (${credit.overdue_amount.toFixed(2)})`;
+
+        if (credit.credit_limit_action !== "approve") {
+          return res.status(409).json({ error: reasonText, code: "CREDIT_BLOCKED", credit });
+        }
+
+        if (!credit_approval_id) {
+          const { data: approval, error: apprErr } = await supabase
+            .from("credit_approvals")
+            .insert([{
+              tenant_id,
+              customer_id,
+              amount: onAccount,
+              outstanding: credit.outstanding,
+              credit_limit: credit.credit_limit,
+              overdue_amount: credit.overdue_amount,
+              reasons: credit.reasons,
+              requested_by: req.user.id,
+            }])
+            .select("*")
+            .single();
+
+          if (apprErr) throw apprErr;
+
+          return res.status(409).json({
+            error: `${reasonText}. Manager approval required.`,
+            code: "CREDIT_APPROVAL_REQUIRED",
+            approval,
+            credit,
+          });
+        }
+
+        // claim the approval so it cannot be spent twice
+        const { data: claimed, error: claimErr } = await supabase
+          .from("credit_approvals")
+          .update({ status: "used" })
+          .eq("tenant_id", tenant_id)
+          .eq("id", credit_approval_id)
           .eq("customer_id", customer_id)
-          .is("invoice_id", null)
-      );
-    }
+          .eq("status", "approved")
+          .gte("amount", onAccount)
+          .gt("expires_at", new Date().toISOString())
+          .select("id")
+          .maybeSingle();
+
+        if (claimErr) throw claimErr;
+        if (!claimed) {
+          return res.status(409).json({
+            error: "Credit approval is not approved, expired, or does not cover this sale",
+            code: "CREDIT_APPROVAL_INVALID",
+          });
+        }
+        creditApproval = claimed;
+      }
 
-    if (employee_discount_total > 0) {
-      relatedUpdates.push(
-        supabase
-          .from("employee_discount_usage")
-          .update({ invoice_id: invoice.id })
-          .eq("employee_id", req.body.employee_id)
-          .is("invoice_id", null)
-      );
+      dueDate = dueDateFor(customer.payment_terms_days, soldAt);
     }
 
-    if (relatedUpdates.length > 0) await Promise.all(relatedUpdates);
+    const invoicePaymentMethod =
+      paymentLegs.length > 1 ? "split" : paymentLegs[0].method;
 
     // -----------------------------
-    // STEP 8: INSERT INVOICE ITEMS
+    // STEP 4: BUILD INVOICE ITEMS
     // -----------------------------
+    const taxExclusive = invoiceSettings.pricing_mode === "exclusive";
+
     const invoiceItemsToInsert = itemsWithDiscounts.map((it) => {
       const qty = Number(it.qty || 0);
       const price = Number(it.price || 0);
       const discountPerUnit = Number(it.discount_amount || 0);
-const grossUnitBeforeAllDiscounts = price - discountPerUnit;
-
-// 🔹 BASE BEFORE COUPON / REDEEM
-const grossBase =
-  gross_amount_before_redeem > 0
-    ? gross_amount_before_redeem
-    : 1;
-
-// 🔹 FINAL GROSS AFTER COUPON + REDEEM
-const grossFinal =
-  gross_amount > 0
-    ? gross_amount
-    : 0;
-
-// 🔹 SCALE FACTOR (this applies coupon correctly)
-const priceScaleRatio = grossFinal / grossBase;
-
-// ✅ FINAL GROSS UNIT (tax-inclusive)
-const grossUnit = Number(
-  (grossUnitBeforeAllDiscounts * priceScaleRatio).toFixed(2)
-);
-
-// LINE TOTAL
-const grossLineTotal = Number((grossUnit * qty).toFixed(2));
+      const grossUnitBeforeAllDiscounts = price - discountPerUnit;
+
+      // 🔹 BASE BEFORE COUPON / REDEEM
+      const grossBase =
+        gross_amount_before_redeem > 0
+          ? gross_amount_before_redeem
+          : 1;
+
+      // 🔹 FINAL GROSS AFTER COUPON + REDEEM
+      const grossFinal =
+        gross_amount > 0
+          ? gross_amount
+          : 0;
+
+      // 🔹 SCALE FACTOR (this applies coupon correctly)
+      const priceScaleRatio = grossFinal / grossBase;
+
+      if (taxExclusive) {
+        // net line first, VAT added on top and rounded per line
+        const netLine = Number((Number(it.lineBase) * priceScaleRatio).toFixed(2));
+        const lineTax = Number(((netLine * it.tax) / 100).toFixed(2));
+        const lineTotal = Number((netLine + lineTax).toFixed(2));
+
+        return {
+          tenant_id,
+          product_id: it.product_id,
+          quantity: qty,
+          price: Number((lineTotal / qty).toFixed(2)), // tax-inclusive after coupon
+          tax: it.tax,
+          net_price: Number((netLine / qty).toFixed(2)),
+          tax_amount: lineTax,
+          discount_amount: discountPerUnit,
+          total: lineTotal,
+        };
+      }
 
-// NET + TAX (derived from gross)
-const netUnit = Number(
-  ((grossUnit * 100) / (100 + it.tax)).toFixed(2)
-);
+      // ✅ FINAL GROSS UNIT (tax-inclusive)
+      const grossUnit = Number(
+        (grossUnitBeforeAllDiscounts * priceScaleRatio).toFixed(2)
+      );
 
-const taxAmount = Number(
-  (grossLineTotal - netUnit * qty).toFixed(2)
-);
+      // LINE TOTAL
+      const grossLineTotal = Number((grossUnit * qty).toFixed(2));
 
-return {
-  tenant_id,
-  invoice_id: invoice.id,
-  product_id: it.product_id,
-  quantity: qty,
-  price: grossUnit,        // ✅ tax-inclusive after coupon
-  tax: it.tax,
-  net_price: netUnit,
-  tax_amount: taxAmount,
-  discount_amount: discountPerUnit,
-  total: grossLineTotal,  // ✅ MUST match invoice final
-};
+      // NET + TAX (derived from gross)
+      const netUnit = Number(
+        ((grossUnit * 100) / (100 + it.tax)).toFixed(2)
+      );
 
+      const taxAmount = Number(
+        (grossLineTotal - netUnit * qty).toFixed(2)
+      );
 
+      return {
+        tenant_id,
+        product_id: it.product_id,
+        quantity: qty,
+        price: grossUnit,        // ✅ tax-inclusive after coupon
+        tax: it.tax,
+        net_price: netUnit,
+        tax_amount: taxAmount,
+        discount_amount: discountPerUnit,
+        total: grossLineTotal,  // ✅ MUST match invoice final
+      };
     });
-const roundingDiff =
-  Number(gross_amount) -
-  invoiceItemsToInsert.reduce((s, i) => s + Number(i.total), 0);
-
-if (Math.abs(roundingDiff) >= 0.01) {
-  const item = invoiceItemsToInsert[0];
-
-  // 1️⃣ Fix total
-  item.total = Number((item.total + roundingDiff).toFixed(2));
-
-  // 2️⃣ Recalculate unit price
-  item.price = Number((item.total / item.quantity).toFixed(2));
-
-  // 3️⃣ Recalculate net + tax from corrected total
-  const netLine = Number(
-    ((item.total * 100) / (100 + item.tax)).toFixed(2)
-  );
-
-  item.tax_amount = Number((item.total - netLine).toFixed(2));
-  item.net_price = Number((netLine / item.quantity).toFixed(2));
-}
-
-// ✅ FINAL TAX & NET — derived from invoice items ONLY
-const totalTaxFinal = Number(
-  invoiceItemsToInsert.reduce(
-    (sum, it) => sum + Number(it.tax_amount || 0),
-    0
-  ).toFixed(2)
-);
 
-net_amount = Number(
-  (gross_amount - totalTaxFinal).toFixed(2)
-);
-
-    const { error: itemsError } = await supabase
-      .from("invoice_items")
-      .insert(invoiceItemsToInsert);
-
-    if (itemsError) {
-      console.error("Invoice items insert error:", itemsError);
-      throw itemsError;
-    }
-
-    // -----------------------------
-    // STEP 9: INSERT INVOICE DISCOUNTS
-    // -----------------------------
-    if (invoiceDiscounts && invoiceDiscounts.length > 0) {
-      const discountInserts = invoiceDiscounts.map((invDisc) => ({
-        invoice_id: invoice.id,
-        rule_id: invDisc.rule_id,
-        amount: invDisc.amount,
-        description: invDisc.description,
-      }));
-      await supabase.from("invoice_discounts").insert(discountInserts);
-    }
-
-    // -----------------------------
-    // STEP 10: RECORD COUPON USAGE
-    // -----------------------------
-    if (appliedCouponRule) {
-      await supabase.from("coupon_usage").insert([{
-        customer_id: isLoyaltyCustomer ? customer_id : null,
-        coupon_id: appliedCouponRule.id,
-        invoice_id: invoice.id,
-      }]);
-    }
+    // snapshot of the VAT category each line was sold under
+    invoiceItemsToInsert.forEach((item) => {
+      const p = productData.find((x) => x.id === item.product_id);
+      item.tax_category_id = p.tax_category_id;
+      item.tax_code = p.tax_code;
+      item.tax_treatment = p.tax_treatment;
+      item.unit = p.allow_decimal_qty ? p.unit || null : null; // kg, l, m ...
+    });
 
-    // -----------------------------
-    // STEP 11: UPDATE INVENTORY (synchronous)
-    // -----------------------------
-    const lowStockAlerts = [];
-    const inventoryUpdates = [];
+    const roundingDiff =
+      Number(gross_amount) -
+      invoiceItemsToInsert.reduce((s, i) => s + Number(i.total), 0);
 
-    for (const it of itemsWithDiscounts) {
-      const { data: invData } = await supabase
-        .from("inventory")
-        .select("id, quantity, reorder_level, product_id")
-        .eq("tenant_id", tenant_id)
-        .eq("product_id", it.product_id)
-        .maybeSingle();
+    if (Math.abs(roundingDiff) >= 0.01) {
+      const item = invoiceItemsToInsert[0];
 
-      if (!invData) {
-        throw new Error(
-          `Inventory not found for product_id ${it.product_id}. Add inventory via PURCHASE first.`
-        );
-      }
+      // 1️⃣ Fix total
+      item.total = Number((item.total + roundingDiff).toFixed(2));
 
-      const newQty = Math.max(0, Number(invData.quantity || 0) - it.qty);
+      // 2️⃣ Recalculate unit price
+      item.price = Number((item.total / item.quantity).toFixed(2));
 
-      inventoryUpdates.push(
-        supabase
-          .from("inventory")
-          .update({ quantity: newQty })
-          .eq("id", invData.id)
-          .eq("tenant_id", tenant_id)
-      );
+      // 3️⃣ Recalculate net + tax from corrected total
+      // (exclusive pricing keeps the per-line VAT and moves the cent on net)
+      const netLine = taxExclusive
+        ? Number((item.total - item.tax_amount).toFixed(2))
+        : Number(((item.total * 100) / (100 + item.tax)).toFixed(2));
 
-      if (newQty <= Number(invData.reorder_level || 0)) {
-        lowStockAlerts.push({
-          product_id: it.product_id,
-          newQty,
-          reorder_level: invData.reorder_level,
-        });
-      }
+      item.tax_amount = Number((item.total - netLine).toFixed(2));
+      item.net_price = Number((netLine / item.quantity).toFixed(2));
     }
 
-    if (inventoryUpdates.length > 0) await Promise.all(inventoryUpdates);
+    // ✅ FINAL TAX & NET — derived from invoice items ONLY
+    const totalTaxFinal = Number(
+      invoiceItemsToInsert.reduce(
+        (sum, it) => sum + Number(it.tax_amount || 0),
+        0
+      ).toFixed(2)
+    );
 
-    // -----------------------------
-    // STEP 12: INSERT STOCK MOVEMENTS
-    // -----------------------------
-    const stockMovements = itemsWithDiscounts.map((it) => ({
-      tenant_id,
-      product_id: it.product_id,
-      movement_type: "sale",
-      reference_table: "invoices",
-      reference_id: invoice.id,
-      quantity: -Number(it.qty),
-      created_at: new Date().toISOString(),
-    }));
-
-    if (stockMovements.length > 0) {
-      await supabase.from("stock_movements").insert(stockMovements);
-    }
+    net_amount = Number(
+      (gross_amount - totalTaxFinal).toFixed(2)
+    );
 
     // -----------------------------
-    // STEP 13: CALCULATE EARN POINTS (deferred update)
+    // STEP 5: CALCULATE EARN POINTS (deferred update)
     // -----------------------------
     let earn_points = 0;
     if (isLoyaltyCustomer) {
@@ -828,29 +987,98 @@ net_amount = Number(
       } else {
         earn_points = Math.floor(gross_amount / 100);
       }
-
-      currentPoints += earn_points;
-      lifetimePoints += earn_points;
     }
 
     // -----------------------------
-    // STEP 14: UPDATE INVOICE FINAL TOTALS
+    // STEP 6: PERSIST CHECKOUT (single DB transaction)
+    // counter + invoice + items + discounts + coupon usage
+    // + inventory + stock movements + redeem + employee usage
+    // + payment legs + store credit + gift cards + deferred postings job
+    // see migrations/027_invoice_deferred_job.sql
     // -----------------------------
-    await supabase
-      .from("invoices")
-  .update({
-    total_amount: net_amount,       // ✅ FIX
-    final_amount: gross_amount,
-    item_discount_total,
-    bill_discount_total,
-    coupon_discount_total,
-    membership_discount_total,
-    employee_discount_total,
-  })
-      .eq("id", invoice.id);
+    const { data: checkout, error: checkoutErr } = await supabase.rpc(
+      "create_invoice_atomic",
+      {
+        p_invoice: {
+          tenant_id,
+          branch_code,
+          handled_by: offline?.handled_by || req.user.id, // the till's cashier for offline sales
+          customer_id: isLoyaltyCustomer ? customer_id : null,
+          total_amount: net_amount,   // ✅ NET
+          final_amount: gross_amount, // ✅ GROSS
+          payment_method: invoicePaymentMethod,
+          item_discount_total,
+          bill_discount_total,
+          coupon_discount_total,
+          membership_discount_total,
+          employee_discount_total,
+          due_date: dueDate,
+          credit_approval_id: creditApproval?.id || null,
+          client_uuid: offline?.client_uuid || null,
+          created_at: offline ? soldAt.toISOString() : null,
+          cash_rounding,
+        },
+        p_items: invoiceItemsToInsert,
+        p_discounts: invoiceDiscounts || [],
+        p_coupon_id: appliedCouponRule ? appliedCouponRule.id : null,
+        p_redeem_points: isLoyaltyCustomer ? Number(redeem_points || 0) : 0,
+        p_redeem_balance_after: redeemBalanceAfter,
+        p_employee_id: employee_discount_total > 0 ? req.body.employee_id : null,
+        p_employee_discount: employee_discount_total,
+        p_payments: paymentLegs,
+        // queued in the same transaction; the RPC adds the committed invoice
+        p_deferred_job: {
+          tenant_id,
+          customer_id,
+          isLoyaltyCustomer,
+          gross_amount,
+          payment_method: invoicePaymentMethod,
+          payments: paymentLegs,
+          item_discount_total,
+          bill_discount_total,
+          employee_discount_total,
+          redeem_points,
+          earn_points,
+          invoiceItemsToInsert,
+        },
+      }
+    );
+
+    if (checkoutErr || !checkout?.invoice) {
+      // nothing was written — the whole transaction rolled back
+      console.error("Invoice transaction rolled back:", checkoutErr);
+      if (creditApproval) {
+        await supabase
+          .from("credit_approvals")
+          .update({ status: "approved" })
+          .eq("id", creditApproval.id);
+      }
+      return res.status(409).json({
+        error: "Invoice not created. No stock or totals were changed.",
+        details: checkoutErr?.message || "Invoice creation failed",
+      });
+    }
+
+    const invoice = checkout.invoice;
+    const invoice_number = invoice.invoice_number;
+    const lowStockAlerts = checkout.low_stock || [];
+
+    // sale is committed: a retry with the same Idempotency-Key must replay
+    await markIdempotentCommitted(res);
+
+    invoiceItemsToInsert.forEach((it) => (it.invoice_id = invoice.id));
+    res.locals.invoice = invoice; // lets wrappers (held bills, sync) link the result
+    res.locals.stockShortfall = checkout.stock_shortfall || [];
+
+    if (creditApproval) {
+      await supabase
+        .from("credit_approvals")
+        .update({ invoice_id: invoice.id })
+        .eq("id", creditApproval.id);
+    }
 
     // -----------------------------
-    // STEP 15: FETCH PRODUCT NAMES FOR RESPONSE
+    // STEP 7: FETCH PRODUCT NAMES FOR RESPONSE
     // -----------------------------
     const uniqueProductIds = [...new Set(invoiceItemsToInsert.map(i => i.product_id))];
     const { data: productNames } = await supabase
@@ -866,80 +1094,83 @@ net_amount = Number(
       name: productMap[it.product_id] || "Unknown",
     }));
 
-    // -----------------------------
-    // STEP 16: PREPARE RESPONSE (fast) & QUEUE DEFERRED OPS
-    // -----------------------------
-    // const response = {
-    //   message: "Invoice created successfully",
-    //   invoice: {
-    //     ...invoice,
-    //     subtotal,
-    //     final_amount: gross_amount,
-    //     pdf_url: `${baseUrl}/invoices/invoice-${invoice_number}.pdf`,
-    //   },
-    //   items: itemsWithNames,
-    //   lowStockAlerts,
-    //   loyalty: isLoyaltyCustomer
-    //     ? {
-    //         earned: earn_points,
-    //         redeemed: redeem_points,
-    //         final_balance: currentPoints,
-    //       }
-    //     : null,
-    // };
-
-    // --- Generate PDF before sending response ---
-// -----------------------------
-// STEP 16: Generate PDF before sending response
-// -----------------------------
-const pdfBuffer = await generatePDF({
-  invoiceNumber: invoice_number,
-  items: itemsWithNames,
- total: gross_amount,
+    if (invoiceTemplate !== "thermal") {
+      // remembered so reprints use the same layout
+      const { error: tplErr } = await supabase
+        .from("invoices")
+        .update({ template: invoiceTemplate })
+        .eq("id", invoice.id);
+      if (tplErr) console.error("❌ Could not save invoice template:", tplErr);
+    }
 
-  payment_method,
- subtotal: net_amount,
-  baseUrl,
-  businessName,
-});
+    return {
+      invoice,
+      items: itemsWithNames,
+      lowStockAlerts,
+      stockShortfall: checkout.stock_shortfall || [],
+      customer: isLoyaltyCustomer ? customer : null,
+      payments: paymentLegs,
+      settings: invoiceSettings,
+      template: invoiceTemplate,
+    };
+};
+
+/**
+ * ============================================================
+ * MAIN INVOICE CREATION — FAST RESPONSE HANDLER
+ * Checkout, then the receipt / tax invoice PDF as the response.
+ * ============================================================
+ */
+export const createInvoice = async (req, res) => {
+  const businessName = req.user.full_name || "SUPERMART";
+
+  try {
+    const sale = await checkoutInvoice(req, res);
+    if (res.headersSent) return; // rejected, already answered
+
+    const { invoice, items, lowStockAlerts, template } = sale;
+    const invoice_number = invoice.invoice_number;
 
 // -----------------------------
-// STEP 17: Start deferred operations
+// Generate PDF before sending response (thermal receipt or A4 tax invoice)
+// The sale and its postings job are committed already: a render failure
+// must not look like a failed sale, so it answers with the invoice instead.
 // -----------------------------
-setImmediate(() => {
-  processDeferredOperations({
-    tenant_id,
+let pdfBuffer;
+try {
+  pdfBuffer = await renderInvoicePDF({
+    template,
     invoice,
-    itemsWithDiscounts,
-    customer,
-    customer_id,
-    isLoyaltyCustomer,
-    gross_amount,
-    payment_method,
-    item_discount_total,
-    bill_discount_total,
-    employee_discount_total,
-    redeem_points,
-    earn_points,
-    currentPoints,
-    lifetimePoints,
-    coaAccounts,
-    baseUrl,
+    items,
+    customer: sale.customer,
+    payments: sale.payments,
+    settings: sale.settings,
     businessName,
-    invoiceItemsToInsert,
   });
-});
+} catch (pdfErr) {
+  console.error(`❌ PDF render failed for invoice ${invoice_number}:`, pdfErr);
+  return res.status(201).json({
+    success: true,
+    message: "Invoice created; the receipt could not be rendered, reprint it from the invoice",
+    invoice,
+    items,
+    lowStockAlerts,
+    pdf_error: pdfErr.message,
+  });
+}
 
 console.log(`✅ Invoice ${invoice_number} created — PDF sent, deferred ops queued.`);
 
 // -----------------------------
-// STEP 18: SEND PDF AND END RESPONSE
+// SEND PDF AND END RESPONSE
 // -----------------------------
 res.setHeader("Content-Type", "application/pdf");
 res.setHeader(
   "Content-Disposition",
   `attachment; filename=invoice-${invoice_number}.pdf`
 );
+// what the till collects in cash (final_amount stays exact)
+res.setHeader("X-Cash-Rounding", Number(invoice.cash_rounding || 0).toFixed(2));
 
 return res.send(pdfBuffer);
 
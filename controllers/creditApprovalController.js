@@ -0,0 +1,134 @@
+// controllers/creditApprovalController.js
+// Manager approval for credit sales outside a customer's terms
+// (migrations/020_customer_credit_limits.sql). createInvoice opens a
+// pending request and answers 409 CREDIT_APPROVAL_REQUIRED; once a manager
+// approves it here, the till retries the sale with credit_approval_id.
+import { supabase } from "../supabase/supabaseClient.js";
+import { checkCustomerCredit } from "../services/customerCreditService.js";
+
+/**
+ * ============================================================
+ * GET /api/customers/:id/credit-status?amount=
+ * Limit, outstanding, overdue invoices and whether `amount` on account fits.
+ * ============================================================
+ */
+export const getCustomerCreditStatus = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data: customer, error } = await supabase
+      .from("customers")
+      .select("id, name, credit_limit, payment_terms_days, credit_limit_action")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const credit = await checkCustomerCredit(tenant_id, customer, Number(req.query.amount || 0));
+
+    return res.json({ success: true, customer, data: credit });
+  } catch (err) {
+    console.error("❌ Get Credit Status Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET /api/credit-approvals?status=pending
+ * ============================================================
+ */
+export const getCreditApprovals = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("credit_approvals")
+      .select("*, customers(name, phone)", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (req.query.customer_id) query = query.eq("customer_id", req.query.customer_id);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Credit Approvals Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+async function decide(req, res, status) {
+  const tenant_id = req.user?.tenant_id;
+  if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+  const { data, error } = await supabase
+    .from("credit_approvals")
+    .update({
+      status,
+      decided_by: req.user.id,
+      decided_at: new Date().toISOString(),
+      note: req.body?.note || null,
+    })
+    .eq("tenant_id", tenant_id)
+    .eq("id", req.params.id)
+    .eq("status", "pending")
+    .gt("expires_at", new Date().toISOString())
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    return res.status(409).json({ error: "Approval request is not pending or has expired" });
+  }
+
+  return res.json({ success: true, message: `Credit sale ${status}`, data });
+}
+
+/**
+ * ============================================================
+ * POST /api/credit-approvals/:id/approve   Body: { note? }
+ * ============================================================
+ */
+export const approveCreditSale = async (req, res) => {
+  try {
+    return await decide(req, res, "approved");
+  } catch (err) {
+    console.error("❌ Approve Credit Sale Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/credit-approvals/:id/reject   Body: { note? }
+ * ============================================================
+ */
+export const rejectCreditSale = async (req, res) => {
+  try {
+    return await decide(req, res, "rejected");
+  } catch (err) {
+    console.error("❌ Reject Credit Sale Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -0,0 +1,130 @@
+// controllers/creditNoteController.js
+// Credit notes (issued from sales returns) and the customer store-credit
+// ledger they feed. Spending happens at checkout as a "store_credit" leg.
+import { supabase } from "../supabase/supabaseClient.js";
+
+/**
+ * ============================================================
+ * GET ALL CREDIT NOTES
+ * ?customer_id=&from=&to=
+ * ============================================================
+ */
+export const getCreditNotes = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("credit_notes")
+      .select("*, customers(name, phone)", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.customer_id) query = query.eq("customer_id", req.query.customer_id);
+    if (req.query.from) query = query.gte("created_at", req.query.from);
+    if (req.query.to) query = query.lte("created_at", req.query.to);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Credit Notes Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET CREDIT NOTE BY ID
+ * ============================================================
+ */
+export const getCreditNoteById = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("credit_notes")
+      .select("*, customers(name, phone), invoices(invoice_number)")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Credit note not found" });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Get Credit Note Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET CUSTOMER STORE CREDIT (balance + ledger)
+ * ============================================================
+ */
+export const getCustomerCredit = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const customer_id = req.params.id;
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    const { data: customer, error: custErr } = await supabase
+      .from("customers")
+      .select("id, name, credit_balance")
+      .eq("tenant_id", tenant_id)
+      .eq("id", customer_id)
+      .maybeSingle();
+
+    if (custErr) throw custErr;
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const { data, error, count } = await supabase
+      .from("customer_credit_ledger")
+      .select("*, credit_notes(credit_note_number), invoices(invoice_number)", {
+        count: "exact",
+      })
+      .eq("tenant_id", tenant_id)
+      .eq("customer_id", customer_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      customer_id: customer.id,
+      name: customer.name,
+      credit_balance: Number(customer.credit_balance || 0),
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Customer Credit Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -1,163 +1,307 @@
+// controllers/customerAccountsController.js
+// Customer receivables: payments against credit invoices, ledger and ageing
+// (migrations/021_customer_receipts.sql).
 import { supabase } from "../supabase/supabaseClient.js";
+import { registerJobHandler } from "../services/jobQueueService.js";
+import { recordCustomerPaymentAccounting } from "./billinController2.js";
+import { buildCustomerStatement } from "../services/customerStatementService.js";
+import { getOpenCreditInvoices } from "../services/customerCreditService.js";
 
+const RECEIPT_METHODS = ["cash", "card", "upi", "bank"];
+const AGEING_BUCKETS = ["0-30", "31-60", "61-90", "90+"];
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+const todayStr = () => new Date().toISOString().split("T")[0];
+
+const bucketFor = (days) =>
+  days <= 30 ? "0-30" : days <= 60 ? "31-60" : days <= 90 ? "61-90" : "90+";
+
+/**
+ * ============================================================
+ * JOB: ACCOUNTING FOR A CUSTOMER RECEIPT
+ * Dr Cash / Bank, Cr Accounts Receivable — one entry per invoice the
+ * receipt was applied to. A retry skips the entries already written.
+ * ============================================================
+ */
+registerJobHandler("customer_receipt", async ({ tenant_id, receipt_id }) => {
+  const { data: receipt, error } = await supabase
+    .from("customer_receipts")
+    .select("id, amount, method, customer_payment (id, invoice_id, amount)")
+    .eq("tenant_id", tenant_id)
+    .eq("id", receipt_id)
+    .single();
+
+  if (error) throw error;
+
+  const { data: coaAccounts, error: coaErr } = await supabase
+    .from("coa")
+    .select("id, name")
+    .eq("tenant_id", tenant_id);
+
+  if (coaErr) throw coaErr;
+
+  const { count, error: countErr } = await supabase
+    .from("journal_entries")
+    .select("id", { count: "exact", head: true })
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", receipt.id)
+    .eq("reference_type", "customer_receipt");
+
+  if (countErr) throw countErr;
+
+  const allocations = [...(receipt.customer_payment || [])].sort((a, b) => a.id - b.id);
+  for (const row of allocations.slice(count || 0)) {
+    await recordCustomerPaymentAccounting({
+      tenant_id,
+      invoice_id: row.invoice_id,
+      amount: Number(row.amount),
+      payment_method: receipt.method,
+      coaAccounts: coaAccounts || [],
+      reference_id: receipt.id,
+      reference_type: "customer_receipt",
+    });
+  }
+
+  const { data: daybookRow } = await supabase
+    .from("daybook")
+    .select("id")
+    .eq("tenant_id", tenant_id)
+    .eq("entry_type", "customer_payment")
+    .eq("reference_id", receipt.id)
+    .limit(1);
+
+  if (!daybookRow?.length) {
+    const { error: dbErr } = await supabase.from("daybook").insert([
+      {
+        tenant_id,
+        entry_type: "customer_payment",
+        description: `Customer payment received (${receipt.method})`,
+        debit: 0,
+        credit: Number(receipt.amount),
+        reference_id: receipt.id,
+      },
+    ]);
+
+    if (dbErr) throw dbErr;
+  }
+});
+
+/**
+ * ============================================================
+ * POST /api/customers/:id/payments
+ * Body: { amount, method?, reference?, note?, allocations?: [{ invoice_id, amount }] }
+ * Without allocations the payment clears open invoices oldest-due first.
+ * ({ invoice_id, amount } is accepted as a single allocation.)
+ * ============================================================
+ */
 export const makeCustomerPayment = async (req, res) => {
   try {
-    const tenant_id = req.user.tenant_id;
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
     const customer_id = req.params.id;
-    const { invoice_id, amount, method = "cash", note = "" } = req.body;
-
-    if (!invoice_id || !amount)
-      return res.status(400).json({ error: "invoice_id and amount required" });
-
-    const { data, error } = await supabase
-      .from("customer_payment")
-      .insert([
-        {
-          tenant_id,
-          invoice_id,
-          customer_id,
-          amount,
-          method,
-          note,
-        },
-      ])
-      .select()
-      .single();
+    const { invoice_id, method = "cash", reference = null, note = null } = req.body;
+    const amount = round2(req.body.amount);
 
-    if (error) throw error;
+    let allocations = req.body.allocations;
+    if (!allocations && invoice_id) allocations = [{ invoice_id, amount }];
 
-    return res.json({
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: "amount must be greater than 0" });
+    }
+    if (!RECEIPT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${RECEIPT_METHODS.join(", ")}` });
+    }
+    if (allocations !== undefined && allocations !== null && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: "allocations must be an array of { invoice_id, amount }" });
+    }
+
+    // also queues the "customer_receipt" journal job (032_customer_receipt_job.sql)
+    const { data, error } = await supabase.rpc("record_customer_receipt", {
+      p_tenant_id: tenant_id,
+      p_customer_id: customer_id,
+      p_amount: amount,
+      p_method: method,
+      p_reference: reference,
+      p_note: note,
+      p_allocations: allocations?.length
+        ? allocations.map((a) => ({ invoice_id: Number(a.invoice_id), amount: round2(a.amount) }))
+        : null,
+      p_received_by: req.user.id,
+    });
+
+    if (error) {
+      // raised by the function: nothing was recorded
+      if (error.code === "P0001") return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    const open = await getOpenCreditInvoices(tenant_id, customer_id);
+
+    return res.status(201).json({
       success: true,
       message: "Payment recorded",
-      data,
+      data: {
+        ...data,
+        outstanding: round2(open.reduce((s, r) => s + r.due, 0)),
+      },
     });
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    console.error("❌ Customer Payment Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
   }
 };
-export const getCustomerLedger = async (req, res) => {
-  try {
-    const tenant_id = req.user.tenant_id;
-    const customer_id = req.params.id;
 
-    const { data: invoices } = await supabase
-      .from("invoices")
-      .select("id, invoice_number, final_amount, created_at")
-      .eq("tenant_id", tenant_id)
-      .eq("customer_id", customer_id)
-      .order("created_at");
+/**
+ * ============================================================
+ * GET /api/customers/:id/payments
+ * Receipts with the invoices each was applied to.
+ * ============================================================
+ */
+export const getCustomerReceipts = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
 
-    const invoiceIds = invoices.map((i) => i.id);
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
 
-    let payments = [];
-    if (invoiceIds.length > 0) {
-      const { data } = await supabase
-        .from("customer_payment")
-        .select("*")
-        .eq("tenant_id", tenant_id)
-        .in("invoice_id", invoiceIds)
-        .order("created_at");
+    const { data, error, count } = await supabase
+      .from("customer_receipts")
+      .select("*, customer_payment (invoice_id, amount, invoices (invoice_number))", {
+        count: "exact",
+      })
+      .eq("tenant_id", tenant_id)
+      .eq("customer_id", req.params.id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
 
-      payments = data || [];
-    }
+    if (error) throw error;
 
-    const ledger = [];
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Customer Receipts Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
 
-    for (const inv of invoices) {
-      ledger.push({
-        date: inv.created_at,
-        type: "invoice",
-        description: `Invoice #${inv.invoice_number}`,
-        debit: Number(inv.final_amount),
-        credit: 0,
-      });
-    }
+/**
+ * ============================================================
+ * GET /api/customers/:id/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Running balance (see services/customerStatementService.js) plus the
+ * invoices still open.
+ * ============================================================
+ */
+export const getCustomerLedger = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
 
-    for (const p of payments) {
-      ledger.push({
-        date: p.created_at,
-        type: "payment",
-        description: p.note || "Payment",
-        debit: 0,
-        credit: Number(p.amount),
-      });
-    }
+    const customer_id = req.params.id;
+    const statement = await buildCustomerStatement(tenant_id, customer_id, {
+      from: req.query.from,
+      to: req.query.to,
+    });
 
-    ledger.sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (!statement) return res.status(404).json({ error: "Customer not found" });
 
-    let balance = 0;
-    const ledgerWithBalance = ledger.map((row) => {
-      balance += row.debit - row.credit;
-      return { ...row, balance };
-    });
+    const open_invoices = await getOpenCreditInvoices(tenant_id, customer_id);
 
     return res.json({
       success: true,
       customer_id,
-      transactions: ledgerWithBalance,
+      ...statement,
+      outstanding: round2(open_invoices.reduce((s, r) => s + r.due, 0)),
+      open_invoices,
     });
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    console.error("❌ Customer Ledger Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
   }
 };
+
+/**
+ * ============================================================
+ * GET /api/customers/ageing?customer_id=&as_of=YYYY-MM-DD&basis=due_date|invoice_date
+ * Open balances in 0-30 / 31-60 / 61-90 / 90+ day buckets, counted from
+ * the due date (default) or the invoice date.
+ * ============================================================
+ */
 export const getCustomerAgeing = async (req, res) => {
   try {
-    const tenant_id = req.user.tenant_id;
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
 
-    const { data: invoices } = await supabase
-      .from("invoices")
-      .select("id, customer_id, invoice_number, final_amount, created_at")
-      .eq("tenant_id", tenant_id);
+    const as_of = req.query.as_of || todayStr();
+    const basis = req.query.basis || "due_date";
 
-    if (!invoices.length) return res.json({ ageing: [] });
+    if (!["due_date", "invoice_date"].includes(basis)) {
+      return res.status(400).json({ error: "basis must be due_date or invoice_date" });
+    }
 
-    const invoiceIds = invoices.map((i) => i.id);
+    const open = await getOpenCreditInvoices(tenant_id, req.query.customer_id || null, as_of);
 
-    const { data: payments } = await supabase
-      .from("customer_payment")
-      .select("invoice_id, amount")
-      .eq("tenant_id", tenant_id)
-      .in("invoice_id", invoiceIds);
+    const customerIds = [...new Set(open.map((r) => r.customer_id))];
+    let names = {};
+    if (customerIds.length) {
+      const { data: customers, error } = await supabase
+        .from("customers")
+        .select("id, name, phone")
+        .eq("tenant_id", tenant_id)
+        .in("id", customerIds);
 
-    const payMap = {};
-    (payments || []).forEach((p) => {
-      if (!payMap[p.invoice_id]) payMap[p.invoice_id] = 0;
-      payMap[p.invoice_id] += Number(p.amount);
-    });
+      if (error) throw error;
+      names = Object.fromEntries((customers || []).map((c) => [c.id, c]));
+    }
+
+    const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map((b) => [b, 0]));
+    const ageing = Object.fromEntries(AGEING_BUCKETS.map((b) => [b, []]));
+    const totals = emptyBuckets();
+    const byCustomer = {};
+
+    for (const row of open) {
+      const age =
+        basis === "due_date"
+          ? row.days_overdue
+          : Math.max(0, Math.floor((new Date(as_of) - new Date(row.created_at)) / 86400000));
+      const bucket = bucketFor(age);
 
-    const today = new Date();
-    const result = {
-      "0-30": [],
-      "31-60": [],
-      "61-90": [],
-      "90+": [],
-    };
-
-    for (const inv of invoices) {
-      const paid = payMap[inv.id] || 0;
-      const due = Number(inv.final_amount) - paid;
-      if (due <= 0) continue;
-
-      const ageDays = Math.floor((today - new Date(inv.created_at)) / 86400000);
-
-      const row = {
-        invoice_id: inv.id,
-        customer_id: inv.customer_id,
-        invoice_number: inv.invoice_number,
-        amount: inv.final_amount,
-        paid,
-        due,
-        age: ageDays,
-      };
-
-      if (ageDays <= 30) result["0-30"].push(row);
-      else if (ageDays <= 60) result["31-60"].push(row);
-      else if (ageDays <= 90) result["61-90"].push(row);
-      else result["90+"].push(row);
+      ageing[bucket].push({ ...row, customer_name: names[row.customer_id]?.name || null, age });
+      totals[bucket] = round2(totals[bucket] + row.due);
+
+      if (!byCustomer[row.customer_id]) {
+        byCustomer[row.customer_id] = {
+          customer_id: row.customer_id,
+          name: names[row.customer_id]?.name || null,
+          phone: names[row.customer_id]?.phone || null,
+          ...emptyBuckets(),
+          total: 0,
+        };
+      }
+      const c = byCustomer[row.customer_id];
+      c[bucket] = round2(c[bucket] + row.due);
+      c.total = round2(c.total + row.due);
     }
 
-    return res.json({ success: true, ageing: result });
+    return res.json({
+      success: true,
+      as_of,
+      basis,
+      totals: { ...totals, total: round2(open.reduce((s, r) => s + r.due, 0)) },
+      customers: Object.values(byCustomer).sort((a, b) => b.total - a.total),
+      ageing,
+    });
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    console.error("❌ Customer Ageing Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
   }
 };
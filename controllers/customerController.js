@@ -1,5 +1,34 @@
 import { supabase } from "../supabase/supabaseClient.js";
 
+// credit terms (migrations/020_customer_credit_limits.sql); null = ok
+function creditTermsError(body) {
+  if (body.credit_limit != null && !(Number(body.credit_limit) >= 0)) {
+    return "credit_limit must be 0 or more";
+  }
+  if (
+    body.payment_terms_days != null &&
+    !(Number.isInteger(Number(body.payment_terms_days)) && Number(body.payment_terms_days) >= 0)
+  ) {
+    return "payment_terms_days must be a whole number of days";
+  }
+  if (body.credit_limit_action != null && !["block", "approve"].includes(body.credit_limit_action)) {
+    return "credit_limit_action must be block or approve";
+  }
+  return null;
+}
+
+// price_list_id must point at one of this tenant's price lists
+async function priceListBelongs(tenant_id, price_list_id) {
+  if (price_list_id == null) return true;
+  const { data } = await supabase
+    .from("price_lists")
+    .select("id")
+    .eq("tenant_id", tenant_id)
+    .eq("id", price_list_id)
+    .maybeSingle();
+  return !!data;
+}
+
 export const CustomerController = {
   /* ======================================================
      GET ALL CUSTOMERS (TENANT-BASED)
@@ -54,6 +83,13 @@ export const CustomerController = {
         return res.status(400).json({ error: "Name and phone are required" });
       }
 
+      if (!(await priceListBelongs(tenant_id, body.price_list_id))) {
+        return res.status(400).json({ error: "Price list not found" });
+      }
+
+      const termsErr = creditTermsError(body);
+      if (termsErr) return res.status(400).json({ error: termsErr });
+
       // Insert customer
       const { data, error } = await supabase
         .from("customers")
@@ -64,6 +100,7 @@ export const CustomerController = {
             phone,
             email,
             tenant_id,
+            credit_balance: 0,
           },
         ])
         .select("*")
@@ -122,6 +159,15 @@ export const CustomerController = {
       const updateData = {
         ...body,
       };
+      // store credit only moves through credit notes / checkout
+      delete updateData.credit_balance;
+
+      if (!(await priceListBelongs(tenant_id, body.price_list_id))) {
+        return res.status(400).json({ error: "Price list not found" });
+      }
+
+      const termsErr = creditTermsError(body);
+      if (termsErr) return res.status(400).json({ error: termsErr });
 
       if (body.phone) updateData.phone = body.phone.trim();
       if (body.email) updateData.email = body.email.trim();
@@ -0,0 +1,285 @@
+// controllers/documentSeriesController.js
+// Settings API for document numbering (migrations/015_document_series.sql).
+// Numbers themselves are only ever allocated by next_document_number() in
+// the database; this controller manages formats and shows what comes next.
+import { supabase } from "../supabase/supabaseClient.js";
+
+export const DOC_TYPES = ["invoice", "purchase", "quotation", "credit_note", "debit_note"];
+
+const DEFAULT_PREFIX = {
+  invoice: "INV",
+  purchase: "PUR",
+  quotation: "QUO",
+  credit_note: "CN",
+  debit_note: "DN",
+};
+
+const defaultSeries = (doc_type) => ({
+  doc_type,
+  branch_code: "",
+  prefix: DEFAULT_PREFIX[doc_type],
+  separator: "-",
+  include_year: true,
+  padding: 4,
+  reset_policy: "never",
+});
+
+const currentPeriod = (series) =>
+  series.reset_policy === "yearly" ? String(new Date().getFullYear()) : "";
+
+// Mirrors the formatting in next_document_number()
+export function formatDocumentNumber(series, seq) {
+  const year = String(new Date().getFullYear());
+  const num = String(seq);
+  return (
+    series.prefix +
+    series.separator +
+    (series.include_year ? year + series.separator : "") +
+    (num.length >= series.padding ? num : num.padStart(series.padding, "0"))
+  );
+}
+
+async function getLastValue(tenant_id, series) {
+  const { data, error } = await supabase
+    .from("document_counters")
+    .select("last_value")
+    .eq("tenant_id", tenant_id)
+    .eq("doc_type", series.doc_type)
+    .eq("branch_code", series.branch_code)
+    .eq("period", currentPeriod(series))
+    .maybeSingle();
+
+  if (error) throw error;
+  return Number(data?.last_value || 0);
+}
+
+async function resolveSeries(tenant_id, doc_type, branch_code = "") {
+  const { data, error } = await supabase
+    .from("document_series")
+    .select("*")
+    .eq("tenant_id", tenant_id)
+    .eq("doc_type", doc_type)
+    .in("branch_code", [...new Set([branch_code || "", ""])]);
+
+  if (error) throw error;
+
+  return (
+    data?.find((s) => s.branch_code === (branch_code || "")) ||
+    data?.find((s) => s.branch_code === "") ||
+    defaultSeries(doc_type)
+  );
+}
+
+/**
+ * ============================================================
+ * GET /api/document-series
+ * Every configured series plus the default for each document type,
+ * with the number each would issue next.
+ * ============================================================
+ */
+export const getDocumentSeries = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("document_series")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .order("doc_type")
+      .order("branch_code");
+
+    if (error) throw error;
+
+    const rows = [...(data || [])];
+    for (const doc_type of DOC_TYPES) {
+      if (!rows.some((s) => s.doc_type === doc_type && s.branch_code === "")) {
+        rows.push({ ...defaultSeries(doc_type), is_default: true });
+      }
+    }
+
+    const result = [];
+    for (const s of rows) {
+      const last = await getLastValue(tenant_id, s);
+      result.push({ ...s, last_value: last, next_number: formatDocumentNumber(s, last + 1) });
+    }
+
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    console.error("❌ Get Document Series Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET /api/document-series/:doc_type/preview?branch_code=DXB
+ * ============================================================
+ */
+export const previewDocumentNumber = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { doc_type } = req.params;
+    if (!DOC_TYPES.includes(doc_type)) {
+      return res.status(400).json({ error: `doc_type must be one of: ${DOC_TYPES.join(", ")}` });
+    }
+
+    const series = await resolveSeries(tenant_id, doc_type, req.query.branch_code);
+    const last = await getLastValue(tenant_id, series);
+
+    return res.json({
+      success: true,
+      series,
+      next_number: formatDocumentNumber(series, last + 1),
+    });
+  } catch (err) {
+    console.error("❌ Preview Document Number Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * PUT /api/document-series/:doc_type
+ * Body: { branch_code?, prefix, separator?, include_year?, padding?,
+ *         reset_policy?, next_number? }
+ * ============================================================
+ */
+export const upsertDocumentSeries = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { doc_type } = req.params;
+    if (!DOC_TYPES.includes(doc_type)) {
+      return res.status(400).json({ error: `doc_type must be one of: ${DOC_TYPES.join(", ")}` });
+    }
+
+    const branch_code = String(req.body.branch_code || "").trim();
+    const current = await resolveSeries(tenant_id, doc_type, branch_code);
+    const base = current.branch_code === branch_code ? current : defaultSeries(doc_type);
+
+    const series = {
+      tenant_id,
+      doc_type,
+      branch_code,
+      prefix: String(req.body.prefix ?? base.prefix).trim(),
+      separator: String(req.body.separator ?? base.separator),
+      include_year: req.body.include_year ?? base.include_year,
+      padding: Number(req.body.padding ?? base.padding),
+      reset_policy: req.body.reset_policy ?? base.reset_policy,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (!series.prefix) {
+      return res.status(400).json({ error: "prefix is required" });
+    }
+    if (!Number.isInteger(series.padding) || series.padding < 1 || series.padding > 12) {
+      return res.status(400).json({ error: "padding must be between 1 and 12" });
+    }
+    if (!["never", "yearly"].includes(series.reset_policy)) {
+      return res.status(400).json({ error: "reset_policy must be never or yearly" });
+    }
+    if (series.reset_policy === "yearly" && !series.include_year) {
+      // the same number would come back every January
+      return res.status(400).json({ error: "A yearly reset needs the year in the number" });
+    }
+
+    if (branch_code) {
+      const shared = await resolveSeries(tenant_id, doc_type, "");
+      if (shared.prefix === series.prefix) {
+        // separate counters with the same prefix would issue duplicate numbers
+        return res.status(400).json({
+          error: `Branch series needs a prefix other than the tenant-wide "${shared.prefix}"`,
+        });
+      }
+    }
+
+    const { data: saved, error } = await supabase
+      .from("document_series")
+      .upsert([series], { onConflict: "tenant_id,doc_type,branch_code" })
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    const period = currentPeriod(saved);
+    let last = await getLastValue(tenant_id, saved);
+
+    // switching an existing series to yearly: keep counting this year
+    // instead of starting again at 1 next to numbers already issued
+    if (!last && period && base.reset_policy === "never" && base.branch_code === branch_code) {
+      const carried = await getLastValue(tenant_id, { ...saved, reset_policy: "never" });
+      if (carried) {
+        const { error: carryErr } = await supabase
+          .from("document_counters")
+          .upsert(
+            [{ tenant_id, doc_type, branch_code, period, last_value: carried }],
+            { onConflict: "tenant_id,doc_type,branch_code,period", ignoreDuplicates: true }
+          );
+        if (carryErr) throw carryErr;
+        last = carried;
+      }
+    }
+
+    if (req.body.next_number != null) {
+      const next = Number(req.body.next_number);
+      if (!Number.isInteger(next) || next <= last) {
+        return res.status(409).json({
+          error: `next_number must be greater than ${last}, the last number issued in this series`,
+        });
+      }
+
+      const { error: ctrErr } = await supabase
+        .from("document_counters")
+        .upsert(
+          [{ tenant_id, doc_type, branch_code, period, last_value: next - 1, updated_at: new Date().toISOString() }],
+          { onConflict: "tenant_id,doc_type,branch_code,period" }
+        );
+
+      if (ctrErr) throw ctrErr;
+      last = next - 1;
+    }
+
+    return res.json({
+      success: true,
+      message: "Numbering series saved",
+      data: { ...saved, last_value: last, next_number: formatDocumentNumber(saved, last + 1) },
+    });
+  } catch (err) {
+    console.error("❌ Save Document Series Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * DELETE /api/document-series/:id
+ * The branch (or tenant) falls back to the tenant-wide / default series.
+ * Counters are kept, so re-creating the series continues where it stopped.
+ * ============================================================
+ */
+export const deleteDocumentSeries = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("document_series")
+      .delete()
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Series not found" });
+
+    return res.json({ success: true, message: "Numbering series removed", data });
+  } catch (err) {
+    console.error("❌ Delete Document Series Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
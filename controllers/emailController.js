@@ -0,0 +1,294 @@
+// controllers/emailController.js
+// Emails invoice PDFs and customer statements. Each request writes an
+// email_log row and queues an "email_send" job; the job builds the PDF,
+// renders controllers/templates/emails/<type>.ejs and sends it through
+// services/emailService.js, so a failed SMTP call is retried with backoff.
+import { supabase } from "../supabase/supabaseClient.js";
+import { enqueueJob, registerJobHandler } from "../services/jobQueueService.js";
+import { sendEmail } from "../services/emailService.js";
+import {
+  getInvoiceSettings,
+  loadInvoiceForPrint,
+  renderInvoicePDF,
+} from "../services/invoiceDocumentService.js";
+import {
+  buildCustomerStatement,
+  renderStatementPDF,
+} from "../services/customerStatementService.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const money = (n) => Number(n || 0).toFixed(2);
+
+// tenants.notification.email_notification (defaults to on, see notificationcontroller.js)
+async function emailEnabled(tenant_id) {
+  const { data, error } = await supabase
+    .from("tenants")
+    .select("notification")
+    .eq("id", tenant_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.notification?.email_notification !== false;
+}
+
+async function queueEmail({ tenant_id, document_type, document_id, to_email, subject, options, sent_by }) {
+  const { data: log, error } = await supabase
+    .from("email_log")
+    .insert([
+      { tenant_id, document_type, document_id: String(document_id), to_email, subject, options, sent_by },
+    ])
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  await enqueueJob({
+    tenant_id,
+    type: "email_send",
+    reference_id: `email:${log.id}`,
+    payload: { tenant_id, email_log_id: log.id },
+  });
+
+  return log;
+}
+
+/**
+ * ============================================================
+ * JOB: BUILD + SEND ONE EMAIL
+ * ============================================================
+ */
+async function buildInvoiceEmail(log, settings) {
+  const doc = await loadInvoiceForPrint(log.tenant_id, log.document_id);
+  if (!doc) throw new Error(`Invoice ${log.document_id} not found`);
+
+  const pdf = await renderInvoicePDF({ template: doc.invoice.template, ...doc, settings });
+
+  return {
+    template: "invoice",
+    data: {
+      invoice: doc.invoice,
+      customerName: doc.customer?.name,
+      issuedAt: new Date(doc.invoice.created_at).toLocaleDateString(),
+    },
+    attachments: [{ filename: `invoice-${doc.invoice.invoice_number}.pdf`, content: pdf }],
+  };
+}
+
+async function buildStatementEmail(log, settings) {
+  const { from, to } = log.options || {};
+  const statement = await buildCustomerStatement(log.tenant_id, log.document_id, { from, to });
+  if (!statement) throw new Error(`Customer ${log.document_id} not found`);
+
+  const pdf = await renderStatementPDF(statement, {
+    sellerName: settings.legal_name,
+    currency: settings.currency,
+  });
+
+  return {
+    template: "statement",
+    data: {
+      customerName: statement.customer.name,
+      from: statement.from,
+      to: statement.to,
+      closingBalance: statement.closing_balance,
+    },
+    attachments: [{ filename: `statement-${statement.customer.id}.pdf`, content: pdf }],
+  };
+}
+
+const BUILDERS = { invoice: buildInvoiceEmail, statement: buildStatementEmail };
+
+registerJobHandler("email_send", async ({ email_log_id }) => {
+  const { data: log, error } = await supabase
+    .from("email_log")
+    .select("*")
+    .eq("id", email_log_id)
+    .single();
+
+  if (error) throw error;
+  if (log.status === "sent") return;
+
+  try {
+    const settings = await getInvoiceSettings(log.tenant_id);
+    const built = await BUILDERS[log.document_type](log, settings);
+
+    const result = await sendEmail({
+      to: log.to_email,
+      subject: log.subject,
+      template: built.template,
+      data: {
+        ...built.data,
+        seller: settings,
+        sellerName: settings.legal_name || "",
+        currency: settings.currency,
+        message: log.options?.message || null,
+        money,
+      },
+      attachments: built.attachments,
+      replyTo: settings.email || undefined,
+    });
+
+    const { error: updErr } = await supabase
+      .from("email_log")
+      .update({
+        status: "sent",
+        transport: result.transport,
+        message_id: result.messageId,
+        attempts: log.attempts + 1,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+      })
+      .eq("id", log.id);
+
+    if (updErr) throw updErr;
+  } catch (err) {
+    await supabase
+      .from("email_log")
+      .update({
+        status: "failed",
+        attempts: log.attempts + 1,
+        last_error: err?.message || String(err),
+      })
+      .eq("id", log.id);
+    throw err; // job queue retries
+  }
+});
+
+/**
+ * ============================================================
+ * POST /api/invoices/:id/email   Body: { to?, message? }
+ * ============================================================
+ */
+export const sendInvoiceEmail = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    if (!(await emailEnabled(tenant_id))) {
+      return res.status(409).json({ error: "Email notifications are turned off for this store" });
+    }
+
+    const { data: invoice, error } = await supabase
+      .from("invoices")
+      .select("id, invoice_number, customers (name, email)")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+
+    const to_email = (req.body?.to || invoice.customers?.email || "").trim();
+    if (!EMAIL_RE.test(to_email)) {
+      return res.status(400).json({ error: "A valid recipient email is required" });
+    }
+
+    const log = await queueEmail({
+      tenant_id,
+      document_type: "invoice",
+      document_id: invoice.id,
+      to_email,
+      subject: `Invoice ${invoice.invoice_number}`,
+      options: { message: req.body?.message || null },
+      sent_by: req.user.id,
+    });
+
+    return res.status(202).json({ success: true, message: "Invoice email queued", data: log });
+  } catch (err) {
+    console.error("❌ Send Invoice Email Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/customers/:id/statement/email   Body: { to?, from?, to_date?, message? }
+ * ============================================================
+ */
+export const sendStatementEmail = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    if (!(await emailEnabled(tenant_id))) {
+      return res.status(409).json({ error: "Email notifications are turned off for this store" });
+    }
+
+    const { data: customer, error } = await supabase
+      .from("customers")
+      .select("id, name, email")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const to_email = (req.body?.to || customer.email || "").trim();
+    if (!EMAIL_RE.test(to_email)) {
+      return res.status(400).json({ error: "A valid recipient email is required" });
+    }
+
+    const log = await queueEmail({
+      tenant_id,
+      document_type: "statement",
+      document_id: customer.id,
+      to_email,
+      subject: `Statement of account - ${customer.name}`,
+      options: {
+        from: req.body?.from || null,
+        to: req.body?.to_date || null,
+        message: req.body?.message || null,
+      },
+      sent_by: req.user.id,
+    });
+
+    return res.status(202).json({ success: true, message: "Statement email queued", data: log });
+  } catch (err) {
+    console.error("❌ Send Statement Email Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET /api/email-log?document_type=invoice&document_id=123&status=failed
+ * ============================================================
+ */
+export const getEmailLog = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("email_log")
+      .select("*", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.document_type) query = query.eq("document_type", req.query.document_type);
+    if (req.query.document_id) query = query.eq("document_id", String(req.query.document_id));
+    if (req.query.status) query = query.eq("status", req.query.status);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Email Log Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
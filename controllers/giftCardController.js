@@ -0,0 +1,417 @@
+// controllers/giftCardController.js
+// Gift cards: sold into "Gift Card Liability" (never Sales), spent at checkout
+// as a "gift_card" payment leg, and written off to "Gift Card Breakage" when
+// they expire with money left on them.
+import crypto from "crypto";
+import { supabase } from "../supabase/supabaseClient.js";
+import { addJournalEntry } from "../services/addJournalEntryService.js";
+import { enqueueJob, registerJobHandler } from "../services/jobQueueService.js";
+import { markIdempotentCommitted } from "../middleware/idempotency.js";
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
+const SALE_METHODS = ["cash", "card", "upi", "bank"];
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+export const normalizeGiftCardCode = (code) =>
+  String(code || "").trim().toUpperCase();
+
+function generateCode() {
+  const bytes = crypto.randomBytes(12);
+  let out = "";
+  for (let i = 0; i < bytes.length; i++) {
+    if (i && i % 4 === 0) out += "-";
+    out += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return out; // XXXX-XXXX-XXXX
+}
+
+async function getCoaMap(tenant_id) {
+  const { data, error } = await supabase
+    .from("coa")
+    .select("id, name")
+    .eq("tenant_id", tenant_id);
+
+  if (error) throw error;
+
+  const map = {};
+  data?.forEach((acc) => {
+    map[acc.name.toLowerCase()] = acc.id;
+  });
+  return map;
+}
+
+function coaId(map, name) {
+  const id = map[name.toLowerCase()];
+  if (!id) throw new Error(`COA missing: ${name}`);
+  return id;
+}
+
+async function alreadyPosted(tenant_id, reference_id, reference_type) {
+  const { count, error } = await supabase
+    .from("journal_entries")
+    .select("id", { count: "exact", head: true })
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", reference_id)
+    .eq("reference_type", reference_type);
+
+  if (error) throw error;
+  return (count || 0) > 0;
+}
+
+/**
+ * ============================================================
+ * JOBS: ACCOUNTING FOR SALE AND BREAKAGE
+ * ============================================================
+ */
+// each posting is guarded on its own so a retry after a partial failure
+// finishes the steps that did not land
+registerJobHandler("gift_card_issue", async ({ tenant_id, gift_card_id }) => {
+  const { data: card, error } = await supabase
+    .from("gift_cards")
+    .select("id, code, initial_amount, payment_method")
+    .eq("id", gift_card_id)
+    .single();
+
+  if (error) throw error;
+
+  const desc = `Gift card sold ${card.code}`;
+
+  if (!(await alreadyPosted(tenant_id, card.id, "gift_card_issue"))) {
+    const coaMap = await getCoaMap(tenant_id);
+    const moneyAcc = ["card", "upi", "bank"].includes(card.payment_method)
+      ? coaId(coaMap, "bank")
+      : coaId(coaMap, "cash");
+
+    await addJournalEntry({
+      tenant_id,
+      debit_account: moneyAcc,
+      credit_account: coaId(coaMap, "gift card liability"),
+      amount: Number(card.initial_amount),
+      description: desc,
+      reference_id: card.id,
+      reference_type: "gift_card_issue",
+    });
+  }
+
+  const { data: daybookRow, error: dbReadErr } = await supabase
+    .from("daybook")
+    .select("id")
+    .eq("tenant_id", tenant_id)
+    .eq("entry_type", "gift_card_sale")
+    .eq("reference_id", card.id)
+    .limit(1);
+
+  if (dbReadErr) throw dbReadErr;
+
+  if (!daybookRow?.length) {
+    const { error: dbErr } = await supabase.from("daybook").insert([
+      {
+        tenant_id,
+        entry_type: "gift_card_sale",
+        description: desc,
+        debit: 0,
+        credit: Number(card.initial_amount),
+        reference_id: card.id,
+      },
+    ]);
+
+    if (dbErr) throw dbErr;
+  }
+});
+
+registerJobHandler("gift_card_breakage", async ({ tenant_id, gift_card_id }) => {
+  if (await alreadyPosted(tenant_id, gift_card_id, "gift_card_breakage")) return;
+
+  const { data: card, error } = await supabase
+    .from("gift_cards")
+    .select("id, code, breakage_amount")
+    .eq("id", gift_card_id)
+    .single();
+
+  if (error) throw error;
+  if (!(Number(card.breakage_amount) > 0)) return;
+
+  const coaMap = await getCoaMap(tenant_id);
+
+  await addJournalEntry({
+    tenant_id,
+    debit_account: coaId(coaMap, "gift card liability"),
+    credit_account: coaId(coaMap, "gift card breakage"),
+    amount: Number(card.breakage_amount),
+    description: `Gift card ${card.code} expired unused`,
+    reference_id: card.id,
+    reference_type: "gift_card_breakage",
+  });
+});
+
+/**
+ * Expires every overdue card for the tenant and queues breakage postings.
+ * Called before any read so balances and the liability report are current.
+ */
+export async function expireDueGiftCards(tenant_id) {
+  const { data: expired, error } = await supabase.rpc("expire_gift_cards", {
+    p_tenant_id: tenant_id,
+  });
+
+  if (error) throw error;
+
+  for (const card of expired || []) {
+    if (Number(card.breakage_amount) > 0) {
+      await enqueueJob({
+        tenant_id,
+        type: "gift_card_breakage",
+        reference_id: card.id,
+        payload: { tenant_id, gift_card_id: card.id },
+      });
+    }
+  }
+
+  return expired || [];
+}
+
+/**
+ * ============================================================
+ * ISSUE (SELL) GIFT CARD
+ * Body: { amount, payment_method?, expires_at? | validity_days?, customer_id?, code? }
+ * ============================================================
+ */
+export const issueGiftCard = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const {
+      amount,
+      payment_method = "cash",
+      expires_at,
+      validity_days,
+      customer_id = null,
+      code,
+    } = req.body;
+
+    const value = round2(amount);
+    if (!(value > 0)) {
+      return res.status(400).json({ error: "amount must be > 0" });
+    }
+
+    const method = String(payment_method).toLowerCase();
+    if (!SALE_METHODS.includes(method)) {
+      return res.status(400).json({
+        error: `payment_method must be one of: ${SALE_METHODS.join(", ")}`,
+      });
+    }
+
+    let expiry = null;
+    if (expires_at) {
+      expiry = new Date(expires_at);
+    } else if (validity_days) {
+      expiry = new Date(Date.now() + Number(validity_days) * 86400000);
+    }
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+      return res.status(400).json({ error: "Expiry must be a future date" });
+    }
+
+    // printed cards come with their own code; otherwise generate one.
+    // issue_gift_card also records the issue transaction and queues the
+    // "gift_card_issue" posting job (037_issue_gift_card.sql)
+    let card = null;
+    for (let attempt = 0; attempt < 5 && !card; attempt++) {
+      const { data, error } = await supabase.rpc("issue_gift_card", {
+        p_tenant_id: tenant_id,
+        p_code: code ? normalizeGiftCardCode(code) : generateCode(),
+        p_amount: value,
+        p_expires_at: expiry ? expiry.toISOString() : null,
+        p_customer_id: customer_id,
+        p_payment_method: method,
+        p_issued_by: req.user.id,
+      });
+
+      if (error && error.code === "23505") {
+        if (code) {
+          return res.status(409).json({ error: "Gift card code already exists" });
+        }
+        continue;
+      }
+      if (error) throw error;
+      card = data;
+    }
+
+    if (!card) throw new Error("Could not generate a unique gift card code");
+    await markIdempotentCommitted(res);
+
+    return res.status(201).json({ success: true, data: card });
+  } catch (err) {
+    console.error("❌ Issue Gift Card Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * BALANCE LOOKUP BY CODE (with movements)
+ * ============================================================
+ */
+export const getGiftCardByCode = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    await expireDueGiftCards(tenant_id);
+
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .select("*, gift_card_transactions(type, amount, balance_after, invoice_id, created_at)")
+      .eq("tenant_id", tenant_id)
+      .eq("code", normalizeGiftCardCode(req.params.code))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Gift card not found" });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Gift Card Lookup Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * LIST GIFT CARDS  (?status=active|redeemed|expired|void)
+ * ============================================================
+ */
+export const getGiftCards = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    await expireDueGiftCards(tenant_id);
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("gift_cards")
+      .select("*", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (req.query.customer_id) query = query.eq("customer_id", req.query.customer_id);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Gift Cards Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * RUN EXPIRY NOW
+ * ============================================================
+ */
+export const expireGiftCards = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const expired = await expireDueGiftCards(tenant_id);
+
+    return res.json({
+      success: true,
+      expired_count: expired.length,
+      breakage_total: round2(
+        expired.reduce((s, c) => s + Number(c.breakage_amount || 0), 0)
+      ),
+      data: expired,
+    });
+  } catch (err) {
+    console.error("❌ Expire Gift Cards Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * OUTSTANDING LIABILITY REPORT
+ * ============================================================
+ */
+export const getGiftCardLiability = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    await expireDueGiftCards(tenant_id);
+
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .select("status, initial_amount, balance, breakage_amount, expires_at")
+      .eq("tenant_id", tenant_id);
+
+    if (error) throw error;
+
+    const now = Date.now();
+    const in30 = now + 30 * 86400000;
+
+    const report = {
+      issued_count: 0,
+      issued_total: 0,
+      outstanding_count: 0,
+      outstanding_liability: 0,
+      expiring_30_days: 0,
+      redeemed_total: 0,
+      breakage_total: 0,
+      by_status: {},
+    };
+
+    for (const c of data || []) {
+      const initial = Number(c.initial_amount || 0);
+      const balance = Number(c.balance || 0);
+      const breakage = Number(c.breakage_amount || 0);
+
+      report.issued_count++;
+      report.issued_total += initial;
+      report.breakage_total += breakage;
+      report.redeemed_total += initial - balance - breakage;
+      report.by_status[c.status] = (report.by_status[c.status] || 0) + 1;
+
+      if (c.status === "active" && balance > 0) {
+        report.outstanding_count++;
+        report.outstanding_liability += balance;
+        if (c.expires_at && new Date(c.expires_at).getTime() <= in30) {
+          report.expiring_30_days += balance;
+        }
+      }
+    }
+
+    for (const k of [
+      "issued_total",
+      "outstanding_liability",
+      "expiring_30_days",
+      "redeemed_total",
+      "breakage_total",
+    ]) {
+      report[k] = round2(report[k]);
+    }
+
+    return res.json({ success: true, data: report });
+  } catch (err) {
+    console.error("❌ Gift Card Liability Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -0,0 +1,236 @@
+// controllers/heldBillsController.js
+// Parked carts: save now, resume at any counter through createInvoice.
+import { supabase } from "../supabase/supabaseClient.js";
+import { createInvoice } from "./billinController2.js";
+
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  const normalized = items.map((i) => ({
+    product_id: i.product_id,
+    qty: Number(i.qty || 0),
+  }));
+
+  if (normalized.some((i) => !i.product_id || i.qty <= 0)) return null;
+  return normalized;
+}
+
+// POST /api/billing/held - park the current cart
+export const holdBill = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const {
+      items,
+      customer_id = null,
+      coupon_code = null,
+      employee_id = null,
+      redeem_points = 0,
+      label = null,
+      note = null,
+    } = req.body;
+
+    const normalizedItems = normalizeItems(items);
+    if (!normalizedItems) {
+      return res
+        .status(400)
+        .json({ error: "items[] with product_id and qty > 0 are required" });
+    }
+
+    const { data, error } = await supabase
+      .from("held_bills")
+      .insert([{
+        tenant_id,
+        label,
+        items: normalizedItems,
+        customer_id,
+        coupon_code,
+        employee_id,
+        redeem_points: Number(redeem_points || 0),
+        note,
+        held_by: req.user.id,
+      }])
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json({ success: true, message: "Bill held", data });
+  } catch (err) {
+    console.error("❌ Hold bill failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/billing/held - list parked carts (all counters)
+export const getHeldBills = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const status = req.query.status || "held";
+
+    const { data, error } = await supabase
+      .from("held_bills")
+      .select("*, customers(name)")
+      .eq("tenant_id", tenant_id)
+      .eq("status", status)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Get held bills failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/billing/held/:id
+export const getHeldBillById = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("held_bills")
+      .select("*, customers(name)")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Held bill not found" });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Get held bill failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// PUT /api/billing/held/:id - edit a parked cart (still held only)
+export const updateHeldBill = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (req.body.items !== undefined) {
+      const normalizedItems = normalizeItems(req.body.items);
+      if (!normalizedItems) {
+        return res
+          .status(400)
+          .json({ error: "items[] with product_id and qty > 0 are required" });
+      }
+      updates.items = normalizedItems;
+    }
+
+    for (const k of ["customer_id", "coupon_code", "employee_id", "label", "note"]) {
+      if (Object.prototype.hasOwnProperty.call(req.body, k)) updates[k] = req.body[k];
+    }
+    if (req.body.redeem_points !== undefined) {
+      updates.redeem_points = Number(req.body.redeem_points || 0);
+    }
+
+    const { data, error } = await supabase
+      .from("held_bills")
+      .update(updates)
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .eq("status", "held")
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Held bill not found" });
+
+    return res.json({ success: true, message: "Held bill updated", data });
+  } catch (err) {
+    console.error("❌ Update held bill failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// DELETE /api/billing/held/:id - discard a parked cart
+export const discardHeldBill = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("held_bills")
+      .update({ status: "discarded", updated_at: new Date().toISOString() })
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .eq("status", "held")
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Held bill not found" });
+
+    return res.json({ success: true, message: "Held bill discarded" });
+  } catch (err) {
+    console.error("❌ Discard held bill failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/billing/held/:id/resume - turn the parked cart into a real invoice
+// Body: { payment_method } (+ optional overrides of the held context)
+export const resumeHeldBill = async (req, res) => {
+  const tenant_id = req.user?.tenant_id;
+  if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+  const { id } = req.params;
+
+  // Claim it first so two counters cannot bill the same cart
+  const { data: held, error: claimErr } = await supabase
+    .from("held_bills")
+    .update({
+      status: "converting",
+      resumed_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("tenant_id", tenant_id)
+    .eq("id", id)
+    .eq("status", "held")
+    .select("*")
+    .maybeSingle();
+
+  if (claimErr) {
+    console.error("❌ Resume held bill failed:", claimErr);
+    return res.status(500).json({ error: claimErr.message });
+  }
+  if (!held) {
+    return res
+      .status(409)
+      .json({ error: "Held bill not found or already resumed" });
+  }
+
+  // Same pricing / stock / accounting path as a normal checkout
+  req.body = {
+    items: held.items,
+    customer_id: held.customer_id,
+    coupon_code: held.coupon_code,
+    employee_id: held.employee_id,
+    redeem_points: held.redeem_points,
+    ...req.body,
+  };
+
+  await createInvoice(req, res);
+
+  const invoice = res.locals.invoice;
+
+  await supabase
+    .from("held_bills")
+    .update(
+      invoice
+        ? { status: "converted", invoice_id: invoice.id, updated_at: new Date().toISOString() }
+        : { status: "held", resumed_by: null, updated_at: new Date().toISOString() }
+    )
+    .eq("id", held.id);
+};
@@ -0,0 +1,518 @@
+// controllers/invoiceAmendmentController.js
+// Corrections to an issued invoice (migrations/025_invoice_amendments.sql):
+// customer change, price correction, quantity correction, item swap.
+// The invoice is rewritten as a new version, the difference is documented by
+// a credit / debit note, and only the difference is posted to stock,
+// journals and VAT.
+import { supabase } from "../supabase/supabaseClient.js";
+import { addJournalEntry } from "../services/addJournalEntryService.js";
+import { registerJobHandler } from "../services/jobQueueService.js";
+import { getInvoiceSettings } from "../services/invoiceDocumentService.js";
+import { applyTaxCategories, postVatReportLines } from "../services/taxCategoryService.js";
+import { quantityError, roundQty } from "../services/scaleBarcodeService.js";
+import { explodeBundleItems } from "../utils/productBundles.js";
+
+const SETTLEMENTS = ["cash", "card", "upi", "bank", "account", "store_credit"];
+const LINE_FIELDS = ["product_id", "quantity", "price", "tax", "tax_amount", "total"];
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+function getAccountId(name, coaAccounts) {
+  const acc = coaAccounts.find((a) => a.name.toLowerCase() === name.toLowerCase());
+  if (!acc) throw new Error(`COA account not found: ${name}`);
+  return acc.id;
+}
+
+// where the difference is paid out / collected
+function settlementAccountId(settlement, coaAccounts) {
+  if (settlement === "account") return getAccountId("Accounts Receivable", coaAccounts);
+  if (settlement === "store_credit") return getAccountId("Customer Credit", coaAccounts);
+  if (["card", "upi", "bank"].includes(settlement)) return getAccountId("Bank", coaAccounts);
+  return getAccountId("Cash", coaAccounts);
+}
+
+// tax-inclusive line: VAT is taken out of the line total
+function priceLine(line, price, quantity) {
+  const total = round2(price * quantity);
+  const net = round2((total * 100) / (100 + Number(line.tax || 0)));
+  return {
+    ...line,
+    quantity,
+    price: round2(price),
+    net_price: round2(net / quantity),
+    tax_amount: round2(total - net),
+    total,
+  };
+}
+
+const vatLine = (line, sign) => ({
+  direction: "sales",
+  tax_code: line.tax_code,
+  tax_treatment: line.tax_treatment || "standard",
+  net_amount: sign * round2(Number(line.total) - Number(line.tax_amount || 0)),
+  vat_amount: sign * round2(line.tax_amount),
+});
+
+// old lines out, new lines in — netted per tax code / treatment
+function netVatLines(lines) {
+  const byKey = {};
+  for (const l of lines) {
+    const key = `${l.tax_code || ""}|${l.tax_treatment}`;
+    const row = (byKey[key] ||= { ...l, net_amount: 0, vat_amount: 0 });
+    row.net_amount = round2(row.net_amount + l.net_amount);
+    row.vat_amount = round2(row.vat_amount + l.vat_amount);
+  }
+  return Object.values(byKey).filter((l) => l.net_amount !== 0 || l.vat_amount !== 0);
+}
+
+/**
+ * ============================================================
+ * JOB: ACCOUNTING FOR AN AMENDMENT
+ * Only the difference: Sales and VAT Output against the settlement account,
+ * COGS / Inventory for the stock that moved. Posted in the amendment's own
+ * period (the original invoice's period is closed as it was).
+ * A retry skips the journal entries already written; VAT lines post once.
+ * ============================================================
+ */
+registerJobHandler("invoice_amendment", async ({ tenant_id, amendment_id }) => {
+  const { data: amendment, error } = await supabase
+    .from("invoice_amendments")
+    .select("*, invoices (invoice_number)")
+    .eq("tenant_id", tenant_id)
+    .eq("id", amendment_id)
+    .single();
+
+  if (error) throw error;
+
+  const { data: coaAccounts, error: coaErr } = await supabase
+    .from("coa")
+    .select("id, name")
+    .eq("tenant_id", tenant_id);
+
+  if (coaErr) throw coaErr;
+
+  const coa = coaAccounts || [];
+  const netDelta = Number(amendment.net_delta);
+  const vatDelta = Number(amendment.vat_delta);
+  const grossDelta = Number(amendment.gross_delta);
+
+  const noteLabel =
+    amendment.note_type === "credit_note" ? "Credit note" : amendment.note_type === "debit_note" ? "Debit note" : "Amendment";
+  const desc = `${noteLabel} ${amendment.note_number || `v${amendment.version}`} for Invoice #${
+    amendment.invoices?.invoice_number || amendment.invoice_id
+  }`;
+
+  // bundles are costed per component, the same stock the amendment moved
+  let costDelta = 0;
+  for (const it of await explodeBundleItems(tenant_id, amendment.stock_delta || [])) {
+    const { data: prod } = await supabase
+      .from("products")
+      .select("cost_price")
+      .eq("id", it.product_id)
+      .maybeSingle();
+
+    costDelta += Number(prod?.cost_price || 0) * Number(it.quantity);
+  }
+  costDelta = round2(costDelta);
+
+  // [debit, credit] for a positive difference; swapped when it is negative
+  const entries = [];
+  if (grossDelta !== 0) {
+    const settleAcc = settlementAccountId(amendment.settlement, coa);
+    if (netDelta !== 0) {
+      entries.push({ accounts: [settleAcc, getAccountId("Sales", coa)], amount: netDelta, label: "sales" });
+    }
+    if (vatDelta !== 0) {
+      entries.push({ accounts: [settleAcc, getAccountId("VAT Output", coa)], amount: vatDelta, label: "VAT output" });
+    }
+  }
+  if (costDelta !== 0) {
+    entries.push({
+      accounts: [getAccountId("Cost of Goods Sold", coa), getAccountId("Inventory", coa)],
+      amount: costDelta,
+      label: "COGS",
+    });
+  }
+
+  const { count, error: countErr } = await supabase
+    .from("journal_entries")
+    .select("id", { count: "exact", head: true })
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", amendment.id)
+    .eq("reference_type", "invoice_amendment");
+
+  if (countErr) throw countErr;
+
+  for (const entry of entries.slice(count || 0)) {
+    const [debit, credit] = entry.amount > 0 ? entry.accounts : [...entry.accounts].reverse();
+    await addJournalEntry({
+      tenant_id,
+      debit_account: debit,
+      credit_account: credit,
+      amount: Math.abs(entry.amount),
+      description: `${desc} - ${entry.label}`,
+      reference_id: amendment.id,
+      reference_type: "invoice_amendment",
+    });
+  }
+
+  // daybook: only money paid out or collected today
+  if (["cash", "card", "upi", "bank"].includes(amendment.settlement) && grossDelta !== 0) {
+    const { data: daybookRow } = await supabase
+      .from("daybook")
+      .select("id")
+      .eq("tenant_id", tenant_id)
+      .eq("entry_type", "invoice_amendment")
+      .eq("reference_id", amendment.id)
+      .limit(1);
+
+    if (!daybookRow?.length) {
+      const { error: dbErr } = await supabase.from("daybook").insert([
+        {
+          tenant_id,
+          entry_type: "invoice_amendment",
+          description: `${desc} (${amendment.settlement})`,
+          debit: grossDelta < 0 ? -grossDelta : 0,
+          credit: grossDelta > 0 ? grossDelta : 0,
+          reference_id: amendment.id,
+        },
+      ]);
+
+      if (dbErr) throw dbErr;
+    }
+  }
+
+  // no-op when a previous attempt already counted this amendment
+  await postVatReportLines({
+    tenant_id,
+    date: amendment.created_at,
+    reference_type: "invoice_amendment",
+    reference_id: amendment.id,
+    lines: amendment.vat_lines || [],
+    totals: { total_sales: netDelta, sales_vat: vatDelta },
+  });
+});
+
+/**
+ * ============================================================
+ * POST /api/invoices/:id/amend
+ * Body: {
+ *   reason,
+ *   expected_version?,                 // invoice.version the user edited
+ *   customer_id?,                      // new customer
+ *   lines?: [{ invoice_item_id, product_id?, quantity?, price? }],
+ *   settlement?: cash | card | upi | bank | account | store_credit
+ * }
+ * price is the tax-inclusive unit price. A swapped product without a
+ * price is charged at its current selling price. settlement defaults to
+ * "account" for invoices with a balance on account, otherwise "cash".
+ * ============================================================
+ */
+export const amendInvoice = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { id } = req.params;
+    const reason = String(req.body.reason || "").trim();
+    const edits = req.body.lines || [];
+    const newCustomerId = req.body.customer_id ?? null;
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required to amend an invoice" });
+    }
+    if (!Array.isArray(edits)) {
+      return res.status(400).json({ error: "lines must be an array of { invoice_item_id, ... }" });
+    }
+
+    const { data: invoice, error: invErr } = await supabase
+      .from("invoices")
+      .select("*, invoice_items (*), invoice_payments (method, amount)")
+      .eq("tenant_id", tenant_id)
+      .eq("id", id)
+      .maybeSingle();
+
+    if (invErr) throw invErr;
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    if (invoice.status === "void") {
+      return res.status(409).json({ error: "Invoice is void and cannot be amended" });
+    }
+
+    const customerChanged =
+      newCustomerId !== null && String(newCustomerId) !== String(invoice.customer_id ?? "");
+
+    if (!customerChanged && !edits.length) {
+      return res.status(400).json({ error: "Nothing to amend" });
+    }
+
+    // returned quantities were measured against the lines as they are
+    if (edits.length) {
+      const { data: returns } = await supabase
+        .from("sales_returns")
+        .select("id")
+        .eq("tenant_id", tenant_id)
+        .eq("invoice_id", id)
+        .limit(1);
+
+      if (returns?.length) {
+        return res.status(409).json({ error: "Invoice has sales returns; its lines cannot be amended" });
+      }
+    }
+
+    if (customerChanged) {
+      const { data: customer, error: custErr } = await supabase
+        .from("customers")
+        .select("id")
+        .eq("tenant_id", tenant_id)
+        .eq("id", newCustomerId)
+        .maybeSingle();
+
+      if (custErr) throw custErr;
+      if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+      const { data: collected } = await supabase
+        .from("customer_payment")
+        .select("id")
+        .eq("tenant_id", tenant_id)
+        .eq("invoice_id", id)
+        .limit(1);
+
+      if (collected?.length) {
+        return res.status(409).json({
+          error: "Invoice has customer payments recorded; its customer cannot be changed",
+        });
+      }
+      // store credit was drawn from the original customer's balance
+      if ((invoice.invoice_payments || []).some((p) => p.method === "store_credit")) {
+        return res.status(409).json({
+          error: "Invoice was paid with store credit; its customer cannot be changed",
+        });
+      }
+    }
+
+    // -----------------------------
+    // NEW LINES
+    // -----------------------------
+    const swapIds = [...new Set(edits.map((e) => e.product_id).filter(Boolean))];
+    let swapProducts = [];
+    if (swapIds.length) {
+      const { data: products, error: prodErr } = await supabase
+        .from("products")
+        .select("id, name, unit, allow_decimal_qty, selling_price, tax, tax_category_id")
+        .eq("tenant_id", tenant_id)
+        .in("id", swapIds);
+
+      if (prodErr) throw prodErr;
+      // VAT as it stood on the invoice date
+      swapProducts = await applyTaxCategories(
+        tenant_id,
+        products || [],
+        new Date(invoice.created_at).toISOString().split("T")[0]
+      );
+    }
+
+    const { data: lineProducts, error: lpErr } = await supabase
+      .from("products")
+      .select("id, name, allow_decimal_qty")
+      .eq("tenant_id", tenant_id)
+      .in("id", [...new Set([...swapIds, ...(invoice.invoice_items || []).map((it) => it.product_id)])]);
+
+    if (lpErr) throw lpErr;
+
+    const { pricing_mode } = await getInvoiceSettings(tenant_id);
+
+    const before = [];
+    const after = [];
+    const seen = new Set();
+
+    for (const edit of edits) {
+      const old = (invoice.invoice_items || []).find((it) => String(it.id) === String(edit.invoice_item_id));
+      if (!old) {
+        return res.status(400).json({ error: `Line ${edit.invoice_item_id} is not on this invoice` });
+      }
+      if (seen.has(old.id)) {
+        return res.status(400).json({ error: `Line ${old.id} is listed more than once` });
+      }
+      seen.add(old.id);
+
+      let line = { ...old };
+      const swapped = edit.product_id && String(edit.product_id) !== String(old.product_id);
+
+      if (swapped) {
+        const p = swapProducts.find((x) => String(x.id) === String(edit.product_id));
+        if (!p) return res.status(404).json({ error: `Product ${edit.product_id} not found` });
+
+        const shelfPrice =
+          pricing_mode === "exclusive"
+            ? Number(p.selling_price || 0) * (1 + Number(p.tax || 0) / 100)
+            : Number(p.selling_price || 0);
+
+        line = {
+          ...line,
+          product_id: p.id,
+          tax: p.tax,
+          tax_category_id: p.tax_category_id,
+          tax_code: p.tax_code,
+          tax_treatment: p.tax_treatment,
+          unit: p.allow_decimal_qty ? p.unit || null : null,
+          price: edit.price ?? shelfPrice,
+        };
+      }
+
+      const quantity = edit.quantity !== undefined ? Number(edit.quantity) : Number(old.quantity);
+      const price = edit.price !== undefined ? Number(edit.price) : Number(line.price);
+
+      const qtyErr = quantityError([{ product_id: line.product_id, quantity }], lineProducts || []);
+      if (qtyErr) return res.status(400).json({ error: qtyErr });
+      if (!(price >= 0)) return res.status(400).json({ error: "price cannot be negative" });
+
+      line = priceLine(line, price, roundQty(quantity));
+      if (LINE_FIELDS.every((f) => String(line[f]) === String(old[f]))) continue;
+
+      before.push(old);
+      after.push(line);
+    }
+
+    if (!customerChanged && !after.length) {
+      return res.status(400).json({ error: "Nothing to amend: the lines are unchanged" });
+    }
+
+    // -----------------------------
+    // DIFFERENCE
+    // -----------------------------
+    const sum = (rows, f) => rows.reduce((s, r) => s + Number(r[f] || 0), 0);
+    const gross_delta = round2(sum(after, "total") - sum(before, "total"));
+    const vat_delta = round2(sum(after, "tax_amount") - sum(before, "tax_amount"));
+    const net_delta = round2(gross_delta - vat_delta);
+
+    const stock = [
+      ...before.map((l) => ({ product_id: l.product_id, quantity: -Number(l.quantity) })),
+      ...after.map((l) => ({ product_id: l.product_id, quantity: Number(l.quantity) })),
+    ];
+    const stockByProduct = {};
+    stock.forEach((s) => {
+      stockByProduct[s.product_id] = roundQty((stockByProduct[s.product_id] || 0) + s.quantity);
+    });
+    const stock_delta = Object.entries(stockByProduct)
+      .filter(([, q]) => q !== 0)
+      .map(([product_id, quantity]) => ({ product_id: Number(product_id), quantity }));
+
+    const settlement =
+      gross_delta === 0
+        ? null
+        : req.body.settlement || (Number(invoice.amount_due || 0) > 0 ? "account" : "cash");
+
+    if (settlement && !SETTLEMENTS.includes(settlement)) {
+      return res.status(400).json({ error: `settlement must be one of: ${SETTLEMENTS.join(", ")}` });
+    }
+
+    // -----------------------------
+    // FIELD-LEVEL AUDIT TRAIL
+    // -----------------------------
+    const changes = [];
+    const kinds = new Set();
+
+    if (customerChanged) {
+      changes.push({ field: "customer_id", from: invoice.customer_id, to: newCustomerId });
+      kinds.add("customer_change");
+    }
+    before.forEach((old, i) => {
+      for (const field of LINE_FIELDS) {
+        if (String(old[field]) !== String(after[i][field])) {
+          changes.push({ field: `items.${field}`, line_id: old.id, from: old[field], to: after[i][field] });
+        }
+      }
+      if (String(old.product_id) !== String(after[i].product_id)) kinds.add("item_swap");
+      else if (Number(old.quantity) !== Number(after[i].quantity)) kinds.add("quantity_correction");
+      if (Number(old.price) !== Number(after[i].price)) kinds.add("price_correction");
+    });
+    if (gross_delta !== 0) {
+      changes.push({
+        field: "final_amount",
+        from: Number(invoice.final_amount),
+        to: round2(Number(invoice.final_amount) + gross_delta),
+      });
+      changes.push({
+        field: "total_amount",
+        from: Number(invoice.total_amount),
+        to: round2(Number(invoice.total_amount) + net_delta),
+      });
+    }
+
+    const header = (customer_id, delta, net) => ({
+      customer_id,
+      total_amount: round2(Number(invoice.total_amount) + net),
+      final_amount: round2(Number(invoice.final_amount) + delta),
+    });
+
+    // also queues the "invoice_amendment" postings job (036_invoice_amendment_job.sql)
+    const { data, error } = await supabase.rpc("amend_invoice_atomic", {
+      p_tenant_id: tenant_id,
+      p_invoice_id: invoice.id,
+      p_expected_version: req.body.expected_version ?? invoice.version,
+      p_customer_id: customerChanged ? newCustomerId : null,
+      p_items: after,
+      p_stock: stock_delta,
+      p_amendment: {
+        reason,
+        kinds: [...kinds],
+        changes,
+        before: { ...header(invoice.customer_id, 0, 0), items: before },
+        after: { ...header(customerChanged ? newCustomerId : invoice.customer_id, gross_delta, net_delta), items: after },
+        net_delta,
+        vat_delta,
+        gross_delta,
+        vat_lines: netVatLines([...before.map((l) => vatLine(l, -1)), ...after.map((l) => vatLine(l, 1))]),
+        settlement,
+        amended_by: req.user.id,
+      },
+    });
+
+    if (error) {
+      // raised by the function: nothing was changed
+      if (error.code === "P0001") return res.status(409).json({ error: error.message });
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      message:
+        data.amendment.note_type === "none"
+          ? "Invoice amended"
+          : `Invoice amended: ${data.amendment.note_type === "credit_note" ? "credit" : "debit"} note ${
+              data.amendment.note_number
+            } issued`,
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Amend Invoice Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET /api/invoices/:id/amendments
+ * Version history, newest first.
+ * ============================================================
+ */
+export const getInvoiceAmendments = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("invoice_amendments")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .eq("invoice_id", req.params.id)
+      .order("version", { ascending: false });
+
+    if (error) throw error;
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Get Invoice Amendments Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
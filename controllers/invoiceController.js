@@ -2,6 +2,19 @@
 import { supabase } from "../supabase/supabaseClient.js";
 import { applyDiscounts } from "../services/applyDiscountsService.js";
 import { calculateEmployeeDiscount } from "../services/calculateEmployeeDiscountServices.js";
+import { addJournalEntry } from "../services/addJournalEntryService.js";
+import { registerJobHandler } from "../services/jobQueueService.js";
+import {
+  INVOICE_TEMPLATES,
+  getInvoiceSettings,
+  loadInvoiceForPrint,
+  renderInvoicePDF,
+} from "../services/invoiceDocumentService.js";
+import { buildInvoiceQR, buildUBLInvoice } from "../services/eInvoiceService.js";
+import { resolvePrices } from "../services/priceListService.js";
+import { applyTaxCategories, postVatReportLines } from "../services/taxCategoryService.js";
+import { quantityError } from "../services/scaleBarcodeService.js";
+import { cashRoundingFor, cashRoundingRule } from "../utils/cashRounding.js";
 
 // GET /api/invoices - Get all invoices with items
 // GET /api/invoices?page=1&limit=10
@@ -26,7 +39,8 @@ export const getAllInvoices = async (req, res) => {
           *,
           products (name, brand, category, unit)
         ),
-        customers (name)
+        customers (name),
+        invoice_payments (method, amount, reference)
         `,
         { count: "exact" }
       )
@@ -47,7 +61,8 @@ export const getAllInvoices = async (req, res) => {
             *,
             products (name, brand, category, unit)
           ),
-          customers (name)
+          customers (name),
+          invoice_payments (method, amount, reference)
           `,
           { count: "exact" }
         )
@@ -79,50 +94,468 @@ export const getAllInvoices = async (req, res) => {
 
 
 
-// DELETE /api/invoices/:id - Delete invoice
-export const deleteInvoice = async (req, res) => {
+// GET /api/invoices/:id - one invoice with items, payments and its
+// amendment history (newest version first)
+export const getInvoiceById = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data: invoice, error } = await supabase
+      .from("invoices")
+      .select(
+        `
+        *,
+        invoice_items (
+          *,
+          products (name, brand, category, unit)
+        ),
+        customers (name),
+        invoice_payments (method, amount, reference),
+        invoice_amendments (*)
+        `
+      )
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .order("version", { foreignTable: "invoice_amendments", ascending: false })
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+
+    return res.json({ success: true, data: invoice });
+  } catch (err) {
+    console.error("❌ Get invoice failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// ============================================================
+// VOID REVERSAL (runs as an "invoice_void" job)
+// Every posting made for the invoice is mirrored with debit/credit swapped.
+// Each step checks what an earlier attempt already wrote, so retries are safe.
+// ============================================================
+async function reverseInvoicePostings({ tenant_id, invoice }) {
+  const desc = `Void of Invoice #${invoice.invoice_number || invoice.id}`;
+
+  // 1) JOURNALS (sale, VAT, COGS, cash rounding) → swapped entries
+  const { data: originals, error: jeErr } = await supabase
+    .from("journal_entries")
+    .select("id, debit_account, credit_account, amount, reference_type")
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", invoice.id)
+    .in("reference_type", ["invoice_sale", "invoice_vat", "invoice_cogs", "invoice_rounding"])
+    .order("id", { ascending: true });
+
+  if (jeErr) throw jeErr;
+
+  const { count: alreadyReversed, error: cntErr } = await supabase
+    .from("journal_entries")
+    .select("id", { count: "exact", head: true })
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", invoice.id)
+    .eq("reference_type", "invoice_void");
+
+  if (cntErr) throw cntErr;
+
+  for (const je of (originals || []).slice(alreadyReversed || 0)) {
+    await addJournalEntry({
+      tenant_id,
+      debit_account: je.credit_account,
+      credit_account: je.debit_account,
+      amount: Number(je.amount),
+      description: `${desc} - reverse ${je.reference_type}`,
+      reference_id: invoice.id,
+      reference_type: "invoice_void",
+    });
+  }
+
+  // 2) DAYBOOK — money handed back
+  const { data: daybookRows } = await supabase
+    .from("daybook")
+    .select("entry_type, credit")
+    .eq("tenant_id", tenant_id)
+    .eq("reference_id", invoice.id)
+    .in("entry_type", ["sale", "sale_void"]);
+
+  const sale = (daybookRows || []).find((d) => d.entry_type === "sale");
+  const voided = (daybookRows || []).some((d) => d.entry_type === "sale_void");
+
+  if (sale && !voided) {
+    const { error: dbErr } = await supabase.from("daybook").insert([{
+      tenant_id,
+      entry_type: "sale_void",
+      description: desc,
+      debit: Number(sale.credit || 0),
+      credit: 0,
+      reference_id: invoice.id,
+    }]);
+    if (dbErr) throw dbErr;
+  }
+
+  // 3) LOYALTY — take back earned points, give back redeemed points
+  if (invoice.customer_id) {
+    const { data: txns, error: ltErr } = await supabase
+      .from("loyalty_transactions")
+      .select("transaction_type, points")
+      .eq("invoice_id", invoice.id);
+
+    if (ltErr) throw ltErr;
+
+    const alreadyDone = (txns || []).some((t) => t.transaction_type === "void");
+    const earned = (txns || [])
+      .filter((t) => t.transaction_type === "earn")
+      .reduce((s, t) => s + Number(t.points || 0), 0);
+    const redeemed = (txns || [])
+      .filter((t) => t.transaction_type === "redeem")
+      .reduce((s, t) => s + Math.abs(Number(t.points || 0)), 0);
+
+    if (!alreadyDone && (earned > 0 || redeemed > 0)) {
+      const { data: customer, error: custErr } = await supabase
+        .from("customers")
+        .select("id, loyalty_points, lifetime_points, total_purchases, total_spent")
+        .eq("id", invoice.customer_id)
+        .eq("tenant_id", tenant_id)
+        .single();
+
+      if (custErr) throw custErr;
+
+      const balance = Math.max(
+        0,
+        Number(customer.loyalty_points || 0) - earned + redeemed
+      );
+
+      const { error: updErr } = await supabase
+        .from("customers")
+        .update({
+          loyalty_points: balance,
+          lifetime_points: Math.max(0, Number(customer.lifetime_points || 0) - earned),
+          total_purchases: Math.max(0, Number(customer.total_purchases || 0) - 1),
+          total_spent: Math.max(
+            0,
+            Number(customer.total_spent || 0) - Number(invoice.final_amount || 0)
+          ),
+        })
+        .eq("id", customer.id)
+        .eq("tenant_id", tenant_id);
+
+      if (updErr) throw updErr;
+
+      const { error: insErr } = await supabase.from("loyalty_transactions").insert([{
+        customer_id: customer.id,
+        invoice_id: invoice.id,
+        transaction_type: "void",
+        points: redeemed - earned,
+        balance_after: balance,
+        description: `${desc}: -${earned} earned, +${redeemed} redeemed`,
+      }]);
+
+      if (insErr) throw insErr;
+    }
+  }
+
+  // 4) VAT REPORT — back out of the period the sale was reported in
+  const { data: vatFlag, error: flagErr } = await supabase
+    .from("invoices")
+    .select("void_vat_reversed")
+    .eq("id", invoice.id)
+    .single();
+
+  if (flagErr) throw flagErr;
+
+  if (!vatFlag.void_vat_reversed) {
+    const net = Number(invoice.total_amount || 0);
+    const vat = Number((Number(invoice.final_amount || 0) - net).toFixed(2));
+
+    const { data: items, error: itemsErr } = await supabase
+      .from("invoice_items")
+      .select("total, tax_amount, tax_code, tax_treatment")
+      .eq("invoice_id", invoice.id);
+
+    if (itemsErr) throw itemsErr;
+
+    // negative category lines keep the VAT return boxes in step with vat_reports
+    await postVatReportLines({
+      tenant_id,
+      date: invoice.created_at,
+      reference_type: "invoice_void",
+      reference_id: invoice.id,
+      lines: (items || []).map((it) => ({
+        direction: "sales",
+        tax_code: it.tax_code,
+        tax_treatment: it.tax_treatment || "standard",
+        net_amount: -(Number(it.total) - Number(it.tax_amount || 0)),
+        vat_amount: -Number(it.tax_amount || 0),
+      })),
+      totals: { total_sales: -net, sales_vat: -vat },
+    });
+
+    // flag so a retry never backs the VAT out twice
+    const { error: flagUpdErr } = await supabase
+      .from("invoices")
+      .update({ void_vat_reversed: true })
+      .eq("id", invoice.id);
+
+    if (flagUpdErr) throw flagUpdErr;
+  }
+}
+
+registerJobHandler("invoice_void", reverseInvoicePostings);
+
+// POST /api/invoices/:id/void  (DELETE /api/invoices/:id is kept as an alias)
+// Body: { reason }
+export const voidInvoice = async (req, res) => {
   try {
     const tenant_id = req.user?.tenant_id;
     if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
 
     const { id } = req.params;
+    const reason = (req.body?.reason || req.query.reason || "").trim();
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required to void an invoice" });
+    }
 
-    // Check if invoice exists
     const { data: existingInvoice, error: checkError } = await supabase
       .from("invoices")
-      .select("id, invoice_number")
+      .select("id, invoice_number, status")
       .eq("tenant_id", tenant_id)
       .eq("id", id)
-      .single();
+      .maybeSingle();
 
-    if (checkError || !existingInvoice) {
+    if (checkError) throw checkError;
+    if (!existingInvoice) {
       return res.status(404).json({ error: "Invoice not found" });
     }
+    if (existingInvoice.status === "void") {
+      return res.status(409).json({ error: "Invoice is already void" });
+    }
 
-    // Delete invoice items first
-    const { error: deleteItemsError } = await supabase
-      .from("invoice_items")
-      .delete()
+    // Returns already moved stock/accounting for part of this invoice
+    const { data: returns } = await supabase
+      .from("sales_returns")
+      .select("id")
+      .eq("tenant_id", tenant_id)
       .eq("invoice_id", id)
-      .eq("tenant_id", tenant_id);
+      .limit(1);
 
-    if (deleteItemsError) throw deleteItemsError;
+    if (returns?.length) {
+      return res.status(409).json({
+        error: "Invoice has sales returns and cannot be voided",
+      });
+    }
 
-    // Delete invoice
-    const { error: deleteInvoiceError } = await supabase
-      .from("invoices")
-      .delete()
-      .eq("id", id)
-      .eq("tenant_id", tenant_id);
+    const { data: collected } = await supabase
+      .from("customer_payment")
+      .select("id")
+      .eq("tenant_id", tenant_id)
+      .eq("invoice_id", id)
+      .limit(1);
+
+    if (collected?.length) {
+      return res.status(409).json({
+        error: "Invoice has customer payments recorded and cannot be voided",
+      });
+    }
+
+    // amendment postings are not part of the void reversal
+    const { data: amendments } = await supabase
+      .from("invoice_amendments")
+      .select("id")
+      .eq("tenant_id", tenant_id)
+      .eq("invoice_id", id)
+      .limit(1);
+
+    if (amendments?.length) {
+      return res.status(409).json({
+        error: "Invoice has been amended and cannot be voided; amend it or record a return instead",
+      });
+    }
+
+    // Postings must exist before they can be reversed
+    const { data: pendingJobs } = await supabase
+      .from("jobs")
+      .select("id, status")
+      .eq("tenant_id", tenant_id)
+      .eq("type", "invoice_deferred")
+      .eq("reference_id", String(id))
+      .neq("status", "done");
+
+    if (pendingJobs?.length) {
+      return res.status(409).json({
+        error:
+          "Invoice accounting is still being posted. Re-run failed jobs or try again shortly.",
+        jobs: pendingJobs,
+      });
+    }
 
-    if (deleteInvoiceError) throw deleteInvoiceError;
+    // also queues the "invoice_void" reversal job (035_invoice_void_job.sql)
+    const { data: voided, error: voidErr } = await supabase.rpc("void_invoice", {
+      p_tenant_id: tenant_id,
+      p_invoice_id: id,
+      p_voided_by: req.user.id,
+      p_reason: reason,
+    });
+
+    if (voidErr) {
+      console.error("void_invoice rolled back:", voidErr);
+      return res.status(409).json({ error: voidErr.message });
+    }
 
     return res.json({
       success: true,
-      message: `✅ Invoice #${existingInvoice.invoice_number} deleted successfully!`
+      message: `✅ Invoice #${existingInvoice.invoice_number} voided`,
+      invoice: voided,
     });
   } catch (err) {
-    console.error("❌ Invoice deletion failed:", err);
+    console.error("❌ Invoice void failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/invoices/:id/pdf?template=a4
+// Re-renders a stored invoice; defaults to the template it was issued with.
+export const getInvoicePDF = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const template = req.query.template;
+    if (template && !INVOICE_TEMPLATES.includes(template)) {
+      return res.status(400).json({
+        error: `template must be one of: ${INVOICE_TEMPLATES.join(", ")}`,
+      });
+    }
+
+    const doc = await loadInvoiceForPrint(tenant_id, req.params.id);
+    if (!doc) return res.status(404).json({ error: "Invoice not found" });
+
+    const pdfBuffer = await renderInvoicePDF({
+      template: template || doc.invoice.template,
+      ...doc,
+      businessName: req.user.full_name,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=invoice-${doc.invoice.invoice_number}.pdf`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    console.error("❌ Invoice PDF failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/invoices/:id/reprint   Body: { template?, gift?, reason? }
+// Re-renders from the stored invoice, stamped "DUPLICATE / COPY n" and logged.
+// gift: true gives a gift receipt (quantities only, no prices).
+export const reprintInvoice = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { template, gift = false, reason = null } = req.body || {};
+    if (template && !INVOICE_TEMPLATES.includes(template)) {
+      return res.status(400).json({
+        error: `template must be one of: ${INVOICE_TEMPLATES.join(", ")}`,
+      });
+    }
+
+    const doc = await loadInvoiceForPrint(tenant_id, req.params.id);
+    if (!doc) return res.status(404).json({ error: "Invoice not found" });
+
+    const usedTemplate = gift ? "thermal" : template || doc.invoice.template || "thermal";
+
+    const { data: reprint, error } = await supabase.rpc("log_invoice_reprint", {
+      p_tenant_id: tenant_id,
+      p_invoice_id: doc.invoice.id,
+      p_variant: gift ? "gift" : "duplicate",
+      p_template: usedTemplate,
+      p_reason: reason,
+      p_reprinted_by: req.user.id,
+    });
+
+    if (error) throw error;
+
+    const copyLabel = [
+      doc.invoice.status === "void" ? "VOID" : null,
+      `DUPLICATE / COPY ${reprint.copy_number}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const pdfBuffer = await renderInvoicePDF({
+      template: usedTemplate,
+      ...doc,
+      businessName: req.user.full_name,
+      copyLabel,
+      gift: !!gift,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("X-Copy-Number", String(reprint.copy_number));
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=invoice-${doc.invoice.invoice_number}-copy-${reprint.copy_number}.pdf`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    console.error("❌ Invoice reprint failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/invoices/:id/reprints — who reprinted this invoice and when
+export const getInvoiceReprints = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("invoice_reprints")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .eq("invoice_id", req.params.id)
+      .order("copy_number", { ascending: false });
+
+    if (error) throw error;
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Get Invoice Reprints Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/invoices/:id/xml — UBL 2.1 e-invoice
+export const getInvoiceXML = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const doc = await loadInvoiceForPrint(tenant_id, req.params.id);
+    if (!doc) return res.status(404).json({ error: "Invoice not found" });
+
+    const settings = await getInvoiceSettings(tenant_id);
+    if (!settings.trn) {
+      return res.status(400).json({
+        error: "Set your VAT number (TRN) in invoice settings before exporting e-invoices",
+      });
+    }
+
+    const qr = await buildInvoiceQR({ invoice: doc.invoice, items: doc.items, settings });
+    const xml = buildUBLInvoice({ ...doc, settings, qr });
+
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=invoice-${doc.invoice.invoice_number}.xml`
+    );
+    return res.send(xml);
+  } catch (err) {
+    console.error("❌ Invoice XML failed:", err);
     return res.status(500).json({ error: err.message || "Server Error" });
   }
 };
@@ -139,14 +572,27 @@ export const previewInvoice = async (req, res) => {
     // 1️⃣ FETCH price + tax from DB (IMPORTANT!)
     const productIds = items.map(i => i.product_id);
 
-    const { data: productData, error: prodErr } = await supabase
+    const { data: productRows, error: prodErr } = await supabase
       .from("products")
-      .select("id, selling_price, tax, cost_price")
+      .select("id, name, allow_decimal_qty, selling_price, tax, cost_price, category_id, tax_category_id")
       .in("id", productIds);
 
     if (prodErr)
       return res.status(500).json({ error: "Failed to fetch product info" });
 
+    const qtyErr = quantityError(items, productRows || []);
+    if (qtyErr) return res.status(400).json({ error: qtyErr });
+
+    const productData = await applyTaxCategories(tenant_id, productRows || []);
+
+    // same price list resolution as checkout
+    const { price_list, prices } = await resolvePrices({
+      tenant_id,
+      customer_id,
+      items,
+      products: productData,
+    });
+
     const mergedItems = items.map((i) => {
       const p = productData.find(x => x.id === i.product_id);
       if (!p) throw new Error(`Product not found: ${i.product_id}`);
@@ -154,7 +600,7 @@ export const previewInvoice = async (req, res) => {
       return {
         product_id: i.product_id,
         qty: i.qty,
-        price: Number(p.selling_price),
+        price: prices[p.id],
         tax: Number(p.tax),
         cost_price: Number(p.cost_price)
       };
@@ -177,11 +623,15 @@ export const previewInvoice = async (req, res) => {
     }
 
     // 3️⃣ APPLY DISCOUNTS (now we use mergedItems)
+    const invoiceSettings = await getInvoiceSettings(tenant_id);
+    const { pricing_mode } = invoiceSettings;
+
     const discountResult = await applyDiscounts({
       items: mergedItems,
       tenant_id,
       customer,
-      couponCode: coupon_code
+      couponCode: coupon_code,
+      pricingMode: pricing_mode
     });
 
     const {
@@ -198,6 +648,8 @@ export const previewInvoice = async (req, res) => {
     const vatItems = itemsWithDiscounts.map(it => ({
       product_id: it.product_id,
       tax_rate: it.tax,
+      tax_code: productData.find(p => p.id === it.product_id)?.tax_code || null,
+      tax_treatment: productData.find(p => p.id === it.product_id)?.tax_treatment,
       taxAmount: it.taxAmount
     }));
 
@@ -226,6 +678,12 @@ const final_preview_total = Math.max(
   0
 );
 
+    // what the till collects if the whole bill is paid in cash
+    const cash_rounding = cashRoundingFor(
+      [{ method: "cash", amount: final_preview_total }],
+      cashRoundingRule(invoiceSettings)
+    );
+
     return res.json({
       success: true,
       preview: {
@@ -242,7 +700,11 @@ const final_preview_total = Math.max(
           items: vatItems
         },
         cogs_estimate,
-        employee_discount_preview
+        employee_discount_preview,
+        price_list,
+        pricing_mode,
+        cash_rounding,
+        cash_due: Number((final_preview_total + cash_rounding).toFixed(2))
       },
       items: itemsWithDiscounts
     });
@@ -0,0 +1,107 @@
+// controllers/invoiceSettingsController.js
+// Seller details and default template printed on the tenant's invoices.
+import { supabase } from "../supabase/supabaseClient.js";
+import {
+  INVOICE_TEMPLATES,
+  PRICING_MODES,
+  getInvoiceSettings,
+} from "../services/invoiceDocumentService.js";
+import {
+  CASH_ROUNDING_INCREMENTS,
+  CASH_ROUNDING_MODES,
+  CURRENCY_CASH_INCREMENTS,
+} from "../utils/cashRounding.js";
+
+const EDITABLE_KEYS = [
+  "legal_name",
+  "trn",
+  "address",
+  "phone",
+  "email",
+  "logo_url",
+  "brand_color",
+  "currency",
+  "footer_note",
+  "default_template",
+  "pricing_mode",
+  "cash_rounding_enabled",
+  "cash_rounding_increment",
+  "cash_rounding_mode",
+];
+
+// GET /api/invoices/settings
+export const getInvoiceTemplateSettings = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const data = await getInvoiceSettings(tenant_id);
+    return res.json({
+      success: true,
+      data,
+      templates: INVOICE_TEMPLATES,
+      pricing_modes: PRICING_MODES,
+      cash_rounding: {
+        increments: CASH_ROUNDING_INCREMENTS,
+        modes: CASH_ROUNDING_MODES,
+        currency_defaults: CURRENCY_CASH_INCREMENTS,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Get Invoice Settings Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// PUT /api/invoices/settings
+export const updateInvoiceTemplateSettings = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const payload = { tenant_id, updated_at: new Date().toISOString() };
+    for (const k of EDITABLE_KEYS) {
+      if (Object.prototype.hasOwnProperty.call(req.body, k)) payload[k] = req.body[k];
+    }
+
+    if (payload.default_template && !INVOICE_TEMPLATES.includes(payload.default_template)) {
+      return res.status(400).json({
+        error: `default_template must be one of: ${INVOICE_TEMPLATES.join(", ")}`,
+      });
+    }
+
+    if (payload.pricing_mode && !PRICING_MODES.includes(payload.pricing_mode)) {
+      return res.status(400).json({
+        error: `pricing_mode must be one of: ${PRICING_MODES.join(", ")}`,
+      });
+    }
+
+    if (
+      payload.cash_rounding_increment != null &&
+      !CASH_ROUNDING_INCREMENTS.includes(Number(payload.cash_rounding_increment))
+    ) {
+      return res.status(400).json({
+        error: `cash_rounding_increment must be one of: ${CASH_ROUNDING_INCREMENTS.join(", ")} (or null for the currency default)`,
+      });
+    }
+
+    if (payload.cash_rounding_mode && !CASH_ROUNDING_MODES.includes(payload.cash_rounding_mode)) {
+      return res.status(400).json({
+        error: `cash_rounding_mode must be one of: ${CASH_ROUNDING_MODES.join(", ")}`,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("tenant_invoice_settings")
+      .upsert([payload], { onConflict: "tenant_id" })
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return res.json({ success: true, message: "Invoice settings saved", data });
+  } catch (err) {
+    console.error("❌ Update Invoice Settings Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -0,0 +1,122 @@
+import { supabase } from "../supabase/supabaseClient.js";
+
+// GET /api/jobs?status=failed&invoice_id=123&type=invoice_deferred&page=1&limit=20
+export const getJobs = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { status, type, invoice_id } = req.query;
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("jobs")
+      .select("*", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (status) query = query.eq("status", status);
+    if (type) query = query.eq("type", type);
+    if (invoice_id) query = query.eq("reference_id", String(invoice_id));
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get jobs failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/jobs/:id/retry - re-queue one failed job
+export const retryJob = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { id } = req.params;
+
+    const { data: job, error: fetchErr } = await supabase
+      .from("jobs")
+      .select("id, status")
+      .eq("tenant_id", tenant_id)
+      .eq("id", id)
+      .maybeSingle();
+
+    if (fetchErr) throw fetchErr;
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    if (job.status !== "failed") {
+      return res
+        .status(400)
+        .json({ error: `Only failed jobs can be re-run (job is ${job.status})` });
+    }
+
+    const { data, error } = await supabase
+      .from("jobs")
+      .update({
+        status: "pending",
+        attempts: 0,
+        run_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .eq("tenant_id", tenant_id)
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return res.json({ success: true, message: "Job re-queued", data });
+  } catch (err) {
+    console.error("❌ Retry job failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/jobs/invoice/:invoiceId/retry - re-queue every failed job of an invoice
+export const retryInvoiceJobs = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { invoiceId } = req.params;
+
+    const { data, error } = await supabase
+      .from("jobs")
+      .update({
+        status: "pending",
+        attempts: 0,
+        run_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("tenant_id", tenant_id)
+      .eq("reference_id", String(invoiceId))
+      .eq("status", "failed")
+      .select("*");
+
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      message: `${data.length} job(s) re-queued`,
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Retry invoice jobs failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -0,0 +1,303 @@
+// controllers/offlineSyncController.js
+// Invoices captured by a till while it was offline (migrations/022_offline_sync.sql).
+// Each sale is replayed through checkoutInvoice — same pricing, stock and
+// accounting path as a live checkout, without rendering a receipt nobody
+// prints — in the order it was captured, and keeps its original sale time.
+import { supabase } from "../supabase/supabaseClient.js";
+import { checkoutInvoice } from "./billinController2.js";
+
+const MAX_BATCH = 50; // keeps a batch inside the default 100kb JSON body limit
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// stands in for the Express response so checkoutInvoice can run once per sale
+function captureResponse() {
+  const out = { statusCode: 200, body: null, locals: {}, headersSent: false };
+  out.status = (code) => {
+    out.statusCode = code;
+    return out;
+  };
+  out.setHeader = () => out;
+  out.json = out.send = (body) => {
+    out.body = body;
+    out.headersSent = true;
+    return out;
+  };
+  return out;
+}
+
+function checkSale(sale, cashiers) {
+  if (!sale || !UUID_RE.test(String(sale.client_uuid || ""))) {
+    return "client_uuid must be a UUID";
+  }
+  if (sale.handled_by && !cashiers.has(sale.handled_by)) {
+    return "handled_by is not a user of this tenant";
+  }
+  const capturedAt = new Date(sale.captured_at);
+  if (!sale.captured_at || isNaN(capturedAt)) {
+    return "captured_at must be a timestamp";
+  }
+  if (capturedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return "captured_at is in the future";
+  }
+  if (!Array.isArray(sale.items) || !sale.items.length) {
+    return "No items provided";
+  }
+  return null;
+}
+
+// A rejected replay is a conflict when someone can resolve it
+// (review prices, get a credit approval, drop the coupon) and resubmit.
+function classifyRejection(sale, body) {
+  const message = [body?.error, body?.details].filter(Boolean).join(": ") || "Sync failed";
+
+  if (body?.code === "PRICE_CHANGED") {
+    return { status: "conflict", conflicts: [{ type: "price_changed", items: body.conflicts }], error: message };
+  }
+  if (String(body?.code || "").startsWith("CREDIT_")) {
+    return {
+      status: "conflict",
+      conflicts: [{ type: "credit", code: body.code, approval_id: body.approval?.id || null }],
+      error: message,
+    };
+  }
+  if (sale.coupon_code && /coupon/i.test(message)) {
+    return {
+      status: "conflict",
+      conflicts: [{ type: "coupon_exhausted", coupon_code: sale.coupon_code }],
+      error: message,
+    };
+  }
+  return { status: "failed", conflicts: [], error: message };
+}
+
+async function findSyncedInvoice(tenant_id, client_uuid) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .select("id, invoice_number, final_amount")
+    .eq("tenant_id", tenant_id)
+    .eq("client_uuid", client_uuid)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function replaySale(req, sale) {
+  const tenant_id = req.user.tenant_id;
+
+  const { client_uuid, captured_at, accept_server_prices, handled_by, ...body } = sale;
+  const replayReq = Object.assign(Object.create(req), {
+    body,
+    offline: {
+      client_uuid,
+      captured_at,
+      accept_server_prices: !!accept_server_prices,
+      handled_by: handled_by || req.user.id,
+    },
+  });
+  const out = captureResponse();
+
+  let checkout;
+  try {
+    checkout = await checkoutInvoice(replayReq, out);
+  } catch (err) {
+    console.error(`❌ Offline sale ${client_uuid} failed:`, err);
+    out.status(500).json({ error: err.message || "Server error" });
+  }
+
+  // a rejected sale was answered into `out` instead
+  if (!out.headersSent) {
+    const shortfall = checkout.stockShortfall;
+    return {
+      status: "synced",
+      invoice: checkout.invoice,
+      conflicts: shortfall.length ? [{ type: "stock_negative", items: shortfall }] : [],
+      error: null,
+    };
+  }
+
+  // the same sale already went through (e.g. two batches in flight)
+  const existing = await findSyncedInvoice(tenant_id, client_uuid);
+  if (existing) return { status: "duplicate", invoice: existing, conflicts: [], error: null };
+
+  return { invoice: null, ...classifyRejection(sale, out.body) };
+}
+
+/**
+ * ============================================================
+ * POST /api/sync/invoices
+ * Body: {
+ *   device_id?,
+ *   invoices: [{ client_uuid, captured_at, items: [{ product_id, qty, price? }],
+ *                ...same fields as POST /api/billing,
+ *                handled_by?, accept_server_prices? }]
+ * }
+ * `price` is the unit price the till charged; a difference from the
+ * current price is a price_changed conflict unless accept_server_prices.
+ * `handled_by` is the cashier logged in on the till when the sale was made
+ * (defaults to the user syncing). Malformed sales are conflicts, not replayed.
+ * Result per sale: synced | duplicate | conflict | failed.
+ * ============================================================
+ */
+export const syncOfflineInvoices = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { device_id = null, invoices } = req.body;
+
+    if (!Array.isArray(invoices) || !invoices.length) {
+      return res.status(400).json({ error: "invoices must be a non-empty array" });
+    }
+    if (invoices.length > MAX_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH} invoices per batch` });
+    }
+
+    const uuids = invoices.map((s) => s?.client_uuid).filter((u) => UUID_RE.test(String(u || "")));
+    const { data: previous, error: prevErr } = uuids.length
+      ? await supabase
+          .from("offline_sync_invoices")
+          .select("client_uuid, status, invoice_id")
+          .eq("tenant_id", tenant_id)
+          .in("client_uuid", uuids)
+      : { data: [], error: null };
+
+    if (prevErr) throw prevErr;
+
+    const cashierIds = [
+      ...new Set(invoices.map((s) => s?.handled_by).filter((u) => UUID_RE.test(String(u || "")))),
+    ];
+    const { data: cashiers, error: cashierErr } = cashierIds.length
+      ? await supabase.from("users").select("id").eq("tenant_id", tenant_id).in("id", cashierIds)
+      : { data: [], error: null };
+
+    if (cashierErr) throw cashierErr;
+    const knownCashiers = new Set((cashiers || []).map((u) => u.id));
+
+    // malformed sales are sent back up front; the rest replay in the order
+    // they happened (submitted order breaks ties)
+    const results = [];
+    const ordered = [];
+    invoices.forEach((sale, index) => {
+      const invalid = checkSale(sale, knownCashiers);
+      if (invalid) {
+        results.push({
+          client_uuid: sale?.client_uuid || null,
+          captured_at: sale?.captured_at ?? null,
+          status: "conflict",
+          conflicts: [{ type: "invalid_sale" }],
+          error: invalid,
+        });
+        return;
+      }
+      ordered.push({ sale, index, at: new Date(sale.captured_at).getTime() });
+    });
+    ordered.sort((a, b) => a.at - b.at || a.index - b.index);
+
+    for (const { sale } of ordered) {
+      const before = previous.find((p) => p.client_uuid === sale.client_uuid);
+      if (before?.status === "synced") {
+        results.push({
+          client_uuid: sale.client_uuid,
+          captured_at: sale.captured_at,
+          status: "duplicate",
+          invoice_id: before.invoice_id,
+          conflicts: [],
+          error: null,
+        });
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await replaySale(req, sale);
+      } catch (err) {
+        console.error(`❌ Offline sale ${sale.client_uuid} failed:`, err);
+        outcome = { status: "failed", invoice: null, conflicts: [], error: err.message };
+      }
+
+      if (outcome.status !== "duplicate") {
+        const { error: logErr } = await supabase.from("offline_sync_invoices").upsert(
+          [{
+            tenant_id,
+            client_uuid: sale.client_uuid,
+            device_id,
+            captured_at: sale.captured_at,
+            status: outcome.status,
+            invoice_id: outcome.invoice?.id || null,
+            conflicts: outcome.conflicts,
+            error: outcome.error,
+            payload: sale,
+            synced_by: req.user.id,
+            updated_at: new Date().toISOString(),
+          }],
+          { onConflict: "tenant_id,client_uuid" }
+        );
+        if (logErr) console.error("❌ Could not log offline sale:", logErr);
+      }
+
+      results.push({
+        client_uuid: sale.client_uuid,
+        captured_at: sale.captured_at,
+        status: outcome.status,
+        invoice_id: outcome.invoice?.id || null,
+        invoice_number: outcome.invoice?.invoice_number || null,
+        final_amount: outcome.invoice?.final_amount ?? null,
+        conflicts: outcome.conflicts,
+        error: outcome.error,
+      });
+    }
+
+    const summary = { synced: 0, duplicate: 0, conflict: 0, failed: 0 };
+    results.forEach((r) => (summary[r.status] += 1));
+
+    return res.json({ success: true, summary, results });
+  } catch (err) {
+    console.error("❌ Offline Sync Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET /api/sync/invoices?status=conflict&device_id=
+ * Offline sales received, newest capture first (conflicts to review).
+ * ============================================================
+ */
+export const getOfflineSyncLog = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("offline_sync_invoices")
+      .select("*", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("captured_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (req.query.device_id) query = query.eq("device_id", req.query.device_id);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get Offline Sync Log Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
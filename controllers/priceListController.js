@@ -0,0 +1,340 @@
+// controllers/priceListController.js
+// Price lists (migrations/017_price_lists.sql): retail / wholesale / VIP
+// prices per product, per category or list-wide, as a fixed price or a
+// percent off selling_price, with quantity-break tiers (min_qty).
+// Checkout resolves them in services/priceListService.js.
+import { supabase } from "../supabase/supabaseClient.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function listFields(body, base = {}) {
+  const fields = {
+    name: body.name !== undefined ? String(body.name).trim() : base.name,
+    description: body.description !== undefined ? body.description : base.description,
+    is_default: body.is_default ?? base.is_default ?? false,
+    is_active: body.is_active ?? base.is_active ?? true,
+    valid_from: body.valid_from !== undefined ? body.valid_from || null : base.valid_from ?? null,
+    valid_to: body.valid_to !== undefined ? body.valid_to || null : base.valid_to ?? null,
+  };
+
+  if (!fields.name) return { error: "name is required" };
+  for (const key of ["valid_from", "valid_to"]) {
+    if (fields[key] && !DATE_RE.test(fields[key])) {
+      return { error: `${key} must be YYYY-MM-DD` };
+    }
+  }
+  if (fields.valid_from && fields.valid_to && fields.valid_to < fields.valid_from) {
+    return { error: "valid_to is before valid_from" };
+  }
+  return { fields };
+}
+
+// [{ product_id? | category_id?, min_qty?, price? | discount_percent? }]
+function buildRules(tenant_id, price_list_id, items) {
+  if (!Array.isArray(items)) return { error: "items must be an array" };
+
+  const rows = [];
+  for (const it of items) {
+    const hasPrice = it.price !== undefined && it.price !== null && it.price !== "";
+    const hasPercent =
+      it.discount_percent !== undefined && it.discount_percent !== null && it.discount_percent !== "";
+
+    if (hasPrice === hasPercent) {
+      return { error: "Each rule needs either price or discount_percent" };
+    }
+    if (it.product_id && it.category_id) {
+      return { error: "A rule targets a product or a category, not both" };
+    }
+
+    const row = {
+      tenant_id,
+      price_list_id,
+      product_id: it.product_id ? Number(it.product_id) : null,
+      category_id: it.category_id ? Number(it.category_id) : null,
+      min_qty: Number(it.min_qty ?? 1),
+      price: hasPrice ? Number(it.price) : null,
+      discount_percent: hasPercent ? Number(it.discount_percent) : null,
+    };
+
+    if (!(row.min_qty > 0)) return { error: "min_qty must be greater than 0" };
+    if (hasPrice && !(row.price >= 0)) return { error: "price must be 0 or more" };
+    if (hasPercent && !(row.discount_percent >= 0 && row.discount_percent <= 100)) {
+      return { error: "discount_percent must be between 0 and 100" };
+    }
+    rows.push(row);
+  }
+  return { rows };
+}
+
+async function replaceRules(tenant_id, price_list_id, rows) {
+  const { error: delErr } = await supabase
+    .from("price_list_items")
+    .delete()
+    .eq("tenant_id", tenant_id)
+    .eq("price_list_id", price_list_id);
+
+  if (delErr) throw delErr;
+  if (!rows.length) return;
+
+  const { error } = await supabase.from("price_list_items").insert(rows);
+  if (error) throw error;
+}
+
+// only one default list per tenant
+async function clearDefault(tenant_id, exceptId = null) {
+  let query = supabase
+    .from("price_lists")
+    .update({ is_default: false, updated_at: new Date().toISOString() })
+    .eq("tenant_id", tenant_id)
+    .eq("is_default", true);
+
+  if (exceptId) query = query.neq("id", exceptId);
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+async function loadPriceList(tenant_id, id) {
+  const { data, error } = await supabase
+    .from("price_lists")
+    .select("*, price_list_items (id, product_id, category_id, min_qty, price, discount_percent, products (name, selling_price))")
+    .eq("tenant_id", tenant_id)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * ============================================================
+ * GET /api/price-lists
+ * ============================================================
+ */
+export const getPriceLists = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("price_lists")
+      .select("*, price_list_items (count), customers (count)")
+      .eq("tenant_id", tenant_id)
+      .order("name");
+
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      data: (data || []).map(({ price_list_items, customers, ...list }) => ({
+        ...list,
+        rule_count: price_list_items?.[0]?.count || 0,
+        customer_count: customers?.[0]?.count || 0,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ Get Price Lists Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * GET /api/price-lists/:id
+ * ============================================================
+ */
+export const getPriceListById = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const data = await loadPriceList(tenant_id, req.params.id);
+    if (!data) return res.status(404).json({ error: "Price list not found" });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Get Price List Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/price-lists
+ * Body: { name, description?, is_default?, is_active?, valid_from?,
+ *         valid_to?, items?: [{ product_id | category_id, min_qty?,
+ *         price | discount_percent }] }
+ * ============================================================
+ */
+export const createPriceList = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { fields, error: fieldErr } = listFields(req.body);
+    if (fieldErr) return res.status(400).json({ error: fieldErr });
+
+    const checked = buildRules(tenant_id, null, req.body.items || []);
+    if (checked.error) return res.status(400).json({ error: checked.error });
+
+    if (fields.is_default) await clearDefault(tenant_id);
+
+    const { data: list, error } = await supabase
+      .from("price_lists")
+      .insert([{ tenant_id, ...fields }])
+      .select("*")
+      .single();
+
+    if (error && error.code === "23505") {
+      return res.status(400).json({ error: "A price list with this name already exists" });
+    }
+    if (error) throw error;
+
+    await replaceRules(
+      tenant_id,
+      list.id,
+      checked.rows.map((r) => ({ ...r, price_list_id: list.id }))
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Price list created",
+      data: await loadPriceList(tenant_id, list.id),
+    });
+  } catch (err) {
+    console.error("❌ Create Price List Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * PUT /api/price-lists/:id
+ * Same body as create; items, when sent, replace all rules.
+ * ============================================================
+ */
+export const updatePriceList = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data: current, error: curErr } = await supabase
+      .from("price_lists")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (curErr) throw curErr;
+    if (!current) return res.status(404).json({ error: "Price list not found" });
+
+    const { fields, error: fieldErr } = listFields(req.body, current);
+    if (fieldErr) return res.status(400).json({ error: fieldErr });
+
+    let rules = null;
+    if (req.body.items !== undefined) {
+      const checked = buildRules(tenant_id, current.id, req.body.items);
+      if (checked.error) return res.status(400).json({ error: checked.error });
+      rules = checked.rows;
+    }
+
+    if (fields.is_default) await clearDefault(tenant_id, current.id);
+
+    const { error } = await supabase
+      .from("price_lists")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("tenant_id", tenant_id)
+      .eq("id", current.id);
+
+    if (error && error.code === "23505") {
+      return res.status(400).json({ error: "A price list with this name already exists" });
+    }
+    if (error) throw error;
+
+    if (rules) await replaceRules(tenant_id, current.id, rules);
+
+    return res.json({
+      success: true,
+      message: "Price list updated",
+      data: await loadPriceList(tenant_id, current.id),
+    });
+  } catch (err) {
+    console.error("❌ Update Price List Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/price-lists/:id/customers   Body: { customer_ids: [] }
+ * Moves the customers onto this list (a customer has one list).
+ * ============================================================
+ */
+export const assignPriceListCustomers = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const customer_ids = req.body?.customer_ids;
+    if (!Array.isArray(customer_ids) || customer_ids.length === 0) {
+      return res.status(400).json({ error: "customer_ids is required" });
+    }
+
+    const { data: list, error: listErr } = await supabase
+      .from("price_lists")
+      .select("id")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (listErr) throw listErr;
+    if (!list) return res.status(404).json({ error: "Price list not found" });
+
+    const { data, error } = await supabase
+      .from("customers")
+      .update({ price_list_id: list.id })
+      .eq("tenant_id", tenant_id)
+      .in("id", customer_ids)
+      .select("id, name, phone, price_list_id");
+
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      message: `${data.length} customer(s) assigned`,
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Assign Price List Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * DELETE /api/price-lists/:id
+ * Assigned customers fall back to the default list / selling_price.
+ * ============================================================
+ */
+export const deletePriceList = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("price_lists")
+      .delete()
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Price list not found" });
+
+    return res.json({ success: true, message: "Price list removed", data });
+  } catch (err) {
+    console.error("❌ Delete Price List Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
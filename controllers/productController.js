@@ -1,4 +1,99 @@
 import { supabase } from "../supabase/supabaseClient.js";
+import { chargedRate, getTaxCategories, rateOn } from "../services/taxCategoryService.js";
+import { lookupBarcode } from "../services/scaleBarcodeService.js";
+
+const PRODUCT_TYPES = ["standard", "bundle"];
+
+const isPluTaken = (error) =>
+  error?.code === "23505" && String(error.message).includes("products_tenant_plu_idx");
+
+/**
+ * Checks bundle components [{ product_id, quantity }] and returns the
+ * product_bundle_items rows, or { error } for a 400.
+ * Components must be this tenant's standard products (no nested bundles).
+ */
+async function buildBundleItems(tenant_id, bundle_id, components) {
+  if (!Array.isArray(components) || components.length === 0) {
+    return { error: "A bundle needs at least one component" };
+  }
+
+  const byProduct = {};
+  for (const c of components) {
+    const product_id = Number(c.product_id);
+    const quantity = Number(c.quantity);
+    if (!product_id || !(quantity > 0)) {
+      return { error: "Each component needs product_id and quantity > 0" };
+    }
+    if (bundle_id && product_id === Number(bundle_id)) {
+      return { error: "A bundle cannot contain itself" };
+    }
+    byProduct[product_id] = (byProduct[product_id] || 0) + quantity;
+  }
+
+  const ids = Object.keys(byProduct).map(Number);
+  const { data: found, error } = await supabase
+    .from("products")
+    .select("id, name, product_type")
+    .eq("tenant_id", tenant_id)
+    .in("id", ids);
+
+  if (error) throw error;
+
+  const missing = ids.filter((id) => !found?.some((p) => p.id === id));
+  if (missing.length) {
+    return { error: `Component products not found: ${missing.join(", ")}` };
+  }
+  const nested = found.find((p) => p.product_type === "bundle");
+  if (nested) {
+    return { error: `${nested.name} is a bundle and cannot be a component` };
+  }
+
+  return {
+    rows: ids.map((component_product_id) => ({
+      tenant_id,
+      component_product_id,
+      quantity: byProduct[component_product_id],
+    })),
+  };
+}
+
+async function replaceBundleItems(tenant_id, bundle_id, rows) {
+  const { error: delErr } = await supabase
+    .from("product_bundle_items")
+    .delete()
+    .eq("tenant_id", tenant_id)
+    .eq("bundle_product_id", bundle_id);
+
+  if (delErr) throw delErr;
+  if (!rows.length) return;
+
+  const { error } = await supabase
+    .from("product_bundle_items")
+    .insert(rows.map((r) => ({ ...r, bundle_product_id: bundle_id })));
+
+  if (error) throw error;
+}
+
+// tax_category_id → the products.tax it implies today, or { error }
+async function taxFromCategory(tenant_id, tax_category_id) {
+  const [category] = await getTaxCategories(tenant_id, [tax_category_id]);
+  if (!category) return { error: "Tax category not found" };
+  return { tax: chargedRate(category.treatment, rateOn(category)) };
+}
+
+async function getBundleItems(tenant_id, bundle_id) {
+  const { data, error } = await supabase
+    .from("product_bundle_items")
+    .select(
+      "component_product_id, quantity, component:products!product_bundle_items_component_fk (id, name, sku, cost_price, selling_price)"
+    )
+    .eq("tenant_id", tenant_id)
+    .eq("bundle_product_id", bundle_id)
+    .order("id");
+
+  if (error) throw error;
+  return data || [];
+}
 
 // ✅ CREATE PRODUCT
 export const createProduct = async (req, res) => {
@@ -21,10 +116,32 @@ export const createProduct = async (req, res) => {
   supplier_code = "",
   hsn_code = "",
   features = "",
+  product_type = "standard",
+  components,
+  tax_category_id = null,
+  allow_decimal_qty = false,
+  plu_code = null,
 } = req.body;
 
 
     if (!name) return res.status(400).json({ error: "Product name required" });
+    if (!PRODUCT_TYPES.includes(product_type)) {
+      return res.status(400).json({ error: `product_type must be one of: ${PRODUCT_TYPES.join(", ")}` });
+    }
+
+    let productTax = tax;
+    if (tax_category_id) {
+      const fromCategory = await taxFromCategory(tenant_id, tax_category_id);
+      if (fromCategory.error) return res.status(400).json({ error: fromCategory.error });
+      productTax = fromCategory.tax;
+    }
+
+    let bundleItems = [];
+    if (product_type === "bundle") {
+      const built = await buildBundleItems(tenant_id, null, components);
+      if (built.error) return res.status(400).json({ error: built.error });
+      bundleItems = built.rows;
+    }
 
     const { data, error } = await supabase
       .from("products")
@@ -36,7 +153,8 @@ export const createProduct = async (req, res) => {
     brand,
     description,
     unit,
-    tax,
+    tax: productTax,
+    tax_category_id,
     cost_price,
     selling_price,
     sku,
@@ -45,13 +163,29 @@ export const createProduct = async (req, res) => {
     supplier_code,
     hsn_code,
     features,
+    product_type,
+    allow_decimal_qty: !!allow_decimal_qty,
+    plu_code: plu_code || null,
   }
 ])
 
       .select()
       .single();
 
+    if (isPluTaken(error)) return res.status(400).json({ error: `PLU ${plu_code} is already used` });
     if (error) throw error;
+
+    if (bundleItems.length) {
+      try {
+        await replaceBundleItems(tenant_id, data.id, bundleItems);
+      } catch (bundleErr) {
+        // no half-created bundles
+        await supabase.from("products").delete().match({ id: data.id, tenant_id });
+        throw bundleErr;
+      }
+      data.components = await getBundleItems(tenant_id, data.id);
+    }
+
     return res.status(201).json({ data });
   } catch (err) {
     console.error("createProduct error:", err);
@@ -142,6 +276,10 @@ export const getProductById = async (req, res) => {
     if (error) throw error;
     if (!data) return res.status(404).json({ error: "Product not found" });
 
+    if (data.product_type === "bundle") {
+      data.components = await getBundleItems(tenant_id, data.id);
+    }
+
     return res.json({ data });
   } catch (err) {
     console.error("getProductById error:", err);
@@ -149,6 +287,26 @@ export const getProductById = async (req, res) => {
   }
 };
 
+// ✅ LOOKUP BY SCANNED CODE (barcode, SKU or scale label)
+export const getProductByBarcode = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const result = await lookupBarcode(tenant_id, req.params.code);
+    if (!result?.product) {
+      return res.status(404).json({
+        error: result?.plu ? `No product with PLU ${result.plu}` : "No product for this barcode",
+      });
+    }
+
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    console.error("getProductByBarcode error:", err);
+    return res.status(500).json({ error: err.message || "Server error" });
+  }
+};
+
 // ✅ UPDATE PRODUCT
 export const updateProduct = async (req, res) => {
   try {
@@ -170,8 +328,54 @@ export const updateProduct = async (req, res) => {
   supplier_code,
   hsn_code,
   features,
+  product_type,
+  components,
+  tax_category_id,
+  allow_decimal_qty,
+  plu_code,
 } = req.body;
 
+    let categoryTax;
+    if (tax_category_id) {
+      const fromCategory = await taxFromCategory(tenant_id, tax_category_id);
+      if (fromCategory.error) return res.status(400).json({ error: fromCategory.error });
+      categoryTax = fromCategory.tax;
+    }
+
+    if (product_type !== undefined && !PRODUCT_TYPES.includes(product_type)) {
+      return res.status(400).json({ error: `product_type must be one of: ${PRODUCT_TYPES.join(", ")}` });
+    }
+
+    const { data: current, error: curErr } = await supabase
+      .from("products")
+      .select("id, product_type")
+      .match({ id: Number(id), tenant_id })
+      .maybeSingle();
+
+    if (curErr) throw curErr;
+    if (!current) return res.status(404).json({ error: "Not found or not yours" });
+
+    const nextType = product_type || current.product_type;
+    let bundleItems = null; // null = leave components as they are
+
+    if (nextType === "bundle" && (components !== undefined || current.product_type !== "bundle")) {
+      const { count: usedIn, error: usedErr } = await supabase
+        .from("product_bundle_items")
+        .select("id", { count: "exact", head: true })
+        .eq("tenant_id", tenant_id)
+        .eq("component_product_id", current.id);
+
+      if (usedErr) throw usedErr;
+      if (usedIn) {
+        return res.status(400).json({ error: "This product is a component of another bundle" });
+      }
+
+      const built = await buildBundleItems(tenant_id, current.id, components);
+      if (built.error) return res.status(400).json({ error: built.error });
+      bundleItems = built.rows;
+    } else if (nextType === "standard" && current.product_type === "bundle") {
+      bundleItems = [];
+    }
 
     const updatePayload = {
       ...(name && { name }),
@@ -189,18 +393,36 @@ export const updateProduct = async (req, res) => {
       ...(supplier_code && { supplier_code }),
       ...(hsn_code && { hsn_code }),
       ...(features && { features }),
+      ...(product_type && { product_type }),
+      ...(tax_category_id !== undefined && { tax_category_id: tax_category_id || null }),
+      ...(categoryTax !== undefined && { tax: categoryTax }),
+      ...(allow_decimal_qty !== undefined && { allow_decimal_qty: !!allow_decimal_qty }),
+      ...(plu_code !== undefined && { plu_code: plu_code || null }),
     };
 
-    const { data, error } = await supabase
-      .from("products")
-      .update(updatePayload)
-      .match({ id: Number(id), tenant_id })
-      .select()
-      .single();
-
+    // a components-only change has nothing to update on the product row
+    const { data, error } = Object.keys(updatePayload).length
+      ? await supabase
+          .from("products")
+          .update(updatePayload)
+          .match({ id: Number(id), tenant_id })
+          .select()
+          .single()
+      : await supabase
+          .from("products")
+          .select("*")
+          .match({ id: Number(id), tenant_id })
+          .single();
+
+    if (isPluTaken(error)) return res.status(400).json({ error: `PLU ${plu_code} is already used` });
     if (error) throw error;
     if (!data) return res.status(404).json({ error: "Not found or not yours" });
 
+    if (bundleItems) await replaceBundleItems(tenant_id, data.id, bundleItems);
+    if (data.product_type === "bundle") {
+      data.components = await getBundleItems(tenant_id, data.id);
+    }
+
     return res.json({ data });
   } catch (err) {
     console.error("updateProduct error:", err);
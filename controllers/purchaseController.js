@@ -1,6 +1,7 @@
 import { supabase } from "../supabase/supabaseClient.js";
-import { getNextPurchaseSequence } from "../utils/getNextPurchaseSequence.js";
 import { addJournalEntry } from "../services/addJournalEntryService.js";
+import { applyTaxCategories, postVatReportLines } from "../services/taxCategoryService.js";
+import { markIdempotentCommitted } from "../middleware/idempotency.js";
 // ===========================
 // ACCOUNTING HELPERS
 // ===========================
@@ -271,6 +272,7 @@ export const createPurchase = async (req, res) => {
       supplier_id,
       items,
       payment_method = "cash", // cash | upi | card | bank | credit
+      branch_code = null,
     } = req.body;
     console.log("Received purchase creation request:", req.body);
 
@@ -287,38 +289,49 @@ export const createPurchase = async (req, res) => {
     ====================================================== */
     const productIds = [...new Set(items.map(i => i.product_id))];
 
-    const { data: products, error: prodErr } = await supabase
+    const { data: productRows, error: prodErr } = await supabase
       .from("products")
-      .select("id, tax")
+      .select("id, tax, tax_category_id")
       .eq("tenant_id", tenant_id)
       .in("id", productIds);
 
     if (prodErr) throw prodErr;
-    if (!products || products.length === 0) {
+    if (!productRows || productRows.length === 0) {
       return res.status(400).json({ error: "Products not found" });
     }
 
+    // tax category treatment + rate in force today (else products.tax)
+    const products = await applyTaxCategories(tenant_id, productRows);
+
     const taxMap = {};
     products.forEach(p => {
-      taxMap[p.id] = Number(p.tax || 0);
+      taxMap[p.id] = p;
     });
 
     /* ======================================================
        2️⃣ CALCULATE TOTALS (NET + VAT)
+       reverse charge: the supplier bills no VAT, we self-account
+       output and input VAT at the category rate (reverseChargeTotal)
     ====================================================== */
     let netTotal = 0;
     let taxTotal = 0;
+    let reverseChargeTotal = 0;
 
     const normalizedItems = items.map(item => {
       const qty = Number(item.quantity || 0);
       const cost = Number(item.cost_price || 0);
       const lineNet = qty * cost;
 
-      const taxRate = taxMap[item.product_id] || 0;
-      const lineTax = (lineNet * taxRate) / 100;
+      const product = taxMap[item.product_id];
+      const taxRate = Number(product?.tax || 0);
+      const lineTax = Number(((lineNet * taxRate) / 100).toFixed(2));
+      const reverseCharge = product?.tax_treatment === "reverse_charge"
+        ? Number(((lineNet * product.tax_rate) / 100).toFixed(2))
+        : 0;
 
       netTotal += lineNet;
       taxTotal += lineTax;
+      reverseChargeTotal += reverseCharge;
 
    return {
   product_id: item.product_id,
@@ -327,56 +340,45 @@ export const createPurchase = async (req, res) => {
   expiry_date: item.expiry_date ?? null,
   reorder_level: item.reorder_level ?? null,
   max_stock: item.max_stock ?? null,
+  line_net: lineNet,
+  tax_rate: reverseCharge ? product.tax_rate : taxRate,
+  tax_amount: lineTax,
+  reverse_charge: reverseCharge,
+  tax_category_id: product?.tax_category_id ?? null,
+  tax_code: product?.tax_code ?? null,
+  tax_treatment: product?.tax_treatment || "standard",
 };
 
     });
 
     netTotal = Number(netTotal.toFixed(2));
     taxTotal = Number(taxTotal.toFixed(2));
+    reverseChargeTotal = Number(reverseChargeTotal.toFixed(2));
     const total_amount = Number((netTotal + taxTotal).toFixed(2));
 
     /* ======================================================
-       3️⃣ GENERATE PURCHASE INVOICE NUMBER
-    ====================================================== */
-    const seq = await getNextPurchaseSequence(tenant_id);
-    const year = new Date().getFullYear();
-    const invoice_number = `PUR-${year}-${String(seq).padStart(4, "0")}`;
-
-    /* ======================================================
-       4️⃣ INSERT PURCHASE
+       3️⃣–5️⃣ NUMBER + INSERT PURCHASE + ITEMS
+       one transaction, so a failed insert leaves no gap in the
+       series (migrations/033_create_purchase.sql)
     ====================================================== */
-    const { data: purchase, error: purchaseErr } = await supabase
-      .from("purchases")
-      .insert([{
-        tenant_id,
-        supplier_id,
-        invoice_number,
-        total_amount,
-        amount_paid: 0,
-        is_paid: false,
-      }])
-      .select("id, created_at")
-      .single();
+    const { data: purchase, error: purchaseErr } = await supabase.rpc("create_purchase", {
+      p_purchase: { tenant_id, supplier_id, branch_code, total_amount },
+      p_items: normalizedItems.map(it => ({
+        product_id: it.product_id,
+        quantity: it.quantity,
+        cost_price: it.cost_price,
+        tax_rate: it.tax_rate,
+        tax_amount: it.tax_amount,
+        tax_category_id: it.tax_category_id,
+        tax_code: it.tax_code,
+        tax_treatment: it.tax_treatment,
+      })),
+    });
 
     if (purchaseErr) throw purchaseErr;
     const purchase_id = purchase.id;
-
-    /* ======================================================
-       5️⃣ INSERT PURCHASE ITEMS
-    ====================================================== */
-    const purchaseItemsData = normalizedItems.map(it => ({
-      tenant_id,
-      purchase_id,
-      product_id: it.product_id,
-      quantity: it.quantity,
-      cost_price: it.cost_price,
-    }));
-
-    const { error: itemsErr } = await supabase
-      .from("purchase_items")
-      .insert(purchaseItemsData);
-
-    if (itemsErr) throw itemsErr;
+    const invoice_number = purchase.invoice_number;
+    await markIdempotentCommitted(res);
 
     /* ======================================================
        6️⃣ INVENTORY + STOCK MOVEMENTS
@@ -440,6 +442,7 @@ export const createPurchase = async (req, res) => {
 
     const inventoryAcc = getAcc("Inventory");
     const vatInputAcc = getAcc("VAT Input");
+    const vatOutputAcc = reverseChargeTotal > 0 ? getAcc("VAT Output") : null;
     const apAcc = getAcc("Accounts Payable");
     const cashAcc = getAcc("Cash");
     const bankAcc = coaAccounts.find(a => a.name.toLowerCase() === "bank")?.id;
@@ -491,38 +494,43 @@ await supabase.from("daybook").insert([{
       });
     }
 
+    // REVERSE CHARGE (self-accounted: input and output VAT cancel out)
+    if (reverseChargeTotal > 0) {
+      await addJournalEntry({
+        tenant_id,
+        debit_account: vatInputAcc,
+        credit_account: vatOutputAcc,
+        amount: reverseChargeTotal,
+        description: `${desc} - VAT Reverse Charge`,
+        reference_id: purchase_id,
+        reference_type: "purchase",
+      });
+    }
+
     /* ======================================================
        8️⃣ VAT REPORT
     ====================================================== */
-    const d = new Date(purchase.created_at);
-    const period = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+    // reverse charge VAT is both output and input VAT
+    const inputVat = taxTotal + reverseChargeTotal;
 
-    const { data: vatRow } = await supabase
-      .from("vat_reports")
-      .select("*")
-      .eq("tenant_id", tenant_id)
-      .eq("period", period)
-      .maybeSingle();
-
-    if (vatRow) {
-      await supabase.from("vat_reports").update({
-        total_purchases: Number(vatRow.total_purchases || 0) + netTotal,
-        purchase_vat: Number(vatRow.purchase_vat || 0) + taxTotal,
-        vat_payable:
-          Number(vatRow.sales_vat || 0) -
-          (Number(vatRow.purchase_vat || 0) + taxTotal),
-      }).eq("id", vatRow.id);
-    } else {
-      await supabase.from("vat_reports").insert([{
-        tenant_id,
-        period,
-        total_sales: 0,
-        sales_vat: 0,
+    await postVatReportLines({
+      tenant_id,
+      date: purchase.created_at,
+      reference_type: "purchase",
+      reference_id: purchase_id,
+      lines: normalizedItems.map(it => ({
+        direction: "purchases",
+        tax_code: it.tax_code,
+        tax_treatment: it.tax_treatment,
+        net_amount: it.line_net,
+        vat_amount: it.tax_amount + it.reverse_charge,
+      })),
+      totals: {
         total_purchases: netTotal,
-        purchase_vat: taxTotal,
-        vat_payable: -taxTotal,
-      }]);
-    }
+        sales_vat: reverseChargeTotal,
+        purchase_vat: inputVat,
+      },
+    });
 
     /* ======================================================
        ✅ FINAL RESPONSE
@@ -535,6 +543,7 @@ await supabase.from("daybook").insert([{
       totals: {
         net_total: netTotal,
         tax_total: taxTotal,
+        reverse_charge_vat: reverseChargeTotal,
         total_amount,
       },
     });
@@ -0,0 +1,462 @@
+// controllers/quotationController.js
+// Quotations: priced like an invoice, no stock or accounting until converted.
+import { supabase } from "../supabase/supabaseClient.js";
+import { applyDiscounts } from "../services/applyDiscountsService.js";
+import { resolvePrices } from "../services/priceListService.js";
+import { applyTaxCategories } from "../services/taxCategoryService.js";
+import { getInvoiceSettings } from "../services/invoiceDocumentService.js";
+import { sendPDF } from "../utils/pdfResponse.js";
+import { createInvoice } from "./billinController2.js";
+
+const DEFAULT_VALIDITY_DAYS = 15;
+
+const todayStr = () => new Date().toISOString().split("T")[0];
+
+/**
+ * ============================================================
+ * HELPER: PRICE QUOTATION LINES (same discount engine as billing)
+ * ============================================================
+ */
+async function priceQuotation({ tenant_id, items, customer_id, coupon_code }) {
+  const productIds = items.map((i) => i.product_id);
+
+  const { data: productRows, error: prodErr } = await supabase
+    .from("products")
+    .select("id, selling_price, tax, category_id, tax_category_id")
+    .in("id", productIds);
+
+  if (prodErr) throw prodErr;
+
+  const productData = await applyTaxCategories(tenant_id, productRows || []);
+
+  const { prices } = await resolvePrices({
+    tenant_id,
+    customer_id,
+    items,
+    products: productData,
+  });
+
+  const mergedItems = items.map((i) => {
+    const p = productData.find((x) => x.id === i.product_id);
+    if (!p) throw new Error(`Product not found: ${i.product_id}`);
+    return {
+      product_id: i.product_id,
+      qty: Number(i.qty || 0),
+      price: prices[p.id],
+      tax: Number(p.tax || 0),
+    };
+  });
+
+  let customer = null;
+  if (customer_id) {
+    const { data, error } = await supabase
+      .from("customers")
+      .select("id, membership_tier")
+      .eq("id", customer_id)
+      .eq("tenant_id", tenant_id)
+      .single();
+
+    if (error || !data) throw new Error("Customer not found");
+    customer = data;
+  }
+
+  const { pricing_mode } = await getInvoiceSettings(tenant_id);
+
+  const result = await applyDiscounts({
+    items: mergedItems,
+    tenant_id,
+    customer,
+    couponCode: coupon_code,
+    pricingMode: pricing_mode,
+  });
+
+  const lines = result.items.map((it) => ({
+    product_id: it.product_id,
+    quantity: it.qty,
+    price: it.price,
+    tax: it.tax,
+    discount_amount: it.discount_amount,
+    tax_amount: it.taxAmount,
+    total: it.baseWithTax,
+  }));
+
+  // bill / coupon / tier discounts scale VAT down with the total
+  const linesGross = lines.reduce((s, l) => s + Number(l.total), 0);
+  const lineTax = lines.reduce((s, l) => s + Number(l.tax_amount), 0);
+  const tax_total =
+    linesGross > 0
+      ? Number(((lineTax * result.total_before_redeem) / linesGross).toFixed(2))
+      : 0;
+
+  return {
+    lines,
+    totals: {
+      subtotal: result.subtotal,
+      item_discount_total: result.item_discount_total,
+      bill_discount_total: result.bill_discount_total,
+      coupon_discount_total: result.coupon_discount_total,
+      membership_discount_total: result.membership_discount_total,
+      tax_total,
+      total: result.total_before_redeem,
+    },
+  };
+}
+
+// Draft/sent quotations past valid_until are flipped to expired on read
+async function expireStale(tenant_id) {
+  await supabase
+    .from("quotations")
+    .update({ status: "expired" })
+    .eq("tenant_id", tenant_id)
+    .in("status", ["draft", "sent"])
+    .lt("valid_until", todayStr());
+}
+
+async function findQuotation(tenant_id, id) {
+  const { data, error } = await supabase
+    .from("quotations")
+    .select(`
+      *,
+      customers (name),
+      quotation_items (
+        *,
+        products (name, unit)
+      )
+    `)
+    .eq("tenant_id", tenant_id)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// GET /api/quotations?status=sent&search=QUO-2025&page=1&limit=10
+export const getAllQuotations = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    await expireStale(tenant_id);
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 10;
+    const search = req.query.search?.trim() || "";
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("quotations")
+      .select("*, customers (name)", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("created_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (search) query = query.ilike("quotation_number", `%${search}%`);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      search,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get quotations failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/quotations/:id
+export const getQuotationById = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    await expireStale(tenant_id);
+
+    const quotation = await findQuotation(tenant_id, req.params.id);
+    if (!quotation) return res.status(404).json({ error: "Quotation not found" });
+
+    return res.json({ success: true, data: quotation });
+  } catch (err) {
+    console.error("❌ Get quotation failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/quotations
+// Body: { items: [{ product_id, qty }], customer_id, coupon_code, valid_until | validity_days, notes }
+export const createQuotation = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const {
+      items = [],
+      customer_id = null,
+      coupon_code = null,
+      valid_until = null,
+      validity_days = DEFAULT_VALIDITY_DAYS,
+      notes = null,
+      branch_code = null, // numbering series (see migrations/015_document_series.sql)
+    } = req.body;
+
+    if (!items.length || items.some((i) => !i.product_id || !(Number(i.qty) > 0))) {
+      return res
+        .status(400)
+        .json({ error: "items[] with product_id and qty > 0 are required" });
+    }
+
+    let validUntil = valid_until;
+    if (!validUntil) {
+      const d = new Date();
+      d.setDate(d.getDate() + Number(validity_days || DEFAULT_VALIDITY_DAYS));
+      validUntil = d.toISOString().split("T")[0];
+    }
+    if (validUntil < todayStr()) {
+      return res.status(400).json({ error: "valid_until cannot be in the past" });
+    }
+
+    let priced;
+    try {
+      priced = await priceQuotation({ tenant_id, items, customer_id, coupon_code });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const { data: quotation, error } = await supabase.rpc("create_quotation", {
+      p_quotation: {
+        tenant_id,
+        customer_id,
+        valid_until: validUntil,
+        coupon_code,
+        notes,
+        branch_code,
+        created_by: req.user.id,
+        ...priced.totals,
+      },
+      p_items: priced.lines,
+    });
+
+    if (error) throw error;
+
+    return res.status(201).json({
+      success: true,
+      message: `Quotation ${quotation.quotation_number} created`,
+      quotation,
+      items: priced.lines,
+    });
+  } catch (err) {
+    console.error("❌ Create quotation failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// PUT /api/quotations/:id/status  { status: "sent" | "expired" }
+export const updateQuotationStatus = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { status } = req.body;
+    const allowedFrom = {
+      sent: ["draft"],
+      expired: ["draft", "sent"],
+    };
+
+    if (!allowedFrom[status]) {
+      return res.status(400).json({
+        error: "status must be 'sent' or 'expired' (use /convert to accept)",
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("quotations")
+      .update({ status })
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .in("status", allowedFrom[status])
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res
+        .status(409)
+        .json({ error: `Quotation not found or cannot move to ${status}` });
+    }
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Update quotation status failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/quotations/:id/pdf
+export const getQuotationPDF = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const q = await findQuotation(tenant_id, req.params.id);
+    if (!q) return res.status(404).json({ error: "Quotation not found" });
+
+    const money = (n) => `AED ${Number(n || 0).toFixed(2)}`;
+
+    sendPDF(res, `Quotation_${q.quotation_number}`, (doc) => {
+      doc.fontSize(12).font("Helvetica-Bold").text(req.user.full_name || "SUPERMART", { align: "center" });
+      doc.moveDown(0.5).font("Helvetica").fontSize(10);
+      doc.text(`Quotation No: ${q.quotation_number}`);
+      doc.text(`Date: ${new Date(q.created_at).toDateString()}`);
+      doc.text(`Valid until: ${new Date(q.valid_until).toDateString()}`);
+      if (q.customers?.name) doc.text(`Customer: ${q.customers.name}`);
+      doc.moveDown();
+
+      const cols = [50, 270, 330, 400, 470];
+      const header = ["Item", "Qty", "Price", "Disc.", "Total"];
+      let y = doc.y;
+      doc.font("Helvetica-Bold");
+      header.forEach((h, i) => doc.text(h, cols[i], y));
+      doc.font("Helvetica");
+      y += 18;
+
+      for (const line of q.quotation_items || []) {
+        const row = [
+          line.products?.name || String(line.product_id),
+          String(line.quantity),
+          money(line.price),
+          money(Number(line.discount_amount) * Number(line.quantity)),
+          money(line.total),
+        ];
+        row.forEach((v, i) => doc.text(v, cols[i], y, { width: i === 0 ? 210 : 70 }));
+        y += 18;
+        if (y > 740) {
+          doc.addPage();
+          y = 50;
+        }
+      }
+
+      doc.y = y + 10;
+      const total = (label, value) => {
+        const ty = doc.y;
+        doc.text(label, 330, ty);
+        doc.text(value, 470, ty);
+        doc.moveDown(0.3);
+      };
+      total("Subtotal", money(q.subtotal));
+      const discounts =
+        Number(q.item_discount_total) +
+        Number(q.bill_discount_total) +
+        Number(q.coupon_discount_total) +
+        Number(q.membership_discount_total);
+      if (discounts > 0) total("Discounts", `- ${money(discounts)}`);
+      total("VAT (incl.)", money(q.tax_total));
+      doc.font("Helvetica-Bold");
+      total("TOTAL", money(q.total));
+      doc.font("Helvetica");
+
+      if (q.notes) {
+        doc.moveDown().text(`Notes: ${q.notes}`, 50);
+      }
+      doc.moveDown().fontSize(8).text(
+        "Prices are re-confirmed when the quotation is converted to an invoice.",
+        50
+      );
+    });
+  } catch (err) {
+    console.error("❌ Quotation PDF failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+const CONVERT_FIELDS = [
+  "payment_method",
+  "payments",
+  "redeem_points",
+  "template",
+  "credit_approval_id",
+];
+
+const pick = (obj, keys) =>
+  Object.fromEntries(keys.filter((k) => obj?.[k] !== undefined).map((k) => [k, obj[k]]));
+
+// POST /api/quotations/:id/convert
+//   { payment_method | payments[], redeem_points?, template?, credit_approval_id? }
+// Reprices through applyDiscounts inside createInvoice and links both records.
+export const convertQuotation = async (req, res) => {
+  const tenant_id = req.user?.tenant_id;
+  if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+  try {
+    await expireStale(tenant_id);
+
+    const q = await findQuotation(tenant_id, req.params.id);
+    if (!q) return res.status(404).json({ error: "Quotation not found" });
+    if (q.status === "expired") {
+      return res.status(409).json({ error: "Quotation has expired" });
+    }
+    if (q.invoice_id) {
+      return res
+        .status(409)
+        .json({ error: "Quotation already converted", invoice_id: q.invoice_id });
+    }
+
+    // Claim so a second click cannot bill it twice
+    const { data: claimed, error: claimErr } = await supabase
+      .from("quotations")
+      .update({ status: "accepted", accepted_at: new Date().toISOString() })
+      .eq("id", q.id)
+      .in("status", ["draft", "sent"])
+      .is("invoice_id", null)
+      .select("id")
+      .maybeSingle();
+
+    if (claimErr) throw claimErr;
+    if (!claimed) {
+      return res.status(409).json({ error: "Quotation is already being converted" });
+    }
+
+    // lines, customer and coupon always come from the quotation; the client
+    // only says how it is paid (and printed)
+    req.body = {
+      ...pick(req.body, CONVERT_FIELDS),
+      items: (q.quotation_items || []).map((l) => ({
+        product_id: l.product_id,
+        qty: Number(l.quantity),
+      })),
+      customer_id: q.customer_id,
+      coupon_code: q.coupon_code,
+      branch_code: q.branch_code,
+    };
+
+    await createInvoice(req, res);
+
+    const invoice = res.locals.invoice;
+
+    if (invoice) {
+      await Promise.all([
+        supabase.from("quotations").update({ invoice_id: invoice.id }).eq("id", q.id),
+        supabase.from("invoices").update({ quotation_id: q.id }).eq("id", invoice.id),
+      ]);
+    } else {
+      // invoice failed → give the quotation back
+      await supabase
+        .from("quotations")
+        .update({ status: q.status, accepted_at: null })
+        .eq("id", q.id);
+    }
+  } catch (err) {
+    console.error("❌ Convert quotation failed:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: err.message || "Server Error" });
+    }
+  }
+};
@@ -1,5 +1,7 @@
 import { supabase } from "../supabase/supabaseClient.js";
 import { addJournalEntry } from "../services/addJournalEntryService.js";
+import { getInvoiceBundleComponents } from "../utils/productBundles.js";
+import { postVatReportLines } from "../services/taxCategoryService.js";
 
 /* =========================================================
    ACCOUNTING HELPERS (same pattern as purchases / returns)
@@ -233,7 +235,7 @@ export const createSalesReturn = async (req, res) => {
     // 2) Preload invoice items (all products on this invoice)
     const { data: allInvoiceItems, error: invItemsErr } = await supabase
       .from("invoice_items")
-      .select("product_id, quantity")
+      .select("product_id, quantity, tax, tax_amount, total, tax_code, tax_treatment")
       .eq("tenant_id", tenant_id)
       .eq("invoice_id", invoice_id);
 
@@ -244,70 +246,73 @@ export const createSalesReturn = async (req, res) => {
         .json({ error: "No items found on this invoice" });
     }
 
-    const soldQtyByProduct = {};
+    // refunds are priced and taxed as the sale was (after its discounts),
+    // not at today's selling price or VAT rate
+    const soldByProduct = {};
     allInvoiceItems.forEach((row) => {
-      soldQtyByProduct[row.product_id] =
-        (soldQtyByProduct[row.product_id] || 0) + Number(row.quantity || 0);
+      const sold = (soldByProduct[row.product_id] ||= {
+        quantity: 0,
+        tax_amount: 0,
+        total: 0,
+        tax: Number(row.tax || 0),
+        tax_code: row.tax_code,
+        tax_treatment: row.tax_treatment,
+      });
+      sold.quantity += Number(row.quantity || 0);
+      sold.tax_amount += Number(row.tax_amount || 0);
+      sold.total += Number(row.total || 0);
     });
 
     // 3) Preload previous returns for this invoice
     const { data: prevReturnItems, error: prevRetErr } = await supabase
       .from("sales_return_items")
-      .select("product_id, quantity")
+      .select("product_id, quantity, tax_amount, line_total")
       .eq("tenant_id", tenant_id)
       .eq("invoice_id", invoice_id);
 
     if (prevRetErr) throw prevRetErr;
 
-    const returnedQtyByProduct = {};
+    const returnedByProduct = {};
     prevReturnItems?.forEach((row) => {
-      returnedQtyByProduct[row.product_id] =
-        (returnedQtyByProduct[row.product_id] || 0) + Number(row.quantity || 0);
+      const returned = (returnedByProduct[row.product_id] ||= {
+        quantity: 0,
+        tax_amount: 0,
+        line_total: 0,
+      });
+      returned.quantity += Number(row.quantity || 0);
+      returned.tax_amount += Number(row.tax_amount || 0);
+      returned.line_total += Number(row.line_total || 0);
     });
 
-    // 4) Preload products (price, tax, cost)
+    // 4) Preload products (cost)
     const productIds = [...new Set(items.map((i) => i.product_id))];
 
     const { data: products, error: productsErr } = await supabase
       .from("products")
-      .select("id, selling_price, tax, cost_price")
+      .select("id, cost_price")
       .eq("tenant_id", tenant_id)
       .in("id", productIds);
 
     if (productsErr) throw productsErr;
 
     const productMap = {};
-    products?.forEach((p) => {
+    (products || []).forEach((p) => {
       productMap[p.id] = p;
     });
 
-    // 5) Create main sales_return row (without totals yet)
-    const { data: salesReturnRow, error: salesRetErr } = await supabase
-      .from("sales_returns")
-      .insert([
-        {
-          tenant_id,
-          invoice_id,
-          customer_id,
-          refund_type,
-          reason,
-          total_refund: 0, // will update later
-        },
-      ])
-      .select("*")
-      .single();
-
-    if (salesRetErr) throw salesRetErr;
-
-    const sales_return_id = salesReturnRow.id;
+    // bundles go back on the shelf (and out of COGS) as the components and
+    // component costs they were sold with (038_invoice_bundle_components.sql)
+    const bundleComponents = await getInvoiceBundleComponents(tenant_id, invoice_id);
 
-    // 6) Loop items, validate qty, compute amounts, prepare rows
+    // 5) Loop items, validate qty, compute amounts, prepare rows
     let totalNet = 0;
     let totalVat = 0;
     let totalGross = 0;
     let totalCost = 0;
 
     const itemsToInsert = [];
+    const vatLines = [];
+    const stockLines = [];
 
     for (const item of items) {
       const product_id = item.product_id;
@@ -317,13 +322,17 @@ export const createSalesReturn = async (req, res) => {
         throw new Error("Each item must have product_id and qty > 0");
       }
 
-      const soldQty = Number(soldQtyByProduct[product_id] || 0);
-      if (!soldQty) {
+      const sold = soldByProduct[product_id];
+      if (!sold?.quantity) {
         throw new Error(`Product ${product_id} not found in this invoice`);
       }
 
-      const prevReturned = Number(returnedQtyByProduct[product_id] || 0);
-      const remaining = soldQty - prevReturned;
+      const returned = returnedByProduct[product_id] || {
+        quantity: 0,
+        tax_amount: 0,
+        line_total: 0,
+      };
+      const remaining = sold.quantity - returned.quantity;
 
       if (remaining <= 0) {
         throw new Error(
@@ -341,19 +350,28 @@ export const createSalesReturn = async (req, res) => {
         throw new Error(`Product not found: ${product_id}`);
       }
 
-      const sellingPrice = Number(product.selling_price || 0); // tax inclusive
-      const taxRate = Number(product.tax || 0);
-      const costPrice = Number(product.cost_price || 0);       // for COGS
-
-      // VAT-inclusive breakup
-      const divisor = 1 + taxRate / 100;
-      const lineGross = sellingPrice * qty;
-      const base = lineGross / divisor;
-      const vat = lineGross - base;
-
-      const netAmount = Number(base.toFixed(2));
-      const taxAmount = Number(vat.toFixed(2));
-      const lineTotal = Number(lineGross.toFixed(2));
+      const taxRate = sold.tax;
+      const unitPrice = Number((sold.total / sold.quantity).toFixed(2)); // tax inclusive
+      const components = bundleComponents[product_id];
+      const costPrice = components                            // for COGS
+        ? components.reduce((sum, c) => sum + Number(c.cost_price || 0) * c.quantity, 0)
+        : Number(product.cost_price || 0);
+
+      // the sale's line total and VAT pro-rated by quantity; the last units
+      // returned take whatever is left so the sale is reversed to the cent
+      const lineTotal = Number(
+        (qty === remaining
+          ? sold.total - returned.line_total
+          : (sold.total * qty) / sold.quantity
+        ).toFixed(2)
+      );
+      const taxAmount = Number(
+        (qty === remaining
+          ? sold.tax_amount - returned.tax_amount
+          : (sold.tax_amount * qty) / sold.quantity
+        ).toFixed(2)
+      );
+      const netAmount = Number((lineTotal - taxAmount).toFixed(2));
 
       const lineCost = Number((costPrice * qty).toFixed(2));
 
@@ -363,12 +381,9 @@ export const createSalesReturn = async (req, res) => {
       totalCost += lineCost;
 
       itemsToInsert.push({
-        tenant_id,
-        sales_return_id,
-        invoice_id,
         product_id,
         quantity: qty,
-        price: sellingPrice,
+        price: unitPrice,
         tax_rate: taxRate,
         net_amount: netAmount,
         tax_amount: taxAmount,
@@ -377,54 +392,25 @@ export const createSalesReturn = async (req, res) => {
         cost_total: lineCost,
       });
 
-      // 6a) Inventory update
-      const { data: existingInv } = await supabase
-        .from("inventory")
-        .select("id, quantity")
-        .eq("tenant_id", tenant_id)
-        .eq("product_id", product_id)
-        .maybeSingle();
-
-      if (existingInv) {
-        await supabase
-          .from("inventory")
-          .update({
-            quantity: Number(existingInv.quantity || 0) + qty,
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", existingInv.id);
+      // returned supplies come off the same VAT return box they were sold in
+      vatLines.push({
+        direction: "sales",
+        tax_code: sold.tax_code,
+        tax_treatment: sold.tax_treatment || "standard",
+        net_amount: -netAmount,
+        vat_amount: -taxAmount,
+      });
+
+      // 5a) Stock back in (per component for bundles)
+      if (components) {
+        components.forEach((c) =>
+          stockLines.push({ product_id: c.product_id, qty: qty * c.quantity })
+        );
       } else {
-        await supabase.from("inventory").insert([
-          {
-            tenant_id,
-            product_id,
-            quantity: qty,
-            updated_at: new Date().toISOString(),
-          },
-        ]);
+        stockLines.push({ product_id, qty });
       }
-
-      // 6b) Stock movement
-      await supabase.from("stock_movements").insert([
-        {
-          tenant_id,
-          product_id,
-          movement_type: "sale_return",
-          reference_table: "sales_returns",
-          reference_id: sales_return_id,
-          quantity: qty, // positive (stock in)
-        },
-      ]);
     }
 
-    // 7) Insert all sales_return_items
-    const { data: insertedItems, error: itemsErr } = await supabase
-      .from("sales_return_items")
-      .insert(itemsToInsert)
-      .select("*");
-
-    if (itemsErr) throw itemsErr;
-
     // Totals
     const totalNetRounded = Number(totalNet.toFixed(2));
     const totalVatRounded = Number(totalVat.toFixed(2));
@@ -434,13 +420,36 @@ export const createSalesReturn = async (req, res) => {
     const refundAmount =
       total_refund != null ? Number(total_refund) : totalGrossRounded;
 
-    // 8) Update master sales_return with total_refund
-    await supabase
-      .from("sales_returns")
-      .update({ total_refund: refundAmount })
-      .eq("id", sales_return_id);
+    // 6) Return + items + stock + credit note + invoice amount_due, one
+    //    transaction (migrations/031_sales_return_atomic.sql)
+    const { data: recorded, error: returnErr } = await supabase.rpc(
+      "create_sales_return_atomic",
+      {
+        p_tenant_id: tenant_id,
+        p_invoice_id: invoice_id,
+        p_customer_id: customer_id,
+        p_refund_type: refund_type,
+        p_reason: reason,
+        p_total_refund: refundAmount,
+        p_items: itemsToInsert,
+        p_stock: stockLines,
+        p_handled_by: req.user.id,
+      }
+    );
+
+    if (returnErr) {
+      if (returnErr.code === "P0001") {
+        return res.status(400).json({ error: returnErr.message });
+      }
+      throw returnErr;
+    }
+
+    const salesReturnRow = recorded.sales_return;
+    const sales_return_id = salesReturnRow.id;
+    const insertedItems = recorded.items;
+    const creditNote = recorded.credit_note;
 
-    // 9) Accounting: ledger + journal + daybook
+    // 7) Accounting: ledger + journal + daybook
     const coaMap = await getCoaMap(tenant_id);
     const desc = `Sales Return #${sales_return_id} (Invoice #${
       invoice.invoice_number || invoice_id
@@ -487,9 +496,12 @@ export const createSalesReturn = async (req, res) => {
 //   });
 // }
 // Decide where refund is settled (ONE place only)
+// credit_note → customer credit liability, spendable later as store_credit
 const settlementAccount =
   refund_type === "cash"
     ? coaId(coaMap, "cash")
+    : refund_type === "credit_note"
+    ? coaId(coaMap, "customer credit")
     : coaId(coaMap, "accounts receivable");
 
 // A) Reverse sales revenue (no cash here)
@@ -548,59 +560,29 @@ if (totalCostRounded > 0) {
   });
 }
 
-    // 10) VAT report update
-    const now = new Date();
-    const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
-      2,
-      "0"
-    )}`;
-
-    const { data: vatRow } = await supabase
-      .from("vat_reports")
-      .select("*")
-      .eq("tenant_id", tenant_id)
-      .eq("period", period)
-      .maybeSingle();
-
-    const prevTotalSales = Number(vatRow?.total_sales || 0);
-    const prevSalesVat = Number(vatRow?.sales_vat || 0);
-    const prevPurchaseVat = Number(vatRow?.purchase_vat || 0);
-
-    const newSales = prevTotalSales - totalNetRounded;
-    const newSalesVat = prevSalesVat - totalVatRounded;
-    const newVatPayable = newSalesVat - prevPurchaseVat;
-
-    if (vatRow) {
-      await supabase
-        .from("vat_reports")
-        .update({
-          total_sales: newSales,
-          sales_vat: newSalesVat,
-          vat_payable: newVatPayable,
-        })
-        .eq("id", vatRow.id);
-    } else {
-      await supabase.from("vat_reports").insert([
-        {
-          tenant_id,
-          period,
-          total_sales: -totalNetRounded,
-          sales_vat: -totalVatRounded,
-          total_purchases: 0,
-          purchase_vat: 0,
-          vat_payable: -totalVatRounded,
-        },
-      ]);
-    }
+    // 10) VAT report update: totals + negative category lines, once per return
+    await postVatReportLines({
+      tenant_id,
+      date: salesReturnRow.created_at,
+      reference_type: "sales_return",
+      reference_id: sales_return_id,
+      lines: vatLines,
+      totals: { total_sales: -totalNetRounded, sales_vat: -totalVatRounded },
+    });
 
     // 11) RESPONSE
     res.status(201).json({
       success: true,
       sales_return: {
         ...salesReturnRow,
-        total_refund: refundAmount,
         items: insertedItems,
       },
+      credit_note: creditNote,
+      invoice: {
+        id: invoice_id,
+        amount_due: recorded.amount_due,
+        payment_status: recorded.payment_status,
+      },
     });
   } catch (err) {
     console.error("Sales Return Error:", err);
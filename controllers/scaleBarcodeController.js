@@ -0,0 +1,194 @@
+// controllers/scaleBarcodeController.js
+// Scale barcode layouts (migrations/023_scale_barcodes.sql): where the PLU
+// and the weight / price / count sit inside a label printed by the scale.
+// Scans are resolved in services/scaleBarcodeService.js.
+import { supabase } from "../supabase/supabaseClient.js";
+import {
+  SCALE_VALUE_TYPES,
+  getScaleBarcodeFormats,
+  lookupBarcode,
+} from "../services/scaleBarcodeService.js";
+
+function formatFields(body, base = {}) {
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : base[key] ?? fallback);
+  const fields = {
+    name: String(pick("name", "") || "").trim(),
+    prefix: String(pick("prefix", "") || "").trim(),
+    length: Number(pick("length", 13)),
+    plu_start: Number(pick("plu_start")),
+    plu_length: Number(pick("plu_length")),
+    value_start: Number(pick("value_start")),
+    value_length: Number(pick("value_length")),
+    value_type: pick("value_type", "weight"),
+    value_decimals: Number(pick("value_decimals", 3)),
+    check_digit: !!pick("check_digit", true),
+    is_active: !!pick("is_active", true),
+  };
+
+  if (!fields.name) return { error: "name is required" };
+  if (!/^\d+$/.test(fields.prefix)) return { error: "prefix must be digits" };
+  if (!SCALE_VALUE_TYPES.includes(fields.value_type)) {
+    return { error: `value_type must be one of: ${SCALE_VALUE_TYPES.join(", ")}` };
+  }
+  for (const key of ["length", "plu_start", "plu_length", "value_start", "value_length", "value_decimals"]) {
+    if (!Number.isInteger(fields[key]) || fields[key] < 0) {
+      return { error: `${key} must be a whole number` };
+    }
+  }
+  if (fields.plu_length < 1 || fields.value_length < 1) {
+    return { error: "plu_length and value_length must be at least 1" };
+  }
+  // the last digit is the check digit when check_digit is on
+  const usable = fields.check_digit ? fields.length - 1 : fields.length;
+  if (
+    fields.prefix.length > fields.plu_start ||
+    fields.plu_start + fields.plu_length > usable ||
+    fields.value_start + fields.value_length > usable
+  ) {
+    return { error: "PLU and value must fit after the prefix and before the check digit" };
+  }
+  if (fields.value_decimals > 4) return { error: "value_decimals must be 0-4" };
+
+  return { fields };
+}
+
+/**
+ * ============================================================
+ * GET /api/scale-barcodes
+ * ============================================================
+ */
+export const getScaleBarcodeFormatList = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const data = await getScaleBarcodeFormats(tenant_id);
+    return res.json({ success: true, data, value_types: SCALE_VALUE_TYPES });
+  } catch (err) {
+    console.error("❌ Get Scale Barcode Formats Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/scale-barcodes
+ * Body: { name, prefix, length?, plu_start, plu_length, value_start,
+ *         value_length, value_type, value_decimals?, check_digit? }
+ * ============================================================
+ */
+export const createScaleBarcodeFormat = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { fields, error: fieldErr } = formatFields(req.body);
+    if (fieldErr) return res.status(400).json({ error: fieldErr });
+
+    const { data, error } = await supabase
+      .from("scale_barcode_formats")
+      .insert([{ tenant_id, ...fields }])
+      .select("*")
+      .single();
+
+    if (error && error.code === "23505") {
+      return res.status(400).json({ error: `A ${fields.length}-digit format with prefix ${fields.prefix} already exists` });
+    }
+    if (error) throw error;
+
+    return res.status(201).json({ success: true, message: "Scale barcode format created", data });
+  } catch (err) {
+    console.error("❌ Create Scale Barcode Format Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * PUT /api/scale-barcodes/:id
+ * ============================================================
+ */
+export const updateScaleBarcodeFormat = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data: current, error: curErr } = await supabase
+      .from("scale_barcode_formats")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (curErr) throw curErr;
+    if (!current) return res.status(404).json({ error: "Scale barcode format not found" });
+
+    const { fields, error: fieldErr } = formatFields(req.body, current);
+    if (fieldErr) return res.status(400).json({ error: fieldErr });
+
+    const { data, error } = await supabase
+      .from("scale_barcode_formats")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("tenant_id", tenant_id)
+      .eq("id", current.id)
+      .select("*")
+      .single();
+
+    if (error && error.code === "23505") {
+      return res.status(400).json({ error: `A ${fields.length}-digit format with prefix ${fields.prefix} already exists` });
+    }
+    if (error) throw error;
+
+    return res.json({ success: true, message: "Scale barcode format updated", data });
+  } catch (err) {
+    console.error("❌ Update Scale Barcode Format Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * DELETE /api/scale-barcodes/:id
+ * ============================================================
+ */
+export const deleteScaleBarcodeFormat = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data, error } = await supabase
+      .from("scale_barcode_formats")
+      .delete()
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Scale barcode format not found" });
+
+    return res.json({ success: true, message: "Scale barcode format deleted" });
+  } catch (err) {
+    console.error("❌ Delete Scale Barcode Format Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/scale-barcodes/test   Body: { code }
+ * What a scan resolves to with the formats as saved.
+ * ============================================================
+ */
+export const testScaleBarcode = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const result = await lookupBarcode(tenant_id, req.body.code);
+    return res.json({ success: true, matched: !!result?.product, data: result });
+  } catch (err) {
+    console.error("❌ Test Scale Barcode Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -0,0 +1,532 @@
+// controllers/shiftController.js
+// Till sessions per cashier (handled_by) with X (mid-shift) and Z (close) reports.
+import { supabase } from "../supabase/supabaseClient.js";
+import { sendPDF } from "../utils/pdfResponse.js";
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+/**
+ * ============================================================
+ * HELPER: SHIFT TOTALS
+ * Sales by tender, voids, refunds and payouts inside the shift window,
+ * plus cash taken on account (customer receipts) and cash settled on
+ * invoice amendments by the same cashier.
+ * ============================================================
+ */
+async function buildShiftSummary(shift, until = new Date()) {
+  const from = shift.opened_at;
+  const to = (shift.closed_at ? new Date(shift.closed_at) : until).toISOString();
+
+  const [invoicesRes, returnsRes, payoutsRes, giftCardsRes, receiptsRes, amendmentsRes] = await Promise.all([
+    supabase
+      .from("invoices")
+      .select("id, final_amount, cash_rounding, payment_method, status, invoice_payments(method, amount, amendment_id)")
+      .eq("tenant_id", shift.tenant_id)
+      .eq("handled_by", shift.handled_by)
+      .gte("created_at", from)
+      .lte("created_at", to),
+    supabase
+      .from("sales_returns")
+      .select("id, refund_type, total_refund")
+      .eq("tenant_id", shift.tenant_id)
+      .eq("handled_by", shift.handled_by)
+      .gte("created_at", from)
+      .lte("created_at", to),
+    supabase
+      .from("shift_payouts")
+      .select("id, amount, reason, created_at")
+      .eq("shift_id", shift.id)
+      .order("created_at"),
+    supabase
+      .from("gift_cards")
+      .select("id, initial_amount, payment_method")
+      .eq("tenant_id", shift.tenant_id)
+      .eq("issued_by", shift.handled_by)
+      .gte("created_at", from)
+      .lte("created_at", to),
+    supabase
+      .from("customer_receipts")
+      .select("id, amount")
+      .eq("tenant_id", shift.tenant_id)
+      .eq("received_by", shift.handled_by)
+      .eq("method", "cash")
+      .gte("created_at", from)
+      .lte("created_at", to),
+    supabase
+      .from("invoice_amendments")
+      .select("id, gross_delta")
+      .eq("tenant_id", shift.tenant_id)
+      .eq("amended_by", shift.handled_by)
+      .eq("settlement", "cash")
+      .gte("created_at", from)
+      .lte("created_at", to),
+  ]);
+
+  if (invoicesRes.error) throw invoicesRes.error;
+  if (returnsRes.error) throw returnsRes.error;
+  if (payoutsRes.error) throw payoutsRes.error;
+  if (giftCardsRes.error) throw giftCardsRes.error;
+  if (receiptsRes.error) throw receiptsRes.error;
+  if (amendmentsRes.error) throw amendmentsRes.error;
+
+  const byMethod = {};
+  let salesTotal = 0;
+  let invoiceCount = 0;
+  let voidCount = 0;
+  let voidTotal = 0;
+  let cashRounding = 0;
+
+  for (const inv of invoicesRes.data || []) {
+    if (inv.status === "void") {
+      voidCount++;
+      voidTotal += Number(inv.final_amount || 0);
+      continue;
+    }
+
+    invoiceCount++;
+    salesTotal += Number(inv.final_amount || 0);
+    cashRounding += Number(inv.cash_rounding || 0);
+
+    // legs added by amendments are counted when the amendment was settled
+    const allLegs = inv.invoice_payments || [];
+    const saleLegs = allLegs.filter((l) => !l.amendment_id);
+    const amended = allLegs
+      .filter((l) => l.amendment_id)
+      .reduce((s, l) => s + Number(l.amount || 0), 0);
+    const legs = saleLegs.length
+      ? saleLegs
+      : [{ method: inv.payment_method || "cash", amount: Number(inv.final_amount || 0) - amended }];
+
+    for (const leg of legs) {
+      byMethod[leg.method] = round2((byMethod[leg.method] || 0) + Number(leg.amount || 0));
+    }
+  }
+
+  let cashRefunds = 0;
+  let otherRefunds = 0;
+  for (const r of returnsRes.data || []) {
+    if (r.refund_type === "cash") cashRefunds += Number(r.total_refund || 0);
+    else otherRefunds += Number(r.total_refund || 0);
+  }
+
+  // gift cards sold over the counter (money in, but not sales)
+  const giftCardSales = {};
+  for (const g of giftCardsRes.data || []) {
+    giftCardSales[g.payment_method] = round2(
+      (giftCardSales[g.payment_method] || 0) + Number(g.initial_amount || 0)
+    );
+  }
+
+  // credit invoices paid off in cash at this till
+  const cashReceipts = (receiptsRes.data || []).reduce((s, r) => s + Number(r.amount || 0), 0);
+
+  // signed: extra charged on an amendment is cash in, a reduction is cash out
+  const cashAmendments = (amendmentsRes.data || []).reduce(
+    (s, a) => s + Number(a.gross_delta || 0),
+    0
+  );
+
+  const payouts = payoutsRes.data || [];
+  const payoutTotal = payouts.reduce((s, p) => s + Number(p.amount || 0), 0);
+
+  const expectedCash =
+    Number(shift.opening_float || 0) +
+    Number(byMethod.cash || 0) +
+    cashRounding +
+    Number(giftCardSales.cash || 0) +
+    cashReceipts +
+    cashAmendments -
+    cashRefunds -
+    payoutTotal;
+
+  return {
+    from,
+    to,
+    invoice_count: invoiceCount,
+    sales_total: round2(salesTotal),
+    by_method: byMethod,
+    gift_card_sales: giftCardSales,
+    cash_receipts: round2(cashReceipts),
+    cash_amendments: round2(cashAmendments),
+    void_count: voidCount,
+    void_total: round2(voidTotal),
+    cash_rounding: round2(cashRounding),
+    cash_refunds: round2(cashRefunds),
+    other_refunds: round2(otherRefunds),
+    payouts,
+    payout_total: round2(payoutTotal),
+    opening_float: round2(shift.opening_float),
+    expected_cash: round2(expectedCash),
+  };
+}
+
+function countDenominations(denominations) {
+  if (!denominations || typeof denominations !== "object") {
+    throw new Error("denominations must be an object like { \"100\": 2, \"0.5\": 4 }");
+  }
+
+  let total = 0;
+  for (const [face, count] of Object.entries(denominations)) {
+    const value = Number(face);
+    const qty = Number(count);
+    if (!(value > 0) || !Number.isInteger(qty) || qty < 0) {
+      throw new Error(`Invalid denomination entry: ${face} x ${count}`);
+    }
+    total += value * qty;
+  }
+  return round2(total);
+}
+
+async function findShift(tenant_id, id) {
+  const { data, error } = await supabase
+    .from("shifts")
+    .select("*")
+    .eq("tenant_id", tenant_id)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// only the cashier who opened the shift, or the tenant (manager), may pay
+// out of or close it; same role source as requireRole (token, then users)
+async function canManageShift(user, shift) {
+  if (shift.handled_by === user.id || user.role === "tenant") return true;
+
+  const { data, error } = await supabase
+    .from("users")
+    .select("role")
+    .eq("id", user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.role === "tenant";
+}
+
+/**
+ * ============================================================
+ * PDF: X / Z REPORT (A4, same sendPDF helper as tenant reports)
+ * ============================================================
+ */
+function writeShiftReport(doc, { businessName, title, shift, summary, closing }) {
+  const money = (n) => `AED ${Number(n || 0).toFixed(2)}`;
+  const row = (label, value) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(11).text(label, 50, y);
+    doc.text(value, 300, y, { width: 245, align: "right" });
+    doc.moveDown(0.3);
+  };
+
+  doc.fontSize(16).font("Helvetica-Bold").text(businessName, { align: "center" });
+  doc.moveDown(0.3).fontSize(12).font("Helvetica").text(title, { align: "center" });
+  doc.moveDown();
+
+  row("Shift #", String(shift.id));
+  row("Cashier", String(shift.handled_by));
+  row("Opened", new Date(shift.opened_at).toLocaleString());
+  row(closing ? "Closed" : "Printed", new Date(summary.to).toLocaleString());
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").fontSize(12).text("Sales", 50);
+  doc.moveDown(0.3);
+  row("Invoices", String(summary.invoice_count));
+  row("Gross sales", money(summary.sales_total));
+  for (const [method, amount] of Object.entries(summary.by_method)) {
+    row(`  ${method.toUpperCase()}`, money(amount));
+  }
+  row("Voided invoices", `${summary.void_count} (${money(summary.void_total)})`);
+  for (const [method, amount] of Object.entries(summary.gift_card_sales || {})) {
+    row(`Gift cards sold (${method.toUpperCase()})`, money(amount));
+  }
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").fontSize(12).text("Cash drawer", 50);
+  doc.moveDown(0.3);
+  row("Opening float", money(summary.opening_float));
+  row("+ Cash sales", money(summary.by_method.cash || 0));
+  if (summary.cash_rounding) {
+    row("+/- Cash rounding", money(summary.cash_rounding));
+  }
+  if (summary.gift_card_sales?.cash) {
+    row("+ Gift cards (cash)", money(summary.gift_card_sales.cash));
+  }
+  if (summary.cash_receipts) {
+    row("+ Customer payments (cash)", money(summary.cash_receipts));
+  }
+  if (summary.cash_amendments) {
+    row("+/- Invoice amendments (cash)", money(summary.cash_amendments));
+  }
+  row("- Cash refunds", money(summary.cash_refunds));
+  row("- Payouts", money(summary.payout_total));
+  row("Expected cash", money(summary.expected_cash));
+
+  if (closing) {
+    row("Counted cash", money(shift.counted_cash));
+    row("Variance", money(shift.variance));
+
+    if (shift.denominations) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(12).text("Denominations", 50);
+      doc.moveDown(0.3);
+      for (const [face, count] of Object.entries(shift.denominations)) {
+        row(`${face} x ${count}`, money(Number(face) * Number(count)));
+      }
+    }
+  }
+
+  if (summary.payouts.length) {
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(12).text("Payouts", 50);
+    doc.moveDown(0.3);
+    for (const p of summary.payouts) row(p.reason, money(p.amount));
+  }
+}
+
+// POST /api/shifts/open  { opening_float }
+export const openShift = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const opening_float = Number(req.body.opening_float || 0);
+    if (opening_float < 0) {
+      return res.status(400).json({ error: "opening_float cannot be negative" });
+    }
+
+    const { data: open } = await supabase
+      .from("shifts")
+      .select("id")
+      .eq("tenant_id", tenant_id)
+      .eq("handled_by", req.user.id)
+      .eq("status", "open")
+      .maybeSingle();
+
+    if (open) {
+      return res.status(409).json({ error: "You already have an open shift", shift_id: open.id });
+    }
+
+    const { data, error } = await supabase
+      .from("shifts")
+      .insert([{ tenant_id, handled_by: req.user.id, opening_float, notes: req.body.notes || null }])
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json({ success: true, message: "Shift opened", shift: data });
+  } catch (err) {
+    console.error("❌ Open shift failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/shifts/current - the caller's open shift with running totals
+export const getCurrentShift = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { data: shift, error } = await supabase
+      .from("shifts")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .eq("handled_by", req.user.id)
+      .eq("status", "open")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!shift) return res.status(404).json({ error: "No open shift" });
+
+    const summary = await buildShiftSummary(shift);
+
+    return res.json({ success: true, shift, summary });
+  } catch (err) {
+    console.error("❌ Get current shift failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/shifts?status=closed&handled_by=...&page=1&limit=10
+export const getShifts = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 10;
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("shifts")
+      .select("*", { count: "exact" })
+      .eq("tenant_id", tenant_id)
+      .order("opened_at", { ascending: false })
+      .range(start, end);
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (req.query.handled_by) query = query.eq("handled_by", req.query.handled_by);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      totalRecords: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      data,
+    });
+  } catch (err) {
+    console.error("❌ Get shifts failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/shifts/:id/payouts  { amount, reason }
+export const addPayout = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const amount = Number(req.body.amount || 0);
+    const reason = (req.body.reason || "").trim();
+    if (!(amount > 0) || !reason) {
+      return res.status(400).json({ error: "amount > 0 and reason are required" });
+    }
+
+    const shift = await findShift(tenant_id, req.params.id);
+    if (!shift) return res.status(404).json({ error: "Shift not found" });
+    if (!(await canManageShift(req.user, shift))) {
+      return res.status(403).json({ error: "Not your shift" });
+    }
+    if (shift.status !== "open") {
+      return res.status(409).json({ error: "Shift is closed" });
+    }
+
+    const { data, error } = await supabase
+      .from("shift_payouts")
+      .insert([{ tenant_id, shift_id: shift.id, amount, reason, created_by: req.user.id }])
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json({ success: true, payout: data });
+  } catch (err) {
+    console.error("❌ Add payout failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// POST /api/shifts/:id/close  { denominations: { "100": 3, "0.5": 4 }, notes }
+export const closeShift = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    let counted_cash;
+    try {
+      counted_cash = countDenominations(req.body.denominations);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const shift = await findShift(tenant_id, req.params.id);
+    if (!shift) return res.status(404).json({ error: "Shift not found" });
+    if (!(await canManageShift(req.user, shift))) {
+      return res.status(403).json({ error: "Not your shift" });
+    }
+    if (shift.status !== "open") {
+      return res.status(409).json({ error: "Shift is already closed" });
+    }
+
+    const closed_at = new Date();
+    const summary = await buildShiftSummary(shift, closed_at);
+
+    const { data, error } = await supabase
+      .from("shifts")
+      .update({
+        status: "closed",
+        closed_at: closed_at.toISOString(),
+        denominations: req.body.denominations,
+        counted_cash,
+        expected_cash: summary.expected_cash,
+        variance: round2(counted_cash - summary.expected_cash),
+        summary,
+        notes: req.body.notes ?? shift.notes,
+      })
+      .eq("id", shift.id)
+      .eq("status", "open")
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(409).json({ error: "Shift is already closed" });
+
+    return res.json({ success: true, message: "Shift closed", shift: data, summary });
+  } catch (err) {
+    console.error("❌ Close shift failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/shifts/:id/x-report - mid-shift snapshot, shift stays open
+export const getXReportPDF = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const shift = await findShift(tenant_id, req.params.id);
+    if (!shift) return res.status(404).json({ error: "Shift not found" });
+    if (shift.status !== "open") {
+      return res.status(409).json({ error: "Shift is closed — use the Z report" });
+    }
+
+    const summary = await buildShiftSummary(shift);
+
+    sendPDF(res, `X_Report_Shift_${shift.id}`, (doc) =>
+      writeShiftReport(doc, {
+        businessName: req.user.full_name || "SUPERMART",
+        title: "X REPORT (not a closing report)",
+        shift,
+        summary,
+        closing: false,
+      })
+    );
+  } catch (err) {
+    console.error("❌ X report failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+// GET /api/shifts/:id/z-report - end-of-shift report from the frozen totals
+export const getZReportPDF = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const shift = await findShift(tenant_id, req.params.id);
+    if (!shift) return res.status(404).json({ error: "Shift not found" });
+    if (shift.status !== "closed") {
+      return res.status(409).json({ error: "Close the shift before printing the Z report" });
+    }
+
+    const summary = shift.summary || (await buildShiftSummary(shift));
+
+    sendPDF(res, `Z_Report_Shift_${shift.id}`, (doc) =>
+      writeShiftReport(doc, {
+        businessName: req.user.full_name || "SUPERMART",
+        title: "Z REPORT",
+        shift,
+        summary,
+        closing: true,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Z report failed:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -0,0 +1,221 @@
+// controllers/taxCategoryController.js
+// VAT categories and their effective-dated rates
+// (migrations/019_tax_categories.sql, services/taxCategoryService.js).
+// Products point at a category through products.tax_category_id.
+import { supabase } from "../supabase/supabaseClient.js";
+import {
+  TAX_TREATMENTS,
+  chargedRate,
+  getTaxCategories,
+  rateOn,
+} from "../services/taxCategoryService.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const todayStr = () => new Date().toISOString().split("T")[0];
+
+const withCurrentRate = (category) => ({
+  ...category,
+  tax_category_rates: [...(category.tax_category_rates || [])].sort((a, b) =>
+    a.effective_from < b.effective_from ? 1 : -1
+  ),
+  current_rate: rateOn(category),
+});
+
+// keep products.tax in step with the category for readers that only know tax
+async function syncProductTax(tenant_id, category_id) {
+  const [category] = await getTaxCategories(tenant_id, [category_id]);
+  if (!category) return;
+
+  const { error } = await supabase
+    .from("products")
+    .update({ tax: chargedRate(category.treatment, rateOn(category)) })
+    .eq("tenant_id", tenant_id)
+    .eq("tax_category_id", category_id);
+
+  if (error) throw error;
+}
+
+async function findCategory(tenant_id, id) {
+  const [category] = await getTaxCategories(tenant_id, [id]);
+  return category || null;
+}
+
+function checkRate(rate, effective_from) {
+  if (!(Number(rate) >= 0 && Number(rate) <= 100)) {
+    return "rate must be between 0 and 100";
+  }
+  if (effective_from && !DATE_RE.test(effective_from)) {
+    return "effective_from must be YYYY-MM-DD";
+  }
+  return null;
+}
+
+/**
+ * ============================================================
+ * GET /api/tax-categories
+ * ============================================================
+ */
+export const getTaxCategoryList = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const data = await getTaxCategories(tenant_id);
+    return res.json({
+      success: true,
+      data: data.map(withCurrentRate),
+      treatments: TAX_TREATMENTS,
+    });
+  } catch (err) {
+    console.error("❌ Get Tax Categories Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/tax-categories
+ * Body: { code, name, treatment, rate?, effective_from? }
+ * ============================================================
+ */
+export const createTaxCategory = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const code = String(req.body.code || "").trim().toUpperCase();
+    const name = String(req.body.name || "").trim();
+    const treatment = req.body.treatment || "standard";
+    const rate = Number(req.body.rate ?? 0);
+    const effective_from = req.body.effective_from || todayStr();
+
+    if (!code || !name) {
+      return res.status(400).json({ error: "code and name are required" });
+    }
+    if (!TAX_TREATMENTS.includes(treatment)) {
+      return res.status(400).json({ error: `treatment must be one of: ${TAX_TREATMENTS.join(", ")}` });
+    }
+    const rateErr = checkRate(rate, effective_from);
+    if (rateErr) return res.status(400).json({ error: rateErr });
+    if (["standard", "reverse_charge"].includes(treatment) && !(rate > 0)) {
+      return res.status(400).json({ error: `A ${treatment} category needs a rate above 0` });
+    }
+
+    const { data: category, error } = await supabase
+      .from("tax_categories")
+      .insert([{ tenant_id, code, name, treatment }])
+      .select("*")
+      .single();
+
+    if (error && error.code === "23505") {
+      return res.status(400).json({ error: `Tax code ${code} already exists` });
+    }
+    if (error) throw error;
+
+    const { error: rateInsErr } = await supabase
+      .from("tax_category_rates")
+      .insert([{ tenant_id, tax_category_id: category.id, rate, effective_from }]);
+
+    if (rateInsErr) throw rateInsErr;
+
+    return res.status(201).json({
+      success: true,
+      message: "Tax category created",
+      data: withCurrentRate(await findCategory(tenant_id, category.id)),
+    });
+  } catch (err) {
+    console.error("❌ Create Tax Category Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * PUT /api/tax-categories/:id   Body: { name?, treatment?, is_active? }
+ * The code is fixed once created; invoices keep it as a snapshot.
+ * ============================================================
+ */
+export const updateTaxCategory = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const { name, treatment, is_active } = req.body;
+    if (treatment !== undefined && !TAX_TREATMENTS.includes(treatment)) {
+      return res.status(400).json({ error: `treatment must be one of: ${TAX_TREATMENTS.join(", ")}` });
+    }
+
+    const { data, error } = await supabase
+      .from("tax_categories")
+      .update({
+        ...(name && { name: String(name).trim() }),
+        ...(treatment && { treatment }),
+        ...(is_active !== undefined && { is_active: !!is_active }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("tenant_id", tenant_id)
+      .eq("id", req.params.id)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Tax category not found" });
+
+    if (treatment) await syncProductTax(tenant_id, data.id);
+
+    return res.json({
+      success: true,
+      message: "Tax category updated",
+      data: withCurrentRate(await findCategory(tenant_id, data.id)),
+    });
+  } catch (err) {
+    console.error("❌ Update Tax Category Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
+
+/**
+ * ============================================================
+ * POST /api/tax-categories/:id/rates   Body: { rate, effective_from }
+ * A new rate from a date (e.g. a VAT rise announced in advance).
+ * Sales and purchases pick the rate in force on their date.
+ * ============================================================
+ */
+export const addTaxCategoryRate = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenant_id;
+    if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+    const rate = Number(req.body.rate);
+    const effective_from = req.body.effective_from;
+
+    if (!effective_from) {
+      return res.status(400).json({ error: "effective_from is required" });
+    }
+    const rateErr = checkRate(req.body.rate, effective_from);
+    if (rateErr) return res.status(400).json({ error: rateErr });
+
+    const category = await findCategory(tenant_id, req.params.id);
+    if (!category) return res.status(404).json({ error: "Tax category not found" });
+
+    const { error } = await supabase
+      .from("tax_category_rates")
+      .upsert(
+        [{ tenant_id, tax_category_id: category.id, rate, effective_from }],
+        { onConflict: "tax_category_id,effective_from" }
+      );
+
+    if (error) throw error;
+
+    await syncProductTax(tenant_id, category.id);
+
+    return res.json({
+      success: true,
+      message: `Rate ${rate}% from ${effective_from} saved`,
+      data: withCurrentRate(await findCategory(tenant_id, category.id)),
+    });
+  } catch (err) {
+    console.error("❌ Add Tax Rate Error:", err);
+    return res.status(500).json({ error: err.message || "Server Error" });
+  }
+};
@@ -42,6 +42,20 @@ import EmplopyeeDiscountRoutes from "./routes/EmplyeeDiscountRoutes.js";
 import employeesRoutes from "./routes/employeesRoutes.js";
 import cateogeryRouter from "./routes/cateogeryRouter.js";
 import reportRoutesPdfTenant from "./routes/tenatReportPdfRouter.js";
+import jobsRoutes from "./routes/jobsRoutes.js";
+import shiftRoutes from "./routes/shiftRoutes.js";
+import quotationRoutes from "./routes/quotationRoutes.js";
+import creditNoteRoutes from "./routes/creditNoteRoutes.js";
+import giftCardRoutes from "./routes/giftCardRoutes.js";
+import emailLogRoutes from "./routes/emailLogRoutes.js";
+import documentSeriesRoutes from "./routes/documentSeriesRoutes.js";
+import priceListRoutes from "./routes/priceListRoutes.js";
+import taxCategoryRoutes from "./routes/taxCategoryRoutes.js";
+import scaleBarcodeRoutes from "./routes/scaleBarcodeRoutes.js";
+import creditApprovalRoutes from "./routes/creditApprovalRoutes.js";
+import syncRoutes from "./routes/syncRoutes.js";
+
+import { startJobWorker } from "./services/jobQueueService.js";
 
 const app = express();
 
@@ -61,7 +75,7 @@ const allowedOrigins = [
 app.use(cors({
   origin: allowedOrigins,
   methods: ["GET", "POST", "PUT", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
   credentials: true
 }));
 
@@ -140,6 +154,41 @@ app.use("/api/accounts",
   accountsRoutes
 );
 
+// Background jobs (failed deferred accounting, re-run per invoice)
+app.use("/api/jobs",
+  verifyToken,
+  requireRole("tenant"),
+  jobsRoutes
+);
+
+// Document numbering series (prefix, padding, yearly reset, per branch)
+app.use("/api/document-series",
+  verifyToken,
+  requireRole("tenant"),
+  documentSeriesRoutes
+);
+
+// Price lists (retail / wholesale / VIP, quantity breaks)
+app.use("/api/price-lists",
+  verifyToken,
+  requireRole("tenant"),
+  priceListRoutes
+);
+
+// VAT categories (standard / zero-rated / exempt / reverse charge)
+app.use("/api/tax-categories",
+  verifyToken,
+  requireRole("tenant"),
+  taxCategoryRoutes
+);
+
+// Scale barcode layouts (weighed / price-embedded labels)
+app.use("/api/scale-barcodes",
+  verifyToken,
+  requireRole("tenant"),
+  scaleBarcodeRoutes
+);
+
 app.use("/api/purchases",
   verifyToken,
   requireRole(["tenant", "staff"]),
@@ -163,6 +212,13 @@ app.use("/api/inventory", verifyToken, inventory);
 // Billing (staff + tenant)
 app.use("/api/invoices", verifyToken, invoiceRoutes);
 app.use("/api/billing", verifyToken, billingRoutes);
+app.use("/api/sync", verifyToken, syncRoutes);
+app.use("/api/shifts", verifyToken, shiftRoutes);
+app.use("/api/quotations", verifyToken, quotationRoutes);
+app.use("/api/credit-notes", verifyToken, creditNoteRoutes);
+app.use("/api/credit-approvals", verifyToken, creditApprovalRoutes);
+app.use("/api/gift-cards", verifyToken, giftCardRoutes);
+app.use("/api/email-log", verifyToken, emailLogRoutes);
 
 // Returns
 app.use("/api/purchase_returns", verifyToken, purchaseReturnsRouter);
@@ -202,4 +258,7 @@ app.get("/", (req, res) => res.send("✅ Server running successfully"));
    START SERVER
 ====================================================== */
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  startJobWorker();
+});
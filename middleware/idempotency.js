@@ -0,0 +1,209 @@
+import crypto from "crypto";
+import { supabase } from "../supabase/supabaseClient.js";
+
+// Replays the original response for a repeated `Idempotency-Key`.
+// Use like `router.post("/", idempotency("billing"), createInvoice)`.
+//
+// - no header            → request runs normally
+// - new key              → key reserved, request runs, 2xx response stored
+// - same key + same body → stored response returned, handler NOT run again
+// - same key + new body  → 422
+// - same key still busy  → 409 (first attempt has not finished yet)
+// - same key, busy for longer than the lease and never committed
+//                        → key reclaimed, request runs (first attempt died)
+//
+// Non-2xx responses release the key so the client can safely retry, unless
+// the handler called markIdempotentCommitted(res): past that point the
+// response is stored like a 2xx and replayed, never run again.
+// The response is stored as soon as the handler sends it, so a client that
+// disconnects early (only "close" fires, no "finish") does not strand the key.
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 120);
+
+const BUSY = "A request with this Idempotency-Key is still being processed";
+
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest("hex");
+}
+
+function replay(res, row) {
+  const body =
+    row.response_encoding === "base64"
+      ? Buffer.from(row.response_body || "", "base64")
+      : row.response_body || "";
+
+  if (row.response_type) res.setHeader("Content-Type", row.response_type);
+  if (row.response_disposition) {
+    res.setHeader("Content-Disposition", row.response_disposition);
+  }
+  res.setHeader("Idempotent-Replayed", "true");
+
+  return res.status(row.response_status || 200).send(body);
+}
+
+/**
+ * Records that the handler's side effects are committed (e.g. right after the
+ * checkout RPC). No-op for requests without an Idempotency-Key.
+ */
+export async function markIdempotentCommitted(res) {
+  const id = res.locals?.idempotencyKeyId;
+  if (!id || res.locals.idempotencyCommitted) return;
+
+  res.locals.idempotencyCommitted = true;
+
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .update({ committed_at: new Date().toISOString() })
+    .eq("id", id);
+
+  // the response is still stored on the way out; only a crash before that
+  // leaves the key reclaimable
+  if (error) console.error("idempotency commit mark error:", error);
+}
+
+export const idempotency = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.get("Idempotency-Key");
+      if (!key) return next();
+
+      const tenant_id = req.user?.tenant_id;
+      if (!tenant_id) return res.status(403).json({ error: "Unauthorized" });
+
+      if (key.length > 255) {
+        return res.status(400).json({ error: "Idempotency-Key too long" });
+      }
+
+      const request_hash = hashRequest(req);
+
+      const { data: existing, error: fetchErr } = await supabase
+        .from("idempotency_keys")
+        .select("*")
+        .eq("tenant_id", tenant_id)
+        .eq("scope", scope)
+        .eq("key", key)
+        .maybeSingle();
+
+      if (fetchErr) throw fetchErr;
+
+      let reserved;
+
+      if (existing) {
+        const ageHours = (Date.now() - new Date(existing.created_at)) / 3600000;
+        const ageSeconds = ageHours * 3600;
+
+        if (ageHours > TTL_HOURS) {
+          // expired → forget it and treat as a fresh key
+          await supabase.from("idempotency_keys").delete().eq("id", existing.id);
+        } else if (existing.request_hash !== request_hash) {
+          return res.status(422).json({
+            error: "Idempotency-Key was already used with a different request",
+          });
+        } else if (existing.status === "in_progress") {
+          if (existing.committed_at || ageSeconds <= LEASE_SECONDS) {
+            return res.status(409).json({ error: BUSY });
+          }
+
+          // lease ran out before the first attempt committed anything →
+          // take the key over; created_at in the filter makes one retry win
+          const { data: reclaimed, error: reclaimErr } = await supabase
+            .from("idempotency_keys")
+            .update({ created_at: new Date().toISOString() })
+            .eq("id", existing.id)
+            .eq("status", "in_progress")
+            .eq("created_at", existing.created_at)
+            .is("committed_at", null)
+            .select("id");
+
+          if (reclaimErr) throw reclaimErr;
+          if (!reclaimed?.length) return res.status(409).json({ error: BUSY });
+
+          reserved = reclaimed[0];
+        } else {
+          return replay(res, existing);
+        }
+      }
+
+      if (!reserved) {
+        // Reserve the key. The unique constraint makes a parallel duplicate lose.
+        const { data, error: reserveErr } = await supabase
+          .from("idempotency_keys")
+          .insert([{ tenant_id, scope, key, request_hash }])
+          .select("id")
+          .single();
+
+        if (reserveErr) {
+          if (reserveErr.code === "23505") {
+            return res.status(409).json({ error: BUSY });
+          }
+          throw reserveErr;
+        }
+        reserved = data;
+      }
+
+      res.locals.idempotencyKeyId = reserved.id;
+
+      // Capture whatever the handler sends (res.json goes through res.send)
+      let captured;
+      let finalized = false;
+
+      const finalize = async () => {
+        // nothing sent yet (client left while the handler is still running):
+        // the handler's own send finalizes later
+        if (finalized || captured === undefined) return;
+        finalized = true;
+
+        try {
+          const ok = res.statusCode >= 200 && res.statusCode < 300;
+          if (!ok && !res.locals.idempotencyCommitted) {
+            await supabase.from("idempotency_keys").delete().eq("id", reserved.id);
+            return;
+          }
+
+          const isBinary = Buffer.isBuffer(captured);
+          const response_body = isBinary
+            ? captured.toString("base64")
+            : typeof captured === "string"
+              ? captured
+              : JSON.stringify(captured ?? "");
+
+          await supabase
+            .from("idempotency_keys")
+            .update({
+              status: "completed",
+              response_status: res.statusCode,
+              response_type: res.get("Content-Type") || null,
+              response_disposition: res.get("Content-Disposition") || null,
+              response_body,
+              response_encoding: isBinary ? "base64" : "utf8",
+              completed_at: new Date().toISOString(),
+            })
+            .eq("id", reserved.id);
+        } catch (err) {
+          console.error("idempotency store error:", err);
+        }
+      };
+
+      const originalSend = res.send.bind(res);
+      res.send = (body) => {
+        if (captured === undefined) captured = body;
+        const result = originalSend(body);
+        finalize();
+        return result;
+      };
+
+      res.on("finish", finalize);
+      res.on("close", finalize);
+
+      return next();
+    } catch (err) {
+      console.error("idempotency error:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+};
+
+export default idempotency;
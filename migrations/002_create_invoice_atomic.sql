@@ -0,0 +1,191 @@
+-- Migration: create_invoice_atomic
+-- Writes a whole checkout in ONE transaction: counter bump, invoice, items,
+-- discounts, coupon usage, inventory, stock movements, loyalty redeem and
+-- employee discount usage. Any RAISE rolls everything back.
+--
+-- Called from controllers/billinController2.js (createInvoice) via
+--   supabase.rpc("create_invoice_atomic", { p_invoice, p_items, ... })
+--
+-- Pricing is computed server-side in Node; this function only persists it.
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_seq         integer;
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) SALES SEQUENCE (row lock serialises concurrent checkouts)
+  UPDATE public.tenant_counters
+     SET sales_seq = COALESCE(sales_seq, 0) + 1
+   WHERE tenant_id = v_tenant_id
+  RETURNING sales_seq INTO v_seq;
+
+  IF NOT FOUND THEN
+    v_seq := 1;
+    INSERT INTO public.tenant_counters (tenant_id, sales_seq)
+    VALUES (v_tenant_id, v_seq);
+  END IF;
+
+  -- same format as before: INV-YYYY-NNNN (never truncates past 9999)
+  v_number := 'INV-' || to_char(now(), 'YYYY') || '-' ||
+    CASE WHEN length(v_seq::text) >= 4 THEN v_seq::text
+         ELSE lpad(v_seq::text, 4, '0') END;
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total
+  )
+  SELECT
+    v_tenant_id, v_number, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  FOR v_line IN
+    SELECT r.product_id, sum(r.quantity) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+     GROUP BY r.product_id
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+-- To drop the function:
+-- DROP FUNCTION IF EXISTS public.create_invoice_atomic;
@@ -0,0 +1,63 @@
+-- Migration: durable background jobs
+-- Replaces setImmediate() for post-invoice work (loyalty, journals, COGS,
+-- vat_reports). Rows survive restarts; failures keep last_error and are
+-- retried with exponential backoff by services/jobQueueService.js.
+
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id            bigserial PRIMARY KEY,
+  tenant_id     uuid NOT NULL,
+  type          text NOT NULL,
+  reference_id  text,
+  payload       jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status        text NOT NULL DEFAULT 'pending'
+                CHECK (status IN ('pending', 'running', 'done', 'failed')),
+  attempts      integer NOT NULL DEFAULT 0,
+  max_attempts  integer NOT NULL DEFAULT 6,
+  last_error    text,
+  run_at        timestamptz NOT NULL DEFAULT now(),
+  locked_at     timestamptz,
+  completed_at  timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS jobs_due_idx
+  ON public.jobs (status, run_at);
+
+CREATE INDEX IF NOT EXISTS jobs_tenant_reference_idx
+  ON public.jobs (tenant_id, reference_id);
+
+-- Claims up to p_limit due jobs for one worker. SKIP LOCKED lets several
+-- server instances poll the same table without running a job twice.
+-- Jobs stuck in 'running' longer than p_stale_after (crashed worker) are
+-- picked up again.
+CREATE OR REPLACE FUNCTION public.claim_jobs(
+  p_limit integer DEFAULT 5,
+  p_stale_after interval DEFAULT interval '10 minutes'
+)
+RETURNS SETOF public.jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.jobs j
+     SET status     = 'running',
+         attempts   = j.attempts + 1,
+         locked_at  = now(),
+         updated_at = now()
+   WHERE j.id IN (
+     SELECT id
+       FROM public.jobs
+      WHERE (status = 'pending' AND run_at <= now())
+         OR (status = 'running' AND locked_at < now() - p_stale_after)
+      ORDER BY run_at, id
+      LIMIT p_limit
+      FOR UPDATE SKIP LOCKED
+   )
+  RETURNING j.*;
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.claim_jobs;
+-- DROP TABLE IF EXISTS public.jobs;
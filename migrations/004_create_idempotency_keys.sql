@@ -0,0 +1,27 @@
+-- Migration: idempotency keys for retried POSTs
+-- One row per (tenant, scope, Idempotency-Key). The stored response is
+-- replayed to repeat requests; see middleware/idempotency.js.
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  id                   bigserial PRIMARY KEY,
+  tenant_id            uuid NOT NULL,
+  scope                text NOT NULL,
+  key                  text NOT NULL,
+  request_hash         text NOT NULL,
+  status               text NOT NULL DEFAULT 'in_progress'
+                       CHECK (status IN ('in_progress', 'completed')),
+  response_status      integer,
+  response_type        text,
+  response_disposition text,
+  response_body        text,      -- base64 for binary bodies (PDF)
+  response_encoding    text,      -- 'utf8' | 'base64'
+  created_at           timestamptz NOT NULL DEFAULT now(),
+  completed_at         timestamptz,
+  UNIQUE (tenant_id, scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx
+  ON public.idempotency_keys (created_at);
+
+-- To drop:
+-- DROP TABLE IF EXISTS public.idempotency_keys;
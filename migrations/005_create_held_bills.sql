@@ -0,0 +1,28 @@
+-- Migration: held (parked) bills
+-- A suspended cart. Holds only the checkout context — no stock, invoice or
+-- accounting rows are written until it is resumed through createInvoice.
+
+CREATE TABLE IF NOT EXISTS public.held_bills (
+  id             bigserial PRIMARY KEY,
+  tenant_id      uuid NOT NULL,
+  label          text,
+  items          jsonb NOT NULL DEFAULT '[]'::jsonb,  -- [{ product_id, qty }]
+  customer_id    bigint,
+  coupon_code    text,
+  employee_id    bigint,
+  redeem_points  integer NOT NULL DEFAULT 0,
+  note           text,
+  status         text NOT NULL DEFAULT 'held'
+                 CHECK (status IN ('held', 'converting', 'converted', 'discarded')),
+  held_by        uuid,
+  resumed_by     uuid,
+  invoice_id     bigint,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  updated_at     timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS held_bills_tenant_status_idx
+  ON public.held_bills (tenant_id, status, created_at DESC);
+
+-- To drop:
+-- DROP TABLE IF EXISTS public.held_bills;
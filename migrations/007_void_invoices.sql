@@ -0,0 +1,81 @@
+-- Migration: void invoices instead of deleting them
+-- The invoice row stays (status = 'void') for the audit trail. Stock is
+-- put back here in one transaction; journals, daybook, VAT report and
+-- loyalty are reversed by the "invoice_void" job (controllers/invoiceController.js).
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS status      text NOT NULL DEFAULT 'issued',
+  ADD COLUMN IF NOT EXISTS void_reason text,
+  ADD COLUMN IF NOT EXISTS voided_by   uuid,
+  ADD COLUMN IF NOT EXISTS voided_at   timestamptz,
+  ADD COLUMN IF NOT EXISTS void_vat_reversed boolean NOT NULL DEFAULT false;
+
+CREATE OR REPLACE FUNCTION public.void_invoice(
+  p_tenant_id public.invoices.tenant_id%TYPE,
+  p_invoice_id public.invoices.id%TYPE,
+  p_voided_by uuid,
+  p_reason text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice public.invoices%ROWTYPE;
+  v_line    record;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice % is already void', v_invoice.invoice_number;
+  END IF;
+
+  -- put every sold unit back on the shelf
+  FOR v_line IN
+    SELECT product_id, sum(quantity) AS quantity
+      FROM public.invoice_items
+     WHERE invoice_id = p_invoice_id
+     GROUP BY product_id
+  LOOP
+    UPDATE public.inventory
+       SET quantity = COALESCE(quantity, 0) + v_line.quantity,
+           updated_at = now()
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.inventory (tenant_id, product_id, quantity, updated_at)
+      VALUES (p_tenant_id, v_line.product_id, v_line.quantity, now());
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'sale_void', 'invoices', p_invoice_id, v_line.quantity
+    );
+  END LOOP;
+
+  UPDATE public.invoices
+     SET status = 'void',
+         void_reason = p_reason,
+         voided_by = p_voided_by,
+         voided_at = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.void_invoice;
+-- ALTER TABLE public.invoices DROP COLUMN status, DROP COLUMN void_reason,
+--   DROP COLUMN voided_by, DROP COLUMN voided_at, DROP COLUMN void_vat_reversed;
@@ -0,0 +1,45 @@
+-- Migration: cash register shifts (till sessions)
+-- One open shift per cashier. Expected cash at close is
+--   opening_float + cash sales − cash refunds − payouts
+-- computed from invoices / sales_returns handled by that cashier inside
+-- the shift window (controllers/shiftController.js).
+
+CREATE TABLE IF NOT EXISTS public.shifts (
+  id             bigserial PRIMARY KEY,
+  tenant_id      uuid NOT NULL,
+  handled_by     uuid NOT NULL,              -- cashier (users.id)
+  status         text NOT NULL DEFAULT 'open'
+                 CHECK (status IN ('open', 'closed')),
+  opening_float  numeric(12, 2) NOT NULL DEFAULT 0,
+  opened_at      timestamptz NOT NULL DEFAULT now(),
+  closed_at      timestamptz,
+  denominations  jsonb,                      -- { "100": 3, "0.25": 8 }
+  counted_cash   numeric(12, 2),
+  expected_cash  numeric(12, 2),
+  variance       numeric(12, 2),
+  summary        jsonb,                      -- frozen totals for the Z report
+  notes          text
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS shifts_one_open_per_cashier
+  ON public.shifts (tenant_id, handled_by)
+  WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS public.shift_payouts (
+  id          bigserial PRIMARY KEY,
+  tenant_id   uuid NOT NULL,
+  shift_id    bigint NOT NULL REFERENCES public.shifts (id) ON DELETE CASCADE,
+  amount      numeric(12, 2) NOT NULL CHECK (amount > 0),
+  reason      text NOT NULL,
+  created_by  uuid,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+-- who processed a refund, so cash refunds land in the right till
+ALTER TABLE public.sales_returns
+  ADD COLUMN IF NOT EXISTS handled_by uuid;
+
+-- To drop:
+-- DROP TABLE IF EXISTS public.shift_payouts;
+-- DROP TABLE IF EXISTS public.shifts;
+-- ALTER TABLE public.sales_returns DROP COLUMN handled_by;
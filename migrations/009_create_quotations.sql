@@ -0,0 +1,108 @@
+-- Migration: quotations
+-- Own number series (tenant_counters.quotation_seq → QUO-YYYY-NNNN),
+-- validity date and status. Converting a quotation runs the normal
+-- createInvoice path and links both rows (quotations.invoice_id,
+-- invoices.quotation_id).
+
+ALTER TABLE public.tenant_counters
+  ADD COLUMN IF NOT EXISTS quotation_seq integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.quotations (
+  id                        bigserial PRIMARY KEY,
+  tenant_id                 uuid NOT NULL,
+  quotation_number          text NOT NULL,
+  customer_id               bigint,
+  status                    text NOT NULL DEFAULT 'draft'
+                            CHECK (status IN ('draft', 'sent', 'accepted', 'expired')),
+  valid_until               date NOT NULL,
+  coupon_code               text,
+  subtotal                  numeric(12, 2) NOT NULL DEFAULT 0,
+  item_discount_total       numeric(12, 2) NOT NULL DEFAULT 0,
+  bill_discount_total       numeric(12, 2) NOT NULL DEFAULT 0,
+  coupon_discount_total     numeric(12, 2) NOT NULL DEFAULT 0,
+  membership_discount_total numeric(12, 2) NOT NULL DEFAULT 0,
+  tax_total                 numeric(12, 2) NOT NULL DEFAULT 0,
+  total                     numeric(12, 2) NOT NULL DEFAULT 0,
+  notes                     text,
+  created_by                uuid,
+  invoice_id                bigint,
+  accepted_at               timestamptz,
+  created_at                timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, quotation_number)
+);
+
+CREATE TABLE IF NOT EXISTS public.quotation_items (
+  id               bigserial PRIMARY KEY,
+  tenant_id        uuid NOT NULL,
+  quotation_id     bigint NOT NULL REFERENCES public.quotations (id) ON DELETE CASCADE,
+  product_id       bigint NOT NULL,
+  quantity         numeric(12, 3) NOT NULL,
+  price            numeric(12, 2) NOT NULL,   -- tax-inclusive unit price
+  tax              numeric(5, 2) NOT NULL DEFAULT 0,
+  discount_amount  numeric(12, 2) NOT NULL DEFAULT 0, -- per unit
+  tax_amount       numeric(12, 2) NOT NULL DEFAULT 0,
+  total            numeric(12, 2) NOT NULL
+);
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS quotation_id bigint;
+
+-- Numbers the quotation and writes it with its lines in one transaction.
+CREATE OR REPLACE FUNCTION public.create_quotation(
+  p_quotation jsonb,
+  p_items jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id public.quotations.tenant_id%TYPE := p_quotation->>'tenant_id';
+  v_seq       integer;
+  v_quotation public.quotations%ROWTYPE;
+BEGIN
+  UPDATE public.tenant_counters
+     SET quotation_seq = COALESCE(quotation_seq, 0) + 1
+   WHERE tenant_id = v_tenant_id
+  RETURNING quotation_seq INTO v_seq;
+
+  IF NOT FOUND THEN
+    v_seq := 1;
+    INSERT INTO public.tenant_counters (tenant_id, quotation_seq)
+    VALUES (v_tenant_id, v_seq);
+  END IF;
+
+  INSERT INTO public.quotations (
+    tenant_id, quotation_number, customer_id, valid_until, coupon_code,
+    subtotal, item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, tax_total, total, notes, created_by
+  )
+  SELECT
+    v_tenant_id,
+    'QUO-' || to_char(now(), 'YYYY') || '-' ||
+      CASE WHEN length(v_seq::text) >= 4 THEN v_seq::text
+           ELSE lpad(v_seq::text, 4, '0') END,
+    r.customer_id, r.valid_until, r.coupon_code,
+    r.subtotal, r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.tax_total, r.total, r.notes, r.created_by
+  FROM jsonb_populate_record(NULL::public.quotations, p_quotation) r
+  RETURNING * INTO v_quotation;
+
+  INSERT INTO public.quotation_items (
+    tenant_id, quotation_id, product_id, quantity, price, tax,
+    discount_amount, tax_amount, total
+  )
+  SELECT
+    v_tenant_id, v_quotation.id, r.product_id, r.quantity, r.price, r.tax,
+    r.discount_amount, r.tax_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.quotation_items, p_items) r;
+
+  RETURN to_jsonb(v_quotation);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.create_quotation;
+-- DROP TABLE IF EXISTS public.quotation_items;
+-- DROP TABLE IF EXISTS public.quotations;
+-- ALTER TABLE public.invoices DROP COLUMN quotation_id;
+-- ALTER TABLE public.tenant_counters DROP COLUMN quotation_seq;
@@ -0,0 +1,438 @@
+-- Migration: customer credit notes and store credit
+-- - customers.credit_balance: spendable store credit
+-- - customer_credit_ledger: every movement with balance_after
+-- - credit_notes: numbered documents (tenant_counters.credit_note_seq → CN-YYYY-NNNN)
+-- - "Customer Credit" liability account in every tenant's COA
+-- - create_invoice_atomic: 'store_credit' payment legs draw the balance down
+-- - void_invoice: store credit spent on a voided invoice is given back
+
+ALTER TABLE public.customers
+  ADD COLUMN IF NOT EXISTS credit_balance numeric(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.tenant_counters
+  ADD COLUMN IF NOT EXISTS credit_note_seq integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.credit_notes (
+  id                  bigserial PRIMARY KEY,
+  tenant_id           uuid NOT NULL,
+  credit_note_number  text NOT NULL,
+  customer_id         bigint NOT NULL,
+  invoice_id          bigint,
+  sales_return_id     bigint,
+  amount              numeric(12, 2) NOT NULL CHECK (amount > 0),
+  reason              text,
+  created_by          uuid,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, credit_note_number)
+);
+
+CREATE TABLE IF NOT EXISTS public.customer_credit_ledger (
+  id              bigserial PRIMARY KEY,
+  tenant_id       uuid NOT NULL,
+  customer_id     bigint NOT NULL,
+  entry_type      text NOT NULL CHECK (entry_type IN ('issue', 'redeem', 'void', 'adjust')),
+  amount          numeric(12, 2) NOT NULL,   -- + adds credit, - spends it
+  balance_after   numeric(12, 2) NOT NULL,
+  credit_note_id  bigint REFERENCES public.credit_notes (id),
+  invoice_id      bigint,
+  description     text,
+  created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customer_credit_ledger_customer_idx
+  ON public.customer_credit_ledger (tenant_id, customer_id, created_at);
+
+-- COA account for existing tenants (new tenants get it from createDefaultCoaForTenant)
+INSERT INTO public.coa (tenant_id, name, type, parent_id)
+SELECT DISTINCT c.tenant_id, 'Customer Credit', 'liability', NULL::bigint
+FROM public.coa c
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.coa x
+  WHERE x.tenant_id = c.tenant_id AND lower(x.name) = 'customer credit'
+);
+
+-- Numbers a credit note and adds it to the customer's balance atomically.
+CREATE OR REPLACE FUNCTION public.issue_credit_note(
+  p_tenant_id public.credit_notes.tenant_id%TYPE,
+  p_customer_id public.credit_notes.customer_id%TYPE,
+  p_amount numeric,
+  p_invoice_id public.credit_notes.invoice_id%TYPE DEFAULT NULL,
+  p_sales_return_id public.credit_notes.sales_return_id%TYPE DEFAULT NULL,
+  p_reason text DEFAULT NULL,
+  p_created_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_seq     integer;
+  v_note    public.credit_notes%ROWTYPE;
+  v_balance numeric;
+BEGIN
+  IF COALESCE(p_amount, 0) <= 0 THEN
+    RAISE EXCEPTION 'Credit note amount must be > 0';
+  END IF;
+
+  UPDATE public.tenant_counters
+     SET credit_note_seq = COALESCE(credit_note_seq, 0) + 1
+   WHERE tenant_id = p_tenant_id
+  RETURNING credit_note_seq INTO v_seq;
+
+  IF NOT FOUND THEN
+    v_seq := 1;
+    INSERT INTO public.tenant_counters (tenant_id, credit_note_seq)
+    VALUES (p_tenant_id, v_seq);
+  END IF;
+
+  INSERT INTO public.credit_notes (
+    tenant_id, credit_note_number, customer_id, invoice_id, sales_return_id,
+    amount, reason, created_by
+  )
+  VALUES (
+    p_tenant_id,
+    'CN-' || to_char(now(), 'YYYY') || '-' ||
+      CASE WHEN length(v_seq::text) >= 4 THEN v_seq::text
+           ELSE lpad(v_seq::text, 4, '0') END,
+    p_customer_id, p_invoice_id, p_sales_return_id, p_amount, p_reason, p_created_by
+  )
+  RETURNING * INTO v_note;
+
+  UPDATE public.customers
+     SET credit_balance = credit_balance + p_amount
+   WHERE id = p_customer_id
+     AND tenant_id = p_tenant_id
+  RETURNING credit_balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Customer not found';
+  END IF;
+
+  INSERT INTO public.customer_credit_ledger (
+    tenant_id, customer_id, entry_type, amount, balance_after, credit_note_id,
+    invoice_id, description
+  )
+  VALUES (
+    p_tenant_id, p_customer_id, 'issue', p_amount, v_balance, v_note.id,
+    p_invoice_id, 'Credit note ' || v_note.credit_note_number
+  );
+
+  RETURN to_jsonb(v_note) || jsonb_build_object('balance_after', v_balance);
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.create_invoice_atomic;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_seq         integer;
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) SALES SEQUENCE (row lock serialises concurrent checkouts)
+  UPDATE public.tenant_counters
+     SET sales_seq = COALESCE(sales_seq, 0) + 1
+   WHERE tenant_id = v_tenant_id
+  RETURNING sales_seq INTO v_seq;
+
+  IF NOT FOUND THEN
+    v_seq := 1;
+    INSERT INTO public.tenant_counters (tenant_id, sales_seq)
+    VALUES (v_tenant_id, v_seq);
+  END IF;
+
+  -- same format as before: INV-YYYY-NNNN (never truncates past 9999)
+  v_number := 'INV-' || to_char(now(), 'YYYY') || '-' ||
+    CASE WHEN length(v_seq::text) >= 4 THEN v_seq::text
+         ELSE lpad(v_seq::text, 4, '0') END;
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total
+  )
+  SELECT
+    v_tenant_id, v_number, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  FOR v_line IN
+    SELECT r.product_id, sum(r.quantity) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+     GROUP BY r.product_id
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.void_invoice(
+  p_tenant_id public.invoices.tenant_id%TYPE,
+  p_invoice_id public.invoices.id%TYPE,
+  p_voided_by uuid,
+  p_reason text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice public.invoices%ROWTYPE;
+  v_line    record;
+  v_credit  numeric;
+  v_left    numeric;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice % is already void', v_invoice.invoice_number;
+  END IF;
+
+  -- put every sold unit back on the shelf
+  FOR v_line IN
+    SELECT product_id, sum(quantity) AS quantity
+      FROM public.invoice_items
+     WHERE invoice_id = p_invoice_id
+     GROUP BY product_id
+  LOOP
+    UPDATE public.inventory
+       SET quantity = COALESCE(quantity, 0) + v_line.quantity,
+           updated_at = now()
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.inventory (tenant_id, product_id, quantity, updated_at)
+      VALUES (p_tenant_id, v_line.product_id, v_line.quantity, now());
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'sale_void', 'invoices', p_invoice_id, v_line.quantity
+    );
+  END LOOP;
+
+  -- give back any store credit spent on this invoice
+  SELECT COALESCE(sum(amount), 0) INTO v_credit
+    FROM public.invoice_payments
+   WHERE invoice_id = p_invoice_id
+     AND method = 'store_credit';
+
+  IF v_credit > 0 AND v_invoice.customer_id IS NOT NULL THEN
+    UPDATE public.customers
+       SET credit_balance = credit_balance + v_credit
+     WHERE id = v_invoice.customer_id
+       AND tenant_id = p_tenant_id
+    RETURNING credit_balance INTO v_left;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      p_tenant_id, v_invoice.customer_id, 'void', v_credit, v_left,
+      p_invoice_id, 'Store credit returned: ' || v_invoice.invoice_number || ' voided'
+    );
+  END IF;
+
+  UPDATE public.invoices
+     SET status = 'void',
+         void_reason = p_reason,
+         voided_by = p_voided_by,
+         voided_at = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.issue_credit_note;
+-- DROP TABLE IF EXISTS public.customer_credit_ledger;
+-- DROP TABLE IF EXISTS public.credit_notes;
+-- ALTER TABLE public.customers DROP COLUMN credit_balance;
+-- ALTER TABLE public.tenant_counters DROP COLUMN credit_note_seq;
@@ -0,0 +1,471 @@
+-- Migration: gift cards
+-- - gift_cards: per-tenant unique code, balance, expiry
+-- - gift_card_transactions: issue / redeem / expire / void movements
+-- - COA: "Gift Card Liability" (liability) and "Gift Card Breakage" (income)
+-- - create_invoice_atomic: 'gift_card' payment legs (reference = code)
+-- - void_invoice: redemptions go back on the card
+-- - expire_gift_cards: zeroes expired cards and returns them for breakage posting
+
+CREATE TABLE IF NOT EXISTS public.gift_cards (
+  id                bigserial PRIMARY KEY,
+  tenant_id         uuid NOT NULL,
+  code              text NOT NULL,
+  initial_amount    numeric(12, 2) NOT NULL CHECK (initial_amount > 0),
+  balance           numeric(12, 2) NOT NULL CHECK (balance >= 0),
+  status            text NOT NULL DEFAULT 'active'
+                    CHECK (status IN ('active', 'redeemed', 'expired', 'void')),
+  expires_at        timestamptz,
+  customer_id       bigint,
+  payment_method    text NOT NULL DEFAULT 'cash',
+  issued_by         uuid,
+  breakage_amount   numeric(12, 2) NOT NULL DEFAULT 0,
+  expired_at        timestamptz,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at        timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS gift_cards_expiry_idx
+  ON public.gift_cards (tenant_id, status, expires_at);
+
+CREATE TABLE IF NOT EXISTS public.gift_card_transactions (
+  id              bigserial PRIMARY KEY,
+  tenant_id       uuid NOT NULL,
+  gift_card_id    bigint NOT NULL REFERENCES public.gift_cards (id),
+  type            text NOT NULL CHECK (type IN ('issue', 'redeem', 'expire', 'void')),
+  amount          numeric(12, 2) NOT NULL,   -- + loads the card, - spends it
+  balance_after   numeric(12, 2) NOT NULL,
+  invoice_id      bigint,
+  created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS gift_card_transactions_card_idx
+  ON public.gift_card_transactions (gift_card_id, created_at);
+
+CREATE INDEX IF NOT EXISTS gift_card_transactions_invoice_idx
+  ON public.gift_card_transactions (invoice_id);
+
+-- COA accounts for existing tenants (new tenants get them from createDefaultCoaForTenant)
+INSERT INTO public.coa (tenant_id, name, type, parent_id)
+SELECT DISTINCT c.tenant_id, a.name, a.type, NULL::bigint
+FROM public.coa c
+CROSS JOIN (VALUES ('Gift Card Liability', 'liability'),
+                   ('Gift Card Breakage', 'income')) AS a(name, type)
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.coa x
+  WHERE x.tenant_id = c.tenant_id AND lower(x.name) = lower(a.name)
+);
+
+-- Marks every active card past its expiry as expired, zeroes the balance
+-- and returns the rows (with breakage_amount) so the caller can post breakage.
+CREATE OR REPLACE FUNCTION public.expire_gift_cards(
+  p_tenant_id public.gift_cards.tenant_id%TYPE
+)
+RETURNS SETOF public.gift_cards
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH expired AS (
+    UPDATE public.gift_cards g
+       SET status          = 'expired',
+           breakage_amount = g.balance,
+           balance         = 0,
+           expired_at      = now(),
+           updated_at      = now()
+     WHERE g.tenant_id = p_tenant_id
+       AND g.status = 'active'
+       AND g.expires_at IS NOT NULL
+       AND g.expires_at < now()
+    RETURNING g.*
+  ), tx AS (
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after
+    )
+    SELECT e.tenant_id, e.id, 'expire', -e.breakage_amount, 0
+      FROM expired e
+     WHERE e.breakage_amount > 0
+  )
+  SELECT * FROM expired;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.create_invoice_atomic;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_seq         integer;
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+  v_gift_leg     record;
+  v_gift_card    public.gift_cards%ROWTYPE;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) SALES SEQUENCE (row lock serialises concurrent checkouts)
+  UPDATE public.tenant_counters
+     SET sales_seq = COALESCE(sales_seq, 0) + 1
+   WHERE tenant_id = v_tenant_id
+  RETURNING sales_seq INTO v_seq;
+
+  IF NOT FOUND THEN
+    v_seq := 1;
+    INSERT INTO public.tenant_counters (tenant_id, sales_seq)
+    VALUES (v_tenant_id, v_seq);
+  END IF;
+
+  -- same format as before: INV-YYYY-NNNN (never truncates past 9999)
+  v_number := 'INV-' || to_char(now(), 'YYYY') || '-' ||
+    CASE WHEN length(v_seq::text) >= 4 THEN v_seq::text
+         ELSE lpad(v_seq::text, 4, '0') END;
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total
+  )
+  SELECT
+    v_tenant_id, v_number, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  FOR v_line IN
+    SELECT r.product_id, sum(r.quantity) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+     GROUP BY r.product_id
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  -- 12) GIFT CARD LEGS (reference = card code; partial redemption allowed)
+  FOR v_gift_leg IN
+    SELECT upper(trim(r.reference)) AS code, sum(r.amount) AS amount
+      FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+     WHERE r.method = 'gift_card'
+     GROUP BY upper(trim(r.reference))
+  LOOP
+    SELECT * INTO v_gift_card
+      FROM public.gift_cards
+     WHERE tenant_id = v_tenant_id
+       AND code = v_gift_leg.code
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Gift card % not found', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.status <> 'active'
+       OR (v_gift_card.expires_at IS NOT NULL AND v_gift_card.expires_at < now()) THEN
+      RAISE EXCEPTION 'Gift card % is not active', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.balance < v_gift_leg.amount THEN
+      RAISE EXCEPTION 'Gift card % balance % is less than %',
+        v_gift_leg.code, v_gift_card.balance, v_gift_leg.amount;
+    END IF;
+
+    UPDATE public.gift_cards
+       SET balance = balance - v_gift_leg.amount,
+           status = CASE WHEN balance - v_gift_leg.amount = 0 THEN 'redeemed' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift_card.id
+    RETURNING * INTO v_gift_card;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (
+      v_tenant_id, v_gift_card.id, 'redeem', -v_gift_leg.amount,
+      v_gift_card.balance, v_invoice.id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.void_invoice(
+  p_tenant_id public.invoices.tenant_id%TYPE,
+  p_invoice_id public.invoices.id%TYPE,
+  p_voided_by uuid,
+  p_reason text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice public.invoices%ROWTYPE;
+  v_line    record;
+  v_credit  numeric;
+  v_left    numeric;
+  v_gift    record;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice % is already void', v_invoice.invoice_number;
+  END IF;
+
+  -- put every sold unit back on the shelf
+  FOR v_line IN
+    SELECT product_id, sum(quantity) AS quantity
+      FROM public.invoice_items
+     WHERE invoice_id = p_invoice_id
+     GROUP BY product_id
+  LOOP
+    UPDATE public.inventory
+       SET quantity = COALESCE(quantity, 0) + v_line.quantity,
+           updated_at = now()
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.inventory (tenant_id, product_id, quantity, updated_at)
+      VALUES (p_tenant_id, v_line.product_id, v_line.quantity, now());
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'sale_void', 'invoices', p_invoice_id, v_line.quantity
+    );
+  END LOOP;
+
+  -- give back any store credit spent on this invoice
+  SELECT COALESCE(sum(amount), 0) INTO v_credit
+    FROM public.invoice_payments
+   WHERE invoice_id = p_invoice_id
+     AND method = 'store_credit';
+
+  IF v_credit > 0 AND v_invoice.customer_id IS NOT NULL THEN
+    UPDATE public.customers
+       SET credit_balance = credit_balance + v_credit
+     WHERE id = v_invoice.customer_id
+       AND tenant_id = p_tenant_id
+    RETURNING credit_balance INTO v_left;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      p_tenant_id, v_invoice.customer_id, 'void', v_credit, v_left,
+      p_invoice_id, 'Store credit returned: ' || v_invoice.invoice_number || ' voided'
+    );
+  END IF;
+
+  -- put gift card redemptions back on the cards
+  FOR v_gift IN
+    SELECT t.gift_card_id, -sum(t.amount) AS amount
+      FROM public.gift_card_transactions t
+     WHERE t.invoice_id = p_invoice_id
+       AND t.type = 'redeem'
+     GROUP BY t.gift_card_id
+  LOOP
+    UPDATE public.gift_cards
+       SET balance = balance + v_gift.amount,
+           status = CASE WHEN status = 'redeemed' THEN 'active' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift.gift_card_id
+    RETURNING balance INTO v_left;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (p_tenant_id, v_gift.gift_card_id, 'void', v_gift.amount, v_left, p_invoice_id);
+  END LOOP;
+
+  UPDATE public.invoices
+     SET status = 'void',
+         void_reason = p_reason,
+         voided_by = p_voided_by,
+         voided_at = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.expire_gift_cards;
+-- DROP TABLE IF EXISTS public.gift_card_transactions;
+-- DROP TABLE IF EXISTS public.gift_cards;
@@ -0,0 +1,34 @@
+-- Migration: A4 tax invoice template
+-- - tenant_invoice_settings: seller details printed on invoices (TRN, address,
+--   logo, colour, footer) and the default template ('thermal' | 'a4')
+-- - customers.trn / customers.address for B2B buyers
+-- - invoices.template: the template the invoice was issued with
+
+CREATE TABLE IF NOT EXISTS public.tenant_invoice_settings (
+  tenant_id         uuid PRIMARY KEY,
+  legal_name        text,
+  trn               text,
+  address           text,
+  phone             text,
+  email             text,
+  logo_url          text,
+  brand_color       text NOT NULL DEFAULT '#111827',
+  currency          text NOT NULL DEFAULT 'AED',
+  footer_note       text,
+  default_template  text NOT NULL DEFAULT 'thermal'
+                    CHECK (default_template IN ('thermal', 'a4')),
+  updated_at        timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.customers
+  ADD COLUMN IF NOT EXISTS trn text,
+  ADD COLUMN IF NOT EXISTS address text;
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS template text NOT NULL DEFAULT 'thermal'
+    CHECK (template IN ('thermal', 'a4'));
+
+-- To drop:
+-- ALTER TABLE public.invoices DROP COLUMN template;
+-- ALTER TABLE public.customers DROP COLUMN trn, DROP COLUMN address;
+-- DROP TABLE IF EXISTS public.tenant_invoice_settings;
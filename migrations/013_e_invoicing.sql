@@ -0,0 +1,12 @@
+-- Migration: e-invoicing (ZATCA / FTA)
+-- invoices.uuid identifies the document in UBL 2.1 XML exports (cbc:UUID).
+-- Existing rows get one from the default.
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS uuid uuid NOT NULL DEFAULT gen_random_uuid();
+
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_uuid_idx
+  ON public.invoices (uuid);
+
+-- To drop:
+-- ALTER TABLE public.invoices DROP COLUMN uuid;
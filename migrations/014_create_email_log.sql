@@ -0,0 +1,29 @@
+-- Migration: email delivery log
+-- One row per email sent for a document (invoice, statement). Sending runs
+-- as an "email_send" job (services/jobQueueService.js); the row tracks the
+-- outcome of the latest attempt.
+
+CREATE TABLE IF NOT EXISTS public.email_log (
+  id             bigserial PRIMARY KEY,
+  tenant_id      uuid NOT NULL,
+  document_type  text NOT NULL CHECK (document_type IN ('invoice', 'statement')),
+  document_id    text NOT NULL,
+  to_email       text NOT NULL,
+  subject        text NOT NULL,
+  options        jsonb NOT NULL DEFAULT '{}'::jsonb,   -- e.g. statement period
+  status         text NOT NULL DEFAULT 'queued'
+                 CHECK (status IN ('queued', 'sent', 'failed')),
+  transport      text,
+  message_id     text,
+  attempts       integer NOT NULL DEFAULT 0,
+  last_error     text,
+  sent_by        uuid,
+  sent_at        timestamptz,
+  created_at     timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS email_log_document_idx
+  ON public.email_log (tenant_id, document_type, document_id);
+
+-- To drop:
+-- DROP TABLE IF EXISTS public.email_log;
@@ -0,0 +1,471 @@
+-- Migration: configurable document numbering
+-- document_series: per tenant, document type and (optionally) branch —
+--   prefix, separator, year in the number, zero padding, reset yearly/never.
+--   A branch without its own series shares the tenant-wide one (branch_code '').
+-- document_counters: one row per series and period ('' or 'YYYY').
+-- next_document_number() increments the counter with INSERT ... ON CONFLICT,
+-- which row-locks it until the caller's transaction ends: concurrent checkouts
+-- queue behind each other and a rolled-back document gives its number back,
+-- so numbers are race-free and gap-free.
+-- Counters continue from tenant_counters, so existing series carry on unchanged
+-- (defaults reproduce INV-YYYY-NNNN / PUR- / QUO- / CN-, never reset).
+
+CREATE TABLE IF NOT EXISTS public.document_series (
+  id            bigserial PRIMARY KEY,
+  tenant_id     uuid NOT NULL,
+  doc_type      text NOT NULL
+                CHECK (doc_type IN ('invoice', 'purchase', 'quotation', 'credit_note')),
+  branch_code   text NOT NULL DEFAULT '',
+  prefix        text NOT NULL,
+  separator     text NOT NULL DEFAULT '-',
+  include_year  boolean NOT NULL DEFAULT true,
+  padding       integer NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 12),
+  reset_policy  text NOT NULL DEFAULT 'never' CHECK (reset_policy IN ('never', 'yearly')),
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, doc_type, branch_code)
+);
+
+CREATE TABLE IF NOT EXISTS public.document_counters (
+  tenant_id    uuid NOT NULL,
+  doc_type     text NOT NULL,
+  branch_code  text NOT NULL DEFAULT '',
+  period       text NOT NULL DEFAULT '',
+  last_value   integer NOT NULL DEFAULT 0,
+  updated_at   timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_id, doc_type, branch_code, period)
+);
+
+ALTER TABLE public.invoices   ADD COLUMN IF NOT EXISTS branch_code text;
+ALTER TABLE public.quotations ADD COLUMN IF NOT EXISTS branch_code text;
+ALTER TABLE public.purchases  ADD COLUMN IF NOT EXISTS branch_code text;
+
+-- carry the old tenant_counters forward
+INSERT INTO public.document_counters (tenant_id, doc_type, period, last_value)
+SELECT tenant_id, d.doc_type, '', d.last_value
+FROM public.tenant_counters t
+CROSS JOIN LATERAL (VALUES
+  ('invoice',     COALESCE(t.sales_seq, 0)),
+  ('purchase',    COALESCE(t.purchase_seq, 0)),
+  ('quotation',   COALESCE(t.quotation_seq, 0)),
+  ('credit_note', COALESCE(t.credit_note_seq, 0))
+) AS d(doc_type, last_value)
+WHERE d.last_value > 0
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.next_document_number(
+  p_tenant_id public.document_series.tenant_id%TYPE,
+  p_doc_type text,
+  p_branch_code text DEFAULT NULL
+)
+RETURNS text
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_series public.document_series%ROWTYPE;
+  v_period text;
+  v_seq    integer;
+  v_year   text := to_char(now(), 'YYYY');
+BEGIN
+  SELECT * INTO v_series
+    FROM public.document_series
+   WHERE tenant_id = p_tenant_id
+     AND doc_type = p_doc_type
+     AND branch_code IN (COALESCE(p_branch_code, ''), '')
+   ORDER BY branch_code DESC   -- the branch's own series wins
+   LIMIT 1;
+
+  IF NOT FOUND THEN
+    v_series.prefix := CASE p_doc_type
+      WHEN 'invoice'     THEN 'INV'
+      WHEN 'purchase'    THEN 'PUR'
+      WHEN 'quotation'   THEN 'QUO'
+      WHEN 'credit_note' THEN 'CN'
+    END;
+    IF v_series.prefix IS NULL THEN
+      RAISE EXCEPTION 'Unknown document type %', p_doc_type;
+    END IF;
+    v_series.branch_code  := '';
+    v_series.separator    := '-';
+    v_series.include_year := true;
+    v_series.padding      := 4;
+    v_series.reset_policy := 'never';
+  END IF;
+
+  v_period := CASE WHEN v_series.reset_policy = 'yearly' THEN v_year ELSE '' END;
+
+  INSERT INTO public.document_counters AS c (tenant_id, doc_type, branch_code, period, last_value)
+  VALUES (p_tenant_id, p_doc_type, v_series.branch_code, v_period, 1)
+  ON CONFLICT (tenant_id, doc_type, branch_code, period)
+  DO UPDATE SET last_value = c.last_value + 1, updated_at = now()
+  RETURNING c.last_value INTO v_seq;
+
+  -- never truncates: a 5-digit number in a 4-digit series stays 5 digits
+  RETURN v_series.prefix || v_series.separator ||
+    CASE WHEN v_series.include_year THEN v_year || v_series.separator ELSE '' END ||
+    CASE WHEN length(v_seq::text) >= v_series.padding THEN v_seq::text
+         ELSE lpad(v_seq::text, v_series.padding, '0') END;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.create_invoice_atomic;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+  v_gift_leg     record;
+  v_gift_card    public.gift_cards%ROWTYPE;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) INVOICE NUMBER (tenant / branch series, see next_document_number)
+  v_number := public.next_document_number(
+    v_tenant_id, 'invoice', p_invoice->>'branch_code'
+  );
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, branch_code, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total
+  )
+  SELECT
+    v_tenant_id, v_number, r.branch_code, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  FOR v_line IN
+    SELECT r.product_id, sum(r.quantity) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+     GROUP BY r.product_id
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  -- 12) GIFT CARD LEGS (reference = card code; partial redemption allowed)
+  FOR v_gift_leg IN
+    SELECT upper(trim(r.reference)) AS code, sum(r.amount) AS amount
+      FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+     WHERE r.method = 'gift_card'
+     GROUP BY upper(trim(r.reference))
+  LOOP
+    SELECT * INTO v_gift_card
+      FROM public.gift_cards
+     WHERE tenant_id = v_tenant_id
+       AND code = v_gift_leg.code
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Gift card % not found', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.status <> 'active'
+       OR (v_gift_card.expires_at IS NOT NULL AND v_gift_card.expires_at < now()) THEN
+      RAISE EXCEPTION 'Gift card % is not active', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.balance < v_gift_leg.amount THEN
+      RAISE EXCEPTION 'Gift card % balance % is less than %',
+        v_gift_leg.code, v_gift_card.balance, v_gift_leg.amount;
+    END IF;
+
+    UPDATE public.gift_cards
+       SET balance = balance - v_gift_leg.amount,
+           status = CASE WHEN balance - v_gift_leg.amount = 0 THEN 'redeemed' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift_card.id
+    RETURNING * INTO v_gift_card;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (
+      v_tenant_id, v_gift_card.id, 'redeem', -v_gift_leg.amount,
+      v_gift_card.balance, v_invoice.id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.create_quotation(
+  p_quotation jsonb,
+  p_items jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id public.quotations.tenant_id%TYPE := p_quotation->>'tenant_id';
+  v_number    text;
+  v_quotation public.quotations%ROWTYPE;
+BEGIN
+  v_number := public.next_document_number(
+    v_tenant_id, 'quotation', p_quotation->>'branch_code'
+  );
+
+  INSERT INTO public.quotations (
+    tenant_id, quotation_number, branch_code, customer_id, valid_until, coupon_code,
+    subtotal, item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, tax_total, total, notes, created_by
+  )
+  SELECT
+    v_tenant_id, v_number, r.branch_code, r.customer_id, r.valid_until, r.coupon_code,
+    r.subtotal, r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.tax_total, r.total, r.notes, r.created_by
+  FROM jsonb_populate_record(NULL::public.quotations, p_quotation) r
+  RETURNING * INTO v_quotation;
+
+  INSERT INTO public.quotation_items (
+    tenant_id, quotation_id, product_id, quantity, price, tax,
+    discount_amount, tax_amount, total
+  )
+  SELECT
+    v_tenant_id, v_quotation.id, r.product_id, r.quantity, r.price, r.tax,
+    r.discount_amount, r.tax_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.quotation_items, p_items) r;
+
+  RETURN to_jsonb(v_quotation);
+END;
+$$;
+
+-- Numbers a credit note and adds it to the customer's balance atomically.
+CREATE OR REPLACE FUNCTION public.issue_credit_note(
+  p_tenant_id public.credit_notes.tenant_id%TYPE,
+  p_customer_id public.credit_notes.customer_id%TYPE,
+  p_amount numeric,
+  p_invoice_id public.credit_notes.invoice_id%TYPE DEFAULT NULL,
+  p_sales_return_id public.credit_notes.sales_return_id%TYPE DEFAULT NULL,
+  p_reason text DEFAULT NULL,
+  p_created_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_number  text;
+  v_branch  text;
+  v_note    public.credit_notes%ROWTYPE;
+  v_balance numeric;
+BEGIN
+  IF COALESCE(p_amount, 0) <= 0 THEN
+    RAISE EXCEPTION 'Credit note amount must be > 0';
+  END IF;
+
+  -- same branch series as the invoice being credited
+  SELECT branch_code INTO v_branch
+    FROM public.invoices
+   WHERE id = p_invoice_id;
+
+  v_number := public.next_document_number(p_tenant_id, 'credit_note', v_branch);
+
+  INSERT INTO public.credit_notes (
+    tenant_id, credit_note_number, customer_id, invoice_id, sales_return_id,
+    amount, reason, created_by
+  )
+  VALUES (
+    p_tenant_id, v_number, p_customer_id, p_invoice_id, p_sales_return_id, p_amount, p_reason, p_created_by
+  )
+  RETURNING * INTO v_note;
+
+  UPDATE public.customers
+     SET credit_balance = credit_balance + p_amount
+   WHERE id = p_customer_id
+     AND tenant_id = p_tenant_id
+  RETURNING credit_balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Customer not found';
+  END IF;
+
+  INSERT INTO public.customer_credit_ledger (
+    tenant_id, customer_id, entry_type, amount, balance_after, credit_note_id,
+    invoice_id, description
+  )
+  VALUES (
+    p_tenant_id, p_customer_id, 'issue', p_amount, v_balance, v_note.id,
+    p_invoice_id, 'Credit note ' || v_note.credit_note_number
+  );
+
+  RETURN to_jsonb(v_note) || jsonb_build_object('balance_after', v_balance);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.next_document_number;
+-- DROP TABLE IF EXISTS public.document_counters;
+-- DROP TABLE IF EXISTS public.document_series;
+-- ALTER TABLE public.invoices DROP COLUMN branch_code;
+-- ALTER TABLE public.quotations DROP COLUMN branch_code;
+-- ALTER TABLE public.purchases DROP COLUMN branch_code;
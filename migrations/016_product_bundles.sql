@@ -0,0 +1,438 @@
+-- Migration: product bundles / kits
+-- products.product_type: 'standard' (default) or 'bundle'.
+-- product_bundle_items: the components of a bundle and how many of each
+--   one bundle consumes. A bundle holds no stock of its own; it is sold at
+--   its own selling_price and tax, while stock leaves the components.
+-- - create_invoice_atomic: bundle lines are exploded into their components
+--   for the inventory deduction and stock_movements (one 'sale' row per
+--   component); a bundle without components is rejected
+-- - void_invoice: restores what the sale's stock_movements took out, so a
+--   bundle whose recipe changed since the sale still restores correctly
+
+ALTER TABLE public.products
+  ADD COLUMN IF NOT EXISTS product_type text NOT NULL DEFAULT 'standard'
+    CHECK (product_type IN ('standard', 'bundle'));
+
+CREATE TABLE IF NOT EXISTS public.product_bundle_items (
+  id                    bigserial PRIMARY KEY,
+  tenant_id             uuid NOT NULL,
+  bundle_product_id     bigint NOT NULL
+                        CONSTRAINT product_bundle_items_bundle_fk
+                        REFERENCES public.products (id) ON DELETE CASCADE,
+  component_product_id  bigint NOT NULL
+                        CONSTRAINT product_bundle_items_component_fk
+                        REFERENCES public.products (id),
+  quantity              numeric(12, 3) NOT NULL CHECK (quantity > 0),
+  created_at            timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (bundle_product_id, component_product_id),
+  CHECK (bundle_product_id <> component_product_id)
+);
+
+CREATE INDEX IF NOT EXISTS product_bundle_items_tenant_bundle_idx
+  ON public.product_bundle_items (tenant_id, bundle_product_id);
+
+DROP FUNCTION IF EXISTS public.create_invoice_atomic;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+  v_gift_leg     record;
+  v_gift_card    public.gift_cards%ROWTYPE;
+  v_bundle       text;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) INVOICE NUMBER (tenant / branch series, see next_document_number)
+  v_number := public.next_document_number(
+    v_tenant_id, 'invoice', p_invoice->>'branch_code'
+  );
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, branch_code, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total
+  )
+  SELECT
+    v_tenant_id, v_number, r.branch_code, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  --    A bundle line is exploded into its components: the bundle itself
+  --    holds no stock, each component is deducted qty x component qty.
+  SELECT p.name INTO v_bundle
+    FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+    JOIN public.products p ON p.id = r.product_id
+   WHERE p.product_type = 'bundle'
+     AND NOT EXISTS (
+       SELECT 1 FROM public.product_bundle_items b
+        WHERE b.tenant_id = v_tenant_id
+          AND b.bundle_product_id = p.id
+     )
+   LIMIT 1;
+
+  IF v_bundle IS NOT NULL THEN
+    RAISE EXCEPTION 'Bundle % has no components', v_bundle;
+  END IF;
+
+  FOR v_line IN
+    SELECT COALESCE(b.component_product_id, r.product_id) AS product_id,
+           sum(r.quantity * COALESCE(b.quantity, 1)) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+      LEFT JOIN public.products p
+        ON p.id = r.product_id
+      LEFT JOIN public.product_bundle_items b
+        ON p.product_type = 'bundle'
+       AND b.tenant_id = v_tenant_id
+       AND b.bundle_product_id = r.product_id
+     GROUP BY COALESCE(b.component_product_id, r.product_id)
+     ORDER BY 1
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  -- 12) GIFT CARD LEGS (reference = card code; partial redemption allowed)
+  FOR v_gift_leg IN
+    SELECT upper(trim(r.reference)) AS code, sum(r.amount) AS amount
+      FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+     WHERE r.method = 'gift_card'
+     GROUP BY upper(trim(r.reference))
+  LOOP
+    SELECT * INTO v_gift_card
+      FROM public.gift_cards
+     WHERE tenant_id = v_tenant_id
+       AND code = v_gift_leg.code
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Gift card % not found', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.status <> 'active'
+       OR (v_gift_card.expires_at IS NOT NULL AND v_gift_card.expires_at < now()) THEN
+      RAISE EXCEPTION 'Gift card % is not active', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.balance < v_gift_leg.amount THEN
+      RAISE EXCEPTION 'Gift card % balance % is less than %',
+        v_gift_leg.code, v_gift_card.balance, v_gift_leg.amount;
+    END IF;
+
+    UPDATE public.gift_cards
+       SET balance = balance - v_gift_leg.amount,
+           status = CASE WHEN balance - v_gift_leg.amount = 0 THEN 'redeemed' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift_card.id
+    RETURNING * INTO v_gift_card;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (
+      v_tenant_id, v_gift_card.id, 'redeem', -v_gift_leg.amount,
+      v_gift_card.balance, v_invoice.id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.void_invoice(
+  p_tenant_id public.invoices.tenant_id%TYPE,
+  p_invoice_id public.invoices.id%TYPE,
+  p_voided_by uuid,
+  p_reason text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice public.invoices%ROWTYPE;
+  v_line    record;
+  v_credit  numeric;
+  v_left    numeric;
+  v_gift    record;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice % is already void', v_invoice.invoice_number;
+  END IF;
+
+  -- put every sold unit back on the shelf: exactly what the sale took out
+  -- (bundle components as they were at the time of sale); invoices without
+  -- sale movements fall back to their items
+  FOR v_line IN
+    WITH moved AS (
+      SELECT product_id, -sum(quantity) AS quantity
+        FROM public.stock_movements
+       WHERE tenant_id = p_tenant_id
+         AND reference_table = 'invoices'
+         AND reference_id = p_invoice_id
+         AND movement_type = 'sale'
+       GROUP BY product_id
+    )
+    SELECT product_id, quantity FROM moved
+    UNION ALL
+    SELECT product_id, sum(quantity) AS quantity
+      FROM public.invoice_items
+     WHERE invoice_id = p_invoice_id
+       AND NOT EXISTS (SELECT 1 FROM moved)
+     GROUP BY product_id
+  LOOP
+    UPDATE public.inventory
+       SET quantity = COALESCE(quantity, 0) + v_line.quantity,
+           updated_at = now()
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.inventory (tenant_id, product_id, quantity, updated_at)
+      VALUES (p_tenant_id, v_line.product_id, v_line.quantity, now());
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'sale_void', 'invoices', p_invoice_id, v_line.quantity
+    );
+  END LOOP;
+
+  -- give back any store credit spent on this invoice
+  SELECT COALESCE(sum(amount), 0) INTO v_credit
+    FROM public.invoice_payments
+   WHERE invoice_id = p_invoice_id
+     AND method = 'store_credit';
+
+  IF v_credit > 0 AND v_invoice.customer_id IS NOT NULL THEN
+    UPDATE public.customers
+       SET credit_balance = credit_balance + v_credit
+     WHERE id = v_invoice.customer_id
+       AND tenant_id = p_tenant_id
+    RETURNING credit_balance INTO v_left;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      p_tenant_id, v_invoice.customer_id, 'void', v_credit, v_left,
+      p_invoice_id, 'Store credit returned: ' || v_invoice.invoice_number || ' voided'
+    );
+  END IF;
+
+  -- put gift card redemptions back on the cards
+  FOR v_gift IN
+    SELECT t.gift_card_id, -sum(t.amount) AS amount
+      FROM public.gift_card_transactions t
+     WHERE t.invoice_id = p_invoice_id
+       AND t.type = 'redeem'
+     GROUP BY t.gift_card_id
+  LOOP
+    UPDATE public.gift_cards
+       SET balance = balance + v_gift.amount,
+           status = CASE WHEN status = 'redeemed' THEN 'active' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift.gift_card_id
+    RETURNING balance INTO v_left;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (p_tenant_id, v_gift.gift_card_id, 'void', v_gift.amount, v_left, p_invoice_id);
+  END LOOP;
+
+  UPDATE public.invoices
+     SET status = 'void',
+         void_reason = p_reason,
+         voided_by = p_voided_by,
+         voided_at = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$;
+
+-- To drop:
+-- DROP TABLE IF EXISTS public.product_bundle_items;
+-- ALTER TABLE public.products DROP COLUMN product_type;
@@ -0,0 +1,54 @@
+-- Migration: customer price lists (retail / wholesale / VIP ...)
+-- price_lists: named list per tenant with optional validity window. One list
+--   may be the tenant default (used for walk-ins and customers without a list).
+-- price_list_items: rules inside a list. Each rule targets one product, one
+--   category, or the whole list (both NULL), and either sets a fixed price or
+--   a percent off selling_price. min_qty gives quantity-break tiers.
+-- customers.price_list_id: the list a customer buys on.
+-- Prices are resolved server-side in services/priceListService.js and are in
+-- the same VAT basis as products.selling_price (see pricing_mode, 018).
+
+CREATE TABLE IF NOT EXISTS public.price_lists (
+  id            bigserial PRIMARY KEY,
+  tenant_id     uuid NOT NULL,
+  name          text NOT NULL,
+  description   text,
+  is_default    boolean NOT NULL DEFAULT false,
+  is_active     boolean NOT NULL DEFAULT true,
+  valid_from    date,
+  valid_to      date,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, name),
+  CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to >= valid_from)
+);
+
+-- at most one default list per tenant
+CREATE UNIQUE INDEX IF NOT EXISTS price_lists_one_default_idx
+  ON public.price_lists (tenant_id) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS public.price_list_items (
+  id                bigserial PRIMARY KEY,
+  tenant_id         uuid NOT NULL,
+  price_list_id     bigint NOT NULL REFERENCES public.price_lists (id) ON DELETE CASCADE,
+  product_id        bigint REFERENCES public.products (id) ON DELETE CASCADE,
+  category_id       bigint,
+  min_qty           numeric(12, 3) NOT NULL DEFAULT 1 CHECK (min_qty > 0),
+  price             numeric(12, 2) CHECK (price >= 0),
+  discount_percent  numeric(5, 2) CHECK (discount_percent >= 0 AND discount_percent <= 100),
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  CHECK ((price IS NULL) <> (discount_percent IS NULL)),
+  CHECK (product_id IS NULL OR category_id IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS price_list_items_list_idx
+  ON public.price_list_items (price_list_id);
+
+ALTER TABLE public.customers
+  ADD COLUMN IF NOT EXISTS price_list_id bigint
+    REFERENCES public.price_lists (id) ON DELETE SET NULL;
+
+-- To drop:
+-- ALTER TABLE public.customers DROP COLUMN price_list_id;
+-- DROP TABLE IF EXISTS public.price_list_items;
+-- DROP TABLE IF EXISTS public.price_lists;
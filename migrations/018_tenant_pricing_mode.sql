@@ -0,0 +1,15 @@
+-- Migration: tax-exclusive pricing mode
+-- tenant_invoice_settings.pricing_mode:
+--   'inclusive' – selling_price / price lists include VAT; net is backed out
+--                 (how every tenant has worked so far, so it is the default)
+--   'exclusive' – prices are stored net of VAT; VAT is added per line
+-- Invoice lines always store both net_price and the VAT-inclusive price, so
+-- reports, reprints and the Sales / VAT Output journal split read the same
+-- columns in either mode.
+
+ALTER TABLE public.tenant_invoice_settings
+  ADD COLUMN IF NOT EXISTS pricing_mode text NOT NULL DEFAULT 'inclusive'
+    CHECK (pricing_mode IN ('inclusive', 'exclusive'));
+
+-- To drop:
+-- ALTER TABLE public.tenant_invoice_settings DROP COLUMN pricing_mode;
@@ -0,0 +1,404 @@
+-- Migration: VAT tax categories
+-- tax_categories: per tenant code (SR, ZR, EX, RC, OS ...) and treatment:
+--   standard       – VAT charged at the category rate
+--   zero_rated     – taxable supply at 0% (reported separately from exempt)
+--   exempt         – outside the VAT charge, no input VAT recovery claimed
+--   reverse_charge – supplier charges no VAT; on purchases the buyer
+--                    self-accounts output and input VAT at the category rate
+--   out_of_scope   – not a supply for VAT
+-- tax_category_rates: effective-dated rates (latest effective_from <= day).
+-- products.tax_category_id: when set, overrides products.tax at sale/purchase.
+-- invoice_items / purchase_items keep a snapshot of category, code and
+-- treatment, so a later rate or code change does not rewrite history.
+-- vat_report_lines: per period the net and VAT by direction, code and
+--   treatment, i.e. the boxes of a VAT return. post_vat_report_lines() adds a
+--   document's lines once (vat_report_postings), so job retries are safe.
+
+CREATE TABLE IF NOT EXISTS public.tax_categories (
+  id          bigserial PRIMARY KEY,
+  tenant_id   uuid NOT NULL,
+  code        text NOT NULL,
+  name        text NOT NULL,
+  treatment   text NOT NULL DEFAULT 'standard'
+              CHECK (treatment IN ('standard', 'zero_rated', 'exempt', 'reverse_charge', 'out_of_scope')),
+  is_active   boolean NOT NULL DEFAULT true,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS public.tax_category_rates (
+  id               bigserial PRIMARY KEY,
+  tenant_id        uuid NOT NULL,
+  tax_category_id  bigint NOT NULL REFERENCES public.tax_categories (id) ON DELETE CASCADE,
+  rate             numeric(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  effective_from   date NOT NULL,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tax_category_id, effective_from)
+);
+
+ALTER TABLE public.products
+  ADD COLUMN IF NOT EXISTS tax_category_id bigint REFERENCES public.tax_categories (id);
+
+ALTER TABLE public.invoice_items
+  ADD COLUMN IF NOT EXISTS tax_category_id bigint,
+  ADD COLUMN IF NOT EXISTS tax_code text,
+  ADD COLUMN IF NOT EXISTS tax_treatment text NOT NULL DEFAULT 'standard';
+
+ALTER TABLE public.purchase_items
+  ADD COLUMN IF NOT EXISTS tax_rate numeric(5, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS tax_amount numeric(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS tax_category_id bigint,
+  ADD COLUMN IF NOT EXISTS tax_code text,
+  ADD COLUMN IF NOT EXISTS tax_treatment text NOT NULL DEFAULT 'standard';
+
+CREATE TABLE IF NOT EXISTS public.vat_report_lines (
+  tenant_id       uuid NOT NULL,
+  period          text NOT NULL,            -- YYYY-MM, same as vat_reports
+  direction       text NOT NULL CHECK (direction IN ('sales', 'purchases')),
+  tax_code        text NOT NULL DEFAULT '', -- '' = product without a category
+  tax_treatment   text NOT NULL,
+  net_amount      numeric(14, 2) NOT NULL DEFAULT 0,
+  vat_amount      numeric(14, 2) NOT NULL DEFAULT 0,
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_id, period, direction, tax_code, tax_treatment)
+);
+
+CREATE TABLE IF NOT EXISTS public.vat_report_postings (
+  tenant_id       uuid NOT NULL,
+  reference_type  text NOT NULL,            -- 'invoice' | 'purchase'
+  reference_id    bigint NOT NULL,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_id, reference_type, reference_id)
+);
+
+-- p_lines: [{ direction, tax_code, tax_treatment, net_amount, vat_amount }]
+-- Returns false when the document was already posted.
+CREATE OR REPLACE FUNCTION public.post_vat_report_lines(
+  p_tenant_id uuid,
+  p_period text,
+  p_reference_type text,
+  p_reference_id bigint,
+  p_lines jsonb
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO public.vat_report_postings (tenant_id, reference_type, reference_id)
+  VALUES (p_tenant_id, p_reference_type, p_reference_id)
+  ON CONFLICT DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO public.vat_report_lines AS l (
+    tenant_id, period, direction, tax_code, tax_treatment, net_amount, vat_amount
+  )
+  SELECT p_tenant_id, p_period, r.direction, COALESCE(r.tax_code, ''),
+         r.tax_treatment, sum(r.net_amount), sum(r.vat_amount)
+    FROM jsonb_to_recordset(p_lines) AS r(
+           direction text, tax_code text, tax_treatment text,
+           net_amount numeric, vat_amount numeric
+         )
+   GROUP BY r.direction, COALESCE(r.tax_code, ''), r.tax_treatment
+  ON CONFLICT (tenant_id, period, direction, tax_code, tax_treatment) DO UPDATE
+    SET net_amount = l.net_amount + EXCLUDED.net_amount,
+        vat_amount = l.vat_amount + EXCLUDED.vat_amount,
+        updated_at = now();
+
+  RETURN true;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.create_invoice_atomic;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+  v_gift_leg     record;
+  v_gift_card    public.gift_cards%ROWTYPE;
+  v_bundle       text;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) INVOICE NUMBER (tenant / branch series, see next_document_number)
+  v_number := public.next_document_number(
+    v_tenant_id, 'invoice', p_invoice->>'branch_code'
+  );
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, branch_code, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total
+  )
+  SELECT
+    v_tenant_id, v_number, r.branch_code, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total,
+    tax_category_id, tax_code, tax_treatment
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total,
+    r.tax_category_id, r.tax_code, COALESCE(r.tax_treatment, 'standard')
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  --    A bundle line is exploded into its components: the bundle itself
+  --    holds no stock, each component is deducted qty x component qty.
+  SELECT p.name INTO v_bundle
+    FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+    JOIN public.products p ON p.id = r.product_id
+   WHERE p.product_type = 'bundle'
+     AND NOT EXISTS (
+       SELECT 1 FROM public.product_bundle_items b
+        WHERE b.tenant_id = v_tenant_id
+          AND b.bundle_product_id = p.id
+     )
+   LIMIT 1;
+
+  IF v_bundle IS NOT NULL THEN
+    RAISE EXCEPTION 'Bundle % has no components', v_bundle;
+  END IF;
+
+  FOR v_line IN
+    SELECT COALESCE(b.component_product_id, r.product_id) AS product_id,
+           sum(r.quantity * COALESCE(b.quantity, 1)) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+      LEFT JOIN public.products p
+        ON p.id = r.product_id
+      LEFT JOIN public.product_bundle_items b
+        ON p.product_type = 'bundle'
+       AND b.tenant_id = v_tenant_id
+       AND b.bundle_product_id = r.product_id
+     GROUP BY COALESCE(b.component_product_id, r.product_id)
+     ORDER BY 1
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  -- 12) GIFT CARD LEGS (reference = card code; partial redemption allowed)
+  FOR v_gift_leg IN
+    SELECT upper(trim(r.reference)) AS code, sum(r.amount) AS amount
+      FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+     WHERE r.method = 'gift_card'
+     GROUP BY upper(trim(r.reference))
+  LOOP
+    SELECT * INTO v_gift_card
+      FROM public.gift_cards
+     WHERE tenant_id = v_tenant_id
+       AND code = v_gift_leg.code
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Gift card % not found', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.status <> 'active'
+       OR (v_gift_card.expires_at IS NOT NULL AND v_gift_card.expires_at < now()) THEN
+      RAISE EXCEPTION 'Gift card % is not active', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.balance < v_gift_leg.amount THEN
+      RAISE EXCEPTION 'Gift card % balance % is less than %',
+        v_gift_leg.code, v_gift_card.balance, v_gift_leg.amount;
+    END IF;
+
+    UPDATE public.gift_cards
+       SET balance = balance - v_gift_leg.amount,
+           status = CASE WHEN balance - v_gift_leg.amount = 0 THEN 'redeemed' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift_card.id
+    RETURNING * INTO v_gift_card;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (
+      v_tenant_id, v_gift_card.id, 'redeem', -v_gift_leg.amount,
+      v_gift_card.balance, v_invoice.id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.post_vat_report_lines;
+-- DROP TABLE IF EXISTS public.vat_report_postings;
+-- DROP TABLE IF EXISTS public.vat_report_lines;
+-- ALTER TABLE public.purchase_items DROP COLUMN tax_rate, DROP COLUMN tax_amount,
+--   DROP COLUMN tax_category_id, DROP COLUMN tax_code, DROP COLUMN tax_treatment;
+-- ALTER TABLE public.invoice_items DROP COLUMN tax_category_id,
+--   DROP COLUMN tax_code, DROP COLUMN tax_treatment;
+-- ALTER TABLE public.products DROP COLUMN tax_category_id;
+-- DROP TABLE IF EXISTS public.tax_category_rates;
+-- DROP TABLE IF EXISTS public.tax_categories;
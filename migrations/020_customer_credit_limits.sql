@@ -0,0 +1,334 @@
+-- Migration: customer credit limits and credit sale controls
+-- customers.credit_limit: most the customer may owe on account
+--   (NULL = no limit, 0 = no credit sales)
+-- customers.payment_terms_days: invoice due date = issue date + terms
+-- customers.credit_limit_action: what happens when a credit sale would go
+--   over the limit or the customer has overdue invoices:
+--   'block'   – the sale is refused
+--   'approve' – a manager approves a credit_approvals request first
+-- invoices.due_date: set on invoices with a credit leg (ageing uses it)
+-- invoices.credit_approval_id: the approval an over-limit sale used
+
+ALTER TABLE public.customers
+  ADD COLUMN IF NOT EXISTS credit_limit numeric(12, 2) CHECK (credit_limit >= 0),
+  ADD COLUMN IF NOT EXISTS payment_terms_days integer NOT NULL DEFAULT 0
+    CHECK (payment_terms_days >= 0),
+  ADD COLUMN IF NOT EXISTS credit_limit_action text NOT NULL DEFAULT 'block'
+    CHECK (credit_limit_action IN ('block', 'approve'));
+
+CREATE TABLE IF NOT EXISTS public.credit_approvals (
+  id               bigserial PRIMARY KEY,
+  tenant_id        uuid NOT NULL,
+  customer_id      bigint NOT NULL,
+  amount           numeric(12, 2) NOT NULL CHECK (amount > 0), -- credit asked for
+  outstanding      numeric(12, 2) NOT NULL DEFAULT 0,          -- at request time
+  credit_limit     numeric(12, 2),
+  overdue_amount   numeric(12, 2) NOT NULL DEFAULT 0,
+  reasons          text[] NOT NULL DEFAULT '{}',
+  status           text NOT NULL DEFAULT 'pending'
+                   CHECK (status IN ('pending', 'approved', 'rejected', 'used')),
+  requested_by     uuid,
+  decided_by       uuid,
+  decided_at       timestamptz,
+  note             text,
+  invoice_id       bigint,
+  expires_at       timestamptz NOT NULL DEFAULT now() + interval '1 day',
+  created_at       timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS credit_approvals_tenant_status_idx
+  ON public.credit_approvals (tenant_id, status, created_at DESC);
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS due_date date,
+  ADD COLUMN IF NOT EXISTS credit_approval_id bigint;
+
+CREATE INDEX IF NOT EXISTS invoices_customer_due_idx
+  ON public.invoices (tenant_id, customer_id, due_date);
+
+DROP FUNCTION IF EXISTS public.create_invoice_atomic;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+  v_gift_leg     record;
+  v_gift_card    public.gift_cards%ROWTYPE;
+  v_bundle       text;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) INVOICE NUMBER (tenant / branch series, see next_document_number)
+  v_number := public.next_document_number(
+    v_tenant_id, 'invoice', p_invoice->>'branch_code'
+  );
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, branch_code, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total,
+    due_date, credit_approval_id
+  )
+  SELECT
+    v_tenant_id, v_number, r.branch_code, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total,
+    r.due_date, r.credit_approval_id
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total,
+    tax_category_id, tax_code, tax_treatment
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total,
+    r.tax_category_id, r.tax_code, COALESCE(r.tax_treatment, 'standard')
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  --    A bundle line is exploded into its components: the bundle itself
+  --    holds no stock, each component is deducted qty x component qty.
+  SELECT p.name INTO v_bundle
+    FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+    JOIN public.products p ON p.id = r.product_id
+   WHERE p.product_type = 'bundle'
+     AND NOT EXISTS (
+       SELECT 1 FROM public.product_bundle_items b
+        WHERE b.tenant_id = v_tenant_id
+          AND b.bundle_product_id = p.id
+     )
+   LIMIT 1;
+
+  IF v_bundle IS NOT NULL THEN
+    RAISE EXCEPTION 'Bundle % has no components', v_bundle;
+  END IF;
+
+  FOR v_line IN
+    SELECT COALESCE(b.component_product_id, r.product_id) AS product_id,
+           sum(r.quantity * COALESCE(b.quantity, 1)) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+      LEFT JOIN public.products p
+        ON p.id = r.product_id
+      LEFT JOIN public.product_bundle_items b
+        ON p.product_type = 'bundle'
+       AND b.tenant_id = v_tenant_id
+       AND b.bundle_product_id = r.product_id
+     GROUP BY COALESCE(b.component_product_id, r.product_id)
+     ORDER BY 1
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  -- 12) GIFT CARD LEGS (reference = card code; partial redemption allowed)
+  FOR v_gift_leg IN
+    SELECT upper(trim(r.reference)) AS code, sum(r.amount) AS amount
+      FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+     WHERE r.method = 'gift_card'
+     GROUP BY upper(trim(r.reference))
+  LOOP
+    SELECT * INTO v_gift_card
+      FROM public.gift_cards
+     WHERE tenant_id = v_tenant_id
+       AND code = v_gift_leg.code
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Gift card % not found', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.status <> 'active'
+       OR (v_gift_card.expires_at IS NOT NULL AND v_gift_card.expires_at < now()) THEN
+      RAISE EXCEPTION 'Gift card % is not active', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.balance < v_gift_leg.amount THEN
+      RAISE EXCEPTION 'Gift card % balance % is less than %',
+        v_gift_leg.code, v_gift_card.balance, v_gift_leg.amount;
+    END IF;
+
+    UPDATE public.gift_cards
+       SET balance = balance - v_gift_leg.amount,
+           status = CASE WHEN balance - v_gift_leg.amount = 0 THEN 'redeemed' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift_card.id
+    RETURNING * INTO v_gift_card;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (
+      v_tenant_id, v_gift_card.id, 'redeem', -v_gift_leg.amount,
+      v_gift_card.balance, v_invoice.id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock
+  );
+END;
+$$;
+
+-- To drop:
+-- ALTER TABLE public.invoices DROP COLUMN due_date, DROP COLUMN credit_approval_id;
+-- DROP TABLE IF EXISTS public.credit_approvals;
+-- ALTER TABLE public.customers DROP COLUMN credit_limit,
+--   DROP COLUMN payment_terms_days, DROP COLUMN credit_limit_action;
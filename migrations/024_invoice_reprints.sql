@@ -0,0 +1,69 @@
+-- Migration: receipt / invoice reprints
+-- invoices.reprint_count: copies printed after the original (0 = never reprinted)
+-- invoice_reprints: who reprinted which invoice, when, and as what
+--   variant 'duplicate' – the receipt / invoice stamped "DUPLICATE / COPY n"
+--   variant 'gift'      – gift receipt, prices hidden
+-- log_invoice_reprint() hands out copy numbers under the invoice row lock, so
+-- two tills reprinting at once get COPY 2 and COPY 3, never two COPY 2s.
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS reprint_count integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.invoice_reprints (
+  id             bigserial PRIMARY KEY,
+  tenant_id      uuid NOT NULL,
+  invoice_id     bigint NOT NULL REFERENCES public.invoices (id) ON DELETE CASCADE,
+  copy_number    integer NOT NULL,
+  variant        text NOT NULL DEFAULT 'duplicate'
+                 CHECK (variant IN ('duplicate', 'gift')),
+  template       text,
+  reason         text,
+  reprinted_by   uuid,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (invoice_id, copy_number)
+);
+
+CREATE INDEX IF NOT EXISTS invoice_reprints_tenant_idx
+  ON public.invoice_reprints (tenant_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION public.log_invoice_reprint(
+  p_tenant_id uuid,
+  p_invoice_id bigint,
+  p_variant text DEFAULT 'duplicate',
+  p_template text DEFAULT NULL,
+  p_reason text DEFAULT NULL,
+  p_reprinted_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_copy    integer;
+  v_reprint public.invoice_reprints%ROWTYPE;
+BEGIN
+  UPDATE public.invoices
+     SET reprint_count = reprint_count + 1
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+  RETURNING reprint_count INTO v_copy;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  INSERT INTO public.invoice_reprints (
+    tenant_id, invoice_id, copy_number, variant, template, reason, reprinted_by
+  )
+  VALUES (
+    p_tenant_id, p_invoice_id, v_copy, p_variant, p_template, p_reason, p_reprinted_by
+  )
+  RETURNING * INTO v_reprint;
+
+  RETURN to_jsonb(v_reprint);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.log_invoice_reprint;
+-- DROP TABLE IF EXISTS public.invoice_reprints;
+-- ALTER TABLE public.invoices DROP COLUMN reprint_count;
@@ -0,0 +1,65 @@
+-- Migration: idempotent loyalty posting for the deferred invoice job
+-- invoices.loyalty_posted_at: set once the sale's points/spend reached the customer
+-- apply_invoice_loyalty() applies the sale as deltas (earn - redeem points,
+-- +1 purchase, +spent) instead of overwriting the balance with a figure read
+-- at checkout, so a concurrent sale or a retried job cannot lose or double
+-- points. The loyalty_posted_at claim makes a retry a no-op (returns false).
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS loyalty_posted_at timestamptz;
+
+CREATE OR REPLACE FUNCTION public.apply_invoice_loyalty(
+  p_tenant_id uuid,
+  p_invoice_id bigint,
+  p_customer_id bigint,
+  p_earn integer DEFAULT 0,
+  p_redeem integer DEFAULT 0,
+  p_spent numeric DEFAULT 0
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance integer;
+BEGIN
+  UPDATE public.invoices
+     SET loyalty_posted_at = now()
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     AND loyalty_posted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE public.customers
+     SET loyalty_points   = COALESCE(loyalty_points, 0) + COALESCE(p_earn, 0) - COALESCE(p_redeem, 0),
+         lifetime_points  = COALESCE(lifetime_points, 0) + COALESCE(p_earn, 0),
+         total_purchases  = COALESCE(total_purchases, 0) + 1,
+         total_spent      = COALESCE(total_spent, 0) + COALESCE(p_spent, 0),
+         last_purchase_at = now()
+   WHERE id = p_customer_id
+     AND tenant_id = p_tenant_id
+  RETURNING loyalty_points INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Customer not found';
+  END IF;
+
+  IF COALESCE(p_earn, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      p_customer_id, p_invoice_id, 'earn', p_earn,
+      v_balance, 'Earned ' || p_earn || ' points'
+    );
+  END IF;
+
+  RETURN true;
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.apply_invoice_loyalty;
+-- ALTER TABLE public.invoices DROP COLUMN loyalty_posted_at;
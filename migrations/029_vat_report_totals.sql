@@ -0,0 +1,109 @@
+-- Migration: vat_reports totals posted with the VAT return lines
+-- post_vat_report_lines(p_totals): the document's vat_reports deltas
+--   { total_sales, sales_vat, total_purchases, purchase_vat }
+-- are added under the same vat_report_postings claim as its lines, so a
+-- retried job or request counts a document once. Before, callers read the
+-- month's row and wrote it back separately, which double counted on retries
+-- and lost updates when two documents posted at once.
+-- vat_payable is recomputed from the row (sales_vat - purchase_vat).
+-- vat_reports gets a unique (tenant_id, period) index for the upsert; months
+-- that concurrent read/write callers split into several rows are merged first.
+
+-- merge duplicate months into their oldest row
+WITH dup AS (
+  SELECT tenant_id, period, min(id) AS keep_id,
+         sum(COALESCE(total_sales, 0))     AS total_sales,
+         sum(COALESCE(sales_vat, 0))       AS sales_vat,
+         sum(COALESCE(total_purchases, 0)) AS total_purchases,
+         sum(COALESCE(purchase_vat, 0))    AS purchase_vat
+    FROM public.vat_reports
+   GROUP BY tenant_id, period
+  HAVING count(*) > 1
+)
+UPDATE public.vat_reports v
+   SET total_sales     = d.total_sales,
+       sales_vat       = d.sales_vat,
+       total_purchases = d.total_purchases,
+       purchase_vat    = d.purchase_vat,
+       vat_payable     = d.sales_vat - d.purchase_vat
+  FROM dup d
+ WHERE v.id = d.keep_id;
+
+DELETE FROM public.vat_reports v
+ USING public.vat_reports k
+ WHERE k.tenant_id = v.tenant_id
+   AND k.period = v.period
+   AND k.id < v.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS vat_reports_tenant_period_uidx
+  ON public.vat_reports (tenant_id, period);
+
+DROP FUNCTION IF EXISTS public.post_vat_report_lines(uuid, text, text, bigint, jsonb);
+
+-- p_lines: [{ direction, tax_code, tax_treatment, net_amount, vat_amount }]
+-- Returns false when the document was already posted.
+CREATE OR REPLACE FUNCTION public.post_vat_report_lines(
+  p_tenant_id uuid,
+  p_period text,
+  p_reference_type text,
+  p_reference_id bigint,
+  p_lines jsonb,
+  p_totals jsonb DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO public.vat_report_postings (tenant_id, reference_type, reference_id)
+  VALUES (p_tenant_id, p_reference_type, p_reference_id)
+  ON CONFLICT DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO public.vat_report_lines AS l (
+    tenant_id, period, direction, tax_code, tax_treatment, net_amount, vat_amount
+  )
+  SELECT p_tenant_id, p_period, r.direction, COALESCE(r.tax_code, ''),
+         r.tax_treatment, sum(r.net_amount), sum(r.vat_amount)
+    FROM jsonb_to_recordset(COALESCE(p_lines, '[]'::jsonb)) AS r(
+           direction text, tax_code text, tax_treatment text,
+           net_amount numeric, vat_amount numeric
+         )
+   GROUP BY r.direction, COALESCE(r.tax_code, ''), r.tax_treatment
+  ON CONFLICT (tenant_id, period, direction, tax_code, tax_treatment) DO UPDATE
+    SET net_amount = l.net_amount + EXCLUDED.net_amount,
+        vat_amount = l.vat_amount + EXCLUDED.vat_amount,
+        updated_at = now();
+
+  IF p_totals IS NOT NULL THEN
+    INSERT INTO public.vat_reports AS v (
+      tenant_id, period, total_sales, sales_vat, total_purchases, purchase_vat, vat_payable
+    )
+    VALUES (
+      p_tenant_id, p_period,
+      COALESCE((p_totals->>'total_sales')::numeric, 0),
+      COALESCE((p_totals->>'sales_vat')::numeric, 0),
+      COALESCE((p_totals->>'total_purchases')::numeric, 0),
+      COALESCE((p_totals->>'purchase_vat')::numeric, 0),
+      COALESCE((p_totals->>'sales_vat')::numeric, 0)
+        - COALESCE((p_totals->>'purchase_vat')::numeric, 0)
+    )
+    ON CONFLICT (tenant_id, period) DO UPDATE
+      SET total_sales     = COALESCE(v.total_sales, 0) + EXCLUDED.total_sales,
+          sales_vat       = COALESCE(v.sales_vat, 0) + EXCLUDED.sales_vat,
+          total_purchases = COALESCE(v.total_purchases, 0) + EXCLUDED.total_purchases,
+          purchase_vat    = COALESCE(v.purchase_vat, 0) + EXCLUDED.purchase_vat,
+          vat_payable     = COALESCE(v.sales_vat, 0) + EXCLUDED.sales_vat
+                            - (COALESCE(v.purchase_vat, 0) + EXCLUDED.purchase_vat);
+  END IF;
+
+  RETURN true;
+END;
+$$;
+
+-- To drop:
+-- DROP INDEX IF EXISTS public.vat_reports_tenant_period_uidx;
+-- DROP FUNCTION IF EXISTS public.post_vat_report_lines(uuid, text, text, bigint, jsonb, jsonb);
+-- (re-run post_vat_report_lines from 019_tax_categories.sql)
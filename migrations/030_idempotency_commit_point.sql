@@ -0,0 +1,12 @@
+-- Migration: idempotency keys remember when the handler committed
+-- committed_at: set by the handler (markIdempotentCommitted) right after its
+-- side effects are committed. From then on the key is never released or
+-- reclaimed, whatever the response turns out to be, so a retry cannot run
+-- the handler a second time. In-progress keys without committed_at are
+-- reclaimable once older than the lease (IDEMPOTENCY_LEASE_SECONDS).
+
+ALTER TABLE public.idempotency_keys
+  ADD COLUMN IF NOT EXISTS committed_at timestamptz;
+
+-- To drop:
+-- ALTER TABLE public.idempotency_keys DROP COLUMN committed_at;
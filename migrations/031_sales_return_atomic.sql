@@ -0,0 +1,133 @@
+-- Migration: sales returns recorded in one transaction
+-- create_sales_return_atomic(): return + items + stock back in + credit note,
+-- and for returns settled on account (refund_type other than 'cash' and
+-- 'credit_note') the invoice's amount_due goes down by the refund and
+-- payment_status is recomputed. Before, a return against a credit sale left
+-- the returned amount owed: ageing and statements kept showing it and FIFO
+-- receipts could be allocated to it.
+-- p_items: sales_return_items rows (without sales_return_id)
+-- p_stock: [{ product_id, qty }] — bundles already exploded into components
+
+CREATE OR REPLACE FUNCTION public.create_sales_return_atomic(
+  p_tenant_id uuid,
+  p_invoice_id bigint,
+  p_customer_id bigint,
+  p_refund_type text,
+  p_reason text,
+  p_total_refund numeric,
+  p_items jsonb,
+  p_stock jsonb,
+  p_handled_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_return      public.sales_returns%ROWTYPE;
+  v_invoice     public.invoices%ROWTYPE;
+  v_items       jsonb;
+  v_line        record;
+  v_stock_id    bigint;
+  v_credit_note jsonb;
+  v_on_account  boolean := COALESCE(p_refund_type, 'cash') NOT IN ('cash', 'credit_note');
+BEGIN
+  -- lock the invoice first so a receipt cannot allocate to it meanwhile
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  IF v_on_account AND COALESCE(p_total_refund, 0) > v_invoice.amount_due THEN
+    RAISE EXCEPTION 'Refund % is more than the % still due on invoice %; refund it in cash or as a credit note',
+      p_total_refund, v_invoice.amount_due, v_invoice.invoice_number;
+  END IF;
+
+  INSERT INTO public.sales_returns (
+    tenant_id, invoice_id, customer_id, refund_type, reason, total_refund, handled_by
+  )
+  VALUES (
+    p_tenant_id, p_invoice_id, p_customer_id, COALESCE(p_refund_type, 'cash'), p_reason,
+    COALESCE(p_total_refund, 0), p_handled_by
+  )
+  RETURNING * INTO v_return;
+
+  WITH inserted AS (
+    INSERT INTO public.sales_return_items (
+      tenant_id, sales_return_id, invoice_id, product_id, quantity, price, tax_rate,
+      net_amount, tax_amount, line_total, cost_price, cost_total
+    )
+    SELECT p_tenant_id, v_return.id, p_invoice_id, r.product_id, r.quantity, r.price,
+           r.tax_rate, r.net_amount, r.tax_amount, r.line_total, r.cost_price, r.cost_total
+      FROM jsonb_populate_recordset(NULL::public.sales_return_items, p_items) r
+    RETURNING *
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) INTO v_items FROM inserted;
+
+  -- stock back on the shelf
+  FOR v_line IN
+    SELECT s.product_id, s.qty
+      FROM jsonb_to_recordset(COALESCE(p_stock, '[]'::jsonb)) AS s(product_id bigint, qty numeric)
+  LOOP
+    SELECT id INTO v_stock_id
+      FROM public.inventory
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF FOUND THEN
+      UPDATE public.inventory
+         SET quantity = COALESCE(quantity, 0) + v_line.qty,
+             updated_at = now()
+       WHERE id = v_stock_id;
+    ELSE
+      INSERT INTO public.inventory (tenant_id, product_id, quantity, updated_at)
+      VALUES (p_tenant_id, v_line.product_id, v_line.qty, now());
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'sale_return', 'sales_returns', v_return.id, v_line.qty
+    );
+  END LOOP;
+
+  IF p_refund_type = 'credit_note' AND COALESCE(p_total_refund, 0) > 0 THEN
+    v_credit_note := public.issue_credit_note(
+      p_tenant_id, p_customer_id, p_total_refund, p_invoice_id, v_return.id,
+      p_reason, p_handled_by
+    );
+  END IF;
+
+  -- settled on account: the customer owes that much less on this invoice
+  IF v_on_account AND COALESCE(p_total_refund, 0) > 0 THEN
+    UPDATE public.invoices i
+       SET amount_due = i.amount_due - p_total_refund,
+           payment_status = CASE
+             WHEN i.amount_due - p_total_refund = 0 THEN 'paid'
+             WHEN EXISTS (
+               SELECT 1 FROM public.customer_payment c WHERE c.invoice_id = i.id
+             ) THEN 'partial'
+             ELSE 'unpaid'
+           END
+     WHERE i.id = p_invoice_id
+    RETURNING * INTO v_invoice;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'sales_return', to_jsonb(v_return),
+    'items', v_items,
+    'credit_note', v_credit_note,
+    'amount_due', v_invoice.amount_due,
+    'payment_status', v_invoice.payment_status
+  );
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.create_sales_return_atomic;
@@ -0,0 +1,139 @@
+-- Migration: customer receipt journals queued inside the receipt transaction
+-- record_customer_receipt() now inserts the "customer_receipt" job row itself.
+-- Before, the job was enqueued by a separate call after the receipt committed,
+-- and a failure there left an allocated receipt with no cash or AR journal.
+
+CREATE OR REPLACE FUNCTION public.record_customer_receipt(
+  p_tenant_id uuid,
+  p_customer_id bigint,
+  p_amount numeric,
+  p_method text DEFAULT 'cash',
+  p_reference text DEFAULT NULL,
+  p_note text DEFAULT NULL,
+  p_allocations jsonb DEFAULT NULL,
+  p_received_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_manual     boolean := p_allocations IS NOT NULL AND jsonb_array_length(p_allocations) > 0;
+  v_receipt    public.customer_receipts%ROWTYPE;
+  v_inv        public.invoices%ROWTYPE;
+  v_left       numeric := p_amount;
+  v_take       numeric;
+  v_total      numeric;
+  v_allocated  jsonb := '[]'::jsonb;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Payment amount must be greater than 0';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.customers WHERE id = p_customer_id AND tenant_id = p_tenant_id
+  ) THEN
+    RAISE EXCEPTION 'Customer not found';
+  END IF;
+
+  IF v_manual THEN
+    SELECT sum(a.amount) INTO v_total
+      FROM jsonb_to_recordset(p_allocations) AS a(invoice_id bigint, amount numeric);
+
+    IF EXISTS (
+      SELECT 1 FROM jsonb_to_recordset(p_allocations) AS a(invoice_id bigint, amount numeric)
+       WHERE a.invoice_id IS NULL OR a.amount IS NULL OR a.amount <= 0
+    ) THEN
+      RAISE EXCEPTION 'Each allocation needs an invoice_id and an amount greater than 0';
+    END IF;
+
+    IF round(v_total, 2) <> round(p_amount, 2) THEN
+      RAISE EXCEPTION 'Allocations (%) must add up to the payment amount (%)', v_total, p_amount;
+    END IF;
+  END IF;
+
+  INSERT INTO public.customer_receipts (
+    tenant_id, customer_id, amount, method, reference, note, allocation, received_by
+  )
+  VALUES (
+    p_tenant_id, p_customer_id, p_amount, COALESCE(p_method, 'cash'), p_reference, p_note,
+    CASE WHEN v_manual THEN 'manual' ELSE 'fifo' END, p_received_by
+  )
+  RETURNING * INTO v_receipt;
+
+  -- open invoices locked oldest-due first; manual receipts only touch theirs
+  FOR v_inv IN
+    SELECT i.*
+      FROM public.invoices i
+     WHERE i.tenant_id = p_tenant_id
+       AND i.customer_id = p_customer_id
+       AND i.status <> 'void'
+       AND i.amount_due > 0
+       AND (
+         NOT v_manual
+         OR i.id IN (
+           SELECT a.invoice_id
+             FROM jsonb_to_recordset(p_allocations) AS a(invoice_id bigint, amount numeric)
+         )
+       )
+     ORDER BY COALESCE(i.due_date, i.created_at::date), i.created_at, i.id
+       FOR UPDATE
+  LOOP
+    IF v_manual THEN
+      SELECT sum(a.amount) INTO v_take
+        FROM jsonb_to_recordset(p_allocations) AS a(invoice_id bigint, amount numeric)
+       WHERE a.invoice_id = v_inv.id;
+
+      IF v_take > v_inv.amount_due THEN
+        RAISE EXCEPTION 'Invoice % has only % due', v_inv.invoice_number, v_inv.amount_due;
+      END IF;
+    ELSE
+      EXIT WHEN v_left <= 0;
+      v_take := LEAST(v_left, v_inv.amount_due);
+    END IF;
+
+    UPDATE public.invoices
+       SET amount_due = amount_due - v_take,
+           payment_status = CASE WHEN amount_due - v_take = 0 THEN 'paid' ELSE 'partial' END
+     WHERE id = v_inv.id
+    RETURNING * INTO v_inv;
+
+    INSERT INTO public.customer_payment (
+      tenant_id, invoice_id, customer_id, amount, method, note, receipt_id
+    )
+    VALUES (
+      p_tenant_id, v_inv.id, p_customer_id, v_take, v_receipt.method, p_note, v_receipt.id
+    );
+
+    v_left := v_left - v_take;
+    v_allocated := v_allocated || jsonb_build_object(
+      'invoice_id', v_inv.id,
+      'invoice_number', v_inv.invoice_number,
+      'amount', v_take,
+      'amount_due', v_inv.amount_due,
+      'payment_status', v_inv.payment_status
+    );
+  END LOOP;
+
+  IF v_left > 0 THEN
+    IF v_manual THEN
+      RAISE EXCEPTION 'Allocations must be open invoices of this customer';
+    END IF;
+    RAISE EXCEPTION 'Payment is % more than the customer''s open balance', v_left;
+  END IF;
+
+  -- Cash/Bank vs Accounts Receivable journals, committed with the receipt
+  INSERT INTO public.jobs (tenant_id, type, reference_id, payload)
+  VALUES (
+    p_tenant_id, 'customer_receipt', v_receipt.id::text,
+    jsonb_build_object('tenant_id', p_tenant_id, 'receipt_id', v_receipt.id)
+  );
+
+  RETURN jsonb_build_object(
+    'receipt', to_jsonb(v_receipt),
+    'allocations', v_allocated
+  );
+END;
+$$;
+
+-- To drop:
+-- (re-run record_customer_receipt from 021_customer_receipts.sql)
@@ -0,0 +1,45 @@
+-- Migration: purchase numbered in the same transaction as its insert
+-- create_purchase(): next_document_number('purchase') + purchase + items, so a
+-- failed insert rolls the counter back with it and the series stays gap-free
+-- (see 015_document_series.sql). Before, the number was allocated by its own
+-- call and a failed insert left a permanent gap.
+
+CREATE OR REPLACE FUNCTION public.create_purchase(
+  p_purchase jsonb,
+  p_items jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id public.purchases.tenant_id%TYPE := p_purchase->>'tenant_id';
+  v_number    text;
+  v_purchase  public.purchases%ROWTYPE;
+BEGIN
+  v_number := public.next_document_number(
+    v_tenant_id, 'purchase', p_purchase->>'branch_code'
+  );
+
+  INSERT INTO public.purchases (
+    tenant_id, supplier_id, invoice_number, branch_code, total_amount, amount_paid, is_paid
+  )
+  SELECT
+    v_tenant_id, r.supplier_id, v_number, r.branch_code, r.total_amount, 0, false
+  FROM jsonb_populate_record(NULL::public.purchases, p_purchase) r
+  RETURNING * INTO v_purchase;
+
+  INSERT INTO public.purchase_items (
+    tenant_id, purchase_id, product_id, quantity, cost_price, tax_rate, tax_amount,
+    tax_category_id, tax_code, tax_treatment
+  )
+  SELECT
+    v_tenant_id, v_purchase.id, r.product_id, r.quantity, r.cost_price, r.tax_rate,
+    r.tax_amount, r.tax_category_id, r.tax_code, COALESCE(r.tax_treatment, 'standard')
+  FROM jsonb_populate_recordset(NULL::public.purchase_items, p_items) r;
+
+  RETURN to_jsonb(v_purchase);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.create_purchase;
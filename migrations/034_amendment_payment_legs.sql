@@ -0,0 +1,240 @@
+-- Migration: amendment settlements recorded as payment legs
+-- invoice_payments.amendment_id: the leg an amendment added. Its amount is
+--   the signed gross difference: positive when the customer paid more,
+--   negative when money went back (refund, credit note or on account).
+-- amend_invoice_atomic() writes that leg in the same transaction, so an
+-- amended invoice's legs still add up to its final_amount. Settlement
+-- methods map onto leg methods as at checkout: account → 'credit', the
+-- others (cash, card, upi, bank, store_credit) as they are.
+
+ALTER TABLE public.invoice_payments
+  ADD COLUMN IF NOT EXISTS amendment_id bigint
+    REFERENCES public.invoice_amendments (id) ON DELETE CASCADE;
+
+-- only amendment legs may be negative
+ALTER TABLE public.invoice_payments
+  DROP CONSTRAINT IF EXISTS invoice_payments_amount_check;
+
+ALTER TABLE public.invoice_payments
+  ADD CONSTRAINT invoice_payments_amount_check
+    CHECK (amount > 0 OR (amendment_id IS NOT NULL AND amount <> 0));
+
+-- p_items:     the amended invoice_items rows (id + every stored column)
+-- p_stock:     [{ product_id, quantity }] extra quantity sold per product
+--              (negative = comes back to the shelf); bundles are exploded here
+-- p_amendment: { reason, kinds, changes, before, after, net_delta, vat_delta,
+--                gross_delta, vat_lines, settlement, amended_by }
+CREATE OR REPLACE FUNCTION public.amend_invoice_atomic(
+  p_tenant_id uuid,
+  p_invoice_id bigint,
+  p_expected_version integer,
+  p_customer_id public.invoices.customer_id%TYPE,
+  p_items jsonb,
+  p_stock jsonb,
+  p_amendment jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice    public.invoices%ROWTYPE;
+  v_amendment  public.invoice_amendments%ROWTYPE;
+  v_customer   public.invoices.customer_id%TYPE;
+  v_gross      numeric := COALESCE((p_amendment->>'gross_delta')::numeric, 0);
+  v_settlement text := NULLIF(p_amendment->>'settlement', '');
+  v_note_type  text;
+  v_number     text;
+  v_credit     jsonb;
+  v_due        numeric;
+  v_rows       integer;
+  v_line       record;
+  v_stock      record;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice is void and cannot be amended';
+  END IF;
+  IF p_expected_version IS NOT NULL AND v_invoice.version <> p_expected_version THEN
+    RAISE EXCEPTION 'Invoice was amended meanwhile (now version %); reload and try again',
+      v_invoice.version;
+  END IF;
+
+  v_customer := COALESCE(p_customer_id, v_invoice.customer_id);
+
+  IF v_gross <> 0 AND v_settlement IS NULL THEN
+    RAISE EXCEPTION 'A settlement is required when the invoice total changes';
+  END IF;
+  IF v_settlement IN ('account', 'store_credit') AND v_customer IS NULL THEN
+    RAISE EXCEPTION 'Settling on account or as store credit needs a customer';
+  END IF;
+  IF v_settlement = 'store_credit' AND v_gross > 0 THEN
+    RAISE EXCEPTION 'Store credit can only settle a credit note';
+  END IF;
+
+  -- the note documenting the difference
+  IF v_gross < 0 AND v_settlement = 'store_credit' THEN
+    v_credit := public.issue_credit_note(
+      p_tenant_id, v_customer, -v_gross, p_invoice_id, NULL,
+      p_amendment->>'reason', (p_amendment->>'amended_by')::uuid
+    );
+    v_note_type := 'credit_note';
+    v_number := v_credit->>'credit_note_number';
+  ELSIF v_gross < 0 THEN
+    v_note_type := 'credit_note';
+    v_number := public.next_document_number(p_tenant_id, 'credit_note', v_invoice.branch_code);
+  ELSIF v_gross > 0 THEN
+    v_note_type := 'debit_note';
+    v_number := public.next_document_number(p_tenant_id, 'debit_note', v_invoice.branch_code);
+  ELSE
+    v_note_type := 'none';
+  END IF;
+
+  UPDATE public.invoice_items ii
+     SET product_id      = r.product_id,
+         quantity        = r.quantity,
+         price           = r.price,
+         tax             = r.tax,
+         net_price       = r.net_price,
+         tax_amount      = r.tax_amount,
+         total           = r.total,
+         tax_category_id = r.tax_category_id,
+         tax_code        = r.tax_code,
+         tax_treatment   = r.tax_treatment,
+         unit            = r.unit
+    FROM jsonb_populate_recordset(NULL::public.invoice_items, COALESCE(p_items, '[]'::jsonb)) r
+   WHERE ii.id = r.id
+     AND ii.invoice_id = p_invoice_id
+     AND ii.tenant_id = p_tenant_id;
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  IF v_rows <> jsonb_array_length(COALESCE(p_items, '[]'::jsonb)) THEN
+    RAISE EXCEPTION 'Line does not belong to this invoice';
+  END IF;
+
+  -- a difference settled on account moves what the customer still owes
+  v_due := COALESCE(v_invoice.amount_due, 0)
+         + CASE WHEN v_settlement = 'account' THEN v_gross ELSE 0 END;
+
+  IF v_due < 0 THEN
+    RAISE EXCEPTION 'Credit of % is more than the % still due on this invoice',
+      -v_gross, COALESCE(v_invoice.amount_due, 0);
+  END IF;
+
+  UPDATE public.invoices
+     SET customer_id    = v_customer,
+         total_amount   = total_amount + COALESCE((p_amendment->>'net_delta')::numeric, 0),
+         final_amount   = final_amount + v_gross,
+         amount_due     = v_due,
+         payment_status = CASE
+                            WHEN v_due = 0 THEN 'paid'
+                            WHEN EXISTS (
+                              SELECT 1 FROM public.customer_payment cp
+                               WHERE cp.invoice_id = p_invoice_id
+                            ) THEN 'partial'
+                            ELSE 'unpaid'
+                          END,
+         version        = version + 1,
+         amended_at     = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  INSERT INTO public.invoice_amendments (
+    tenant_id, invoice_id, version, note_type, note_number, credit_note_id,
+    reason, kinds, changes, before, after,
+    net_delta, vat_delta, gross_delta, vat_lines, stock_delta,
+    settlement, amended_by
+  )
+  VALUES (
+    p_tenant_id, p_invoice_id, v_invoice.version, v_note_type, v_number,
+    (v_credit->>'id')::bigint,
+    p_amendment->>'reason',
+    ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_amendment->'kinds', '[]'::jsonb))),
+    COALESCE(p_amendment->'changes', '[]'::jsonb),
+    COALESCE(p_amendment->'before', '{}'::jsonb),
+    COALESCE(p_amendment->'after', '{}'::jsonb),
+    COALESCE((p_amendment->>'net_delta')::numeric, 0),
+    COALESCE((p_amendment->>'vat_delta')::numeric, 0),
+    v_gross,
+    COALESCE(p_amendment->'vat_lines', '[]'::jsonb),
+    COALESCE(p_stock, '[]'::jsonb),
+    CASE WHEN v_gross = 0 THEN NULL ELSE v_settlement END,
+    (p_amendment->>'amended_by')::uuid
+  )
+  RETURNING * INTO v_amendment;
+
+  -- the difference as a payment (+) or refund (-) leg, so the legs keep
+  -- adding up to the amended total
+  IF v_gross <> 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, amendment_id)
+    VALUES (
+      p_tenant_id, p_invoice_id,
+      CASE WHEN v_settlement = 'account' THEN 'credit' ELSE v_settlement END,
+      v_gross, v_amendment.id
+    );
+  END IF;
+
+  -- only the difference moves stock; bundles as their components, as at checkout
+  FOR v_line IN
+    SELECT COALESCE(b.component_product_id, r.product_id) AS product_id,
+           SUM(r.quantity * COALESCE(b.quantity, 1)) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, COALESCE(p_stock, '[]'::jsonb)) r
+      LEFT JOIN public.products p
+        ON p.id = r.product_id
+      LEFT JOIN public.product_bundle_items b
+        ON p.product_type = 'bundle'
+       AND b.tenant_id = p_tenant_id
+       AND b.bundle_product_id = r.product_id
+     GROUP BY COALESCE(b.component_product_id, r.product_id)
+    HAVING SUM(r.quantity * COALESCE(b.quantity, 1)) <> 0
+     ORDER BY 1
+  LOOP
+    SELECT id, quantity INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      IF v_line.quantity > 0 THEN
+        RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+          v_line.product_id;
+      END IF;
+      INSERT INTO public.inventory (tenant_id, product_id, quantity)
+      VALUES (p_tenant_id, v_line.product_id, -v_line.quantity);
+    ELSE
+      UPDATE public.inventory
+         SET quantity = GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity),
+             updated_at = now()
+       WHERE id = v_stock.id;
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'amendment', 'invoice_amendments', v_amendment.id, -v_line.quantity
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'amendment', to_jsonb(v_amendment),
+    'credit_note', v_credit
+  );
+END;
+$$;
+
+-- To drop:
+-- (re-run amend_invoice_atomic from 025_invoice_amendments.sql)
+-- DELETE FROM public.invoice_payments WHERE amendment_id IS NOT NULL;
+-- ALTER TABLE public.invoice_payments DROP CONSTRAINT invoice_payments_amount_check;
+-- ALTER TABLE public.invoice_payments ADD CONSTRAINT invoice_payments_amount_check CHECK (amount > 0);
+-- ALTER TABLE public.invoice_payments DROP COLUMN amendment_id;
@@ -0,0 +1,140 @@
+-- Migration: void reversal postings queued inside the void transaction
+-- void_invoice() now inserts the "invoice_void" job row itself. Before, the
+-- job was enqueued by a separate call after the void committed, and a failure
+-- there left a void invoice (stock already back) whose journals, VAT, COGS
+-- and loyalty were never reversed, with no way to void it again.
+
+CREATE OR REPLACE FUNCTION public.void_invoice(
+  p_tenant_id public.invoices.tenant_id%TYPE,
+  p_invoice_id public.invoices.id%TYPE,
+  p_voided_by uuid,
+  p_reason text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice public.invoices%ROWTYPE;
+  v_line    record;
+  v_credit  numeric;
+  v_left    numeric;
+  v_gift    record;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice % is already void', v_invoice.invoice_number;
+  END IF;
+
+  -- put every sold unit back on the shelf: exactly what the sale took out
+  -- (bundle components as they were at the time of sale); invoices without
+  -- sale movements fall back to their items
+  FOR v_line IN
+    WITH moved AS (
+      SELECT product_id, -sum(quantity) AS quantity
+        FROM public.stock_movements
+       WHERE tenant_id = p_tenant_id
+         AND reference_table = 'invoices'
+         AND reference_id = p_invoice_id
+         AND movement_type = 'sale'
+       GROUP BY product_id
+    )
+    SELECT product_id, quantity FROM moved
+    UNION ALL
+    SELECT product_id, sum(quantity) AS quantity
+      FROM public.invoice_items
+     WHERE invoice_id = p_invoice_id
+       AND NOT EXISTS (SELECT 1 FROM moved)
+     GROUP BY product_id
+  LOOP
+    UPDATE public.inventory
+       SET quantity = COALESCE(quantity, 0) + v_line.quantity,
+           updated_at = now()
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.inventory (tenant_id, product_id, quantity, updated_at)
+      VALUES (p_tenant_id, v_line.product_id, v_line.quantity, now());
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'sale_void', 'invoices', p_invoice_id, v_line.quantity
+    );
+  END LOOP;
+
+  -- give back any store credit spent on this invoice
+  SELECT COALESCE(sum(amount), 0) INTO v_credit
+    FROM public.invoice_payments
+   WHERE invoice_id = p_invoice_id
+     AND method = 'store_credit';
+
+  IF v_credit > 0 AND v_invoice.customer_id IS NOT NULL THEN
+    UPDATE public.customers
+       SET credit_balance = credit_balance + v_credit
+     WHERE id = v_invoice.customer_id
+       AND tenant_id = p_tenant_id
+    RETURNING credit_balance INTO v_left;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      p_tenant_id, v_invoice.customer_id, 'void', v_credit, v_left,
+      p_invoice_id, 'Store credit returned: ' || v_invoice.invoice_number || ' voided'
+    );
+  END IF;
+
+  -- put gift card redemptions back on the cards
+  FOR v_gift IN
+    SELECT t.gift_card_id, -sum(t.amount) AS amount
+      FROM public.gift_card_transactions t
+     WHERE t.invoice_id = p_invoice_id
+       AND t.type = 'redeem'
+     GROUP BY t.gift_card_id
+  LOOP
+    UPDATE public.gift_cards
+       SET balance = balance + v_gift.amount,
+           status = CASE WHEN status = 'redeemed' THEN 'active' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift.gift_card_id
+    RETURNING balance INTO v_left;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (p_tenant_id, v_gift.gift_card_id, 'void', v_gift.amount, v_left, p_invoice_id);
+  END LOOP;
+
+  UPDATE public.invoices
+     SET status = 'void',
+         void_reason = p_reason,
+         voided_by = p_voided_by,
+         voided_at = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  -- reversing postings (journals, daybook, loyalty, VAT), committed with the void
+  INSERT INTO public.jobs (tenant_id, type, reference_id, payload)
+  VALUES (
+    p_tenant_id, 'invoice_void', p_invoice_id::text,
+    jsonb_build_object('tenant_id', p_tenant_id, 'invoice', to_jsonb(v_invoice))
+  );
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$;
+
+-- To drop:
+-- (re-run void_invoice from 016_product_bundles.sql)
@@ -0,0 +1,50 @@
+-- Migration: gift card sale recorded in one transaction
+-- issue_gift_card(): card + 'issue' transaction + the "gift_card_issue"
+-- posting job (cash/bank -> Gift Card Liability, daybook). Before, the job
+-- was queued after the card had committed and a failed enqueue was only
+-- logged, leaving a sold card with no money posted for it.
+-- A taken code raises unique_violation (23505); the caller retries with a
+-- new generated code or reports the clash for a printed one.
+
+CREATE OR REPLACE FUNCTION public.issue_gift_card(
+  p_tenant_id uuid,
+  p_code text,
+  p_amount numeric,
+  p_expires_at timestamptz,
+  p_customer_id bigint,
+  p_payment_method text,
+  p_issued_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_card public.gift_cards%ROWTYPE;
+BEGIN
+  INSERT INTO public.gift_cards (
+    tenant_id, code, initial_amount, balance, expires_at, customer_id,
+    payment_method, issued_by
+  )
+  VALUES (
+    p_tenant_id, p_code, p_amount, p_amount, p_expires_at, p_customer_id,
+    p_payment_method, p_issued_by
+  )
+  RETURNING * INTO v_card;
+
+  INSERT INTO public.gift_card_transactions (
+    tenant_id, gift_card_id, type, amount, balance_after
+  )
+  VALUES (p_tenant_id, v_card.id, 'issue', p_amount, p_amount);
+
+  INSERT INTO public.jobs (tenant_id, type, reference_id, payload)
+  VALUES (
+    p_tenant_id, 'gift_card_issue', v_card.id::text,
+    jsonb_build_object('tenant_id', p_tenant_id, 'gift_card_id', v_card.id)
+  );
+
+  RETURN to_jsonb(v_card);
+END;
+$$;
+
+-- To drop:
+-- DROP FUNCTION IF EXISTS public.issue_gift_card;
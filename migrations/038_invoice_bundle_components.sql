@@ -0,0 +1,601 @@
+-- Migration: bundle components snapshotted on the invoice
+-- invoice_bundle_components: for every bundle on an invoice, its components,
+-- the quantity one bundle consumes and each component's cost_price as sold.
+-- Sales returns put stock back and reverse COGS from this instead of the
+-- current product_bundle_items, which may have changed since the sale. (The
+-- sale's stock_movements are summed per component, so they cannot tell which
+-- bundle a component shared by several lines came from.)
+-- - snapshot_invoice_bundles(): snapshots bundles on the invoice that have
+--   none yet; called by create_invoice_atomic and amend_invoice_atomic
+-- - existing invoices are backfilled from the recipes as they stand now
+
+CREATE TABLE IF NOT EXISTS public.invoice_bundle_components (
+  id                    bigserial PRIMARY KEY,
+  tenant_id             uuid NOT NULL,
+  invoice_id            bigint NOT NULL REFERENCES public.invoices (id) ON DELETE CASCADE,
+  bundle_product_id     bigint NOT NULL,
+  component_product_id  bigint NOT NULL,
+  quantity              numeric(12, 3) NOT NULL,   -- per bundle
+  cost_price            numeric(12, 2),
+  created_at            timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (invoice_id, bundle_product_id, component_product_id)
+);
+
+CREATE OR REPLACE FUNCTION public.snapshot_invoice_bundles(
+  p_tenant_id uuid,
+  p_invoice_id bigint
+)
+RETURNS void
+LANGUAGE sql
+AS $$
+  INSERT INTO public.invoice_bundle_components (
+    tenant_id, invoice_id, bundle_product_id, component_product_id, quantity, cost_price
+  )
+  SELECT DISTINCT ii.tenant_id, ii.invoice_id, b.bundle_product_id,
+         b.component_product_id, b.quantity, c.cost_price
+    FROM public.invoice_items ii
+    JOIN public.products p
+      ON p.id = ii.product_id
+     AND p.product_type = 'bundle'
+    JOIN public.product_bundle_items b
+      ON b.tenant_id = ii.tenant_id
+     AND b.bundle_product_id = p.id
+    JOIN public.products c
+      ON c.id = b.component_product_id
+   WHERE ii.tenant_id = p_tenant_id
+     AND ii.invoice_id = p_invoice_id
+     AND NOT EXISTS (
+       SELECT 1 FROM public.invoice_bundle_components s
+        WHERE s.invoice_id = ii.invoice_id
+          AND s.bundle_product_id = ii.product_id
+     );
+$$;
+
+SELECT public.snapshot_invoice_bundles(i.tenant_id, i.invoice_id)
+  FROM (
+    SELECT DISTINCT ii.tenant_id, ii.invoice_id
+      FROM public.invoice_items ii
+      JOIN public.products p
+        ON p.id = ii.product_id
+       AND p.product_type = 'bundle'
+  ) i;
+
+CREATE OR REPLACE FUNCTION public.create_invoice_atomic(
+  p_invoice jsonb,
+  p_items jsonb,
+  p_discounts jsonb DEFAULT '[]'::jsonb,
+  p_coupon_id public.discount_rules.id%TYPE DEFAULT NULL,
+  p_redeem_points integer DEFAULT 0,
+  p_redeem_balance_after integer DEFAULT NULL,
+  p_employee_id public.employees.id%TYPE DEFAULT NULL,
+  p_employee_discount numeric DEFAULT 0,
+  p_payments jsonb DEFAULT '[]'::jsonb,
+  p_deferred_job jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_tenant_id   public.invoices.tenant_id%TYPE := p_invoice->>'tenant_id';
+  v_customer_id public.invoices.customer_id%TYPE := NULLIF(p_invoice->>'customer_id', '');
+  v_number      text;
+  v_invoice     public.invoices%ROWTYPE;
+  v_coupon      public.discount_rules%ROWTYPE;
+  v_uses        integer;
+  v_line        record;
+  v_stock       record;
+  v_new_qty     numeric;
+  v_low_stock   jsonb := '[]'::jsonb;
+  v_shortfall   jsonb := '[]'::jsonb;
+  v_store_credit numeric := 0;
+  v_credit_left  numeric;
+  v_gift_leg     record;
+  v_gift_card    public.gift_cards%ROWTYPE;
+  v_bundle       text;
+  v_on_account   numeric := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'No items provided';
+  END IF;
+
+  -- 1) INVOICE NUMBER (tenant / branch series, see next_document_number)
+  v_number := public.next_document_number(
+    v_tenant_id, 'invoice', p_invoice->>'branch_code'
+  );
+
+  -- 2) COUPON LIMITS (locked so two tills cannot both take the last use)
+  IF p_coupon_id IS NOT NULL THEN
+    SELECT * INTO v_coupon
+      FROM public.discount_rules
+     WHERE id = p_coupon_id
+       FOR UPDATE;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id;
+
+      IF v_uses >= v_coupon.max_uses THEN
+        RAISE EXCEPTION 'Coupon usage limit reached';
+      END IF;
+    END IF;
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_customer_id IS NOT NULL THEN
+      SELECT count(*) INTO v_uses
+        FROM public.coupon_usage
+       WHERE coupon_id = p_coupon_id
+         AND customer_id = v_customer_id;
+
+      IF v_uses >= v_coupon.per_customer_limit THEN
+        RAISE EXCEPTION 'Coupon usage limit reached for this customer';
+      END IF;
+    END IF;
+  END IF;
+
+  -- 3) INVOICE (credit legs stay due until customer receipts clear them)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_on_account
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'credit';
+
+  INSERT INTO public.invoices (
+    tenant_id, invoice_number, branch_code, handled_by, customer_id,
+    total_amount, final_amount, payment_method,
+    item_discount_total, bill_discount_total, coupon_discount_total,
+    membership_discount_total, employee_discount_total,
+    due_date, credit_approval_id, amount_due, payment_status,
+    client_uuid, created_at, cash_rounding
+  )
+  SELECT
+    v_tenant_id, v_number, r.branch_code, r.handled_by, r.customer_id,
+    r.total_amount, r.final_amount, r.payment_method,
+    r.item_discount_total, r.bill_discount_total, r.coupon_discount_total,
+    r.membership_discount_total, r.employee_discount_total,
+    r.due_date, r.credit_approval_id, v_on_account,
+    CASE WHEN v_on_account > 0 THEN 'unpaid' ELSE 'paid' END,
+    r.client_uuid, COALESCE(r.created_at, now()), COALESCE(r.cash_rounding, 0)
+  FROM jsonb_populate_record(NULL::public.invoices, p_invoice) r
+  RETURNING * INTO v_invoice;
+
+  -- 4) INVOICE ITEMS
+  INSERT INTO public.invoice_items (
+    tenant_id, invoice_id, product_id, quantity, price, tax,
+    net_price, tax_amount, discount_amount, total,
+    tax_category_id, tax_code, tax_treatment, unit
+  )
+  SELECT
+    v_tenant_id, v_invoice.id, r.product_id, r.quantity, r.price, r.tax,
+    r.net_price, r.tax_amount, r.discount_amount, r.total,
+    r.tax_category_id, r.tax_code, COALESCE(r.tax_treatment, 'standard'), r.unit
+  FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r;
+
+  -- 5) INVOICE DISCOUNTS
+  IF p_discounts IS NOT NULL AND jsonb_array_length(p_discounts) > 0 THEN
+    INSERT INTO public.invoice_discounts (invoice_id, rule_id, amount, description)
+    SELECT v_invoice.id, r.rule_id, r.amount, r.description
+    FROM jsonb_populate_recordset(NULL::public.invoice_discounts, p_discounts) r;
+  END IF;
+
+  -- 6) COUPON USAGE
+  IF p_coupon_id IS NOT NULL THEN
+    INSERT INTO public.coupon_usage (customer_id, coupon_id, invoice_id)
+    VALUES (v_customer_id, p_coupon_id, v_invoice.id);
+  END IF;
+
+  -- 7) INVENTORY + STOCK MOVEMENTS (one row lock per product)
+  --    A bundle line is exploded into its components: the bundle itself
+  --    holds no stock, each component is deducted qty x component qty.
+  SELECT p.name INTO v_bundle
+    FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+    JOIN public.products p ON p.id = r.product_id
+   WHERE p.product_type = 'bundle'
+     AND NOT EXISTS (
+       SELECT 1 FROM public.product_bundle_items b
+        WHERE b.tenant_id = v_tenant_id
+          AND b.bundle_product_id = p.id
+     )
+   LIMIT 1;
+
+  IF v_bundle IS NOT NULL THEN
+    RAISE EXCEPTION 'Bundle % has no components', v_bundle;
+  END IF;
+
+  PERFORM public.snapshot_invoice_bundles(v_tenant_id, v_invoice.id);
+
+  FOR v_line IN
+    SELECT COALESCE(b.component_product_id, r.product_id) AS product_id,
+           sum(r.quantity * COALESCE(b.quantity, 1)) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, p_items) r
+      LEFT JOIN public.products p
+        ON p.id = r.product_id
+      LEFT JOIN public.product_bundle_items b
+        ON p.product_type = 'bundle'
+       AND b.tenant_id = v_tenant_id
+       AND b.bundle_product_id = r.product_id
+     GROUP BY COALESCE(b.component_product_id, r.product_id)
+     ORDER BY 1
+  LOOP
+    SELECT id, quantity, reorder_level INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = v_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+        v_line.product_id;
+    END IF;
+
+    -- offline sales may have sold stock the server no longer has
+    IF COALESCE(v_stock.quantity, 0) < v_line.quantity THEN
+      v_shortfall := v_shortfall || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'available', COALESCE(v_stock.quantity, 0),
+        'sold', v_line.quantity
+      );
+    END IF;
+
+    v_new_qty := GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity);
+
+    UPDATE public.inventory
+       SET quantity = v_new_qty
+     WHERE id = v_stock.id;
+
+    IF v_new_qty <= COALESCE(v_stock.reorder_level, 0) THEN
+      v_low_stock := v_low_stock || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'newQty', v_new_qty,
+        'reorder_level', v_stock.reorder_level
+      );
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      v_tenant_id, v_line.product_id, 'sale', 'invoices', v_invoice.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- 8) LOYALTY REDEEM
+  IF v_customer_id IS NOT NULL AND COALESCE(p_redeem_points, 0) > 0 THEN
+    INSERT INTO public.loyalty_transactions (
+      customer_id, invoice_id, transaction_type, points, balance_after, description
+    )
+    VALUES (
+      v_customer_id, v_invoice.id, 'redeem', -p_redeem_points,
+      p_redeem_balance_after, 'Redeemed ' || p_redeem_points || ' points'
+    );
+  END IF;
+
+  -- 9) EMPLOYEE DISCOUNT USAGE
+  IF p_employee_id IS NOT NULL AND COALESCE(p_employee_discount, 0) > 0 THEN
+    INSERT INTO public.employee_discount_usage (
+      tenant_id, employee_id, invoice_id, discount_amount
+    )
+    VALUES (v_tenant_id, p_employee_id, v_invoice.id, p_employee_discount);
+  END IF;
+
+  -- 10) PAYMENT LEGS (split tender)
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, reference)
+    SELECT v_tenant_id, v_invoice.id, r.method, r.amount, r.reference
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r;
+  END IF;
+
+  -- 11) STORE CREDIT LEGS (balance locked; never goes below zero)
+  SELECT COALESCE(sum(r.amount), 0) INTO v_store_credit
+    FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+   WHERE r.method = 'store_credit';
+
+  IF v_store_credit > 0 THEN
+    IF v_customer_id IS NULL THEN
+      RAISE EXCEPTION 'Store credit needs a customer on the invoice';
+    END IF;
+
+    UPDATE public.customers
+       SET credit_balance = credit_balance - v_store_credit
+     WHERE id = v_customer_id
+       AND tenant_id = v_tenant_id
+       AND credit_balance >= v_store_credit
+    RETURNING credit_balance INTO v_credit_left;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Not enough store credit (needed %)', v_store_credit;
+    END IF;
+
+    INSERT INTO public.customer_credit_ledger (
+      tenant_id, customer_id, entry_type, amount, balance_after, invoice_id, description
+    )
+    VALUES (
+      v_tenant_id, v_customer_id, 'redeem', -v_store_credit, v_credit_left,
+      v_invoice.id, 'Store credit used on ' || v_number
+    );
+  END IF;
+
+  -- 12) GIFT CARD LEGS (reference = card code; partial redemption allowed)
+  FOR v_gift_leg IN
+    SELECT upper(trim(r.reference)) AS code, sum(r.amount) AS amount
+      FROM jsonb_populate_recordset(NULL::public.invoice_payments, p_payments) r
+     WHERE r.method = 'gift_card'
+     GROUP BY upper(trim(r.reference))
+  LOOP
+    SELECT * INTO v_gift_card
+      FROM public.gift_cards
+     WHERE tenant_id = v_tenant_id
+       AND code = v_gift_leg.code
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Gift card % not found', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.status <> 'active'
+       OR (v_gift_card.expires_at IS NOT NULL AND v_gift_card.expires_at < now()) THEN
+      RAISE EXCEPTION 'Gift card % is not active', v_gift_leg.code;
+    END IF;
+    IF v_gift_card.balance < v_gift_leg.amount THEN
+      RAISE EXCEPTION 'Gift card % balance % is less than %',
+        v_gift_leg.code, v_gift_card.balance, v_gift_leg.amount;
+    END IF;
+
+    UPDATE public.gift_cards
+       SET balance = balance - v_gift_leg.amount,
+           status = CASE WHEN balance - v_gift_leg.amount = 0 THEN 'redeemed' ELSE status END,
+           updated_at = now()
+     WHERE id = v_gift_card.id
+    RETURNING * INTO v_gift_card;
+
+    INSERT INTO public.gift_card_transactions (
+      tenant_id, gift_card_id, type, amount, balance_after, invoice_id
+    )
+    VALUES (
+      v_tenant_id, v_gift_card.id, 'redeem', -v_gift_leg.amount,
+      v_gift_card.balance, v_invoice.id
+    );
+  END LOOP;
+
+  -- 13) DEFERRED POSTINGS JOB — committed together with the sale, so a sale
+  -- can never exist without the job that posts its journals / COGS / VAT
+  IF p_deferred_job IS NOT NULL THEN
+    INSERT INTO public.jobs (tenant_id, type, reference_id, payload)
+    VALUES (
+      v_tenant_id, 'invoice_deferred', v_invoice.id::text,
+      p_deferred_job || jsonb_build_object('invoice', to_jsonb(v_invoice))
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'low_stock', v_low_stock,
+    'stock_shortfall', v_shortfall
+  );
+END;
+$$;
+
+-- p_items:     the amended invoice_items rows (id + every stored column)
+-- p_stock:     [{ product_id, quantity }] extra quantity sold per product
+--              (negative = comes back to the shelf); bundles are exploded here
+-- p_amendment: { reason, kinds, changes, before, after, net_delta, vat_delta,
+--                gross_delta, vat_lines, settlement, amended_by }
+CREATE OR REPLACE FUNCTION public.amend_invoice_atomic(
+  p_tenant_id uuid,
+  p_invoice_id bigint,
+  p_expected_version integer,
+  p_customer_id public.invoices.customer_id%TYPE,
+  p_items jsonb,
+  p_stock jsonb,
+  p_amendment jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice    public.invoices%ROWTYPE;
+  v_amendment  public.invoice_amendments%ROWTYPE;
+  v_customer   public.invoices.customer_id%TYPE;
+  v_gross      numeric := COALESCE((p_amendment->>'gross_delta')::numeric, 0);
+  v_settlement text := NULLIF(p_amendment->>'settlement', '');
+  v_note_type  text;
+  v_number     text;
+  v_credit     jsonb;
+  v_due        numeric;
+  v_rows       integer;
+  v_line       record;
+  v_stock      record;
+BEGIN
+  SELECT * INTO v_invoice
+    FROM public.invoices
+   WHERE id = p_invoice_id
+     AND tenant_id = p_tenant_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice not found';
+  END IF;
+  IF v_invoice.status = 'void' THEN
+    RAISE EXCEPTION 'Invoice is void and cannot be amended';
+  END IF;
+  IF p_expected_version IS NOT NULL AND v_invoice.version <> p_expected_version THEN
+    RAISE EXCEPTION 'Invoice was amended meanwhile (now version %); reload and try again',
+      v_invoice.version;
+  END IF;
+
+  v_customer := COALESCE(p_customer_id, v_invoice.customer_id);
+
+  IF v_gross <> 0 AND v_settlement IS NULL THEN
+    RAISE EXCEPTION 'A settlement is required when the invoice total changes';
+  END IF;
+  IF v_settlement IN ('account', 'store_credit') AND v_customer IS NULL THEN
+    RAISE EXCEPTION 'Settling on account or as store credit needs a customer';
+  END IF;
+  IF v_settlement = 'store_credit' AND v_gross > 0 THEN
+    RAISE EXCEPTION 'Store credit can only settle a credit note';
+  END IF;
+
+  -- the note documenting the difference
+  IF v_gross < 0 AND v_settlement = 'store_credit' THEN
+    v_credit := public.issue_credit_note(
+      p_tenant_id, v_customer, -v_gross, p_invoice_id, NULL,
+      p_amendment->>'reason', (p_amendment->>'amended_by')::uuid
+    );
+    v_note_type := 'credit_note';
+    v_number := v_credit->>'credit_note_number';
+  ELSIF v_gross < 0 THEN
+    v_note_type := 'credit_note';
+    v_number := public.next_document_number(p_tenant_id, 'credit_note', v_invoice.branch_code);
+  ELSIF v_gross > 0 THEN
+    v_note_type := 'debit_note';
+    v_number := public.next_document_number(p_tenant_id, 'debit_note', v_invoice.branch_code);
+  ELSE
+    v_note_type := 'none';
+  END IF;
+
+  UPDATE public.invoice_items ii
+     SET product_id      = r.product_id,
+         quantity        = r.quantity,
+         price           = r.price,
+         tax             = r.tax,
+         net_price       = r.net_price,
+         tax_amount      = r.tax_amount,
+         total           = r.total,
+         tax_category_id = r.tax_category_id,
+         tax_code        = r.tax_code,
+         tax_treatment   = r.tax_treatment,
+         unit            = r.unit
+    FROM jsonb_populate_recordset(NULL::public.invoice_items, COALESCE(p_items, '[]'::jsonb)) r
+   WHERE ii.id = r.id
+     AND ii.invoice_id = p_invoice_id
+     AND ii.tenant_id = p_tenant_id;
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  IF v_rows <> jsonb_array_length(COALESCE(p_items, '[]'::jsonb)) THEN
+    RAISE EXCEPTION 'Line does not belong to this invoice';
+  END IF;
+
+  -- a line swapped to a bundle not on the invoice before
+  PERFORM public.snapshot_invoice_bundles(p_tenant_id, p_invoice_id);
+
+  -- a difference settled on account moves what the customer still owes
+  v_due := COALESCE(v_invoice.amount_due, 0)
+         + CASE WHEN v_settlement = 'account' THEN v_gross ELSE 0 END;
+
+  IF v_due < 0 THEN
+    RAISE EXCEPTION 'Credit of % is more than the % still due on this invoice',
+      -v_gross, COALESCE(v_invoice.amount_due, 0);
+  END IF;
+
+  UPDATE public.invoices
+     SET customer_id    = v_customer,
+         total_amount   = total_amount + COALESCE((p_amendment->>'net_delta')::numeric, 0),
+         final_amount   = final_amount + v_gross,
+         amount_due     = v_due,
+         payment_status = CASE
+                            WHEN v_due = 0 THEN 'paid'
+                            WHEN EXISTS (
+                              SELECT 1 FROM public.customer_payment cp
+                               WHERE cp.invoice_id = p_invoice_id
+                            ) THEN 'partial'
+                            ELSE 'unpaid'
+                          END,
+         version        = version + 1,
+         amended_at     = now()
+   WHERE id = p_invoice_id
+  RETURNING * INTO v_invoice;
+
+  INSERT INTO public.invoice_amendments (
+    tenant_id, invoice_id, version, note_type, note_number, credit_note_id,
+    reason, kinds, changes, before, after,
+    net_delta, vat_delta, gross_delta, vat_lines, stock_delta,
+    settlement, amended_by
+  )
+  VALUES (
+    p_tenant_id, p_invoice_id, v_invoice.version, v_note_type, v_number,
+    (v_credit->>'id')::bigint,
+    p_amendment->>'reason',
+    ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_amendment->'kinds', '[]'::jsonb))),
+    COALESCE(p_amendment->'changes', '[]'::jsonb),
+    COALESCE(p_amendment->'before', '{}'::jsonb),
+    COALESCE(p_amendment->'after', '{}'::jsonb),
+    COALESCE((p_amendment->>'net_delta')::numeric, 0),
+    COALESCE((p_amendment->>'vat_delta')::numeric, 0),
+    v_gross,
+    COALESCE(p_amendment->'vat_lines', '[]'::jsonb),
+    COALESCE(p_stock, '[]'::jsonb),
+    CASE WHEN v_gross = 0 THEN NULL ELSE v_settlement END,
+    (p_amendment->>'amended_by')::uuid
+  )
+  RETURNING * INTO v_amendment;
+
+  -- the difference as a payment (+) or refund (-) leg, so the legs keep
+  -- adding up to the amended total
+  IF v_gross <> 0 THEN
+    INSERT INTO public.invoice_payments (tenant_id, invoice_id, method, amount, amendment_id)
+    VALUES (
+      p_tenant_id, p_invoice_id,
+      CASE WHEN v_settlement = 'account' THEN 'credit' ELSE v_settlement END,
+      v_gross, v_amendment.id
+    );
+  END IF;
+
+  -- only the difference moves stock; bundles as their components, as at checkout
+  FOR v_line IN
+    SELECT COALESCE(b.component_product_id, r.product_id) AS product_id,
+           SUM(r.quantity * COALESCE(b.quantity, 1)) AS quantity
+      FROM jsonb_populate_recordset(NULL::public.invoice_items, COALESCE(p_stock, '[]'::jsonb)) r
+      LEFT JOIN public.products p
+        ON p.id = r.product_id
+      LEFT JOIN public.product_bundle_items b
+        ON p.product_type = 'bundle'
+       AND b.tenant_id = p_tenant_id
+       AND b.bundle_product_id = r.product_id
+     GROUP BY COALESCE(b.component_product_id, r.product_id)
+    HAVING SUM(r.quantity * COALESCE(b.quantity, 1)) <> 0
+     ORDER BY 1
+  LOOP
+    SELECT id, quantity INTO v_stock
+      FROM public.inventory
+     WHERE tenant_id = p_tenant_id
+       AND product_id = v_line.product_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      IF v_line.quantity > 0 THEN
+        RAISE EXCEPTION 'Inventory not found for product_id %. Add inventory via PURCHASE first.',
+          v_line.product_id;
+      END IF;
+      INSERT INTO public.inventory (tenant_id, product_id, quantity)
+      VALUES (p_tenant_id, v_line.product_id, -v_line.quantity);
+    ELSE
+      UPDATE public.inventory
+         SET quantity = GREATEST(0, COALESCE(v_stock.quantity, 0) - v_line.quantity),
+             updated_at = now()
+       WHERE id = v_stock.id;
+    END IF;
+
+    INSERT INTO public.stock_movements (
+      tenant_id, product_id, movement_type, reference_table, reference_id, quantity
+    )
+    VALUES (
+      p_tenant_id, v_line.product_id, 'amendment', 'invoice_amendments', v_amendment.id, -v_line.quantity
+    );
+  END LOOP;
+
+  -- delta postings (journals, daybook, VAT), committed with the amendment
+  INSERT INTO public.jobs (tenant_id, type, reference_id, payload)
+  VALUES (
+    p_tenant_id, 'invoice_amendment', v_amendment.id::text,
+    jsonb_build_object('tenant_id', p_tenant_id, 'amendment_id', v_amendment.id)
+  );
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'amendment', to_jsonb(v_amendment),
+    'credit_note', v_credit
+  );
+END;
+$$;
+
+-- To drop:
+-- (re-run 027_invoice_deferred_job.sql for create_invoice_atomic and
+--  036_invoice_amendment_job.sql for amend_invoice_atomic)
+-- DROP FUNCTION IF EXISTS public.snapshot_invoice_bundles;
+-- DROP TABLE IF EXISTS public.invoice_bundle_components;
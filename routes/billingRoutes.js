@@ -1,14 +1,33 @@
 import express from "express";
 import { createInvoice} from "../controllers/billinController2.js";
 import { verifyToken } from "../middleware/verifyToken.js";
+import { idempotency } from "../middleware/idempotency.js";
 import { generatePDF } from "../scripts/pdfGenerator.js";
+import {
+  holdBill,
+  getHeldBills,
+  getHeldBillById,
+  updateHeldBill,
+  discardHeldBill,
+  resumeHeldBill,
+} from "../controllers/heldBillsController.js";
 
 
 const router = express.Router();
 
-router.post("/", verifyToken, createInvoice);
+router.post("/", verifyToken, idempotency("billing"), createInvoice);
 
 
+// renders client-sent data; reprints of a sale go through
+// POST /api/invoices/:id/reprint (stored data, DUPLICATE stamp, logged)
 router.post("/generate-pdf",verifyToken,generatePDF );
 
+// Held / parked bills
+router.get("/held", verifyToken, getHeldBills);
+router.post("/held", verifyToken, holdBill);
+router.get("/held/:id", verifyToken, getHeldBillById);
+router.put("/held/:id", verifyToken, updateHeldBill);
+router.delete("/held/:id", verifyToken, discardHeldBill);
+router.post("/held/:id/resume", verifyToken, resumeHeldBill);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { requireRole } from "../middleware/requireRole.js";
+import {
+  getCreditApprovals,
+  approveCreditSale,
+  rejectCreditSale,
+} from "../controllers/creditApprovalController.js";
+
+const router = express.Router();
+
+// tills see their requests; only the tenant (manager) decides
+router.get("/", getCreditApprovals);
+router.post("/:id/approve", requireRole("tenant"), approveCreditSale);
+router.post("/:id/reject", requireRole("tenant"), rejectCreditSale);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import {
+  getCreditNotes,
+  getCreditNoteById,
+} from "../controllers/creditNoteController.js";
+
+const router = express.Router();
+
+router.get("/", getCreditNotes);
+router.get("/:id", getCreditNoteById);
+
+export default router;
@@ -1,11 +1,27 @@
 import express from "express";
 import { CustomerController } from "../controllers/customerController.js";
+import { getCustomerCredit } from "../controllers/creditNoteController.js";
+import { sendStatementEmail } from "../controllers/emailController.js";
+import { getCustomerCreditStatus } from "../controllers/creditApprovalController.js";
+import {
+  getCustomerAgeing,
+  getCustomerLedger,
+  getCustomerReceipts,
+  makeCustomerPayment,
+} from "../controllers/customerAccountsController.js";
 
 const router = express.Router();
 
 router.get("/", CustomerController.getAll);
 router.post("/", CustomerController.create);
+router.get("/ageing", getCustomerAgeing);
 router.get("/:id", CustomerController.getOne);
+router.get("/:id/credit", getCustomerCredit);
+router.get("/:id/credit-status", getCustomerCreditStatus);
+router.get("/:id/ledger", getCustomerLedger);
+router.get("/:id/payments", getCustomerReceipts);
+router.post("/:id/payments", makeCustomerPayment);
+router.post("/:id/statement/email", sendStatementEmail);
 router.put("/:id", CustomerController.update);
 router.delete("/:id", CustomerController.delete);
 router.get("/search/:keyword", CustomerController.search);
@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  getDocumentSeries,
+  previewDocumentNumber,
+  upsertDocumentSeries,
+  deleteDocumentSeries,
+} from "../controllers/documentSeriesController.js";
+
+const router = express.Router();
+
+router.get("/", getDocumentSeries);
+router.get("/:doc_type/preview", previewDocumentNumber);
+router.put("/:doc_type", upsertDocumentSeries);
+router.delete("/:id", deleteDocumentSeries);
+
+export default router;
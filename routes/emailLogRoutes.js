@@ -0,0 +1,8 @@
+import express from "express";
+import { getEmailLog } from "../controllers/emailController.js";
+
+const router = express.Router();
+
+router.get("/", getEmailLog);
+
+export default router;
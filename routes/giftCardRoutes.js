@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  issueGiftCard,
+  getGiftCards,
+  getGiftCardByCode,
+  expireGiftCards,
+  getGiftCardLiability,
+} from "../controllers/giftCardController.js";
+import { idempotency } from "../middleware/idempotency.js";
+
+const router = express.Router();
+
+router.get("/", getGiftCards);
+router.post("/", idempotency("gift_cards"), issueGiftCard);
+router.get("/liability", getGiftCardLiability);
+router.post("/expire", expireGiftCards);
+router.get("/:code", getGiftCardByCode);
+
+export default router;
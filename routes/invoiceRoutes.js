@@ -1,12 +1,42 @@
 import express from "express";
 import { verifyToken } from "../middleware/verifyToken.js";
-import { getAllInvoices, deleteInvoice, previewInvoice } from '../controllers/invoiceController.js';
+import { requireRole } from "../middleware/requireRole.js";
+import {
+  getAllInvoices,
+  getInvoiceById,
+  voidInvoice,
+  previewInvoice,
+  getInvoicePDF,
+  getInvoiceXML,
+  reprintInvoice,
+  getInvoiceReprints,
+} from '../controllers/invoiceController.js';
+import {
+  getInvoiceTemplateSettings,
+  updateInvoiceTemplateSettings,
+} from "../controllers/invoiceSettingsController.js";
+import { sendInvoiceEmail } from "../controllers/emailController.js";
+import {
+  amendInvoice,
+  getInvoiceAmendments,
+} from "../controllers/invoiceAmendmentController.js";
 
 const router = express.Router();
 
 router.get('/', getAllInvoices);
-router.delete('/:id', deleteInvoice);
+router.get("/settings", getInvoiceTemplateSettings);
+router.put("/settings", updateInvoiceTemplateSettings);
+router.get("/:id/pdf", getInvoicePDF);
+router.get("/:id/xml", getInvoiceXML);
+router.post("/:id/reprint", reprintInvoice);
+router.get("/:id/reprints", getInvoiceReprints);
+router.post("/:id/email", sendInvoiceEmail);
+router.post("/:id/amend", requireRole("tenant"), amendInvoice);
+router.get("/:id/amendments", getInvoiceAmendments);
+router.delete('/:id', voidInvoice); // voids, never hard-deletes
+router.post('/:id/void', voidInvoice);
 router.post("/preview", previewInvoice);
+router.get("/:id", getInvoiceById);
 
 
 export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import {
+  getJobs,
+  retryJob,
+  retryInvoiceJobs,
+} from "../controllers/jobsController.js";
+
+const router = express.Router();
+
+router.get("/", getJobs);
+router.post("/invoice/:invoiceId/retry", retryInvoiceJobs);
+router.post("/:id/retry", retryJob);
+
+export default router;
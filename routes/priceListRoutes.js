@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getPriceLists,
+  getPriceListById,
+  createPriceList,
+  updatePriceList,
+  assignPriceListCustomers,
+  deletePriceList,
+} from "../controllers/priceListController.js";
+
+const router = express.Router();
+
+router.get("/", getPriceLists);
+router.get("/:id", getPriceListById);
+router.post("/", createPriceList);
+router.put("/:id", updatePriceList);
+router.post("/:id/customers", assignPriceListCustomers);
+router.delete("/:id", deletePriceList);
+
+export default router;
@@ -4,6 +4,7 @@ import {
   createProduct,
   getProducts,
   getProductById,
+  getProductByBarcode,
   updateProduct,
   deleteProduct,
 } from "../controllers/productController.js";
@@ -12,6 +13,7 @@ const router = express.Router();
 
 router.post("/", verifyToken, createProduct);
 router.get("/", verifyToken, getProducts);
+router.get("/barcode/:code", verifyToken, getProductByBarcode);
 router.get("/:id", verifyToken, getProductById);
 router.put("/:id", verifyToken, updateProduct);
 router.delete("/:id", verifyToken, deleteProduct);
@@ -8,13 +8,14 @@ import {
   getPurchaseStats
 } from '../controllers/purchaseController.js';
 import { verifyToken } from "../middleware/verifyToken.js"; // if using JWT auth
+import { idempotency } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
 router.get('/', getAllPurchases);
 router.get('/stats', getPurchaseStats);
 router.get('/:id', getPurchaseById);
-router.post('/', createPurchase);
+router.post('/', idempotency("purchases"), createPurchase);
 router.put('/:id', updatePurchase);
 router.delete('/:id', deletePurchase);
 
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getAllQuotations,
+  getQuotationById,
+  createQuotation,
+  updateQuotationStatus,
+  getQuotationPDF,
+  convertQuotation,
+} from "../controllers/quotationController.js";
+
+const router = express.Router();
+
+router.get("/", getAllQuotations);
+router.post("/", createQuotation);
+router.get("/:id", getQuotationById);
+router.put("/:id/status", updateQuotationStatus);
+router.get("/:id/pdf", getQuotationPDF);
+router.post("/:id/convert", convertQuotation);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  getScaleBarcodeFormatList,
+  createScaleBarcodeFormat,
+  updateScaleBarcodeFormat,
+  deleteScaleBarcodeFormat,
+  testScaleBarcode,
+} from "../controllers/scaleBarcodeController.js";
+
+const router = express.Router();
+
+router.get("/", getScaleBarcodeFormatList);
+router.post("/", createScaleBarcodeFormat);
+router.post("/test", testScaleBarcode);
+router.put("/:id", updateScaleBarcodeFormat);
+router.delete("/:id", deleteScaleBarcodeFormat);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  openShift,
+  getCurrentShift,
+  getShifts,
+  addPayout,
+  closeShift,
+  getXReportPDF,
+  getZReportPDF,
+} from "../controllers/shiftController.js";
+
+const router = express.Router();
+
+router.get("/", getShifts);
+router.get("/current", getCurrentShift);
+router.post("/open", openShift);
+router.post("/:id/payouts", addPayout);
+router.post("/:id/close", closeShift);
+router.get("/:id/x-report", getXReportPDF);
+router.get("/:id/z-report", getZReportPDF);
+
+export default router;
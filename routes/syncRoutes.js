@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  syncOfflineInvoices,
+  getOfflineSyncLog,
+} from "../controllers/offlineSyncController.js";
+
+const router = express.Router();
+
+// tills push the sales they captured while offline
+router.post("/invoices", syncOfflineInvoices);
+router.get("/invoices", getOfflineSyncLog);
+
+export default router;
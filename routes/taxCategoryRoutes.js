@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  getTaxCategoryList,
+  createTaxCategory,
+  updateTaxCategory,
+  addTaxCategoryRate,
+} from "../controllers/taxCategoryController.js";
+
+const router = express.Router();
+
+router.get("/", getTaxCategoryList);
+router.post("/", createTaxCategory);
+router.put("/:id", updateTaxCategory);
+router.post("/:id/rates", addTaxCategoryRate);
+
+export default router;
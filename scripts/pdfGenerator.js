@@ -9,8 +9,14 @@ export const generatePDF = ({
   items,
   total,
   payment_method,
+  payments = [],
   subtotal,
-  businessName
+  businessName,
+  qrPng = null, // ZATCA/FTA TLV QR (services/eInvoiceService.js)
+  issuedAt = null, // sale time; reprints must not show the reprint time
+  copyLabel = null, // e.g. "DUPLICATE / COPY 2"
+  giftReceipt = false, // quantities only, no prices / totals / payment
+  cashRounding = 0, // invoices.cash_rounding; the cash actually collected differs by this
 }) => {
   return new Promise((resolve, reject) => {
     try {
@@ -63,31 +69,64 @@ export const generatePDF = ({
       center(businessName || "SUPERMART", 16, true);
       stars();
 
+      if (giftReceipt) center("GIFT RECEIPT", 12, true);
+      if (copyLabel) center(copyLabel, 11, true);
+
       leftRight("Invoice No:", invoiceNumber);
-      leftRight("Date:", new Date().toLocaleString());
+      leftRight("Date:", new Date(issuedAt || Date.now()).toLocaleString());
 
       dashed();
 
       // ITEMS
       doc.font("Courier-Bold").fontSize(10);
-      leftRight("ITEM", "AMOUNT");
+      leftRight("ITEM", giftReceipt ? "QTY" : "AMOUNT");
 
       doc.font("Courier").fontSize(10);
 
       items.forEach((item) => {
-        const qtyName = `${item.quantity}x ${item.name}`;
+        const qty = item.unit
+          ? `${Number(item.quantity)} ${item.unit}` // weighed / measured
+          : `${item.quantity}x`;
+        if (giftReceipt) {
+          leftRight(item.name, qty);
+          return;
+        }
         const priceText = `AED ${Number(item.total).toFixed(2)}`;
-        leftRight(qtyName, priceText);
+        leftRight(`${qty} ${item.name}`, priceText);
       });
 
       dashed();
 
+      if (giftReceipt) {
+        center("Present this receipt to", 9);
+        center("exchange or return items", 9);
+        dashed();
+        center("********* THANK YOU! *********", 11, true);
+        doc.end();
+        return;
+      }
+
       // TOTALS
       doc.font("Courier-Bold").fontSize(11);
       leftRight("TOTAL", `AED ${Number(total).toFixed(2)}`, 12);
 
       doc.font("Courier").fontSize(10);
-      leftRight("Payment:", payment_method.toUpperCase());
+      if (payments && payments.length > 1) {
+        leftRight("Payment:", "SPLIT");
+        payments.forEach((p) => {
+          leftRight(`  ${p.method.toUpperCase()}`, `AED ${Number(p.amount).toFixed(2)}`);
+        });
+      } else {
+        leftRight("Payment:", (payment_method || "cash").toUpperCase());
+      }
+
+      if (Number(cashRounding)) {
+        const cashPaid = payments.length
+          ? payments.filter((p) => p.method === "cash").reduce((s, p) => s + Number(p.amount), 0)
+          : Number(total);
+        leftRight("Rounding", `AED ${Number(cashRounding).toFixed(2)}`);
+        leftRight("CASH PAID", `AED ${(cashPaid + Number(cashRounding)).toFixed(2)}`, 12);
+      }
 
       dashed();
 
@@ -96,14 +135,19 @@ export const generatePDF = ({
 
       y += 5;
 
-      // Generate barcode lines
-      const barcodeWidth = 40 * 2.2;
-      const startX = (226 - barcodeWidth) / 2;
-
-      for (let i = 0; i < 40; i++) {
-        const x = startX + i * 2.2;
-        const lineW = Math.random() > 0.5 ? 1.2 : 0.6;
-        doc.moveTo(x, y).lineTo(x, y + 25).lineWidth(lineW).stroke();
+      if (qrPng) {
+        const size = 110;
+        doc.image(qrPng, (226 - size) / 2, y, { width: size, height: size });
+      } else {
+        // Generate barcode lines
+        const barcodeWidth = 40 * 2.2;
+        const startX = (226 - barcodeWidth) / 2;
+
+        for (let i = 0; i < 40; i++) {
+          const x = startX + i * 2.2;
+          const lineW = Math.random() > 0.5 ? 1.2 : 0.6;
+          doc.moveTo(x, y).lineTo(x, y + 25).lineWidth(lineW).stroke();
+        }
       }
 
       doc.end();
@@ -5,7 +5,13 @@ export async function applyDiscounts({
   tenant_id,
   customer = null,
   couponCode = null,
+  pricingMode = "inclusive",
 }) {
+  // "exclusive": prices are net of VAT and VAT is added per line (rounded per
+  // line, as printed on the invoice). Totals below are VAT inclusive either way.
+  const exclusive = pricingMode === "exclusive";
+  const round2 = (n) => Number(Number(n).toFixed(2));
+
   // fetch active discount rules for tenant
   const { data: rules = [], error: rulesErr } = await supabase
     .from("discount_rules")
@@ -21,24 +27,34 @@ export async function applyDiscounts({
   const tierRules = rules.filter((r) => r.type === "tier");
 
   // normalize items
-  // price = inclusive selling price per unit
+  // price = selling price per unit (inclusive, or net in exclusive mode)
   const workingItems = items.map((it) => {
-    const unitGross = Number(it.price || 0); // inclusive per unit
+    const price = Number(it.price || 0);
     const qty = Number(it.qty || 0);
     const taxPercent = Number(it.tax || 0);
 
     const divisor = 1 + taxPercent / 100;
-    let unitBase = unitGross;
+    let unitGross = price; // inclusive per unit
+    let unitBase = price;
     let unitTax = 0;
 
-    if (taxPercent > 0) {
+    if (exclusive) {
+      unitGross = price * divisor;
+      unitTax = unitGross - unitBase;
+    } else if (taxPercent > 0) {
       unitBase = unitGross / divisor;
       unitTax = unitGross - unitBase;
     }
 
-    const lineGross = unitGross * qty; // inclusive total (before item discount)
-    const lineBase = unitBase * qty;
-    const lineTax = unitTax * qty;
+    let lineGross = unitGross * qty; // inclusive total (before item discount)
+    let lineBase = unitBase * qty;
+    let lineTax = unitTax * qty;
+
+    if (exclusive) {
+      lineBase = round2(lineBase);
+      lineTax = round2((lineBase * taxPercent) / 100);
+      lineGross = lineBase + lineTax;
+    }
 
     return {
       ...it,
@@ -88,7 +104,9 @@ for (const rule of itemRules) {
         extraLineDiscount =
           (it.lineGross * Number(rule.discount_percent)) / 100;
       } else if (Number(rule.discount_amount || 0) > 0) {
-        extraLineDiscount = Number(rule.discount_amount) * it.qty;
+        // amounts are in the tenant's pricing basis; lineDiscount is inclusive
+        extraLineDiscount = Number(rule.discount_amount) * it.qty *
+          (exclusive ? 1 + it.taxPercent / 100 : 1);
       }
 
       const remaining = it.lineGross - it.lineDiscount;
@@ -102,7 +120,15 @@ for (const rule of itemRules) {
 
   // recompute per-unit and net values AFTER item discounts
   for (const it of workingItems) {
-    if (it.qty > 0) {
+    if (exclusive && it.qty > 0) {
+      // discount comes off the net line, VAT is re-added on what is left
+      it.netLineBase = round2(it.lineBase - it.lineDiscount / (1 + it.taxPercent / 100));
+      it.netLineTax = round2((it.netLineBase * it.taxPercent) / 100);
+      it.netLineGross = it.netLineBase + it.netLineTax;
+      it.lineDiscount = it.lineGross - it.netLineGross;
+      it.perUnitDiscount = it.lineDiscount / it.qty;
+      it.netUnitGross = it.netLineGross / it.qty;
+    } else if (it.qty > 0) {
       it.perUnitDiscount = it.lineDiscount / it.qty;
       it.netUnitGross = it.unitGross - it.perUnitDiscount;
       it.netLineGross = it.netUnitGross * it.qty;
@@ -267,8 +293,9 @@ for (const rule of itemRules) {
 
   // -----------------------------------------
   // RETURN FINAL STRUCTURE
-  // discount_amount = per-unit discount
+  // discount_amount = per-unit discount (inclusive)
   // net_price = per-unit net inclusive price
+  // lineBase = line net of VAT after item discount
   // taxAmount = tax AFTER item discount
   // -----------------------------------------
   return {
@@ -276,6 +303,7 @@ for (const rule of itemRules) {
       product_id: it.product_id,
       qty: it.qty,
       price: Number(it.unitGross.toFixed(2)), // inclusive per unit
+      unit_net: Number(it.unitBase.toFixed(2)),
       tax: it.taxPercent,
       lineBase: Number(it.netLineBase.toFixed(2)),
       taxAmount: Number(it.netLineTax.toFixed(2)),
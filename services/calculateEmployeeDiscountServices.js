@@ -4,6 +4,7 @@ export async function calculateEmployeeDiscount({
   tenant_id,
   buyer_employee_id,
   subtotal,
+  record = true, // false → caller persists usage itself (atomic checkout)
 }) {
   // 1) Must provide employee_id
   if (!buyer_employee_id) return { discount: 0 };
@@ -64,7 +65,7 @@ export async function calculateEmployeeDiscount({
   }
 
   // 7) TEMP record (invoice_id attached later)
-  if (discount > 0) {
+  if (discount > 0 && record) {
     await supabase.from("employee_discount_usage").insert([
       {
         tenant_id,
@@ -0,0 +1,100 @@
+// services/customerCreditService.js
+// What a customer owes on account and whether a new credit sale fits
+// (migrations/020_customer_credit_limits.sql). What is still due on an
+// invoice is invoices.amount_due: its "credit" tender legs less the customer
+// receipts allocated to it (migrations/021_customer_receipts.sql).
+
+import { supabase } from "../supabase/supabaseClient.js";
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+const todayStr = () => new Date().toISOString().split("T")[0];
+
+export const dueDateFor = (termsDays, from = new Date()) => {
+  const d = new Date(from);
+  d.setDate(d.getDate() + Number(termsDays || 0));
+  return d.toISOString().split("T")[0];
+};
+
+/**
+ * Open credit invoices of one customer (or all customers when customer_id
+ * is null): [{ invoice_id, invoice_number, customer_id, created_at,
+ * due_date, on_account, paid, due, payment_status, days_overdue }]
+ */
+export async function getOpenCreditInvoices(tenant_id, customer_id = null, asOf = todayStr()) {
+  let query = supabase
+    .from("invoices")
+    .select(
+      "id, invoice_number, customer_id, final_amount, payment_method, payment_status, amount_due, created_at, due_date, invoice_payments (method, amount)"
+    )
+    .eq("tenant_id", tenant_id)
+    .neq("status", "void")
+    .not("customer_id", "is", null)
+    .gt("amount_due", 0)
+    .order("created_at");
+
+  if (customer_id) query = query.eq("customer_id", customer_id);
+
+  const { data: invoices, error } = await query;
+  if (error) throw error;
+
+  const onAccount = (inv) =>
+    inv.invoice_payments?.length
+      ? inv.invoice_payments
+          .filter((p) => p.method === "credit")
+          .reduce((s, p) => s + Number(p.amount), 0)
+      : Number(inv.final_amount); // before split tender the whole bill was on credit
+
+  return (invoices || []).map((inv) => {
+    const on_account = round2(onAccount(inv));
+    const due = round2(inv.amount_due);
+    const due_date = inv.due_date || String(inv.created_at).split("T")[0];
+    const days_overdue = Math.max(
+      0,
+      Math.floor((new Date(asOf) - new Date(due_date)) / 86400000)
+    );
+    return {
+      invoice_id: inv.id,
+      invoice_number: inv.invoice_number,
+      customer_id: inv.customer_id,
+      created_at: inv.created_at,
+      due_date,
+      on_account,
+      paid: round2(on_account - due),
+      due,
+      payment_status: inv.payment_status,
+      days_overdue,
+    };
+  });
+}
+
+/**
+ * Credit position of a customer and, with `amount`, whether a new credit
+ * sale of that size is within terms.
+ * reasons: "over_limit" | "overdue_invoices"
+ */
+export async function checkCustomerCredit(tenant_id, customer, amount = 0) {
+  const open = await getOpenCreditInvoices(tenant_id, customer.id);
+
+  const outstanding = round2(open.reduce((s, r) => s + r.due, 0));
+  const overdue = open.filter((r) => r.days_overdue > 0);
+  const overdue_amount = round2(overdue.reduce((s, r) => s + r.due, 0));
+  const limit = customer.credit_limit == null ? null : Number(customer.credit_limit);
+
+  const reasons = [];
+  if (limit !== null && outstanding + Number(amount) - limit >= 0.01) {
+    reasons.push("over_limit");
+  }
+  if (overdue.length) reasons.push("overdue_invoices");
+
+  return {
+    credit_limit: limit,
+    outstanding,
+    available: limit === null ? null : round2(Math.max(0, limit - outstanding)),
+    overdue_amount,
+    overdue_invoices: overdue,
+    payment_terms_days: Number(customer.payment_terms_days || 0),
+    credit_limit_action: customer.credit_limit_action || "block",
+    reasons,
+    within_terms: reasons.length === 0,
+  };
+}
@@ -0,0 +1,154 @@
+// services/customerStatementService.js
+// Statement of account for one customer: invoices (debit), what was paid
+// at the till and later customer payments (credit), with a running balance.
+
+import { supabase } from "../supabase/supabaseClient.js";
+import { renderPDFBuffer } from "../utils/pdfResponse.js";
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+export async function buildCustomerStatement(tenant_id, customer_id, { from, to } = {}) {
+  const { data: customer, error: custErr } = await supabase
+    .from("customers")
+    .select("id, name, phone, email, address, trn")
+    .eq("tenant_id", tenant_id)
+    .eq("id", customer_id)
+    .maybeSingle();
+
+  if (custErr) throw custErr;
+  if (!customer) return null;
+
+  const { data: invoices, error: invErr } = await supabase
+    .from("invoices")
+    .select("id, invoice_number, final_amount, status, created_at, invoice_payments (method, amount)")
+    .eq("tenant_id", tenant_id)
+    .eq("customer_id", customer_id)
+    .neq("status", "void")
+    .order("created_at");
+
+  if (invErr) throw invErr;
+
+  const invoiceIds = (invoices || []).map((i) => i.id);
+  let payments = [];
+  if (invoiceIds.length) {
+    const { data, error } = await supabase
+      .from("customer_payment")
+      .select("invoice_id, amount, method, note, created_at")
+      .eq("tenant_id", tenant_id)
+      .in("invoice_id", invoiceIds)
+      .order("created_at");
+
+    if (error) throw error;
+    payments = data || [];
+  }
+
+  const rows = [];
+  for (const inv of invoices || []) {
+    const total = Number(inv.final_amount || 0);
+    const onCredit = (inv.invoice_payments || [])
+      .filter((l) => l.method === "credit")
+      .reduce((s, l) => s + Number(l.amount || 0), 0);
+
+    rows.push({
+      date: inv.created_at,
+      type: "invoice",
+      reference: inv.invoice_number,
+      description: `Invoice #${inv.invoice_number}`,
+      debit: total,
+      credit: 0,
+    });
+
+    if (total - onCredit > 0.005) {
+      rows.push({
+        date: inv.created_at,
+        type: "paid_at_sale",
+        reference: inv.invoice_number,
+        description: `Paid at sale #${inv.invoice_number}`,
+        debit: 0,
+        credit: round2(total - onCredit),
+      });
+    }
+  }
+
+  for (const p of payments) {
+    rows.push({
+      date: p.created_at,
+      type: "payment",
+      reference: String(p.invoice_id),
+      description: p.note || `Payment (${p.method || "cash"})`,
+      debit: 0,
+      credit: Number(p.amount || 0),
+    });
+  }
+
+  rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const fromTs = from ? new Date(from).getTime() : null;
+  const toTs = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+  let opening = 0;
+  let balance = 0;
+  const transactions = [];
+
+  for (const r of rows) {
+    const ts = new Date(r.date).getTime();
+    if (toTs && ts > toTs) continue;
+    if (fromTs && ts < fromTs) {
+      opening += r.debit - r.credit;
+      continue;
+    }
+    if (!transactions.length) balance = opening;
+    balance += r.debit - r.credit;
+    transactions.push({ ...r, balance: round2(balance) });
+  }
+
+  return {
+    customer,
+    from: from || null,
+    to: to || null,
+    opening_balance: round2(opening),
+    closing_balance: round2(transactions.length ? balance : opening),
+    transactions,
+  };
+}
+
+export function renderStatementPDF(statement, { sellerName, currency = "AED" } = {}) {
+  const money = (n) => `${currency} ${Number(n || 0).toFixed(2)}`;
+  const { customer } = statement;
+
+  return renderPDFBuffer(`Statement of Account`, (doc) => {
+    doc.fontSize(12).font("Helvetica-Bold").text(sellerName || "", { align: "center" });
+    doc.moveDown(0.5).font("Helvetica").fontSize(10);
+    doc.text(`Customer: ${customer.name}`);
+    if (customer.trn) doc.text(`TRN: ${customer.trn}`);
+    doc.text(`Period: ${statement.from || "beginning"} to ${statement.to || "today"}`);
+    doc.text(`Opening balance: ${money(statement.opening_balance)}`);
+    doc.moveDown();
+
+    const cols = [30, 110, 320, 400, 480];
+    let y = doc.y;
+    doc.font("Helvetica-Bold");
+    ["Date", "Description", "Debit", "Credit", "Balance"].forEach((h, i) => doc.text(h, cols[i], y));
+    doc.font("Helvetica");
+    y += 18;
+
+    for (const t of statement.transactions) {
+      const row = [
+        new Date(t.date).toLocaleDateString(),
+        t.description,
+        t.debit ? money(t.debit) : "",
+        t.credit ? money(t.credit) : "",
+        money(t.balance),
+      ];
+      row.forEach((v, i) => doc.text(v, cols[i], y, { width: i === 1 ? 200 : 80 }));
+      y += 18;
+      if (y > 760) {
+        doc.addPage();
+        y = 40;
+      }
+    }
+
+    doc.y = y + 10;
+    doc.font("Helvetica-Bold").text(`Balance due: ${money(statement.closing_balance)}`, 30);
+  });
+}
@@ -0,0 +1,229 @@
+// services/eInvoiceService.js
+// ZATCA / FTA e-invoicing helpers built on stored invoices + invoice_items:
+//   buildZatcaTLV()    → base64 TLV payload for the simplified-invoice QR
+//   buildInvoiceQR()   → PNG buffer of that QR, for receipt and A4 PDFs
+//   buildUBLInvoice()  → UBL 2.1 XML for standard (B2B) invoices
+
+import QRCode from "qrcode";
+import { buildTaxLines } from "../utils/taxLines.js";
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+// UN/ECE Rec 20 codes for the units weighed / measured goods are sold in
+const UNIT_CODES = { kg: "KGM", g: "GRM", l: "LTR", ml: "MLT", m: "MTR", cm: "CMT" };
+const unitCode = (unit) => UNIT_CODES[String(unit || "").trim().toLowerCase()] || "PCE";
+
+/**
+ * TLV: tag (1 byte) + length (1 byte) + UTF-8 value, for tags
+ * 1 seller name, 2 VAT number, 3 timestamp, 4 invoice total (incl. VAT), 5 VAT total.
+ */
+export function buildZatcaTLV({ sellerName, vatNumber, timestamp, total, vatTotal }) {
+  const fields = [
+    sellerName,
+    vatNumber,
+    new Date(timestamp || Date.now()).toISOString().replace(/\.\d{3}Z$/, "Z"),
+    money(total),
+    money(vatTotal),
+  ];
+
+  const parts = fields.map((value, i) => {
+    const bytes = Buffer.from(String(value ?? ""), "utf8");
+    if (bytes.length > 255) throw new Error(`QR field ${i + 1} is longer than 255 bytes`);
+    return Buffer.concat([Buffer.from([i + 1, bytes.length]), bytes]);
+  });
+
+  return Buffer.concat(parts).toString("base64");
+}
+
+/**
+ * Returns { tlv, png } for a stored invoice, or null when the seller has no
+ * VAT number (the QR is only meaningful for VAT-registered sellers).
+ */
+export async function buildInvoiceQR({ invoice, items, settings }) {
+  if (!settings?.trn) return null;
+
+  const { totals } = buildTaxLines(items);
+  const tlv = buildZatcaTLV({
+    sellerName: settings.legal_name || "",
+    vatNumber: settings.trn,
+    timestamp: invoice.created_at,
+    total: invoice.final_amount ?? totals.gross,
+    vatTotal: totals.vat,
+  });
+
+  const png = await QRCode.toBuffer(tlv, { errorCorrectionLevel: "M", margin: 1, width: 180 });
+  return { tlv, png };
+}
+
+const xmlEscape = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// UBL tax category (UNCL5305) for a line's tax treatment (019_tax_categories.sql)
+const TAX_CATEGORY_CODES = {
+  standard: "S",
+  zero_rated: "Z",
+  exempt: "E",
+  reverse_charge: "AE",
+  out_of_scope: "O",
+};
+
+// lines from before tax categories only have a rate
+const taxCategory = (treatment, rate) =>
+  TAX_CATEGORY_CODES[treatment] || (Number(rate) > 0 ? "S" : "Z");
+
+// "O" (not subject to VAT) carries no percentage
+const taxCategoryXml = (indent, tag, id, rate) => `${indent}<cac:${tag}>
+${indent}  <cbc:ID>${id}</cbc:ID>${
+  id === "O" ? "" : `
+${indent}  <cbc:Percent>${money(rate)}</cbc:Percent>`
+}
+${indent}  <cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>
+${indent}</cac:${tag}>`;
+
+/**
+ * One TaxSubtotal per category and rate: zero-rated, exempt and out-of-scope
+ * lines all sit at 0% but are separate categories.
+ */
+function taxSubtotalsByCategory(lines) {
+  const byKey = {};
+  for (const l of lines) {
+    const category = taxCategory(l.tax_treatment, l.rate);
+    const row = (byKey[`${category}|${l.rate}`] ||= { category, rate: l.rate, net: 0, vat: 0 });
+    row.net += l.net;
+    row.vat += l.vat;
+  }
+  return Object.values(byKey)
+    .sort((a, b) => a.rate - b.rate || a.category.localeCompare(b.category))
+    .map((r) => ({ ...r, net: Number(r.net.toFixed(2)), vat: Number(r.vat.toFixed(2)) }));
+}
+
+function partyXml(tag, { name, trn, address, phone, email }) {
+  return `  <cac:${tag}>
+    <cac:Party>
+      <cac:PartyName><cbc:Name>${xmlEscape(name)}</cbc:Name></cac:PartyName>${
+        address
+          ? `
+      <cac:PostalAddress>
+        <cbc:StreetName>${xmlEscape(address)}</cbc:StreetName>
+        <cac:Country><cbc:IdentificationCode>${xmlEscape(process.env.EINVOICE_COUNTRY || "AE")}</cbc:IdentificationCode></cac:Country>
+      </cac:PostalAddress>`
+          : ""
+      }${
+        trn
+          ? `
+      <cac:PartyTaxScheme>
+        <cbc:CompanyID>${xmlEscape(trn)}</cbc:CompanyID>
+        <cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>
+      </cac:PartyTaxScheme>`
+          : ""
+      }
+      <cac:PartyLegalEntity><cbc:RegistrationName>${xmlEscape(name)}</cbc:RegistrationName></cac:PartyLegalEntity>${
+        phone || email
+          ? `
+      <cac:Contact>${phone ? `<cbc:Telephone>${xmlEscape(phone)}</cbc:Telephone>` : ""}${
+              email ? `<cbc:ElectronicMail>${xmlEscape(email)}</cbc:ElectronicMail>` : ""
+            }</cac:Contact>`
+          : ""
+      }
+    </cac:Party>
+  </cac:${tag}>`;
+}
+
+/**
+ * UBL 2.1 invoice. Invoices with a buyer TRN are standard (B2B, 0100000),
+ * everything else is simplified (B2C, 0200000).
+ */
+export function buildUBLInvoice({ invoice, items, customer, settings, payments = [], qr = null }) {
+  const currency = settings.currency || "AED";
+  const { lines, totals } = buildTaxLines(items);
+  const issued = new Date(invoice.created_at || Date.now());
+  const isStandard = !!customer?.trn;
+  const amt = (n) => `currencyID="${xmlEscape(currency)}">${money(n)}`;
+
+  const taxSubtotals = taxSubtotalsByCategory(lines)
+    .map(
+      (v) => `    <cac:TaxSubtotal>
+      <cbc:TaxableAmount ${amt(v.net)}</cbc:TaxableAmount>
+      <cbc:TaxAmount ${amt(v.vat)}</cbc:TaxAmount>
+${taxCategoryXml("      ", "TaxCategory", v.category, v.rate)}
+    </cac:TaxSubtotal>`
+    )
+    .join("\n");
+
+  const invoiceLines = lines
+    .map(
+      (l, i) => `  <cac:InvoiceLine>
+    <cbc:ID>${i + 1}</cbc:ID>
+    <cbc:InvoicedQuantity unitCode="${unitCode(l.unit)}">${l.quantity}</cbc:InvoicedQuantity>
+    <cbc:LineExtensionAmount ${amt(l.net)}</cbc:LineExtensionAmount>
+    <cac:TaxTotal>
+      <cbc:TaxAmount ${amt(l.vat)}</cbc:TaxAmount>
+      <cbc:RoundingAmount ${amt(l.gross)}</cbc:RoundingAmount>
+    </cac:TaxTotal>
+    <cac:Item>
+      <cbc:Name>${xmlEscape(l.name)}</cbc:Name>
+${taxCategoryXml("      ", "ClassifiedTaxCategory", taxCategory(l.tax_treatment, l.rate), l.rate)}
+    </cac:Item>
+    <cac:Price>
+      <cbc:PriceAmount ${amt(l.net_price)}</cbc:PriceAmount>
+    </cac:Price>
+  </cac:InvoiceLine>`
+    )
+    .join("\n");
+
+  const paymentMeans = (payments.length ? payments : [{ method: invoice.payment_method }])
+    .map(
+      (p) => `  <cac:PaymentMeans>
+    <cbc:PaymentMeansCode>${
+      { cash: 10, card: 48, bank: 42, upi: 42, credit: 30 }[p.method] || 1
+    }</cbc:PaymentMeansCode>
+    <cbc:InstructionNote>${xmlEscape(p.method)}</cbc:InstructionNote>
+  </cac:PaymentMeans>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+         xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+         xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
+  <cbc:ProfileID>reporting:1.0</cbc:ProfileID>
+  <cbc:ID>${xmlEscape(invoice.invoice_number)}</cbc:ID>
+  <cbc:UUID>${xmlEscape(invoice.uuid)}</cbc:UUID>
+  <cbc:IssueDate>${issued.toISOString().slice(0, 10)}</cbc:IssueDate>
+  <cbc:IssueTime>${issued.toISOString().slice(11, 19)}</cbc:IssueTime>
+  <cbc:InvoiceTypeCode name="${isStandard ? "0100000" : "0200000"}">388</cbc:InvoiceTypeCode>
+  <cbc:DocumentCurrencyCode>${xmlEscape(currency)}</cbc:DocumentCurrencyCode>
+  <cbc:TaxCurrencyCode>${xmlEscape(currency)}</cbc:TaxCurrencyCode>${
+    qr
+      ? `
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>QR</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${qr.tlv}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>`
+      : ""
+  }
+${partyXml("AccountingSupplierParty", settings)}
+${partyXml("AccountingCustomerParty", customer || { name: "Walk-in customer" })}
+${paymentMeans}
+  <cac:TaxTotal>
+    <cbc:TaxAmount ${amt(totals.vat)}</cbc:TaxAmount>
+${taxSubtotals}
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:LineExtensionAmount ${amt(totals.net)}</cbc:LineExtensionAmount>
+    <cbc:TaxExclusiveAmount ${amt(totals.net)}</cbc:TaxExclusiveAmount>
+    <cbc:TaxInclusiveAmount ${amt(totals.gross)}</cbc:TaxInclusiveAmount>
+    <cbc:PayableAmount ${amt(invoice.final_amount ?? totals.gross)}</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+${invoiceLines}
+</Invoice>
+`;
+}
@@ -0,0 +1,97 @@
+// services/emailService.js
+// Outgoing email through a pluggable transport chosen by EMAIL_TRANSPORT:
+//   smtp    → SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//   file    → writes .eml files to EMAIL_FILE_DIR (default tmp/emails)
+//   console → logs the message as JSON (default when SMTP_HOST is unset)
+// Other transports can be added with registerEmailTransport(name, factory),
+// where factory() returns any nodemailer transport.
+//
+//   await sendEmail({ to, subject, template: "invoice", data, attachments })
+
+import fs from "fs";
+import path from "path";
+import ejs from "ejs";
+import nodemailer from "nodemailer";
+
+const EMAIL_TEMPLATES_DIR = path.join(process.cwd(), "controllers", "templates", "emails");
+
+const transportFactories = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    }),
+  file: () => nodemailer.createTransport({ streamTransport: true, buffer: true }),
+  console: () => nodemailer.createTransport({ jsonTransport: true }),
+};
+
+const transports = {};
+
+export function registerEmailTransport(name, factory) {
+  transportFactories[name] = factory;
+  delete transports[name];
+}
+
+export function getTransportName() {
+  return process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+}
+
+function getTransport(name) {
+  if (!transports[name]) {
+    const factory = transportFactories[name];
+    if (!factory) throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+    transports[name] = factory();
+  }
+  return transports[name];
+}
+
+export async function renderEmailTemplate(template, data) {
+  return ejs.renderFile(path.join(EMAIL_TEMPLATES_DIR, `${template}.ejs`), data);
+}
+
+/**
+ * Sends one email. `html` can be passed directly or rendered from
+ * controllers/templates/emails/<template>.ejs with `data`.
+ * Returns { transport, messageId }.
+ */
+export async function sendEmail({
+  to,
+  subject,
+  html,
+  text,
+  template,
+  data = {},
+  attachments = [],
+  from,
+  replyTo,
+}) {
+  const name = getTransportName();
+  const body = html ?? (template ? await renderEmailTemplate(template, data) : undefined);
+
+  const info = await getTransport(name).sendMail({
+    from: from || process.env.EMAIL_FROM || "no-reply@localhost",
+    replyTo,
+    to,
+    subject,
+    html: body,
+    text,
+    attachments,
+  });
+
+  if (name === "file") {
+    const dir = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), "tmp", "emails");
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${String(info.messageId).replace(/[<>@]/g, "_")}.eml`);
+    fs.writeFileSync(file, info.message);
+    console.log(`📧 Email written to ${file}`);
+  } else if (name === "console") {
+    const msg = JSON.parse(info.message);
+    console.log(`📧 [console] to=${to} subject="${subject}" attachments=${msg.attachments?.length || 0}`);
+  }
+
+  return { transport: name, messageId: info.messageId };
+}
@@ -0,0 +1,225 @@
+// services/invoiceDocumentService.js
+// Renders a stored invoice as a PDF with the tenant's chosen template:
+//   "thermal" → 226pt Courier receipt (scripts/pdfGenerator.js)
+//   "a4"      → full tax invoice from controllers/templates/invoiceA4.ejs
+// A tenant can brand the A4 layout by dropping its own copy at
+// controllers/templates/tenants/<tenant_id>/invoiceA4.ejs.
+
+import fs from "fs";
+import path from "path";
+import ejs from "ejs";
+import puppeteer from "puppeteer";
+import { supabase } from "../supabase/supabaseClient.js";
+import { generatePDF } from "../scripts/pdfGenerator.js";
+import { buildTaxLines } from "../utils/taxLines.js";
+import { buildInvoiceQR } from "./eInvoiceService.js";
+
+export const INVOICE_TEMPLATES = ["thermal", "a4"];
+export const PRICING_MODES = ["inclusive", "exclusive"];
+
+const TEMPLATES_DIR = path.join(process.cwd(), "controllers", "templates");
+
+const DEFAULT_SETTINGS = {
+  legal_name: null,
+  trn: null,
+  address: null,
+  phone: null,
+  email: null,
+  logo_url: null,
+  brand_color: "#111827",
+  currency: "AED",
+  footer_note: null,
+  default_template: "thermal",
+  pricing_mode: "inclusive",
+  cash_rounding_enabled: false,
+  cash_rounding_increment: null, // null = currency default (utils/cashRounding.js)
+  cash_rounding_mode: "nearest",
+};
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+export async function getInvoiceSettings(tenant_id) {
+  const { data, error } = await supabase
+    .from("tenant_invoice_settings")
+    .select("*")
+    .eq("tenant_id", tenant_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_SETTINGS, ...(data || {}), tenant_id };
+}
+
+/**
+ * ============================================================
+ * AMOUNT IN WORDS  (1250.5 → "Dirhams One Thousand Two Hundred Fifty and Fils Fifty Only")
+ * ============================================================
+ */
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen",
+  "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+const SCALES = [[1e9, "Billion"], [1e6, "Million"], [1e3, "Thousand"]];
+
+const CURRENCY_UNITS = {
+  AED: ["Dirhams", "Fils"],
+  SAR: ["Riyals", "Halalas"],
+  USD: ["Dollars", "Cents"],
+  INR: ["Rupees", "Paise"],
+};
+
+function below1000(n) {
+  const words = [];
+  if (n >= 100) {
+    words.push(ONES[Math.floor(n / 100)], "Hundred");
+    n %= 100;
+  }
+  if (n >= 20) {
+    words.push(TENS[Math.floor(n / 10)]);
+    n %= 10;
+  }
+  if (n > 0) words.push(ONES[n]);
+  return words.join(" ");
+}
+
+function integerToWords(n) {
+  if (n === 0) return "Zero";
+  const words = [];
+  for (const [value, name] of SCALES) {
+    if (n >= value) {
+      words.push(below1000(Math.floor(n / value)), name);
+      n %= value;
+    }
+  }
+  if (n > 0) words.push(below1000(n));
+  return words.join(" ");
+}
+
+export function amountInWords(amount, currency = "AED") {
+  const [major, minor] = CURRENCY_UNITS[currency] || [currency, "Cents"];
+  const cents = Math.round(Math.abs(Number(amount || 0)) * 100);
+  const whole = Math.floor(cents / 100);
+  const fraction = cents % 100;
+
+  let words = `${major} ${integerToWords(whole)}`;
+  if (fraction) words += ` and ${minor} ${integerToWords(fraction)}`;
+  return `${words} Only`;
+}
+
+function resolveA4Template(tenant_id) {
+  const custom = path.join(TEMPLATES_DIR, "tenants", String(tenant_id), "invoiceA4.ejs");
+  return fs.existsSync(custom) ? custom : path.join(TEMPLATES_DIR, "invoiceA4.ejs");
+}
+
+async function htmlToPdf(html) {
+  const browser = await puppeteer.launch({
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    await page.emulateMediaType("print");
+    return await page.pdf({ format: "A4", printBackground: true });
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * ============================================================
+ * RENDER
+ * invoice  – invoices row
+ * items    – invoice_items rows (with name or products.name)
+ * customer – customers row or null
+ * payments – tender legs [{ method, amount }]
+ * copyLabel – reprint stamp, e.g. "DUPLICATE / COPY 2"
+ * gift     – gift receipt (thermal, prices hidden) whatever the template
+ * ============================================================
+ */
+export async function renderInvoicePDF({
+  template = "thermal",
+  invoice,
+  items,
+  customer = null,
+  payments = [],
+  settings,
+  businessName,
+  copyLabel = null,
+  gift = false,
+}) {
+  const seller = settings || (await getInvoiceSettings(invoice.tenant_id));
+  // the QR carries the totals, so a gift receipt has none
+  const qr = gift ? null : await buildInvoiceQR({ invoice, items, settings: seller });
+
+  if (template !== "a4" || gift) {
+    return generatePDF({
+      invoiceNumber: invoice.invoice_number,
+      items: items.map((it) => ({ ...it, name: it.name || it.products?.name || "Item" })),
+      total: invoice.final_amount,
+      payment_method: invoice.payment_method,
+      payments,
+      subtotal: invoice.total_amount,
+      businessName: seller.legal_name || businessName,
+      qrPng: qr?.png,
+      issuedAt: invoice.created_at,
+      copyLabel,
+      giftReceipt: gift,
+      cashRounding: invoice.cash_rounding,
+    });
+  }
+
+  const { lines, vatSummary, totals } = buildTaxLines(items);
+
+  const html = await ejs.renderFile(resolveA4Template(invoice.tenant_id), {
+    title: seller.trn ? "TAX INVOICE" : "INVOICE",
+    copyLabel,
+    invoice,
+    issuedAt: new Date(invoice.created_at || Date.now()).toLocaleString(),
+    seller: { ...seller, legal_name: seller.legal_name || businessName || "" },
+    buyer: customer,
+    lines,
+    vatSummary,
+    totals,
+    payments,
+    currency: seller.currency,
+    amountWords: amountInWords(totals.gross, seller.currency),
+    qrDataUrl: qr ? `data:image/png;base64,${qr.png.toString("base64")}` : null,
+    money,
+  });
+
+  return htmlToPdf(html);
+}
+
+/**
+ * Loads everything needed to re-render a stored invoice.
+ */
+export async function loadInvoiceForPrint(tenant_id, invoice_id) {
+  const { data: invoice, error } = await supabase
+    .from("invoices")
+    .select(
+      "*, invoice_items (product_id, quantity, unit, price, tax, net_price, tax_amount, total, tax_code, tax_treatment, products (name)), invoice_payments (method, amount, reference)"
+    )
+    .eq("tenant_id", tenant_id)
+    .eq("id", invoice_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invoice) return null;
+
+  let customer = null;
+  if (invoice.customer_id) {
+    const { data, error: custErr } = await supabase
+      .from("customers")
+      .select("id, name, phone, email, trn, address")
+      .eq("tenant_id", tenant_id)
+      .eq("id", invoice.customer_id)
+      .maybeSingle();
+
+    if (custErr) throw custErr;
+    customer = data;
+  }
+
+  const { invoice_items: items = [], invoice_payments: payments = [], ...row } = invoice;
+  return { invoice: row, items, payments, customer };
+}
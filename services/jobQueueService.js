@@ -0,0 +1,135 @@
+// services/jobQueueService.js
+// Durable background jobs backed by the `jobs` table
+// (see migrations/003_create_jobs.sql).
+//
+//   registerJobHandler("invoice_deferred", async (payload, job) => { ... })
+//   await enqueueJob({ tenant_id, type, reference_id, payload })
+//   startJobWorker()   // once, from index.js
+//
+// A handler that throws is retried with exponential backoff until
+// max_attempts, then left as status = 'failed' for an admin to re-run.
+
+import { supabase } from "../supabase/supabaseClient.js";
+
+const handlers = {};
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+const BATCH_SIZE = Number(process.env.JOB_BATCH_SIZE || 5);
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m ...
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+export function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+export async function enqueueJob({
+  tenant_id,
+  type,
+  reference_id = null,
+  payload = {},
+  max_attempts,
+}) {
+  const row = {
+    tenant_id,
+    type,
+    reference_id: reference_id != null ? String(reference_id) : null,
+    payload,
+  };
+  if (max_attempts) row.max_attempts = max_attempts;
+
+  const { data, error } = await supabase
+    .from("jobs")
+    .insert([row])
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export function nextRunAt(attempts) {
+  const delay = Math.min(
+    BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1),
+    BACKOFF_MAX_MS
+  );
+  return new Date(Date.now() + delay).toISOString();
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type: ${job.type}`);
+
+    await handler(job.payload || {}, job);
+
+    await supabase
+      .from("jobs")
+      .update({
+        status: "done",
+        last_error: null,
+        locked_at: null,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", job.id);
+  } catch (err) {
+    const exhausted = job.attempts >= job.max_attempts;
+    console.error(
+      `❌ Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed:`,
+      err
+    );
+
+    await supabase
+      .from("jobs")
+      .update({
+        status: exhausted ? "failed" : "pending",
+        last_error: err?.message || String(err),
+        run_at: exhausted ? job.run_at : nextRunAt(job.attempts),
+        locked_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", job.id);
+  }
+}
+
+export async function processDueJobs(limit = BATCH_SIZE) {
+  const { data: jobs, error } = await supabase.rpc("claim_jobs", {
+    p_limit: limit,
+  });
+
+  if (error) throw error;
+
+  // sequential on purpose: ledger balances are computed from the last row
+  for (const job of jobs || []) {
+    await runJob(job);
+  }
+
+  return (jobs || []).length;
+}
+
+let workerTimer = null;
+let polling = false;
+
+export function startJobWorker() {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await processDueJobs();
+    } catch (err) {
+      console.error("❌ Job worker poll failed:", err);
+    } finally {
+      polling = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  console.log(`🧵 Job worker started (every ${POLL_INTERVAL_MS}ms)`);
+}
+
+export function stopJobWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
@@ -0,0 +1,117 @@
+// services/priceListService.js
+// Resolves the selling price of each cart line from the customer's price
+// list (migrations/017_price_lists.sql), falling back to the tenant default
+// list and then to products.selling_price. Used by checkout, preview and
+// quotations so the client never sends prices.
+//
+// List prices are in the tenant's pricing mode (VAT inclusive, or net for
+// tax-exclusive tenants), exactly like selling_price.
+//
+// Rule precedence inside a list: product rule > category rule > list-wide
+// rule; among those, the highest min_qty the cart quantity reaches wins.
+
+import { supabase } from "../supabase/supabaseClient.js";
+
+const todayStr = () => new Date().toISOString().split("T")[0];
+
+export const isPriceListCurrent = (list, day = todayStr()) =>
+  !!list &&
+  list.is_active &&
+  (!list.valid_from || list.valid_from <= day) &&
+  (!list.valid_to || list.valid_to >= day);
+
+async function findPriceList(tenant_id, customer_id) {
+  if (customer_id) {
+    const { data: customer, error } = await supabase
+      .from("customers")
+      .select("price_list_id")
+      .eq("tenant_id", tenant_id)
+      .eq("id", customer_id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (customer?.price_list_id) {
+      const { data: list, error: listErr } = await supabase
+        .from("price_lists")
+        .select("*")
+        .eq("tenant_id", tenant_id)
+        .eq("id", customer.price_list_id)
+        .maybeSingle();
+
+      if (listErr) throw listErr;
+      if (isPriceListCurrent(list)) return list;
+    }
+  }
+
+  const { data: fallback, error } = await supabase
+    .from("price_lists")
+    .select("*")
+    .eq("tenant_id", tenant_id)
+    .eq("is_default", true)
+    .maybeSingle();
+
+  if (error) throw error;
+  return isPriceListCurrent(fallback) ? fallback : null;
+}
+
+const specificity = (rule) => (rule.product_id ? 2 : rule.category_id ? 1 : 0);
+
+export function pickRule(rules, product, qty) {
+  let best = null;
+  for (const rule of rules) {
+    if (rule.product_id && Number(rule.product_id) !== Number(product.id)) continue;
+    if (rule.category_id && Number(rule.category_id) !== Number(product.category_id)) continue;
+    if (Number(rule.min_qty) > qty) continue;
+
+    if (
+      !best ||
+      specificity(rule) > specificity(best) ||
+      (specificity(rule) === specificity(best) && Number(rule.min_qty) > Number(best.min_qty))
+    ) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+export function rulePrice(rule, product) {
+  const base = Number(product.selling_price || 0);
+  if (!rule) return base;
+  if (rule.price != null) return Number(rule.price);
+  return Number((base * (1 - Number(rule.discount_percent) / 100)).toFixed(2));
+}
+
+/**
+ * items    – cart lines [{ product_id, qty }]
+ * products – products rows (id, selling_price, category_id)
+ * Returns { price_list, prices: { [product_id]: unit price } }.
+ * Quantity tiers look at the product's total quantity across the cart.
+ */
+export async function resolvePrices({ tenant_id, customer_id = null, items, products }) {
+  const priceList = await findPriceList(tenant_id, customer_id);
+
+  const prices = {};
+  for (const p of products) prices[p.id] = Number(p.selling_price || 0);
+  if (!priceList) return { price_list: null, prices };
+
+  const { data: rules, error } = await supabase
+    .from("price_list_items")
+    .select("*")
+    .eq("tenant_id", tenant_id)
+    .eq("price_list_id", priceList.id);
+
+  if (error) throw error;
+
+  const qtyByProduct = {};
+  for (const it of items) {
+    qtyByProduct[it.product_id] =
+      (qtyByProduct[it.product_id] || 0) + Number(it.qty ?? it.quantity ?? 0);
+  }
+
+  for (const p of products) {
+    prices[p.id] = rulePrice(pickRule(rules || [], p, qtyByProduct[p.id] || 0), p);
+  }
+
+  return { price_list: { id: priceList.id, name: priceList.name }, prices };
+}
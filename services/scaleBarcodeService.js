@@ -0,0 +1,145 @@
+// services/scaleBarcodeService.js
+// Barcode lookup for the till (migrations/023_scale_barcodes.sql). A plain
+// barcode or SKU names a product; a scale barcode (label printed by a
+// weighing scale) carries a PLU plus the weight, price or count, laid out
+// by one of the tenant's scale_barcode_formats.
+
+import { supabase } from "../supabase/supabaseClient.js";
+
+export const SCALE_VALUE_TYPES = ["weight", "price", "quantity"];
+export const QTY_DECIMALS = 3;
+
+export const roundQty = (n) => Number(Number(n || 0).toFixed(QTY_DECIMALS));
+
+const PRODUCT_FIELDS =
+  "id, name, sku, barcode, plu_code, unit, allow_decimal_qty, selling_price, tax, status, product_type";
+
+// EAN-8 / EAN-13 / UPC style mod-10 check digit over the digits before it
+export function checkDigitValid(code) {
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((s, d, i) => s + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * First active format whose prefix and length fit the code:
+ * { format, plu, value } with value already scaled by value_decimals.
+ * null when no format matches.
+ */
+export function parseScaleBarcode(code, formats) {
+  if (!/^\d+$/.test(code)) return null;
+
+  // longest prefix first so "215" wins over "2"
+  const candidates = [...formats]
+    .filter((f) => f.is_active !== false)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  for (const format of candidates) {
+    if (code.length !== Number(format.length) || !code.startsWith(format.prefix)) continue;
+    if (format.check_digit && !checkDigitValid(code)) continue;
+
+    const plu = code.substr(format.plu_start, format.plu_length);
+    const raw = Number(code.substr(format.value_start, format.value_length));
+
+    return {
+      format,
+      plu,
+      value: raw / 10 ** Number(format.value_decimals || 0),
+    };
+  }
+  return null;
+}
+
+export async function getScaleBarcodeFormats(tenant_id) {
+  const { data, error } = await supabase
+    .from("scale_barcode_formats")
+    .select("*")
+    .eq("tenant_id", tenant_id)
+    .order("prefix");
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Resolves a scanned code to { product, quantity, source, ... } or null.
+ * source: "barcode" | "sku" | "scale"
+ * Price-embedded labels give quantity = label price / selling price, so
+ * the line comes to the printed amount.
+ */
+export async function lookupBarcode(tenant_id, rawCode) {
+  const code = String(rawCode || "").trim();
+  if (!/^[\w.\-/]+$/.test(code)) return null; // also keeps the .or() filter intact
+
+  const { data: exact, error } = await supabase
+    .from("products")
+    .select(PRODUCT_FIELDS)
+    .eq("tenant_id", tenant_id)
+    .or(`barcode.eq.${code},sku.eq.${code}`)
+    .limit(2);
+
+  if (error) throw error;
+
+  const byBarcode = exact?.find((p) => p.barcode === code);
+  const match = byBarcode || exact?.[0];
+  if (match) {
+    return { product: match, quantity: 1, unit: match.unit || null, source: byBarcode ? "barcode" : "sku" };
+  }
+
+  const parsed = parseScaleBarcode(code, await getScaleBarcodeFormats(tenant_id));
+  if (!parsed) return null;
+
+  // PLUs are matched with and without leading zeros ("00123" = "123")
+  const plus = [...new Set([parsed.plu, parsed.plu.replace(/^0+(?=\d)/, "")])];
+  const { data: byPlu, error: pluErr } = await supabase
+    .from("products")
+    .select(PRODUCT_FIELDS)
+    .eq("tenant_id", tenant_id)
+    .in("plu_code", plus)
+    .limit(1);
+
+  if (pluErr) throw pluErr;
+  const product = byPlu?.[0];
+  if (!product) return { product: null, plu: parsed.plu, format: parsed.format, source: "scale" };
+
+  const { value_type } = parsed.format;
+  const price = Number(product.selling_price || 0);
+  const quantity =
+    value_type === "price"
+      ? price > 0 ? roundQty(parsed.value / price) : 0
+      : roundQty(parsed.value);
+
+  return {
+    product,
+    quantity,
+    unit: product.unit || null,
+    source: "scale",
+    plu: parsed.plu,
+    format: { id: parsed.format.id, name: parsed.format.name, value_type },
+    ...(value_type === "price" && { embedded_price: parsed.value }),
+  };
+}
+
+/**
+ * Quantity rules for cart lines: above 0, whole units unless the product
+ * allows decimals, at most QTY_DECIMALS places. Returns an error or null.
+ */
+export function quantityError(items, products) {
+  for (const item of items) {
+    const qty = Number(item.qty ?? item.quantity);
+    const p = products.find((x) => x.id === item.product_id);
+    const label = p?.name || `Product ${item.product_id}`;
+
+    if (!(qty > 0)) return `${label}: quantity must be greater than 0`;
+    if (roundQty(qty) !== qty) {
+      return `${label}: quantity can have at most ${QTY_DECIMALS} decimals`;
+    }
+    if (p && !p.allow_decimal_qty && !Number.isInteger(qty)) {
+      return `${label} is sold in whole units`;
+    }
+  }
+  return null;
+}
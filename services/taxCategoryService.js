@@ -0,0 +1,165 @@
+// services/taxCategoryService.js
+// VAT categories (migrations/019_tax_categories.sql). A product with a
+// tax_category_id is taxed by its category's treatment and the rate in force
+// on the document date; products without one keep using products.tax.
+
+import { supabase } from "../supabase/supabaseClient.js";
+
+export const TAX_TREATMENTS = [
+  "standard",
+  "zero_rated",
+  "exempt",
+  "reverse_charge",
+  "out_of_scope",
+];
+
+const todayStr = () => new Date().toISOString().split("T")[0];
+
+export const vatPeriod = (date) => {
+  const d = new Date(date || Date.now());
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+};
+
+/**
+ * Rate of the category on `day` (YYYY-MM-DD): latest effective_from <= day.
+ */
+export function rateOn(category, day = todayStr()) {
+  const current = (category?.tax_category_rates || [])
+    .filter((r) => r.effective_from <= day)
+    .sort((a, b) => (a.effective_from < b.effective_from ? 1 : -1))[0];
+  return current ? Number(current.rate) : 0;
+}
+
+// VAT the seller puts on the document. Reverse charge is accounted by the
+// buyer, so the document itself carries none.
+export const chargedRate = (treatment, rate) =>
+  treatment === "standard" ? Number(rate) : 0;
+
+// products without a category: all we know is the percentage
+const legacyTreatment = (tax) => (Number(tax) > 0 ? "standard" : "zero_rated");
+
+export async function getTaxCategories(tenant_id, ids = null) {
+  let query = supabase
+    .from("tax_categories")
+    .select("*, tax_category_rates (id, rate, effective_from)")
+    .eq("tenant_id", tenant_id)
+    .order("code");
+
+  if (ids) query = query.in("id", ids);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Returns the products with `tax` set to the rate charged on `day`, plus
+ * tax_category_id, tax_code, tax_treatment and tax_rate (the category rate,
+ * which reverse-charge purchases self-account at).
+ */
+export async function applyTaxCategories(tenant_id, products, day = todayStr()) {
+  const ids = [...new Set(products.map((p) => p.tax_category_id).filter(Boolean))];
+  const categories = ids.length ? await getTaxCategories(tenant_id, ids) : [];
+
+  return products.map((p) => {
+    const category = categories.find((c) => c.id === p.tax_category_id);
+    if (!category) {
+      return {
+        ...p,
+        tax_category_id: null,
+        tax_code: null,
+        tax_treatment: legacyTreatment(p.tax),
+        tax_rate: Number(p.tax || 0),
+      };
+    }
+
+    const rate = rateOn(category, day);
+    return {
+      ...p,
+      tax: chargedRate(category.treatment, rate),
+      tax_category_id: category.id,
+      tax_code: category.code,
+      tax_treatment: category.treatment,
+      tax_rate: rate,
+    };
+  });
+}
+
+/**
+ * Adds one document's lines to vat_report_lines and its totals to
+ * vat_reports, together and once per document (029_vat_report_totals.sql).
+ * lines:  [{ direction, tax_code, tax_treatment, net_amount, vat_amount }]
+ * totals: { total_sales?, sales_vat?, total_purchases?, purchase_vat? } deltas
+ */
+export async function postVatReportLines({ tenant_id, date, reference_type, reference_id, lines = [], totals = null }) {
+  if (!lines.length && !totals) return false;
+
+  const { data, error } = await supabase.rpc("post_vat_report_lines", {
+    p_tenant_id: tenant_id,
+    p_period: vatPeriod(date),
+    p_reference_type: reference_type,
+    p_reference_id: reference_id,
+    p_lines: lines.map((l) => ({
+      ...l,
+      net_amount: Number(Number(l.net_amount).toFixed(2)),
+      vat_amount: Number(Number(l.vat_amount).toFixed(2)),
+    })),
+    p_totals: totals
+      ? Object.fromEntries(
+          Object.entries(totals).map(([k, v]) => [k, Number(Number(v || 0).toFixed(2))])
+        )
+      : null,
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Groups one period's vat_report_lines into VAT return boxes.
+ * Reverse-charge purchases count on both sides: their VAT is output VAT
+ * payable and input VAT recoverable.
+ */
+export function summarizeVatReturn(lines) {
+  const box = (direction, treatment) =>
+    lines
+      .filter((l) => l.direction === direction && l.tax_treatment === treatment)
+      .reduce(
+        (acc, l) => ({
+          net_amount: Number((acc.net_amount + Number(l.net_amount)).toFixed(2)),
+          vat_amount: Number((acc.vat_amount + Number(l.vat_amount)).toFixed(2)),
+        }),
+        { net_amount: 0, vat_amount: 0 }
+      );
+
+  const outputs = {
+    standard_rated_supplies: box("sales", "standard"),
+    zero_rated_supplies: box("sales", "zero_rated"),
+    exempt_supplies: box("sales", "exempt"),
+    reverse_charge_supplies: box("sales", "reverse_charge"),
+    out_of_scope_supplies: box("sales", "out_of_scope"),
+    reverse_charge_purchases: box("purchases", "reverse_charge"),
+  };
+  const inputs = {
+    standard_rated_expenses: box("purchases", "standard"),
+    reverse_charge_purchases: box("purchases", "reverse_charge"),
+    zero_rated_purchases: box("purchases", "zero_rated"),
+    exempt_purchases: box("purchases", "exempt"),
+    out_of_scope_purchases: box("purchases", "out_of_scope"),
+  };
+
+  const output_vat = Number(
+    Object.values(outputs).reduce((s, b) => s + b.vat_amount, 0).toFixed(2)
+  );
+  const input_vat = Number(
+    Object.values(inputs).reduce((s, b) => s + b.vat_amount, 0).toFixed(2)
+  );
+
+  return {
+    outputs,
+    inputs,
+    output_vat,
+    input_vat,
+    net_vat_payable: Number((output_vat - input_vat).toFixed(2)),
+  };
+}
@@ -0,0 +1,57 @@
+// utils/cashRounding.js
+// Cash rounding (migrations/026_cash_rounding.sql). Only the cash legs of a
+// bill are rounded; the invoice total stays exact and the difference is kept
+// on invoices.cash_rounding.
+
+export const CASH_ROUNDING_INCREMENTS = [0.05, 0.1, 0.25, 0.5, 1];
+export const CASH_ROUNDING_MODES = ["nearest", "up", "down"];
+
+// smallest coin in everyday use, when the tenant has not picked an increment
+export const CURRENCY_CASH_INCREMENTS = {
+  AED: 0.25,
+  AUD: 0.05,
+  CAD: 0.05,
+  CHF: 0.05,
+  DKK: 0.5,
+  INR: 1,
+  NOK: 1,
+  NZD: 0.1,
+  SEK: 1,
+};
+
+/**
+ * { increment, mode } from tenant invoice settings, or null when cash
+ * rounding is off (or the currency has no default and none was set).
+ */
+export function cashRoundingRule(settings) {
+  if (!settings?.cash_rounding_enabled) return null;
+
+  const increment =
+    Number(settings.cash_rounding_increment) ||
+    CURRENCY_CASH_INCREMENTS[String(settings.currency || "").toUpperCase()];
+
+  if (!increment) return null;
+  return { increment, mode: settings.cash_rounding_mode || "nearest" };
+}
+
+/**
+ * Difference between the cash to collect and the cash legs
+ * (e.g. 10.02 in cash at 0.05 nearest → -0.02). 0 without cash legs.
+ */
+export function cashRoundingFor(legs, rule) {
+  if (!rule) return 0;
+
+  const cash = legs
+    .filter((l) => String(l.method || "").toLowerCase() === "cash")
+    .reduce((s, l) => s + Number(l.amount || 0), 0);
+
+  if (!(cash > 0)) return 0;
+
+  const round =
+    rule.mode === "up" ? Math.ceil : rule.mode === "down" ? Math.floor : Math.round;
+  // toFixed first so 10.15 / 0.05 (= 202.99999...) counts as 203 steps
+  const steps = round(Number((cash / rule.increment).toFixed(6)));
+  const collected = Number((steps * rule.increment).toFixed(2));
+
+  return Number((collected - cash).toFixed(2));
+}
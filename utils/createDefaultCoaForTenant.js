@@ -27,10 +27,13 @@ export async function createDefaultCoaForTenant(tenant_id) {
   { name: "Accounts Payable", type: "liability" },
   { name: "VAT Payable", type: "liability" },
   { name: "VAT Output", type: "liability" },
+  { name: "Customer Credit", type: "liability" }, // credit notes / store credit
+  { name: "Gift Card Liability", type: "liability" },
 
   // INCOME
   { name: "Sales", type: "income" },
   { name: "Sales Returns", type: "income" }, // ⭐ REQUIRED
+  { name: "Gift Card Breakage", type: "income" },
 
   // EXPENSES
   { name: "Cost of Goods Sold", type: "expense" },
@@ -38,6 +41,7 @@ export async function createDefaultCoaForTenant(tenant_id) {
   { name: "Discount Expense", type: "expense" },
   { name: "Salary Expense", type: "expense" },
   { name: "Staff Discount Expense", type: "expense" },
+  { name: "Rounding", type: "expense" }, // cash rounding gains / losses
 ];
 
 
@@ -20,3 +20,21 @@ export function sendPDF(res, title, buildContent) {
 
   doc.end();
 }
+
+// Same layout as sendPDF, resolved as a Buffer (email attachments).
+export function renderPDFBuffer(title, buildContent) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 30, size: "A4" });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text(title, { align: "center" });
+    doc.moveDown();
+
+    buildContent(doc);
+
+    doc.end();
+  });
+}
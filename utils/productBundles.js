@@ -0,0 +1,82 @@
+// utils/productBundles.js
+// A bundle (products.product_type = 'bundle') holds no stock of its own;
+// each one sold consumes its product_bundle_items. create_invoice_atomic
+// does the stock side in SQL, these give COGS the same view; returns use
+// the components snapshotted on the invoice at checkout.
+import { supabase } from "../supabase/supabaseClient.js";
+
+/**
+ * { [bundle_product_id]: [{ product_id, quantity, cost_price }] }
+ * Products that are not bundles have no entry.
+ */
+export async function getBundleComponents(tenant_id, productIds) {
+  const ids = [...new Set(productIds)].filter(Boolean);
+  if (!ids.length) return {};
+
+  const { data, error } = await supabase
+    .from("product_bundle_items")
+    .select(
+      "bundle_product_id, component_product_id, quantity, component:products!product_bundle_items_component_fk (cost_price)"
+    )
+    .eq("tenant_id", tenant_id)
+    .in("bundle_product_id", ids)
+    .order("id");
+
+  if (error) throw error;
+
+  const map = {};
+  for (const row of data || []) {
+    (map[row.bundle_product_id] ||= []).push({
+      product_id: row.component_product_id,
+      quantity: Number(row.quantity),
+      cost_price: row.component?.cost_price,
+    });
+  }
+  return map;
+}
+
+/**
+ * The components each bundle on an invoice was sold with, as snapshotted at
+ * checkout (invoice_bundle_components), in the getBundleComponents shape.
+ */
+export async function getInvoiceBundleComponents(tenant_id, invoice_id) {
+  const { data, error } = await supabase
+    .from("invoice_bundle_components")
+    .select("bundle_product_id, component_product_id, quantity, cost_price")
+    .eq("tenant_id", tenant_id)
+    .eq("invoice_id", invoice_id)
+    .order("id");
+
+  if (error) throw error;
+
+  const map = {};
+  for (const row of data || []) {
+    (map[row.bundle_product_id] ||= []).push({
+      product_id: row.component_product_id,
+      quantity: Number(row.quantity),
+      cost_price: row.cost_price,
+    });
+  }
+  return map;
+}
+
+/**
+ * Replaces every bundle line with one line per component
+ * (quantity = line qty x component qty). Other lines pass through.
+ */
+export async function explodeBundleItems(tenant_id, items) {
+  const components = await getBundleComponents(
+    tenant_id,
+    items.map((it) => it.product_id)
+  );
+
+  return items.flatMap((it) =>
+    components[it.product_id]
+      ? components[it.product_id].map((c) => ({
+          product_id: c.product_id,
+          quantity: Number(it.quantity) * c.quantity,
+          bundle_product_id: it.product_id,
+        }))
+      : [it]
+  );
+}
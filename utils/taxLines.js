@@ -0,0 +1,47 @@
+// utils/taxLines.js
+// Shared by the A4 invoice template and the UBL XML export.
+
+/**
+ * Net / VAT / gross per line from invoice_items, plus a summary by VAT rate.
+ */
+export function buildTaxLines(items) {
+  const lines = items.map((it) => {
+    const gross = Number(it.total || 0);
+    const vat = Number(it.tax_amount || 0);
+    return {
+      name: it.name || it.products?.name || "Item",
+      quantity: Number(it.quantity || 0),
+      unit: it.unit || null,
+      net_price: Number(it.net_price || 0),
+      rate: Number(it.tax || 0),
+      tax_treatment: it.tax_treatment || null,
+      net: Number((gross - vat).toFixed(2)),
+      vat,
+      gross,
+    };
+  });
+
+  const byRate = {};
+  for (const l of lines) {
+    const row = (byRate[l.rate] ||= { rate: l.rate, net: 0, vat: 0, gross: 0 });
+    row.net += l.net;
+    row.vat += l.vat;
+    row.gross += l.gross;
+  }
+
+  const vatSummary = Object.values(byRate)
+    .sort((a, b) => a.rate - b.rate)
+    .map((r) => ({
+      rate: r.rate,
+      net: Number(r.net.toFixed(2)),
+      vat: Number(r.vat.toFixed(2)),
+      gross: Number(r.gross.toFixed(2)),
+    }));
+
+  const totals = vatSummary.reduce(
+    (t, r) => ({ net: t.net + r.net, vat: t.vat + r.vat, gross: t.gross + r.gross }),
+    { net: 0, vat: 0, gross: 0 }
+  );
+
+  return { lines, vatSummary, totals };
+}